@@ -0,0 +1,330 @@
+/**
+ * Emergent-structure analytics
+ * Measures the particle state every few frames: per-species centroid, spread,
+ * cohesion, mean speed and angular momentum, DBSCAN clusters over all
+ * particles, and global disorder and chaos indices. Results are kept as
+ * `latest` and dispatched as events, for sonification, modulation sources and
+ * preset tagging:
+ *   'metrics'  - detail is the full metrics object, after every analysis
+ *   'clusters' - detail is { count, previous }, when the cluster count changes
+ * Everything is measured in canvas space, so in wrapping topologies a group
+ * straddling an edge counts as two.
+ */
+
+export const DEFAULT_ANALYTICS_INTERVAL = 10; // Frames between analyses
+export const DEFAULT_CLUSTER_RADIUS = 25;     // Pixels between neighbouring cluster members
+export const DEFAULT_CLUSTER_MIN_POINTS = 5;  // Neighbours (self included) that make a cluster core
+
+const UNVISITED = -1;
+const NOISE = -2;
+
+export class ParticleAnalytics extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.latest = null;
+        this.framesSince = 0;
+        this.lastTime = null;
+        // Velocity directions from the previous analysis, for the chaos index
+        this.previous = { particles: null, count: 0, dirX: null, dirY: null };
+        this.configure(options);
+    }
+    
+    configure({ interval = DEFAULT_ANALYTICS_INTERVAL, clusterRadius = DEFAULT_CLUSTER_RADIUS, clusterMinPoints = DEFAULT_CLUSTER_MIN_POINTS } = {}) {
+        this.interval = Math.max(1, Math.min(600, Math.round(Number(interval) || DEFAULT_ANALYTICS_INTERVAL)));
+        this.clusterRadius = Math.max(2, Math.min(200, Number(clusterRadius) || DEFAULT_CLUSTER_RADIUS));
+        this.clusterMinPoints = Math.max(1, Math.min(50, Math.round(Number(clusterMinPoints) || DEFAULT_CLUSTER_MIN_POINTS)));
+    }
+    
+    reset() {
+        this.latest = null;
+        this.framesSince = 0;
+        this.lastTime = null;
+        this.previous.particles = null;
+    }
+    
+    // Call once per frame - analyses every `interval` frames in which the
+    // simulation time has moved. Returns the new metrics, or null if skipped.
+    update(simulation) {
+        if (simulation.time === this.lastTime) {
+            return null;
+        }
+        this.lastTime = simulation.time;
+        if (this.latest && ++this.framesSince < this.interval) {
+            return null;
+        }
+        this.framesSince = 0;
+        return this.analyze(simulation);
+    }
+    
+    // Measure the simulation now, whatever the interval
+    analyze(simulation) {
+        const particles = simulation.particles;
+        const species = measureSpecies(simulation);
+        const clusters = findClusters(particles, this.clusterRadius, this.clusterMinPoints);
+        
+        // Whole-system figures: count-weighted cohesion and speed, momentum about the overall centroid
+        let count = 0;
+        let cohesion = 0;
+        let speed = 0;
+        let cx = 0;
+        let cy = 0;
+        for (const s of species) {
+            count += s.count;
+            cohesion += s.cohesion * s.count;
+            speed += s.meanSpeed * s.count;
+            cx += s.centroid.x * s.count;
+            cy += s.centroid.y * s.count;
+        }
+        const centroid = count > 0 ? { x: cx / count, y: cy / count } : { x: simulation.width / 2, y: simulation.height / 2 };
+        const rotation = measureRotation(simulation, centroid);
+        
+        const disorder = measureDisorder(particles);
+        const chaos = this.measureChaos(particles);
+        
+        const metrics = {
+            time: simulation.time,
+            frame: simulation.frameCount,
+            count,
+            centroid,
+            meanSpeed: count > 0 ? speed / count : 0,
+            cohesion: count > 0 ? cohesion / count : 0,
+            angularMomentum: rotation.angularMomentum,
+            rotation: rotation.rotation,
+            disorder,
+            // Until two analyses of the same particle set exist, fall back on disorder
+            chaos: chaos ?? disorder,
+            clusters,
+            species
+        };
+        
+        const previousClusters = this.latest ? this.latest.clusters.count : null;
+        this.latest = metrics;
+        this.dispatchEvent(new CustomEvent('metrics', { detail: metrics }));
+        if (clusters.count !== previousClusters) {
+            this.dispatchEvent(new CustomEvent('clusters', { detail: { count: clusters.count, previous: previousClusters } }));
+        }
+        return metrics;
+    }
+    
+    // How much particles have turned since the last analysis: 0 when every
+    // particle keeps its heading, 1 when headings are unrelated or reversed.
+    // Null if the particle set has been replaced or resized since.
+    measureChaos(particles) {
+        const count = particles.length;
+        const previous = this.previous;
+        const comparable = previous.particles === particles && previous.count === count;
+        if (!previous.dirX || previous.dirX.length < count) {
+            previous.dirX = new Float32Array(count);
+            previous.dirY = new Float32Array(count);
+        }
+        
+        let similarity = 0;
+        let compared = 0;
+        for (let i = 0; i < count; i++) {
+            const p = particles[i];
+            const speed = Math.sqrt(p.vx * p.vx + p.vy * p.vy);
+            const dx = speed > 0 ? p.vx / speed : 0;
+            const dy = speed > 0 ? p.vy / speed : 0;
+            if (comparable && speed > 0 && (previous.dirX[i] !== 0 || previous.dirY[i] !== 0)) {
+                similarity += dx * previous.dirX[i] + dy * previous.dirY[i];
+                compared++;
+            }
+            previous.dirX[i] = dx;
+            previous.dirY[i] = dy;
+        }
+        previous.particles = particles;
+        previous.count = count;
+        
+        if (!comparable || compared === 0) {
+            return null;
+        }
+        return Math.max(0, Math.min(1, 1 - similarity / compared));
+    }
+}
+
+// Centroid, spread, cohesion, mean speed and angular momentum for each species
+function measureSpecies(simulation) {
+    const { particles, numSpecies, width, height } = simulation;
+    const sums = [];
+    for (let s = 0; s < numSpecies; s++) {
+        sums.push({ count: 0, x: 0, y: 0, speed: 0, spread: 0, angularMomentum: 0, magnitude: 0 });
+    }
+    for (const p of particles) {
+        const sum = sums[p.species];
+        if (!sum) continue;
+        sum.count++;
+        sum.x += p.x;
+        sum.y += p.y;
+        sum.speed += Math.sqrt(p.vx * p.vx + p.vy * p.vy);
+    }
+    for (const sum of sums) {
+        sum.x = sum.count > 0 ? sum.x / sum.count : width / 2;
+        sum.y = sum.count > 0 ? sum.y / sum.count : height / 2;
+    }
+    
+    // Second pass about each species' own centroid
+    for (const p of particles) {
+        const sum = sums[p.species];
+        if (!sum) continue;
+        const rx = p.x - sum.x;
+        const ry = p.y - sum.y;
+        const mass = simulation.species[p.species]?.mass || 1;
+        sum.spread += rx * rx + ry * ry;
+        sum.angularMomentum += mass * (rx * p.vy - ry * p.vx);
+        sum.magnitude += mass * Math.sqrt(rx * rx + ry * ry) * Math.sqrt(p.vx * p.vx + p.vy * p.vy);
+    }
+    
+    // RMS distance of uniformly scattered particles from the canvas centre -
+    // a species spread that wide has no cohesion at all
+    const scattered = Math.sqrt((width * width + height * height) / 12);
+    
+    return sums.map(sum => {
+        const spread = sum.count > 0 ? Math.sqrt(sum.spread / sum.count) : 0;
+        return {
+            count: sum.count,
+            centroid: { x: sum.x, y: sum.y },
+            spread,
+            cohesion: sum.count > 1 ? Math.max(0, Math.min(1, 1 - spread / scattered)) : 0,
+            meanSpeed: sum.count > 0 ? sum.speed / sum.count : 0,
+            angularMomentum: sum.angularMomentum,
+            rotation: sum.magnitude > 0 ? sum.angularMomentum / sum.magnitude : 0
+        };
+    });
+}
+
+// Angular momentum (mass x r x v, positive clockwise on screen) of all
+// particles about a centre, and the same normalised to -1..1 - 1 when
+// everything circles the centre in one direction, 0 for no net orbit
+function measureRotation(simulation, centre) {
+    let angularMomentum = 0;
+    let magnitude = 0;
+    for (const p of simulation.particles) {
+        const mass = simulation.species[p.species]?.mass || 1;
+        const rx = p.x - centre.x;
+        const ry = p.y - centre.y;
+        angularMomentum += mass * (rx * p.vy - ry * p.vx);
+        magnitude += mass * Math.sqrt(rx * rx + ry * ry) * Math.sqrt(p.vx * p.vx + p.vy * p.vy);
+    }
+    return { angularMomentum, rotation: magnitude > 0 ? angularMomentum / magnitude : 0 };
+}
+
+// 1 - the polar order parameter: 0 when all particles head the same way,
+// near 1 when headings are random
+function measureDisorder(particles) {
+    let sumX = 0;
+    let sumY = 0;
+    let moving = 0;
+    for (const p of particles) {
+        const speed = Math.sqrt(p.vx * p.vx + p.vy * p.vy);
+        if (speed > 0) {
+            sumX += p.vx / speed;
+            sumY += p.vy / speed;
+            moving++;
+        }
+    }
+    return moving > 0 ? 1 - Math.sqrt(sumX * sumX + sumY * sumY) / moving : 0;
+}
+
+// DBSCAN over all particles, species ignored: particles with at least
+// minPoints others (self included) within radius are cores, and clusters grow
+// through chains of cores. Returns the cluster count, sizes largest first, and
+// how many particles belong to no cluster.
+export function findClusters(particles, radius, minPoints) {
+    const count = particles.length;
+    if (count === 0) {
+        return { count: 0, sizes: [], noise: 0 };
+    }
+    
+    // Bucket particles into cells one radius wide, so neighbours are in the surrounding 3x3 cells
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const p of particles) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    }
+    const gw = Math.min(1024, Math.floor((maxX - minX) / radius) + 1);
+    const gh = Math.min(1024, Math.floor((maxY - minY) / radius) + 1);
+    const cellOf = new Int32Array(count);
+    const cellStart = new Int32Array(gw * gh + 1);
+    for (let i = 0; i < count; i++) {
+        const cx = Math.min(gw - 1, Math.floor((particles[i].x - minX) / radius));
+        const cy = Math.min(gh - 1, Math.floor((particles[i].y - minY) / radius));
+        cellOf[i] = cy * gw + cx;
+        cellStart[cellOf[i] + 1]++;
+    }
+    for (let c = 0; c < gw * gh; c++) {
+        cellStart[c + 1] += cellStart[c];
+    }
+    const cellItems = new Int32Array(count);
+    const fill = cellStart.slice(0, gw * gh);
+    for (let i = 0; i < count; i++) {
+        cellItems[fill[cellOf[i]]++] = i;
+    }
+    
+    const radiusSq = radius * radius;
+    const neighbours = [];
+    const collectNeighbours = (i) => {
+        neighbours.length = 0;
+        const p = particles[i];
+        const cx = cellOf[i] % gw;
+        const cy = (cellOf[i] - cx) / gw;
+        for (let y = Math.max(0, cy - 1); y <= Math.min(gh - 1, cy + 1); y++) {
+            for (let x = Math.max(0, cx - 1); x <= Math.min(gw - 1, cx + 1); x++) {
+                const cell = y * gw + x;
+                for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+                    const j = cellItems[k];
+                    const q = particles[j];
+                    if ((q.x - p.x) ** 2 + (q.y - p.y) ** 2 <= radiusSq) {
+                        neighbours.push(j);
+                    }
+                }
+            }
+        }
+        return neighbours.length;
+    };
+    
+    const labels = new Int32Array(count).fill(UNVISITED);
+    const sizes = [];
+    let noise = 0;
+    const stack = [];
+    for (let i = 0; i < count; i++) {
+        if (labels[i] !== UNVISITED) continue;
+        if (collectNeighbours(i) < minPoints) {
+            labels[i] = NOISE;
+            noise++;
+            continue;
+        }
+        
+        const cluster = sizes.length;
+        let size = 0;
+        stack.push(...neighbours);
+        labels[i] = cluster;
+        size++;
+        while (stack.length > 0) {
+            const j = stack.pop();
+            if (labels[j] === NOISE) {
+                // A border particle - it joins the cluster but doesn't extend it
+                labels[j] = cluster;
+                noise--;
+                size++;
+                continue;
+            }
+            if (labels[j] !== UNVISITED) continue;
+            labels[j] = cluster;
+            size++;
+            if (collectNeighbours(j) >= minPoints) {
+                for (const k of neighbours) {
+                    if (labels[k] === UNVISITED || labels[k] === NOISE) stack.push(k);
+                }
+            }
+        }
+        sizes.push(size);
+    }
+    
+    sizes.sort((a, b) => b - a);
+    return { count: sizes.length, sizes, noise };
+}
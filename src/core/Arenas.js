@@ -0,0 +1,298 @@
+/**
+ * Arena shapes
+ * Bounded arenas other than the plain canvas rectangle. Shapes are sized
+ * relative to the canvas so they follow resizes: a circle, a rounded
+ * rectangle, a regular polygon, or a black-and-white mask (white is open
+ * space) stretched over the canvas.
+ */
+
+import { polygonDistance } from './Obstacles.js';
+
+export const ARENA_SHAPES = ['rectangle', 'circle', 'rounded', 'polygon', 'mask'];
+export const MASK_MAX_CELLS = 160; // Cells along the longer side of a mask grid
+
+// Validate an arena description and fill in defaults. Returns null for the
+// plain canvas rectangle, and for anything unusable.
+export function normalizeArena(arena) {
+    if (!arena || arena.shape === 'rectangle') {
+        return null;
+    }
+    if (!ARENA_SHAPES.includes(arena.shape)) {
+        console.warn(`Unknown arena shape "${arena.shape}"`);
+        return null;
+    }
+    
+    const base = {
+        shape: arena.shape,
+        scale: Math.max(0.2, Math.min(1, Number(arena.scale) || 0.95)), // Fraction of the canvas the shape spans
+        clip: arena.clip !== false // Clip particle rendering to the shape
+    };
+    
+    switch (arena.shape) {
+        case 'rounded':
+            return { ...base, cornerRadius: Math.max(0, Math.min(300, Number(arena.cornerRadius ?? 60) || 0)) };
+        
+        case 'polygon':
+            return {
+                ...base,
+                sides: Math.max(3, Math.min(12, Math.round(Number(arena.sides) || 6))),
+                rotation: Number(arena.rotation) || 0 // Degrees, 0 puts a vertex at the top
+            };
+        
+        case 'mask': {
+            const cells = decodeMask(arena.mask);
+            if (!cells || !cells.includes(1)) {
+                console.warn('Arena mask has no open space', arena.mask);
+                return null;
+            }
+            const { width, height, data } = arena.mask;
+            return { shape: 'mask', clip: base.clip, mask: { width, height, data } };
+        }
+        
+        default:
+            return base;
+    }
+}
+
+// Pack a grid of 0/1 cells (1 = open) into { width, height, data } with the
+// bits base64-encoded, so masks stay small in presets
+export function encodeMask(cells, width, height) {
+    const bytes = new Uint8Array(Math.ceil(width * height / 8));
+    for (let i = 0; i < width * height; i++) {
+        if (cells[i]) {
+            bytes[i >> 3] |= 0x80 >> (i & 7);
+        }
+    }
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return { width, height, data: btoa(binary) };
+}
+
+// Unpack an encoded mask into a Uint8Array of 0/1 cells - returns null if malformed
+export function decodeMask(mask) {
+    if (!mask || !Number.isInteger(mask.width) || !Number.isInteger(mask.height) ||
+        mask.width < 1 || mask.height < 1 || typeof mask.data !== 'string') {
+        return null;
+    }
+    let binary;
+    try {
+        binary = atob(mask.data);
+    } catch (error) {
+        return null;
+    }
+    const count = mask.width * mask.height;
+    if (binary.length < Math.ceil(count / 8)) {
+        return null;
+    }
+    const cells = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        cells[i] = (binary.charCodeAt(i >> 3) >> (7 - (i & 7))) & 1;
+    }
+    return cells;
+}
+
+// Pixel geometry for an arena on a canvas of the given size. Masks get a
+// signed distance field, so building one isn't free - cache the result.
+export function buildArenaGeometry(arena, width, height) {
+    const cx = width / 2;
+    const cy = height / 2;
+    
+    switch (arena.shape) {
+        case 'circle':
+            return { shape: 'circle', cx, cy, radius: Math.min(width, height) / 2 * arena.scale };
+        
+        case 'rounded': {
+            const halfW = width / 2 * arena.scale;
+            const halfH = height / 2 * arena.scale;
+            return { shape: 'rounded', cx, cy, halfW, halfH, corner: Math.min(arena.cornerRadius, halfW, halfH) };
+        }
+        
+        case 'polygon': {
+            const radius = Math.min(width, height) / 2 * arena.scale;
+            const start = (arena.rotation - 90) * Math.PI / 180;
+            const points = [];
+            for (let k = 0; k < arena.sides; k++) {
+                const angle = start + k * Math.PI * 2 / arena.sides;
+                points.push({ x: cx + Math.cos(angle) * radius, y: cy + Math.sin(angle) * radius });
+            }
+            return { shape: 'polygon', points };
+        }
+        
+        case 'mask':
+            return buildMaskGeometry(arena.mask, width, height);
+    }
+    return null;
+}
+
+// Distance from (x, y) to the arena wall - positive inside. The inward wall
+// normal is written to `normal` ({ x, y }) so the physics loop can reuse one object.
+export function arenaDistance(geometry, x, y, normal) {
+    switch (geometry.shape) {
+        case 'circle': {
+            const dx = geometry.cx - x;
+            const dy = geometry.cy - y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > 0) {
+                normal.x = dx / dist;
+                normal.y = dy / dist;
+            } else {
+                normal.x = 1;
+                normal.y = 0;
+            }
+            return geometry.radius - dist;
+        }
+        
+        case 'rounded': {
+            const dx = x - geometry.cx;
+            const dy = y - geometry.cy;
+            const qx = Math.abs(dx) - (geometry.halfW - geometry.corner);
+            const qy = Math.abs(dy) - (geometry.halfH - geometry.corner);
+            
+            if (qx > 0 && qy > 0) {
+                // Corner arc
+                const dist = Math.sqrt(qx * qx + qy * qy);
+                normal.x = -Math.sign(dx) * qx / dist;
+                normal.y = -Math.sign(dy) * qy / dist;
+                return geometry.corner - dist;
+            }
+            // Straight side - the closer one
+            if (qx > qy) {
+                normal.x = dx < 0 ? 1 : -1;
+                normal.y = 0;
+                return geometry.corner - qx;
+            }
+            normal.x = 0;
+            normal.y = dy < 0 ? 1 : -1;
+            return geometry.corner - qy;
+        }
+        
+        case 'polygon': {
+            // Obstacle polygons measure outward, arenas inward
+            const dist = polygonDistance(geometry.points, x, y, normal);
+            normal.x = -normal.x;
+            normal.y = -normal.y;
+            return -dist;
+        }
+        
+        case 'mask':
+            return maskDistance(geometry, x, y, normal);
+    }
+    return Infinity;
+}
+
+// The grid is padded with one blocked cell on every side, so the canvas
+// edges are walls even where the mask is open
+function buildMaskGeometry(mask, width, height) {
+    const cells = decodeMask(mask);
+    const gw = mask.width + 2;
+    const gh = mask.height + 2;
+    const open = new Uint8Array(gw * gh);
+    for (let y = 0; y < mask.height; y++) {
+        for (let x = 0; x < mask.width; x++) {
+            open[(y + 1) * gw + x + 1] = cells[y * mask.width + x];
+        }
+    }
+    
+    const toBlocked = distanceTransform(open, gw, gh, 0);
+    const toOpen = distanceTransform(open, gw, gh, 1);
+    const cellW = width / mask.width;
+    const cellH = height / mask.height;
+    const cellSize = (cellW + cellH) / 2;
+    
+    // Signed distance in pixels from each cell centre to the wall between open and blocked cells
+    const field = new Float32Array(gw * gh);
+    for (let i = 0; i < field.length; i++) {
+        field[i] = open[i]
+            ? (Math.sqrt(toBlocked[i]) - 0.5) * cellSize
+            : -(Math.sqrt(toOpen[i]) - 0.5) * cellSize;
+    }
+    
+    return { shape: 'mask', open, field, gw, gh, cellW, cellH, maskWidth: mask.width, maskHeight: mask.height };
+}
+
+// Bilinear sample of the distance field at canvas position (x, y)
+function sampleMaskField(geometry, x, y) {
+    const { field, gw, gh } = geometry;
+    // +1 for the padding, -0.5 because values sit at cell centres
+    const u = Math.max(0, Math.min(gw - 1.001, x / geometry.cellW + 0.5));
+    const v = Math.max(0, Math.min(gh - 1.001, y / geometry.cellH + 0.5));
+    const i = u | 0;
+    const j = v | 0;
+    const fu = u - i;
+    const fv = v - j;
+    const top = field[j * gw + i] * (1 - fu) + field[j * gw + i + 1] * fu;
+    const bottom = field[(j + 1) * gw + i] * (1 - fu) + field[(j + 1) * gw + i + 1] * fu;
+    return top * (1 - fv) + bottom * fv;
+}
+
+function maskDistance(geometry, x, y, normal) {
+    const dist = sampleMaskField(geometry, x, y);
+    
+    // The field grows toward open space, so its gradient is the inward normal
+    const hx = geometry.cellW / 2;
+    const hy = geometry.cellH / 2;
+    const gx = (sampleMaskField(geometry, x + hx, y) - sampleMaskField(geometry, x - hx, y)) / hx;
+    const gy = (sampleMaskField(geometry, x, y + hy) - sampleMaskField(geometry, x, y - hy)) / hy;
+    const length = Math.sqrt(gx * gx + gy * gy);
+    if (length > 0) {
+        normal.x = gx / length;
+        normal.y = gy / length;
+    } else {
+        normal.x = 0;
+        normal.y = 0;
+    }
+    return dist;
+}
+
+// Squared distance (in cells) from every cell to the nearest cell whose value
+// is `target` - Felzenszwalb & Huttenlocher's separable transform
+function distanceTransform(grid, gw, gh, target) {
+    const far = 1e20;
+    const out = new Float64Array(gw * gh);
+    for (let i = 0; i < out.length; i++) {
+        out[i] = grid[i] === target ? 0 : far;
+    }
+    
+    const size = Math.max(gw, gh);
+    const f = new Float64Array(size);
+    const d = new Float64Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+    
+    for (let x = 0; x < gw; x++) {
+        for (let y = 0; y < gh; y++) f[y] = out[y * gw + x];
+        transform1D(f, gh, d, v, z);
+        for (let y = 0; y < gh; y++) out[y * gw + x] = d[y];
+    }
+    for (let y = 0; y < gh; y++) {
+        for (let x = 0; x < gw; x++) f[x] = out[y * gw + x];
+        transform1D(f, gw, d, v, z);
+        for (let x = 0; x < gw; x++) out[y * gw + x] = d[x];
+    }
+    return out;
+}
+
+function transform1D(f, n, d, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+    for (let q = 1; q < n; q++) {
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+}
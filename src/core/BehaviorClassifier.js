@@ -0,0 +1,193 @@
+/**
+ * Behavior classifier
+ * Runs a preset headless for a fixed number of physics ticks and labels what
+ * it settles into, from the analytics (see Analytics.js) sampled once a
+ * second of simulated time after a settling period:
+ *   static-crystal    - next to nothing moves
+ *   oscillating       - the mean speed swings up and down repeatedly
+ *   chaotic-gas       - most particles belong to no cluster
+ *   travelling-worms  - clustered particles cover ground in straight runs
+ *   orbiting-pairs    - small groups whose members keep moving but go nowhere
+ *   stable-clusters   - larger groups that hold their place
+ * The thresholds are rules of thumb tuned on the bundled presets. Evaluation
+ * is deterministic: presets replay from their own seed, on a canvas of a fixed
+ * size (or the size their saved state was captured at) rather than the window's.
+ */
+
+import { ParticleSimulation } from './ParticleSimulation.js';
+import { ParticleAnalytics } from './Analytics.js';
+
+export const BEHAVIOR_LABELS = ['static-crystal', 'stable-clusters', 'orbiting-pairs', 'travelling-worms', 'chaotic-gas', 'oscillating'];
+export const BEHAVIOR_NAMES = {
+    'static-crystal': 'Static Crystal',
+    'stable-clusters': 'Stable Clusters',
+    'orbiting-pairs': 'Orbiting Pairs',
+    'travelling-worms': 'Travelling Worms',
+    'chaotic-gas': 'Chaotic Gas',
+    'oscillating': 'Oscillating'
+};
+export const CLASSIFIER_VERSION = 1;
+export const DEFAULT_EVALUATION_STEPS = 900; // 15 seconds at the default 60Hz tick
+export const EVALUATION_WIDTH = 800;   // Canvas size for presets without a saved state
+export const EVALUATION_HEIGHT = 600;
+
+const SAMPLE_STEPS = 60;  // Ticks per sample window
+const YIELD_MS = 16;      // Longest stretch of work before handing control back to the browser
+
+const STATIC_SPEED = 0.2;           // Pixels per tick below which the system counts as frozen
+const MOVING_SPEED = 0.3;           // Pixels per tick above which groups count as on the move
+const OSCILLATION_VARIATION = 0.25; // Relative spread of the mean speed over time
+const OSCILLATION_CROSSINGS = 4;    // Times the mean speed must cross its average
+const GAS_CLUSTERED = 0.5;          // Fraction of particles in clusters below which it is a gas
+const WORM_STRAIGHTNESS = 0.6;      // Net displacement over path length for travelling groups
+const ORBIT_STRAIGHTNESS = 0.35;    // ...and below which moving groups are circling in place
+const ORBIT_GROUP_SIZE = 12;        // Largest mean cluster size that still counts as pairs
+
+// Run a preset headless and classify it. Resolves to { label, metrics,
+// steps, width, height, version }, or null if the preset can't be loaded.
+// Yields to the browser about once a frame; onProgress receives the fraction done.
+export async function evaluatePreset(preset, { steps = DEFAULT_EVALUATION_STEPS, onProgress = null } = {}) {
+    const width = preset?.state?.width || EVALUATION_WIDTH;
+    const height = preset?.state?.height || EVALUATION_HEIGHT;
+    const simulation = new ParticleSimulation(width, height);
+    if (!simulation.loadFullPreset(preset)) {
+        return null;
+    }
+    const analytics = new ParticleAnalytics();
+    const settle = Math.floor(steps / 3); // Skip the opening while structures form
+    const samples = [];
+    const track = { particles: null, path: null, netX: null, netY: null, lastX: null, lastY: null };
+    let sliceStart = performance.now();
+    
+    for (let step = 1; step <= steps; step++) {
+        simulation.tick();
+        
+        if (step > settle) {
+            trackMovement(simulation, track);
+            if ((step - settle) % SAMPLE_STEPS === 0) {
+                const metrics = analytics.analyze(simulation);
+                samples.push({
+                    speed: metrics.meanSpeed,
+                    cohesion: metrics.cohesion,
+                    chaos: metrics.chaos,
+                    clusters: metrics.clusters.count,
+                    clustered: metrics.count > 0 ? (metrics.count - metrics.clusters.noise) / metrics.count : 0,
+                    clusterSize: metrics.clusters.count > 0 ? (metrics.count - metrics.clusters.noise) / metrics.clusters.count : 0,
+                    straightness: measureStraightness(track)
+                });
+                track.particles = null; // Start the next window afresh
+            }
+        }
+        
+        if (performance.now() - sliceStart >= YIELD_MS) {
+            if (onProgress) {
+                onProgress(step / steps);
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+            sliceStart = performance.now();
+        }
+    }
+    
+    const metrics = summarizeSamples(samples);
+    return { label: classifyBehavior(metrics), metrics, steps, width, height, version: CLASSIFIER_VERSION };
+}
+
+// Pick a label from summarized metrics
+export function classifyBehavior(metrics) {
+    if (metrics.speed < STATIC_SPEED) {
+        return 'static-crystal';
+    }
+    if (metrics.speedVariation > OSCILLATION_VARIATION && metrics.speedCrossings >= OSCILLATION_CROSSINGS) {
+        return 'oscillating';
+    }
+    if (metrics.clustered < GAS_CLUSTERED) {
+        return 'chaotic-gas';
+    }
+    if (metrics.speed > MOVING_SPEED && metrics.straightness > WORM_STRAIGHTNESS) {
+        return 'travelling-worms';
+    }
+    if (metrics.speed > MOVING_SPEED && metrics.straightness < ORBIT_STRAIGHTNESS && metrics.clusterSize <= ORBIT_GROUP_SIZE) {
+        return 'orbiting-pairs';
+    }
+    return 'stable-clusters';
+}
+
+// Path length and unwrapped net displacement of every particle since the
+// window started. A replaced or resized particle set restarts the window.
+function trackMovement(simulation, track) {
+    const particles = simulation.particles;
+    const count = particles.length;
+    if (track.particles !== particles || track.path.length !== count) {
+        track.particles = particles;
+        track.path = new Float32Array(count);
+        track.netX = new Float32Array(count);
+        track.netY = new Float32Array(count);
+        track.lastX = new Float32Array(count);
+        track.lastY = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            track.lastX[i] = particles[i].x;
+            track.lastY[i] = particles[i].y;
+        }
+        return;
+    }
+    
+    // Moves longer than half the canvas are wraps, not travel
+    const maxJump = Math.min(simulation.width, simulation.height) / 2;
+    for (let i = 0; i < count; i++) {
+        const p = particles[i];
+        const dx = p.x - track.lastX[i];
+        const dy = p.y - track.lastY[i];
+        track.lastX[i] = p.x;
+        track.lastY[i] = p.y;
+        if (Math.abs(dx) > maxJump || Math.abs(dy) > maxJump) continue;
+        track.path[i] += Math.sqrt(dx * dx + dy * dy);
+        track.netX[i] += dx;
+        track.netY[i] += dy;
+    }
+}
+
+// Mean net displacement over path length for particles that moved at all:
+// near 1 for straight runs, near 0 for jiggling or circling on the spot
+function measureStraightness(track) {
+    if (!track.particles) {
+        return 0;
+    }
+    let total = 0;
+    let moving = 0;
+    for (let i = 0; i < track.path.length; i++) {
+        if (track.path[i] > 1) {
+            total += Math.sqrt(track.netX[i] ** 2 + track.netY[i] ** 2) / track.path[i];
+            moving++;
+        }
+    }
+    return moving > 0 ? total / moving : 0;
+}
+
+function summarizeSamples(samples) {
+    const mean = key => samples.length > 0 ? samples.reduce((sum, s) => sum + s[key], 0) / samples.length : 0;
+    const speed = mean('speed');
+    
+    // How much and how often the mean speed swings about its average
+    let variance = 0;
+    let crossings = 0;
+    for (let i = 0; i < samples.length; i++) {
+        variance += (samples[i].speed - speed) ** 2;
+        if (i > 0 && (samples[i].speed > speed) !== (samples[i - 1].speed > speed)) {
+            crossings++;
+        }
+    }
+    const speedVariation = samples.length > 0 && speed > 0 ? Math.sqrt(variance / samples.length) / speed : 0;
+    
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        speed: round(speed),
+        speedVariation: round(speedVariation),
+        speedCrossings: crossings,
+        cohesion: round(mean('cohesion')),
+        chaos: round(mean('chaos')),
+        clusters: round(mean('clusters')),
+        clustered: round(mean('clustered')),
+        clusterSize: round(mean('clusterSize')),
+        straightness: round(mean('straightness'))
+    };
+}
@@ -0,0 +1,23 @@
+/**
+ * Spring bonds
+ * Particles of species pairs with a bond rule link up when they come within
+ * the rule's rest length. A bond pulls its two particles back toward the rest
+ * length and snaps once stretched past breakRatio times that length.
+ */
+
+export const DEFAULT_MAX_BONDS = 2;
+
+// Bond rules are symmetric, so both orders of a pair share one key
+export function bondRuleKey(speciesA, speciesB) {
+    return speciesA <= speciesB ? `${speciesA}-${speciesB}` : `${speciesB}-${speciesA}`;
+}
+
+// Validate a bond rule and fill in defaults
+export function normalizeBondRule(rule = {}) {
+    return {
+        restLength: Math.max(2, Math.min(100, Number(rule.restLength) || 12)), // Pixels; also the distance bonds form at
+        stiffness: Math.max(0.01, Math.min(1, Number(rule.stiffness) || 0.1)),  // Pull per pixel of stretch
+        damping: Math.max(0, Math.min(1, Number(rule.damping ?? 0.05) || 0)),   // Resistance to stretching speed
+        breakRatio: Math.max(1.1, Math.min(10, Number(rule.breakRatio) || 3))   // Snaps beyond restLength * breakRatio
+    };
+}
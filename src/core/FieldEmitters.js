@@ -0,0 +1,113 @@
+/**
+ * Field emitters
+ * Persistent force fields placed in the arena: point attractors and repellers,
+ * vortices, line attractors and directional wind zones. Unlike shockwaves they
+ * never expire, and each can be limited to a set of species.
+ */
+
+export const FIELD_TYPES = {
+    attractor: { label: 'Attractor', description: 'Pulls particles toward a point' },
+    repeller: { label: 'Repeller', description: 'Pushes particles away from a point' },
+    vortex: { label: 'Vortex', description: 'Swirls particles around a point; negative strength turns clockwise' },
+    line: { label: 'Line Attractor', description: 'Pulls particles toward a line segment' },
+    wind: { label: 'Wind Zone', description: 'Blows particles in one direction inside the zone' }
+};
+
+// Validate a field description and fill in defaults - returns null if unusable
+export function normalizeField(field) {
+    if (!field || !FIELD_TYPES[field.type]) {
+        console.warn(`Unknown field type "${field?.type}"`);
+        return null;
+    }
+    if (!isFinite(field.x) || !isFinite(field.y)) {
+        console.warn(`Invalid ${field.type} field position`, field);
+        return null;
+    }
+    
+    const normalized = {
+        type: field.type,
+        x: field.x,
+        y: field.y,
+        strength: Math.max(-5, Math.min(5, Number(field.strength ?? 1) || 0)),
+        radius: Math.max(10, Number(field.radius) || 150),
+        falloff: Math.max(0.1, Math.min(4, Number(field.falloff) || 1)),
+        // null affects every species, otherwise a list of species indices
+        species: Array.isArray(field.species) ? field.species.filter(Number.isInteger) : null
+    };
+    
+    if (field.type === 'line') {
+        normalized.x2 = isFinite(field.x2) ? field.x2 : field.x + 100;
+        normalized.y2 = isFinite(field.y2) ? field.y2 : field.y;
+    }
+    if (field.type === 'wind') {
+        normalized.angle = Number(field.angle) || 0; // Degrees, 0 blows to the right
+    }
+    return normalized;
+}
+
+// Copy of a field for a canvas stretched by (sx, sy), with its reach scaled by sr
+export function scaleField(field, sx, sy, sr) {
+    const scaled = { ...field, x: field.x * sx, y: field.y * sy, radius: field.radius * sr };
+    if (field.type === 'line') {
+        scaled.x2 = field.x2 * sx;
+        scaled.y2 = field.y2 * sy;
+    }
+    return scaled;
+}
+
+export function fieldAffectsSpecies(field, species) {
+    return !field.species || field.species.includes(species);
+}
+
+// Add the field's force on a particle at offset (dx, dy) from the field's
+// anchor to `out` ({ fx, fy }). For line fields the anchor is the closest
+// point on the segment.
+export function addFieldForce(field, dx, dy, out) {
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist >= field.radius) {
+        return;
+    }
+    
+    const magnitude = field.strength * Math.pow(1 - dist / field.radius, field.falloff);
+    
+    if (field.type === 'wind') {
+        const angle = field.angle * Math.PI / 180;
+        out.fx += Math.cos(angle) * magnitude;
+        out.fy += Math.sin(angle) * magnitude;
+        return;
+    }
+    
+    // The remaining fields act along or around the line to the anchor
+    if (dist < 0.1) {
+        return;
+    }
+    const ux = dx / dist;
+    const uy = dy / dist;
+    
+    switch (field.type) {
+        case 'attractor':
+        case 'line':
+            out.fx -= ux * magnitude;
+            out.fy -= uy * magnitude;
+            break;
+        case 'repeller':
+            out.fx += ux * magnitude;
+            out.fy += uy * magnitude;
+            break;
+        case 'vortex':
+            out.fx += -uy * magnitude;
+            out.fy += ux * magnitude;
+            break;
+    }
+}
+
+// Closest point on a line field's segment to (x, y)
+export function closestPointOnLine(field, x, y, out) {
+    const ex = field.x2 - field.x;
+    const ey = field.y2 - field.y;
+    const lengthSq = ex * ex + ey * ey;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - field.x) * ex + (y - field.y) * ey) / lengthSq)) : 0;
+    out.x = field.x + ex * t;
+    out.y = field.y + ey * t;
+    return out;
+}
@@ -0,0 +1,216 @@
+/**
+ * Force-law registry
+ * A force law turns the distance between two particles into the social force
+ * between their species. Presets pick a law by name, globally or per species
+ * pair, and new laws can be added with registerForceLaw().
+ */
+
+export const DEFAULT_FORCE_LAW = 'multi-zone';
+
+const forceLaws = new Map();
+const forceLawModules = [];
+
+// Register a force law.
+// force(dist, baseForce, socialR, collisionR, context) returns the signed
+// force magnitude along the pair direction (positive attracts). context holds
+// { time, s1, s2 } and is reused between calls - don't keep a reference to it.
+// Laws are called in the physics inner loop, so keep them allocation-free.
+export function registerForceLaw(name, { label = name, description = '', force }) {
+    if (typeof force !== 'function') {
+        console.error(`Force law "${name}" needs a force function`);
+        return false;
+    }
+    if (forceLaws.has(name)) {
+        console.warn(`Force law "${name}" is already registered, replacing it`);
+    }
+    forceLaws.set(name, { name, label, description, force });
+    return true;
+}
+
+export function getForceLaw(name) {
+    return forceLaws.get(name) || null;
+}
+
+export function getForceLawNames() {
+    return [...forceLaws.keys()];
+}
+
+export function getForceLaws() {
+    return [...forceLaws.values()];
+}
+
+// Import a module that registers laws. Physics workers import the same
+// modules, so laws loaded this way also work with worker physics.
+export async function loadForceLawModule(url) {
+    const resolved = new URL(url, globalThis.document?.baseURI ?? import.meta.url).href;
+    if (forceLawModules.includes(resolved)) {
+        return;
+    }
+    await import(resolved);
+    forceLawModules.push(resolved);
+}
+
+export function getForceLawModules() {
+    return forceLawModules;
+}
+
+// Original engine behaviour: zoned attraction and repulsion
+registerForceLaw('multi-zone', {
+    label: 'Multi-Zone',
+    description: 'Zoned cohesion and repulsion at 25%, 60% and 90% of the social radius',
+    force(dist, baseForce, socialR, collisionR) {
+        if (baseForce > 0) {
+            // Attractive force with multi-zone behavior
+            const innerZone = socialR * 0.25;  // 25% - strong cohesion zone
+            const middleZone = socialR * 0.6;  // 60% - balanced interaction zone
+            const outerZone = socialR * 0.9;   // 90% - weak attraction zone
+            
+            if (dist < innerZone) {
+                // Inner zone: Strong cohesion with collapse prevention
+                const cohesionStrength = 1.2;
+                return baseForce * cohesionStrength / Math.max(dist, collisionR * 0.8);
+            } else if (dist < middleZone) {
+                // Middle zone: Optimal clustering with distance modulation
+                const idealDist = (innerZone + middleZone) / 2;
+                const distFromIdeal = Math.abs(dist - idealDist);
+                const modulation = 1.0 - (distFromIdeal / (middleZone - innerZone)) * 0.3;
+                return baseForce * modulation / dist;
+            } else if (dist < outerZone) {
+                // Outer zone: Weak long-range attraction
+                const weakening = (outerZone - dist) / (outerZone - middleZone);
+                return baseForce * weakening * 0.4 / dist;
+            }
+            // Beyond outer zone: Very weak attraction. Forces that vary over time
+            // are the simulation's enableTimeModulation mode, which works with every law.
+            return baseForce * 0.07 / dist;
+        }
+        
+        if (baseForce < 0) {
+            // Repulsive force with distance zones
+            const strongRepulsionZone = socialR * 0.3;
+            const weakRepulsionZone = socialR * 0.7;
+            const maxRepulsionRange = socialR * 0.9; // Don't apply repulsion beyond this
+            
+            if (dist > maxRepulsionRange) {
+                // Too far - no repulsion
+                return 0;
+            } else if (dist < strongRepulsionZone) {
+                // Strong repulsion with safety distance
+                const repulsionStrength = 1.5;
+                return baseForce * repulsionStrength / Math.max(dist, collisionR * 0.3);
+            } else if (dist < weakRepulsionZone) {
+                // Moderate repulsion with distance falloff
+                const falloff = (weakRepulsionZone - dist) / (weakRepulsionZone - strongRepulsionZone);
+                return baseForce * falloff / dist;
+            }
+            // Weak repulsion at long range (but within maxRepulsionRange)
+            const falloff = (maxRepulsionRange - dist) / (maxRepulsionRange - weakRepulsionZone);
+            return baseForce * 0.1 * falloff / dist;
+        }
+        
+        return 0;
+    }
+});
+
+// The laws below are scaled so their peak is close to the multi-zone law's,
+// letting presets switch laws without retuning force strength.
+
+// Classic particle-life triangle: universal repulsion inside the collision
+// range, then a linear ramp up to baseForce at mid-range and back to zero
+registerForceLaw('classic', {
+    label: 'Classic Triangle',
+    description: 'Particle-life triangle: repel below the collision range, peak at mid-range',
+    force(dist, baseForce, socialR, collisionR) {
+        const r = dist / socialR;
+        const beta = Math.min(0.9, collisionR / socialR);
+        const scale = 2.5 / socialR;
+        if (r < beta) {
+            return (r / beta - 1) * Math.abs(baseForce) * scale;
+        }
+        return baseForce * (1 - Math.abs(2 * r - 1 - beta) / (1 - beta)) * scale;
+    }
+});
+
+// Lennard-Jones-like: hard core with an equilibrium distance at 35% of the
+// social radius. baseForce scales the attractive tail; negative values repel everywhere.
+registerForceLaw('lennard-jones', {
+    label: 'Lennard-Jones',
+    description: 'Hard repulsive core with equilibrium spacing at 35% of the social radius',
+    force(dist, baseForce, socialR) {
+        const s = Math.min(socialR * 0.35 / dist, 1.25); // Cap so the core can't explode
+        const s6 = s * s * s * s * s * s;
+        const cutoff = 1 - dist / socialR; // Fade to zero at the social radius
+        return (baseForce * s6 - Math.abs(baseForce) * s6 * s6) * 4 * cutoff / dist;
+    }
+});
+
+// Gravity-like inverse-square force, softened at the collision range
+registerForceLaw('inverse-square', {
+    label: 'Inverse Square',
+    description: 'Gravity-like 1/r² falloff, softened inside the collision range',
+    force(dist, baseForce, socialR, collisionR) {
+        const r = Math.max(dist, collisionR);
+        return baseForce * socialR * 0.4 / (r * r);
+    }
+});
+
+// Constant near the particle, smoothly easing to zero at the social radius
+registerForceLaw('smooth-step', {
+    label: 'Smooth Step',
+    description: 'Full strength up close, eased to zero at the social radius',
+    force(dist, baseForce, socialR) {
+        const t = Math.min(dist / socialR, 1);
+        return baseForce * (1 - t * t * (3 - 2 * t)) * 3 / socialR;
+    }
+});
+
+// Per-pair force curves: control points { x: distance as a fraction of the
+// social radius (0-1), y: force from -1 (repel) to 1 (attract) }, baked into
+// a lookup table so the inner loop never walks the point list.
+export const FORCE_CURVE_RESOLUTION = 128;
+
+// Clamp, sort and validate control points - returns null if unusable
+export function normalizeForceCurve(points) {
+    if (!Array.isArray(points) || points.length < 2) {
+        return null;
+    }
+    const normalized = points
+        .filter(p => p && isFinite(p.x) && isFinite(p.y))
+        .map(p => ({ x: Math.max(0, Math.min(1, p.x)), y: Math.max(-1, Math.min(1, p.y)) }))
+        .sort((a, b) => a.x - b.x);
+    return normalized.length >= 2 ? normalized : null;
+}
+
+// Piecewise-linear curve through the control points, flat beyond the ends
+export function sampleForceCurve(points, t) {
+    if (t <= points[0].x) return points[0].y;
+    for (let i = 1; i < points.length; i++) {
+        const b = points[i];
+        if (t <= b.x) {
+            const a = points[i - 1];
+            const span = b.x - a.x;
+            return span > 0 ? a.y + (b.y - a.y) * (t - a.x) / span : b.y;
+        }
+    }
+    return points[points.length - 1].y;
+}
+
+export function buildForceCurveLUT(points) {
+    const lut = new Float32Array(FORCE_CURVE_RESOLUTION + 1);
+    for (let i = 0; i <= FORCE_CURVE_RESOLUTION; i++) {
+        lut[i] = sampleForceCurve(points, i / FORCE_CURVE_RESOLUTION);
+    }
+    return lut;
+}
+
+// Force function for a curve LUT, shaped like a registered law's. The pair's
+// social force sets the strength (0 silences the curve); the curve alone
+// decides attract vs repel.
+export function createCurveForce(lut) {
+    return (dist, baseForce, socialR) => {
+        const pos = Math.min(dist / socialR, 1) * FORCE_CURVE_RESOLUTION;
+        const i = Math.min(pos | 0, FORCE_CURVE_RESOLUTION - 1);
+        const value = lut[i] + (lut[i + 1] - lut[i]) * (pos - i);
+        return Math.abs(baseForce) * value * 2.5 / socialR;
+    };
+}
@@ -0,0 +1,175 @@
+/**
+ * Obstacle geometry
+ * Static circles, rectangles and polygons placed inside the arena, in canvas
+ * pixels. Each obstacle can let individual species pass through and can push
+ * particles away before they touch it.
+ */
+
+export const OBSTACLE_TYPES = ['circle', 'rect', 'polygon'];
+
+// Validate an obstacle description and fill in defaults - returns null if unusable
+export function normalizeObstacle(obstacle) {
+    if (!obstacle || !OBSTACLE_TYPES.includes(obstacle.type)) {
+        console.warn(`Unknown obstacle type "${obstacle?.type}"`);
+        return null;
+    }
+    
+    const base = {
+        type: obstacle.type,
+        repulsion: Math.max(0, Math.min(1, Number(obstacle.repulsion) || 0)),
+        passThrough: Array.isArray(obstacle.passThrough) ? Array.from(obstacle.passThrough, Boolean) : []
+    };
+    
+    switch (obstacle.type) {
+        case 'circle':
+            if (!isFinite(obstacle.x) || !isFinite(obstacle.y) || !(obstacle.radius > 0)) break;
+            return { ...base, x: obstacle.x, y: obstacle.y, radius: obstacle.radius };
+        
+        case 'rect':
+            if (!isFinite(obstacle.x) || !isFinite(obstacle.y) || !(obstacle.width > 0) || !(obstacle.height > 0)) break;
+            return { ...base, x: obstacle.x, y: obstacle.y, width: obstacle.width, height: obstacle.height };
+        
+        case 'polygon': {
+            const points = (obstacle.points || []).filter(p => p && isFinite(p.x) && isFinite(p.y));
+            if (points.length < 3) break;
+            return { ...base, points: points.map(p => ({ x: p.x, y: p.y })) };
+        }
+    }
+    
+    console.warn(`Invalid ${obstacle.type} obstacle`, obstacle);
+    return null;
+}
+
+// Copy of an obstacle for a canvas stretched by (sx, sy). Circle radii follow
+// `sr`, the change in the canvas's shorter side, like arena shapes do.
+export function scaleObstacle(obstacle, sx, sy, sr) {
+    switch (obstacle.type) {
+        case 'circle':
+            return { ...obstacle, x: obstacle.x * sx, y: obstacle.y * sy, radius: obstacle.radius * sr };
+        case 'rect':
+            return { ...obstacle, x: obstacle.x * sx, y: obstacle.y * sy, width: obstacle.width * sx, height: obstacle.height * sy };
+        default:
+            return { ...obstacle, points: obstacle.points.map(p => ({ x: p.x * sx, y: p.y * sy })) };
+    }
+}
+
+export function getObstacleBounds(obstacle) {
+    switch (obstacle.type) {
+        case 'circle':
+            return {
+                minX: obstacle.x - obstacle.radius, minY: obstacle.y - obstacle.radius,
+                maxX: obstacle.x + obstacle.radius, maxY: obstacle.y + obstacle.radius
+            };
+        case 'rect':
+            return {
+                minX: obstacle.x, minY: obstacle.y,
+                maxX: obstacle.x + obstacle.width, maxY: obstacle.y + obstacle.height
+            };
+        default: {
+            const xs = obstacle.points.map(p => p.x);
+            const ys = obstacle.points.map(p => p.y);
+            return {
+                minX: Math.min(...xs), minY: Math.min(...ys),
+                maxX: Math.max(...xs), maxY: Math.max(...ys)
+            };
+        }
+    }
+}
+
+// Signed distance from (x, y) to the obstacle's outline - negative inside.
+// The outward surface normal is written to `normal` ({ x, y }) so the physics
+// loop can reuse one object.
+export function obstacleDistance(obstacle, x, y, normal) {
+    switch (obstacle.type) {
+        case 'circle': {
+            const dx = x - obstacle.x;
+            const dy = y - obstacle.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > 0) {
+                normal.x = dx / dist;
+                normal.y = dy / dist;
+            } else {
+                normal.x = 1;
+                normal.y = 0;
+            }
+            return dist - obstacle.radius;
+        }
+        
+        case 'rect': {
+            const halfW = obstacle.width / 2;
+            const halfH = obstacle.height / 2;
+            const dx = x - (obstacle.x + halfW);
+            const dy = y - (obstacle.y + halfH);
+            const qx = Math.abs(dx) - halfW;
+            const qy = Math.abs(dy) - halfH;
+            
+            if (qx > 0 || qy > 0) {
+                // Outside: distance to the nearest edge or corner
+                const ox = Math.max(qx, 0);
+                const oy = Math.max(qy, 0);
+                const dist = Math.sqrt(ox * ox + oy * oy);
+                normal.x = Math.sign(dx) * ox / dist;
+                normal.y = Math.sign(dy) * oy / dist;
+                return dist;
+            }
+            // Inside: push out through the closest side
+            if (qx > qy) {
+                normal.x = dx < 0 ? -1 : 1;
+                normal.y = 0;
+                return qx;
+            }
+            normal.x = 0;
+            normal.y = dy < 0 ? -1 : 1;
+            return qy;
+        }
+        
+        default:
+            return polygonDistance(obstacle.points, x, y, normal);
+    }
+}
+
+export function polygonDistance(points, x, y, normal) {
+    let bestDistSq = Infinity;
+    let closestX = 0, closestY = 0;
+    let edgeX = 0, edgeY = 0;
+    let inside = false;
+    
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[j];
+        const b = points[i];
+        
+        // Even-odd crossing test
+        if ((b.y > y) !== (a.y > y) && x < (a.x - b.x) * (y - b.y) / (a.y - b.y) + b.x) {
+            inside = !inside;
+        }
+        
+        // Closest point on this edge
+        const ex = b.x - a.x;
+        const ey = b.y - a.y;
+        const lengthSq = ex * ex + ey * ey;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - a.x) * ex + (y - a.y) * ey) / lengthSq)) : 0;
+        const cx = a.x + ex * t;
+        const cy = a.y + ey * t;
+        const distSq = (x - cx) * (x - cx) + (y - cy) * (y - cy);
+        if (distSq < bestDistSq) {
+            bestDistSq = distSq;
+            closestX = cx;
+            closestY = cy;
+            edgeX = ex;
+            edgeY = ey;
+        }
+    }
+    
+    const dist = Math.sqrt(bestDistSq);
+    const sign = inside ? -1 : 1;
+    if (dist > 0) {
+        normal.x = sign * (x - closestX) / dist;
+        normal.y = sign * (y - closestY) / dist;
+    } else {
+        // Exactly on the outline - fall back to the edge's perpendicular
+        const length = Math.sqrt(edgeX * edgeX + edgeY * edgeY) || 1;
+        normal.x = edgeY / length;
+        normal.y = -edgeX / length;
+    }
+    return sign * dist;
+}
@@ -0,0 +1,67 @@
+/**
+ * Particle lifecycle
+ * Emitters spawn particles of one species at a steady rate; sinks remove
+ * particles that enter them. Spawned particles can have a maximum lifetime,
+ * and fade in and out so they don't pop on and off the canvas.
+ */
+
+export const FADE_IN_TIME = 0.5;  // Seconds for a spawned particle to reach full opacity
+export const FADE_OUT_TIME = 0.5; // Seconds before the end of its lifetime that a particle starts fading
+export const DEFAULT_MAX_PARTICLES = 5000;
+
+// Validate an emitter description and fill in defaults - returns null if unusable
+export function normalizeEmitter(emitter) {
+    if (!emitter || !isFinite(emitter.x) || !isFinite(emitter.y)) {
+        console.warn('Invalid particle emitter', emitter);
+        return null;
+    }
+    return {
+        x: emitter.x,
+        y: emitter.y,
+        species: Math.max(0, Math.floor(Number(emitter.species) || 0)),
+        rate: Math.max(0, Math.min(500, Number(emitter.rate ?? 20) || 0)),    // Particles per second
+        angle: Number(emitter.angle) || 0,                                      // Degrees, 0 emits to the right
+        spread: Math.max(0, Math.min(360, Number(emitter.spread ?? 30) || 0)), // Cone width in degrees
+        speed: Math.max(0, Math.min(20, Number(emitter.speed ?? 2) || 0)),     // Pixels per 60Hz frame
+        lifetime: Math.max(0, Number(emitter.lifetime) || 0)                    // Seconds, 0 lives forever
+    };
+}
+
+// Validate a sink description - returns null if unusable
+export function normalizeSink(sink) {
+    if (!sink || !isFinite(sink.x) || !isFinite(sink.y) || !(sink.radius > 0)) {
+        console.warn('Invalid particle sink', sink);
+        return null;
+    }
+    return {
+        x: sink.x,
+        y: sink.y,
+        radius: sink.radius,
+        // null removes every species, otherwise a list of species indices
+        species: Array.isArray(sink.species) ? sink.species.filter(Number.isInteger) : null
+    };
+}
+
+// Copies for a canvas stretched by (sx, sy) - sink radii follow sr
+export function scaleEmitter(emitter, sx, sy) {
+    return { ...emitter, x: emitter.x * sx, y: emitter.y * sy };
+}
+
+export function scaleSink(sink, sx, sy, sr) {
+    return { ...sink, x: sink.x * sx, y: sink.y * sy, radius: sink.radius * sr };
+}
+
+// Opacity multiplier (0-1) for a particle's age and lifetime
+export function getParticleFade(particle) {
+    let fade = 1;
+    if (particle.spawned && particle.age < FADE_IN_TIME) {
+        fade = particle.age / FADE_IN_TIME;
+    }
+    if (particle.lifetime > 0) {
+        const remaining = particle.lifetime - particle.age;
+        if (remaining < FADE_OUT_TIME) {
+            fade = Math.min(fade, Math.max(0, remaining / FADE_OUT_TIME));
+        }
+    }
+    return fade;
+}
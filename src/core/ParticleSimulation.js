@@ -0,0 +1,4212 @@
+/**
+ * Headless particle simulation core
+ * Owns particles, force matrices, noise and shockwaves and advances them with step(dt).
+ * Has no canvas, DOM or storage dependencies so presets can run under Node for
+ * batch experiments and regression tests. SimpleParticleSystem renders its state.
+ */
+
+// Pattern parameter defaults for configurable force patterns
+const PATTERN_DEFAULTS = {
+    clusters: {
+        clusterType: 'orbital',
+        cohesionStrength: 0.8,
+        separationDistance: 0.5,
+        formationBias: 0.6
+    },
+    'predator-prey': {
+        ecosystemType: 'simple_chain',
+        huntIntensity: 3.0,
+        escapeIntensity: 2.5,
+        populationBalance: 0.4
+    },
+    territorial: {
+        territorySize: 0.3,
+        boundaryStrength: 1.2,
+        invasionResponse: 2.0
+    },
+    symbiotic: {
+        cooperationStrength: 1.5,
+        dependencyLevel: 0.7,
+        mutualismType: 'obligate',
+        competitionIntensity: 1.0
+    },
+    cyclic: {
+        cycleSpeed: 1.0,
+        dominanceStrength: 2.0,
+        cycleComplexity: 'simple',
+        stabilityFactor: 0.5
+    },
+    flocking: {
+        flockType: 'schools',
+        alignmentStrength: 0.6,
+        flockCohesion: 0.5,
+        flockSpacing: 0.8
+    }
+};
+
+const DEFAULT_ALIGNMENT_RADIUS = 80;
+const ALIGNMENT_STEERING = 0.2; // Fraction of the velocity difference steered per frame at strength 1
+
+// Edge topologies. Wrapping ones are on while wrapAroundWalls is set:
+// torus  - every edge wraps to the opposite one
+// klein  - like a torus, but crossing the top or bottom edge mirrors x
+// mobius - left and right wrap with y mirrored; top and bottom are walls
+// The others have walls all round: bounded is the plain box, and mirror
+// also lets particles feel mirror images of their neighbours across the walls.
+export const TOPOLOGIES = ['bounded', 'torus', 'mirror', 'klein', 'mobius'];
+const WRAPPING_TOPOLOGIES = ['torus', 'klein', 'mobius'];
+
+// Mirror image codes for getNearbyParticles: bits 0-1 reflect x, bits 2-3 reflect y
+const MIRROR_LEFT = 1, MIRROR_RIGHT = 2, MIRROR_TOP = 4, MIRROR_BOTTOM = 8;
+
+const DEFAULT_DENSITY_THRESHOLD = 8; // Neighbours within the social radius before a particle counts as crowded
+
+const THERMOSTAT_MODES = ['rescale', 'relax'];
+const MAX_TEMPERATURE = 50;
+
+// Per-species wall modes; a species without one follows the topology
+export const SPECIES_WALL_MODES = ['bounce', 'wrap', 'absorb'];
+const MAX_RESPONSE = 5; // Upper limit for per-species noise, shockwave and pressure multipliers
+
+const MAX_MASS = 20;
+const CONTACT_BIAS = 0.2; // Fraction of an overlap pushed apart per frame by impulse collisions
+
+// Properties the UI may change while the simulation runs. A simulation hosted
+// in a worker is kept in sync by copying these across each frame.
+const SYNCED_PARAMETERS = [
+    'particleSize', 'friction', 'wallDamping', 'forceFactor', 'forceScale',
+    'repulsiveForce', 'wrapAroundWalls', 'topology', 'arena', 'obstacles', 'fields', 'zones', 'collisionMultiplier', 'collisionOffset',
+    'enableDensityForces', 'densityStrength', 'densityThresholds',
+    'enableTimeModulation', 'timeModulationAmplitude', 'timeModulationPeriod', 'timeModulationSpread',
+    'thermostatEnabled', 'thermostatMode', 'targetTemperature', 'thermostatRelaxation', 'thermostatPerSpecies',
+    'massCollisions', 'restitution', 'massScaledForces',
+    'chaosLevel', 'environmentalPressure',
+    'noiseEnabled', 'noisePattern', 'numSpecies', 'species', 'emitters', 'sinks', 'maxParticles',
+    'collisionRadius', 'socialRadius', 'collisionForce', 'socialForce', 'forceLaw', 'forceLawMatrix', 'forceCurves',
+    'conversionMatrix', 'conversionThreshold', 'bondRules', 'maxBonds', 'alignmentMatrix', 'alignmentRadius',
+    'shockwaveEnabled', 'shockwaveStrength', 'shockwaveSize', 'shockwaveFalloff', 'activeShockwaves',
+    'fixedTimestep', 'substeps', 'timeScale', 'maxTicksPerFrame'
+];
+
+import { NoiseGenerator } from '../utils/NoiseGenerator.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { DEFAULT_FORCE_LAW, getForceLaw, normalizeForceCurve, buildForceCurveLUT, createCurveForce } from './ForceLaws.js';
+import { normalizeObstacle, scaleObstacle, getObstacleBounds, obstacleDistance } from './Obstacles.js';
+import { normalizeField, scaleField, fieldAffectsSpecies, addFieldForce, closestPointOnLine } from './FieldEmitters.js';
+import { normalizeEmitter, normalizeSink, scaleEmitter, scaleSink, DEFAULT_MAX_PARTICLES } from './ParticleLifecycle.js';
+import { bondRuleKey, normalizeBondRule, DEFAULT_MAX_BONDS } from './Bonds.js';
+import { normalizeArena, buildArenaGeometry, arenaDistance } from './Arenas.js';
+import { normalizeZone, scaleZone, buildZoneCoverage, zoneWeight, getZoneBounds } from './Zones.js';
+import { encodeParticleState, decodeParticleState } from './ParticleState.js';
+
+export class ParticleSimulation {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.halfWidth = width / 2;
+        this.halfHeight = height / 2;
+        this.particles = [];
+        this.time = 0;
+        this.frameCount = 0;
+        
+        // Fixed-timestep integration - physics advances in ticks of fixedTimestep seconds
+        // regardless of frame rate; each tick is split into substeps
+        this.fixedTimestep = 1 / 60;  // Tick length in seconds (forces are tuned for 60Hz)
+        this.substeps = 1;            // Integration substeps per tick (1-8)
+        this.timeScale = 1.0;         // Playback speed: <1 slow motion, >1 fast forward
+        this.maxTicksPerFrame = 8;    // Backlog cap so slow frames can't spiral
+        this.timeAccumulator = 0;
+        
+        // Bumped by markParametersChanged() so worker physics knows to resync
+        this.parameterVersion = 0;
+        
+        // Performance optimizations
+        // Cells are at least as large as the largest social radius so a 3x3 scan
+        // sees every interaction; updateGridCellSize() keeps gridSize in sync
+        this.spatialGrid = [];
+        this.minGridSize = 50; // Smallest allowed cell size
+        this.gridSize = 100;   // Target cell size for spatial partitioning
+        this.initSpatialGrid();
+        this.gridStats = { avgNeighbors: 0, maxNeighbors: 0 }; // Neighbour candidates from the last step
+        this.energyStats = { total: 0, temperature: 0, perSpecies: [], counts: [] }; // Kinetic energy after the last step
+        
+        // Base particle size - species sizes and wall margins derive from it
+        this.particleSize = 3;
+        
+        // Physics settings
+        this.friction = 0.98;
+        this.wallDamping = 0.8;
+        this.forceFactor = 0.5;
+        
+        // Wall behavior settings
+        this.repulsiveForce = 0.3; // Strength of invisible repulsive barriers (0-1)
+        this.wrapAroundWalls = false; // Enable wrap-around boundaries
+        this.topology = 'bounded'; // One of TOPOLOGIES - see getTopology()
+        this.nearbyImages = []; // Mirror image code per getNearbyParticles() entry in mirror topology
+        this.seamSpecies = null; // Species with a 'wrap' wall mode in bounded topology - see updateSeamSpecies()
+        this.arena = null; // Bounded arena shape, null for the canvas rectangle - see Arenas.js
+        this.arenaCache = { source: null, width: 0, height: 0, geometry: null };
+        this.obstacles = []; // Static circles, rectangles and polygons - see Obstacles.js
+        this.obstacleBoundsCache = { source: null, list: [] };
+        this.obstacleNormal = { x: 0, y: 0 }; // Reused by the physics loop
+        
+        // Collision physics - always based on particle sizes
+        this.collisionMultiplier = 1.0;   // Global multiplier for collision strength (0.5-5.0)
+        this.collisionOffset = 0.0;       // Extra spacing between particles (0-10)
+        
+        // Force scale - global multiplier for social forces
+        this.forceScale = 1.0;  // Global force multiplier (0.0-5.0)
+        
+        // Advanced physics for organic behaviors
+        this.enableDensityForces = false; // Density-dependent force modulation
+        this.densityStrength = 0.5;       // -1 to 1: positive spreads crowds out, negative makes them stickier
+        this.densityThresholds = [];      // Crowding threshold per species (unset = DEFAULT_DENSITY_THRESHOLD)
+        this.enableTimeModulation = false; // Time-varying forces
+        this.timeModulationAmplitude = 0.3; // 0-1: fraction of each social force that oscillates
+        this.timeModulationPeriod = 8;      // Seconds per cycle
+        this.timeModulationSpread = 0.3;    // 0-1: phase offset between species pairs, 0 pulses in unison
+        this.timeModulationCycle = 0;       // Cycles elapsed - advanced per step so period changes don't jump the phase
+        this.thermostatEnabled = false;     // Scale velocities toward targetTemperature every step
+        this.thermostatMode = 'relax';      // 'rescale' snaps to the target, 'relax' eases toward it
+        this.targetTemperature = 5.0;       // Mean kinetic energy per particle (velocity in pixels per 60Hz frame)
+        this.thermostatRelaxation = 1.0;    // Seconds for 'relax' to close the gap to the target
+        this.thermostatPerSpecies = false;  // Hold each species at the target, not just the whole system
+        this.massCollisions = false;        // Resolve collisions with mass-weighted impulses instead of the collision force
+        this.restitution = 0.8;             // 0-1: bounciness of impulse collisions
+        this.massScaledForces = false;      // Divide social forces by the species' mass
+        this.chaosLevel = 0.0; // Legacy chaos - kept for backwards compatibility
+        this.environmentalPressure = 0.0; // Global center attraction/repulsion (-1 to 1)
+        this.fields = []; // Persistent field emitters - see FieldEmitters.js
+        this.fieldForce = { fx: 0, fy: 0 }; // Reused by the physics loop
+        this.fieldAnchor = { x: 0, y: 0 };
+        this.zones = []; // Regions overriding forces, friction and noise - see Zones.js
+        this.zoneCoverage = new WeakMap(); // Painted zone mask -> blurred coverage grid
+        this.zoneMix = { row: null, useRow: false, retention: 0, noise: 1 }; // Reused by the physics loop
+        
+        // Seeded PRNG used for every random decision in the simulation, so the
+        // same preset and seed replay the same run (null = random seed)
+        this.rng = new SeededRandom(options.seed ?? null);
+        
+        // Noise system - seed is supplied by the host (null = random)
+        this.noiseGenerator = new NoiseGenerator(options.noiseSeed ?? null);
+        this.noiseEnabled = false;
+        this.noisePattern = 'perlin';
+        this.noiseAmplitude = 0.0;
+        this.noiseScale = 1.0;
+        this.noiseTimeScale = 1.0;
+        
+        // Species settings
+        this.numSpecies = 5;
+        this.particlesPerSpecies = 150;
+        
+        // Open-system particle lifecycle - see ParticleLifecycle.js
+        this.emitters = [];
+        this.sinks = [];
+        this.maxParticles = DEFAULT_MAX_PARTICLES; // Emitters pause at this population
+        this.emitterAccumulators = []; // Fractional particles owed to each emitter
+        this.mortalParticles = 0; // Particles with a lifetime, so expiry can be skipped when there are none
+        
+        // Initialize species (also creates the force matrices)
+        this.species = [];
+        this.initializeSpecies();
+        
+        // Asymmetric force matrices - the key to interesting behaviors!
+        this.collisionRadius = this.createMatrix(15, 25); // Close range
+        this.socialRadius = this.createMatrix(50, 150);   // Long range
+        this.collisionForce = this.createMatrix(-1, -0.5); // Repulsion
+        this.socialForce = this.createAsymmetricMatrix();  // Attraction/repulsion
+        
+        // Force laws (see ForceLaws.js) - one for the whole preset, optionally
+        // overridden per species pair with a matrix of law names (null = use forceLaw)
+        this.forceLaw = DEFAULT_FORCE_LAW;
+        this.forceLawMatrix = null;
+        this.warnedForceLaws = new Set();
+        
+        // Per-pair force curves, keyed "from-to" - a curve takes precedence over the pair's law
+        this.forceCurves = {};
+        this.forceCurveCache = new Map(); // key -> { points, force } baked lookup tables
+        
+        // Velocity alignment (boids style): alignmentMatrix[i][j] from -1 to 1 steers
+        // species i toward (positive) or away from (negative) the average velocity of
+        // nearby species j, within alignmentRadius[i][j]. Both null when unused.
+        this.alignmentMatrix = null;
+        this.alignmentRadius = null;
+        
+        // Species conversion on contact: conversionMatrix[from][to] is the chance per
+        // second that a particle of `from` touching at least conversionThreshold
+        // particles of `to` becomes `to`. null when no pair converts.
+        this.conversionMatrix = null;
+        this.conversionThreshold = 3;
+        
+        // Spring bonds: formation rules keyed "i-j" (i <= j), and the live bonds as
+        // a flat list of particle index pairs [a0, b0, a1, b1, ...]
+        this.bondRules = {};
+        this.maxBonds = DEFAULT_MAX_BONDS;
+        this.bonds = [];
+        this.bondParticles = null; // Particle array the bond indices refer to
+        
+        // Force pattern configuration
+        this.forcePatternType = 'random';
+        this.forceDistribution = 0.8; // Edge bias value
+        this.forcePatternParameters = {}; // Pattern-specific parameters
+        
+        // Shockwave system
+        this.shockwaveEnabled = true;
+        this.shockwaveStrength = 50; // Force strength (10-200)
+        this.shockwaveSize = 150; // Radius of effect (40-600)
+        this.shockwaveFalloff = 2.0; // Falloff power (0.5-5.0, higher = sharper falloff)
+        this.activeShockwaves = []; // Active shockwave effects
+        this.mousePressed = false; // Track pointer state for continuous shockwaves
+        this.currentMousePos = { x: 0, y: 0 }; // Current pointer position
+    }
+    
+    // Plain copy of everything in SYNCED_PARAMETERS plus canvas size and noise config
+    getParameterSnapshot() {
+        const snapshot = {
+            width: this.width,
+            height: this.height,
+            noise: this.noiseGenerator.getConfig()
+        };
+        for (const key of SYNCED_PARAMETERS) {
+            snapshot[key] = this[key];
+        }
+        return snapshot;
+    }
+    
+    // Flag a parameter change so worker physics resends the parameters - see
+    // PhysicsWorkerClient.syncParameters(). The setters call it; code that
+    // assigns parameters or edits their matrices directly must call it too.
+    markParametersChanged() {
+        this.parameterVersion++;
+    }
+    
+    applyParameterSnapshot(snapshot) {
+        if (snapshot.width !== this.width || snapshot.height !== this.height) {
+            this.resize(snapshot.width, snapshot.height);
+        }
+        for (const key of SYNCED_PARAMETERS) {
+            if (snapshot[key] !== undefined) {
+                this[key] = snapshot[key];
+            }
+        }
+        
+        const noise = snapshot.noise;
+        if (noise) {
+            const generator = this.noiseGenerator;
+            if (noise.seed !== generator.seed) {
+                generator.setSeed(noise.seed);
+            }
+            generator.patterns = noise.patterns;
+            generator.setPattern(noise.activePattern);
+            generator.setGlobalScale(noise.globalScale);
+            generator.setGlobalTimeScale(noise.globalTimeScale);
+            generator.setGlobalAmplitude(noise.globalAmplitude);
+            generator.setContrast(noise.contrast);
+            generator.setGlobalOctaves(noise.globalOctaves);
+            generator.setTimeIncrement(noise.timeIncrement);
+        }
+    }
+    
+    // Seeded replacement for Math.random()
+    random() {
+        return this.rng.next();
+    }
+    
+    getSeed() {
+        return this.rng.seed;
+    }
+    
+    // Restart the random sequence from a seed
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+    }
+    
+    // Wind every clock the physics reads back to zero, so that together with
+    // setSeed() the next run replays from its start
+    resetClocks() {
+        this.time = 0;
+        this.frameCount = 0;
+        this.noiseGenerator.time = 0;
+        this.timeModulationCycle = 0;
+        this.timeAccumulator = 0;
+    }
+    
+    getCurrentCollisionOffset() {
+        return this.collisionOffset;
+    }
+    
+    initSpatialGrid() {
+        // Validate grid dimensions before creating spatial grid
+        if (!this.width || !this.height || this.width <= 0 || this.height <= 0) {
+            console.error(`Invalid canvas dimensions: ${this.width}x${this.height}, cannot create spatial grid`);
+            return;
+        }
+        
+        // Recalculate grid dimensions to ensure they're current. Cells are stretched
+        // to tile the canvas exactly, so they are never smaller than gridSize and
+        // wrap-around neighbours across the seam are always adjacent cells.
+        this.gridWidth = Math.max(1, Math.floor(this.width / this.gridSize));
+        this.gridHeight = Math.max(1, Math.floor(this.height / this.gridSize));
+        this.cellWidth = this.width / this.gridWidth;
+        this.cellHeight = this.height / this.gridHeight;
+        
+        // Validate calculated grid dimensions
+        if (this.gridWidth <= 0 || this.gridHeight <= 0) {
+            console.error(`Invalid grid dimensions: ${this.gridWidth}x${this.gridHeight}`);
+            return;
+        }
+        
+        const totalCells = this.gridWidth * this.gridHeight;
+        // Spatial grid initialized
+        
+        this.spatialGrid = [];
+        for (let i = 0; i < totalCells; i++) {
+            this.spatialGrid[i] = [];
+        }
+    }
+    
+    getGridCell(x, y) {
+        return {
+            gx: Math.max(0, Math.min(this.gridWidth - 1, Math.floor(x / this.cellWidth))),
+            gy: Math.max(0, Math.min(this.gridHeight - 1, Math.floor(y / this.cellHeight)))
+        };
+    }
+    
+    getGridIndex(x, y) {
+        const { gx, gy } = this.getGridCell(x, y);
+        return gy * this.gridWidth + gx;
+    }
+    
+    // Largest distance at which two particles can interact. Collision range
+    // only applies inside the social radius, so the social matrix decides.
+    getMaxInteractionRadius() {
+        let maxRadius = 50; // Same fallback the force loop uses for invalid entries
+        if (Array.isArray(this.socialRadius)) {
+            for (const row of this.socialRadius) {
+                if (!Array.isArray(row)) continue;
+                for (const r of row) {
+                    if (r > maxRadius && isFinite(r)) {
+                        maxRadius = r;
+                    }
+                }
+            }
+        }
+        if (this.alignmentMatrix && Array.isArray(this.alignmentRadius)) {
+            for (const row of this.alignmentRadius) {
+                for (const r of row) {
+                    if (r > maxRadius && isFinite(r)) {
+                        maxRadius = r;
+                    }
+                }
+            }
+        }
+        return maxRadius;
+    }
+    
+    // Grow or shrink grid cells to the largest interaction radius. Called every
+    // step, so matrix edits, presets and modulations are all picked up.
+    updateGridCellSize() {
+        // Round up to 10px so gently modulated radii don't rebuild the grid every frame
+        const target = Math.max(this.minGridSize, Math.ceil(this.getMaxInteractionRadius() / 10) * 10);
+        if (target !== this.gridSize) {
+            this.gridSize = target;
+            this.initSpatialGrid();
+        }
+    }
+    
+    updateSpatialGrid() {
+        // Critical safety check: ensure spatial grid is properly initialized
+        if (!this.spatialGrid || this.spatialGrid.length === 0) {
+            console.warn('Spatial grid not initialized, reinitializing...');
+            this.initSpatialGrid();
+            // If initialization failed, skip update
+            if (!this.spatialGrid || this.spatialGrid.length === 0) {
+                console.error('Failed to initialize spatial grid, skipping update');
+                return;
+            }
+        }
+        
+        // Validate grid size matches calculated dimensions
+        const expectedSize = this.gridWidth * this.gridHeight;
+        if (this.spatialGrid.length !== expectedSize) {
+            console.warn(`Spatial grid size mismatch: expected ${expectedSize}, got ${this.spatialGrid.length}, reinitializing...`);
+            this.initSpatialGrid();
+            if (!this.spatialGrid || this.spatialGrid.length === 0) {
+                console.error('Failed to reinitialize spatial grid');
+                return;
+            }
+        }
+        
+        // Clear grid cells
+        for (let i = 0; i < this.spatialGrid.length; i++) {
+            if (Array.isArray(this.spatialGrid[i])) {
+                this.spatialGrid[i].length = 0;
+            } else {
+                // Re-initialize this grid cell if it's corrupted
+                this.spatialGrid[i] = [];
+            }
+        }
+        
+        // Add particles to grid cells with detailed error reporting
+        for (let i = 0; i < this.particles.length; i++) {
+            const p = this.particles[i];
+            
+            // Validate particle position
+            if (isNaN(p.x) || isNaN(p.y)) {
+                console.warn(`Particle ${i} has NaN position (${p.x}, ${p.y}), skipping spatial grid assignment`);
+                continue;
+            }
+            
+            const gridIndex = this.getGridIndex(p.x, p.y);
+            
+            // Comprehensive safety check for grid cell access
+            if (gridIndex >= 0 && gridIndex < this.spatialGrid.length) {
+                if (Array.isArray(this.spatialGrid[gridIndex])) {
+                    this.spatialGrid[gridIndex].push(i);
+                } else {
+                    console.error(`Grid cell ${gridIndex} is not an array: ${typeof this.spatialGrid[gridIndex]}, reinitializing cell`);
+                    this.spatialGrid[gridIndex] = [i];
+                }
+            } else {
+                console.error(`Invalid grid index ${gridIndex} for particle ${i} at (${p.x}, ${p.y})`);
+                console.error(`Grid dimensions: ${this.gridWidth}x${this.gridHeight}, canvas: ${this.width}x${this.height}`);
+                console.error(`Cell size: ${this.cellWidth}x${this.cellHeight}, calculated gx: ${Math.floor(p.x / this.cellWidth)}, gy: ${Math.floor(p.y / this.cellHeight)}`);
+            }
+        }
+    }
+    
+    // Indices of particles in the 3x3 cells around a particle. Cells past a
+    // wrapping edge come from the far side (mirrored for Klein and Möbius
+    // twists). In mirror topology, cells past a wall are reflected back in and
+    // their particles are listed again as mirror images, with the image code
+    // of each entry in this.nearbyImages.
+    getNearbyParticles(particleIndex) {
+        const p = this.particles[particleIndex];
+        const { gx, gy } = this.getGridCell(p.x, p.y);
+        let topology = this.getTopology();
+        if (topology === 'bounded' && this.seamSpecies) {
+            // Wrapping species reach across the edges, so scan as on a torus
+            topology = 'torus';
+        }
+        const gw = this.gridWidth;
+        const gh = this.gridHeight;
+        const nearby = [];
+        
+        // Check 3x3 grid around particle
+        let x0 = gx - 1, x1 = gx + 1;
+        let y0 = gy - 1, y1 = gy + 1;
+        const wrapX = topology === 'torus' || topology === 'klein' || topology === 'mobius';
+        const wrapY = topology === 'torus' || topology === 'klein';
+        const mirror = topology === 'mirror';
+        if (wrapX) {
+            // On grids 3 cells or fewer across, scan each cell once instead of
+            // wrapping onto the same cell twice (which would double its forces).
+            // A twist moves neighbours across the other axis, so scan all of it too.
+            if (gw <= 3 || (topology === 'klein' && gh <= 3)) { x0 = 0; x1 = gw - 1; }
+        } else if (!mirror) {
+            // Standard boundary clamp for non-wrap mode
+            x0 = Math.max(0, x0); x1 = Math.min(gw - 1, x1);
+        }
+        if (wrapY) {
+            if (gh <= 3) { y0 = 0; y1 = gh - 1; }
+        } else if (topology === 'mobius' && gw <= 3) {
+            y0 = 0; y1 = gh - 1;
+        } else if (!mirror) {
+            y0 = Math.max(0, y0); y1 = Math.min(gh - 1, y1);
+        }
+        
+        if (mirror) {
+            this.nearbyImages.length = 0;
+        }
+        
+        for (let cy = y0; cy <= y1; cy++) {
+            const crossedY = cy < 0 || cy >= gh;
+            // Handle toroidal wrapping for grid coordinates
+            let checkY = (cy + gh) % gh;
+            let imageY = 0;
+            if (mirror && crossedY) {
+                checkY = cy < 0 ? -cy - 1 : 2 * gh - cy - 1;
+                imageY = cy < 0 ? MIRROR_TOP : MIRROR_BOTTOM;
+            }
+            for (let cx = x0; cx <= x1; cx++) {
+                const crossedX = cx < 0 || cx >= gw;
+                let checkX = (cx + gw) % gw;
+                let cellY = checkY;
+                let imageX = 0;
+                if (mirror && crossedX) {
+                    checkX = cx < 0 ? -cx - 1 : 2 * gw - cx - 1;
+                    imageX = cx < 0 ? MIRROR_LEFT : MIRROR_RIGHT;
+                } else if (topology === 'klein' && crossedY) {
+                    checkX = gw - 1 - checkX;
+                } else if (topology === 'mobius' && crossedX) {
+                    cellY = gh - 1 - checkY;
+                }
+                
+                const cell = this.spatialGrid[cellY * gw + checkX];
+                if (cell) {
+                    nearby.push(...cell);
+                    if (mirror) {
+                        const image = imageX | imageY;
+                        for (let k = 0; k < cell.length; k++) {
+                            this.nearbyImages.push(image);
+                        }
+                    }
+                }
+            }
+        }
+        
+        // Debug logging for performance validation (can be removed in production)
+        if (this.debugNearbyParticles && this.frameCount % 60 === 0) {
+            const reduction = ((this.particles.length - nearby.length) / this.particles.length * 100).toFixed(1);
+            console.log(`Wrap-around optimization: checking ${nearby.length}/${this.particles.length} particles (${reduction}% reduction)`);
+        }
+        
+        return nearby;
+    }
+    
+    // Species size methods
+    getSpeciesSize(speciesId) {
+        if (speciesId < 0 || speciesId >= this.numSpecies) return this.particleSize;
+        return this.species[speciesId]?.size || this.particleSize;
+    }
+    
+    setSpeciesSize(speciesId, size) {
+        if (speciesId < 0 || speciesId >= this.numSpecies) return false;
+        if (!this.species[speciesId]) return false;
+        
+        this.species[speciesId].size = Math.max(0.5, Math.min(30.0, size));
+        this.markParametersChanged();
+        return true;
+    }
+    
+    // Species count management API
+    // Alias for compatibility
+    setNumSpecies(newCount) {
+        return this.setSpeciesCount(newCount);
+    }
+    
+    setSpeciesCount(newCount) {
+        if (newCount < 1 || newCount > 20) {
+            console.warn(`Invalid species count: ${newCount}, must be 1-20`);
+            return false;
+        }
+        
+        // Critical validation: Ensure canvas dimensions are set
+        if (!this.width || !this.height || this.width <= 0 || this.height <= 0) {
+            console.error(`Cannot change species count: invalid canvas dimensions ${this.width}x${this.height}`);
+            return false;
+        }
+        
+        // Changing species count
+        
+        const oldCount = this.numSpecies;
+        this.numSpecies = newCount;
+        
+        // Preserve existing force matrices where possible
+        this.preserveAndResizeForceMatrices(oldCount, newCount);
+        
+        // Resize species array
+        this.resizeSpeciesArray(oldCount, newCount);
+        
+        // CRITICAL FIX: Reinitialize spatial grid BEFORE reinitializing particles
+        // This ensures the grid is properly sized for the new particle configuration
+        // Reinitializing spatial grid
+        this.initSpatialGrid();
+        
+        // Validate spatial grid was created successfully
+        if (!this.spatialGrid || this.spatialGrid.length === 0) {
+            console.error('Failed to initialize spatial grid, aborting species count change');
+            this.numSpecies = oldCount; // Revert
+            return false;
+        }
+        
+        // Spatial grid ready
+        
+        // Reinitialize particles with new species count
+        // Reinitializing particles
+        this.initializeParticlesWithPositions();
+        
+        // Particles ready
+        
+        // Update spatial grid with new particles to prevent undefined grid cell access
+        // Updating spatial grid
+        this.updateSpatialGrid();
+        
+        // Species count change completed
+        this.markParametersChanged();
+        return true;
+    }
+    
+    preserveAndResizeForceMatrices(oldCount, newCount) {
+        // Preserve collision radius
+        const oldCollisionRadius = this.collisionRadius;
+        const defaultCollisionRadius = oldCollisionRadius[0] ? oldCollisionRadius[0][0] : 15;
+        this.collisionRadius = this.createMatrix(defaultCollisionRadius, defaultCollisionRadius);
+        
+        // Preserve social radius
+        const oldSocialRadius = this.socialRadius;
+        const defaultSocialRadius = oldSocialRadius[0] ? oldSocialRadius[0][0] : 50;
+        this.socialRadius = this.createMatrix(defaultSocialRadius, defaultSocialRadius);
+        
+        // Preserve collision force
+        const oldCollisionForce = this.collisionForce;
+        const defaultCollisionForce = oldCollisionForce[0] ? oldCollisionForce[0][0] : -0.5;
+        this.collisionForce = this.createMatrix(defaultCollisionForce, defaultCollisionForce);
+        
+        // Preserve existing social forces where possible
+        const oldSocialForce = this.socialForce;
+        const newSocialForce = this.createAsymmetricMatrix();
+        
+        if (oldSocialForce && Array.isArray(oldSocialForce)) {
+            for (let i = 0; i < Math.min(oldCount, newCount); i++) {
+                for (let j = 0; j < Math.min(oldCount, newCount); j++) {
+                    if (oldSocialForce[i] && oldSocialForce[i][j] !== undefined) {
+                        newSocialForce[i][j] = oldSocialForce[i][j];
+                    }
+                }
+            }
+        }
+        
+        this.socialForce = newSocialForce;
+        
+        // Preserve per-pair force law overrides
+        if (this.forceLawMatrix) {
+            const oldLaws = this.forceLawMatrix;
+            this.forceLawMatrix = this.createNullMatrix();
+            for (let i = 0; i < newCount; i++) {
+                for (let j = 0; j < newCount; j++) {
+                    this.forceLawMatrix[i][j] = oldLaws[i]?.[j] ?? null;
+                }
+            }
+        }
+        
+        // Preserve conversion rates between species that still exist
+        if (this.conversionMatrix) {
+            const oldRates = this.conversionMatrix;
+            this.conversionMatrix = this.createFilledMatrix(0);
+            for (let i = 0; i < newCount; i++) {
+                for (let j = 0; j < newCount; j++) {
+                    this.conversionMatrix[i][j] = oldRates[i]?.[j] ?? 0;
+                }
+            }
+            this.dropEmptyConversionMatrix();
+        }
+        
+        // Preserve alignment between species that still exist
+        if (this.alignmentMatrix) {
+            const oldAlignment = this.alignmentMatrix;
+            const oldRadius = this.alignmentRadius;
+            this.alignmentMatrix = this.createFilledMatrix(0);
+            this.alignmentRadius = this.createFilledMatrix(DEFAULT_ALIGNMENT_RADIUS);
+            for (let i = 0; i < newCount; i++) {
+                for (let j = 0; j < newCount; j++) {
+                    this.alignmentMatrix[i][j] = oldAlignment[i]?.[j] ?? 0;
+                    this.alignmentRadius[i][j] = oldRadius?.[i]?.[j] ?? DEFAULT_ALIGNMENT_RADIUS;
+                }
+            }
+        }
+        
+        // Drop bond rules for species that no longer exist
+        for (const key of Object.keys(this.bondRules)) {
+            const [i, j] = key.split('-').map(Number);
+            if (i >= newCount || j >= newCount) {
+                delete this.bondRules[key];
+            }
+        }
+        
+        // Drop force curves for species that no longer exist
+        for (const key of Object.keys(this.forceCurves)) {
+            const [i, j] = key.split('-').map(Number);
+            if (i >= newCount || j >= newCount) {
+                delete this.forceCurves[key];
+            }
+        }
+    }
+    
+    setForceLaw(name) {
+        if (!getForceLaw(name)) {
+            console.warn(`Unknown force law "${name}"`);
+            return false;
+        }
+        this.forceLaw = name;
+        this.markParametersChanged();
+        return true;
+    }
+    
+    // Override the force law for one species pair; null goes back to the preset law
+    setPairForceLaw(fromSpecies, toSpecies, name) {
+        if (name !== null && !getForceLaw(name)) {
+            console.warn(`Unknown force law "${name}"`);
+            return false;
+        }
+        if (!this.forceLawMatrix) {
+            if (name === null) return true;
+            this.forceLawMatrix = this.createNullMatrix();
+        }
+        if (!this.forceLawMatrix[fromSpecies]) return false;
+        this.forceLawMatrix[fromSpecies][toSpecies] = name;
+        
+        // Drop the matrix again once no pair overrides the preset law
+        if (this.forceLawMatrix.every(row => row.every(law => law === null))) {
+            this.forceLawMatrix = null;
+        }
+        this.markParametersChanged();
+        return true;
+    }
+    
+    getPairForceLaw(fromSpecies, toSpecies) {
+        return this.forceLawMatrix?.[fromSpecies]?.[toSpecies] ?? null;
+    }
+    
+    // Give a species pair a force-vs-distance curve; null removes it
+    setPairForceCurve(fromSpecies, toSpecies, points) {
+        const key = `${fromSpecies}-${toSpecies}`;
+        if (points === null) {
+            delete this.forceCurves[key];
+            this.markParametersChanged();
+            return true;
+        }
+        const curve = normalizeForceCurve(points);
+        if (!curve) {
+            console.warn('Force curve needs at least two valid control points');
+            return false;
+        }
+        // Always a new array, so cached lookup tables notice the change
+        this.forceCurves[key] = curve;
+        this.markParametersChanged();
+        return true;
+    }
+    
+    getPairForceCurve(fromSpecies, toSpecies) {
+        return this.forceCurves[`${fromSpecies}-${toSpecies}`] || null;
+    }
+    
+    // Steer `fromSpecies` toward (1) or away from (-1) the average velocity of nearby `toSpecies`
+    setAlignment(fromSpecies, toSpecies, value) {
+        if (fromSpecies >= this.numSpecies || toSpecies >= this.numSpecies) {
+            return false;
+        }
+        if (!this.alignmentMatrix) {
+            if (!value) return true;
+            this.alignmentMatrix = this.createFilledMatrix(0);
+        }
+        this.alignmentMatrix[fromSpecies][toSpecies] = Math.max(-1, Math.min(1, Number(value) || 0));
+        if (!this.alignmentRadius) {
+            this.alignmentRadius = this.createFilledMatrix(DEFAULT_ALIGNMENT_RADIUS);
+        }
+        this.markParametersChanged();
+        return true;
+    }
+    
+    getAlignment(fromSpecies, toSpecies) {
+        return this.alignmentMatrix?.[fromSpecies]?.[toSpecies] ?? 0;
+    }
+    
+    setAlignmentRadius(fromSpecies, toSpecies, radius) {
+        if (!this.alignmentRadius?.[fromSpecies] || toSpecies >= this.numSpecies) {
+            return false;
+        }
+        this.alignmentRadius[fromSpecies][toSpecies] = Math.max(5, Math.min(300, Number(radius) || DEFAULT_ALIGNMENT_RADIUS));
+        this.markParametersChanged();
+        return true;
+    }
+    
+    // Replace the whole alignment matrix; null (or all zeros) turns alignment off
+    setAlignmentMatrix(matrix, radius = null) {
+        if (!matrix || matrix.every(row => row.every(value => !value))) {
+            this.clearAlignment();
+            return;
+        }
+        this.alignmentMatrix = matrix;
+        if (radius) {
+            this.alignmentRadius = radius;
+        } else if (this.alignmentRadius?.length !== matrix.length) {
+            this.alignmentRadius = this.createFilledMatrix(DEFAULT_ALIGNMENT_RADIUS);
+        }
+        this.markParametersChanged();
+    }
+    
+    clearAlignment() {
+        this.alignmentMatrix = null;
+        this.alignmentRadius = null;
+        this.markParametersChanged();
+    }
+    
+    // Density forces: each particle counts its neighbours within the social
+    // radius. Beyond its species' threshold, attraction weakens and repulsion
+    // strengthens (reversed for negative strength); below it, the opposite.
+    setDensityStrength(strength) {
+        this.densityStrength = Math.max(-1, Math.min(1, Number(strength) || 0));
+        this.markParametersChanged();
+    }
+    
+    setDensityThreshold(species, count) {
+        this.densityThresholds[species] = Math.max(1, Math.min(50, Math.round(count) || 1));
+        this.markParametersChanged();
+    }
+    
+    getDensityThreshold(species) {
+        return this.densityThresholds[species] || DEFAULT_DENSITY_THRESHOLD;
+    }
+    
+    setDensityForces({ enabled = false, strength = 0.5, thresholds = [] } = {}) {
+        this.enableDensityForces = !!enabled;
+        this.setDensityStrength(strength);
+        this.densityThresholds = [];
+        (thresholds || []).forEach((count, species) => {
+            if (count) this.setDensityThreshold(species, count);
+        });
+        this.markParametersChanged();
+    }
+    
+    // Time modulation: every social force oscillates around its matrix value,
+    // force * (1 + amplitude * sin(phase)), with each pair offset by spread
+    setTimeModulation({ enabled = false, amplitude = 0.3, period = 8, spread = 0.3 } = {}) {
+        this.enableTimeModulation = !!enabled;
+        this.timeModulationAmplitude = Math.max(0, Math.min(1, Number(amplitude) || 0));
+        this.timeModulationPeriod = Math.max(0.5, Math.min(60, Number(period) || 8));
+        this.timeModulationSpread = Math.max(0, Math.min(1, Number(spread) || 0));
+        this.markParametersChanged();
+    }
+    
+    // Social force multiplier per species pair at the current time, indexed s1 * numSpecies + s2
+    getTimeModulationTable() {
+        const n = this.numSpecies;
+        const table = new Float32Array(n * n);
+        const cycle = this.timeModulationCycle;
+        for (let s1 = 0; s1 < n; s1++) {
+            for (let s2 = 0; s2 < n; s2++) {
+                // Symmetric pairs share a phase so mutual forces rise and fall together
+                const phase = (cycle + this.timeModulationSpread * (s1 + s2) / n) * Math.PI * 2;
+                table[s1 * n + s2] = 1 + this.timeModulationAmplitude * Math.sin(phase);
+            }
+        }
+        return table;
+    }
+    
+    // Thermostat: after each step, velocities are scaled so the temperature
+    // moves to the target at once ('rescale') or relaxes toward it with a
+    // Berendsen-style time constant ('relax')
+    setThermostat({ enabled = false, mode = 'relax', target = 5, relaxation = 1, perSpecies = false } = {}) {
+        this.thermostatEnabled = !!enabled;
+        this.thermostatMode = THERMOSTAT_MODES.includes(mode) ? mode : 'relax';
+        this.setTargetTemperature(target);
+        this.thermostatRelaxation = Math.max(0.05, Math.min(20, Number(relaxation) || 1));
+        this.thermostatPerSpecies = !!perSpecies;
+        this.markParametersChanged();
+    }
+    
+    setTargetTemperature(temperature) {
+        this.targetTemperature = Math.max(0, Math.min(MAX_TEMPERATURE, Number(temperature) || 0));
+        this.markParametersChanged();
+    }
+    
+    // Kinetic energy (1/2 m v^2 per particle) in total and per species. Temperature
+    // is the mean per particle, so it doesn't grow with the particle count.
+    measureKineticEnergy(stats = this.energyStats) {
+        const n = this.numSpecies;
+        const perSpecies = stats.perSpecies;
+        const counts = stats.counts;
+        for (let s = 0; s < n; s++) {
+            perSpecies[s] = 0;
+            counts[s] = 0;
+        }
+        perSpecies.length = n;
+        counts.length = n;
+        
+        let total = 0;
+        for (const p of this.particles) {
+            const energy = 0.5 * (this.species[p.species]?.mass || 1) * (p.vx * p.vx + p.vy * p.vy);
+            total += energy;
+            if (p.species < n) {
+                perSpecies[p.species] += energy;
+                counts[p.species]++;
+            }
+        }
+        stats.total = total;
+        stats.temperature = this.particles.length > 0 ? total / this.particles.length : 0;
+        return stats;
+    }
+    
+    // Scale velocities toward the target, and the measured energies with them
+    applyThermostat(dt, stats) {
+        const n = this.numSpecies;
+        const scales = new Float64Array(n);
+        let total = 0;
+        for (let s = 0; s < n; s++) {
+            scales[s] = this.thermostatPerSpecies
+                ? this.getThermostatScale(stats.counts[s] > 0 ? stats.perSpecies[s] / stats.counts[s] : 0, dt)
+                : this.getThermostatScale(stats.temperature, dt);
+            stats.perSpecies[s] *= scales[s] * scales[s];
+            total += stats.perSpecies[s];
+        }
+        for (const p of this.particles) {
+            const scale = p.species < n ? scales[p.species] : 1;
+            p.vx *= scale;
+            p.vy *= scale;
+        }
+        stats.total = total;
+        stats.temperature = this.particles.length > 0 ? total / this.particles.length : 0;
+    }
+    
+    // Velocity factor taking `temperature` to (or toward) the target
+    getThermostatScale(temperature, dt) {
+        if (!(temperature > 1e-9)) {
+            return 1; // Nothing moving to scale
+        }
+        const ratio = this.targetTemperature / temperature;
+        if (this.thermostatMode === 'rescale') {
+            return Math.sqrt(ratio);
+        }
+        const blend = Math.min(1, dt / this.thermostatRelaxation);
+        return Math.sqrt(1 + blend * (ratio - 1));
+    }
+    
+    // Mass physics: impulse collisions swap momentum between touching particles
+    // in proportion to their species' masses, and scaled social forces make
+    // heavy species slower to accelerate
+    setMassPhysics({ collisions = false, restitution = 0.8, scaleForces = false } = {}) {
+        this.massCollisions = !!collisions;
+        this.restitution = Math.max(0, Math.min(1, Number(restitution ?? 0.8) || 0));
+        this.massScaledForces = !!scaleForces;
+        this.markParametersChanged();
+    }
+    
+    setSpeciesMass(index, mass) {
+        if (this.species[index]) {
+            this.species[index].mass = Math.max(0.1, Math.min(MAX_MASS, Number(mass) || 1));
+        }
+        this.markParametersChanged();
+    }
+    
+    // Chance per second (0-5) that `fromSpecies` turns into `toSpecies` on contact
+    setConversionRate(fromSpecies, toSpecies, rate) {
+        if (fromSpecies === toSpecies || fromSpecies >= this.numSpecies || toSpecies >= this.numSpecies) {
+            return false;
+        }
+        rate = Math.max(0, Math.min(5, Number(rate) || 0));
+        if (!this.conversionMatrix) {
+            if (rate === 0) return true;
+            this.conversionMatrix = this.createFilledMatrix(0);
+        }
+        this.conversionMatrix[fromSpecies][toSpecies] = rate;
+        this.dropEmptyConversionMatrix();
+        this.markParametersChanged();
+        return true;
+    }
+    
+    getConversionRate(fromSpecies, toSpecies) {
+        return this.conversionMatrix?.[fromSpecies]?.[toSpecies] ?? 0;
+    }
+    
+    // Rock-paper-scissors style cycle: each species converts into the next one
+    setCyclicConversions(rate) {
+        this.conversionMatrix = null;
+        if (this.numSpecies < 2) return;
+        for (let i = 0; i < this.numSpecies; i++) {
+            this.setConversionRate(i, (i + 1) % this.numSpecies, rate);
+        }
+        this.markParametersChanged();
+    }
+    
+    clearConversions() {
+        this.conversionMatrix = null;
+        this.markParametersChanged();
+    }
+    
+    setConversionThreshold(count) {
+        this.conversionThreshold = Math.max(1, Math.min(10, Math.round(count) || 1));
+        this.markParametersChanged();
+    }
+    
+    dropEmptyConversionMatrix() {
+        if (this.conversionMatrix && this.conversionMatrix.every(row => row.every(rate => !rate))) {
+            this.conversionMatrix = null;
+        }
+    }
+    
+    // Species a particle converts into this step given its contact counts, or -1
+    pickConversion(species, contacts, dt) {
+        const rates = this.conversionMatrix[species];
+        if (!rates) return -1;
+        for (let target = 0; target < rates.length; target++) {
+            const rate = rates[target];
+            if (rate > 0 && target !== species && contacts[target] >= this.conversionThreshold &&
+                this.random() < 1 - Math.exp(-rate * dt)) {
+                return target;
+            }
+        }
+        return -1;
+    }
+    
+    // Let particles of two species bond on contact; null stops them bonding
+    // and dissolves their existing bonds
+    setBondRule(speciesA, speciesB, rule) {
+        if (speciesA >= this.numSpecies || speciesB >= this.numSpecies) {
+            return false;
+        }
+        const key = bondRuleKey(speciesA, speciesB);
+        if (rule === null) {
+            delete this.bondRules[key];
+        } else {
+            this.bondRules[key] = normalizeBondRule({ ...this.bondRules[key], ...rule });
+        }
+        this.markParametersChanged();
+        return true;
+    }
+    
+    getBondRule(speciesA, speciesB) {
+        return this.bondRules[bondRuleKey(speciesA, speciesB)] || null;
+    }
+    
+    hasBondRules() {
+        return Object.keys(this.bondRules).length > 0;
+    }
+    
+    setMaxBonds(count) {
+        this.maxBonds = Math.max(0, Math.min(8, Math.round(count) || 0));
+        this.markParametersChanged();
+    }
+    
+    clearBonds() {
+        this.bonds = [];
+    }
+    
+    // Spring forces for the existing bonds, dropping any stretched past breaking
+    // point or whose pair no longer has a rule. Returns per-particle accelerations
+    // and bond counts for this step, or null when no bonds can exist.
+    prepareBonds() {
+        if (this.bondParticles !== this.particles) {
+            // The indices refer to a particle set that has since been replaced
+            this.bonds = [];
+            this.bondParticles = this.particles;
+        }
+        if (this.bonds.length === 0 && !this.hasBondRules()) {
+            return null;
+        }
+        
+        const particles = this.particles;
+        const n = particles.length;
+        const forces = new Float32Array(n * 2);
+        const counts = new Uint8Array(n);
+        const linked = new Set(); // a * n + b for every bonded pair with a < b
+        
+        // Rule lookup by species pair, so the neighbour loop avoids string keys
+        const rules = [];
+        for (let i = 0; i < this.numSpecies; i++) {
+            rules.push([]);
+            for (let j = 0; j < this.numSpecies; j++) {
+                rules[i].push(this.bondRules[bondRuleKey(i, j)] || null);
+            }
+        }
+        
+        const bonds = this.bonds;
+        let kept = 0;
+        for (let k = 0; k < bonds.length; k += 2) {
+            const a = bonds[k];
+            const b = bonds[k + 1];
+            const pa = particles[a];
+            const pb = particles[b];
+            const rule = pa && pb ? rules[pa.species]?.[pb.species] : null;
+            if (!rule) continue;
+            
+            let dx = pb.x - pa.x;
+            let dy = pb.y - pa.y;
+            if (this.wrapsPair(pa.species, pb.species)) {
+                const toroidal = this.getToroidalDistance(pa, pb);
+                dx = toroidal.dx;
+                dy = toroidal.dy;
+            }
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > rule.restLength * rule.breakRatio) continue;
+            
+            if (dist > 0.01) {
+                const ux = dx / dist;
+                const uy = dy / dist;
+                // Hooke's law plus damping of the stretching speed
+                const stretchSpeed = (pb.vx - pa.vx) * ux + (pb.vy - pa.vy) * uy;
+                const F = rule.stiffness * (dist - rule.restLength) + rule.damping * stretchSpeed;
+                forces[a * 2] += F * ux;
+                forces[a * 2 + 1] += F * uy;
+                forces[b * 2] -= F * ux;
+                forces[b * 2 + 1] -= F * uy;
+            }
+            
+            counts[a]++;
+            counts[b]++;
+            linked.add(a < b ? a * n + b : b * n + a);
+            bonds[kept++] = a;
+            bonds[kept++] = b;
+        }
+        bonds.length = kept;
+        
+        return { forces, counts, linked, rules, n };
+    }
+    
+    // Number of particles of each species
+    getSpeciesCounts() {
+        const counts = new Array(this.numSpecies).fill(0);
+        for (const p of this.particles) {
+            if (p.species < this.numSpecies) {
+                counts[p.species]++;
+            }
+        }
+        return counts;
+    }
+    
+    // Add an obstacle ({ type: 'circle' | 'rect' | 'polygon', ... }); returns its index or -1
+    addObstacle(obstacle) {
+        const normalized = normalizeObstacle(obstacle);
+        if (!normalized) {
+            return -1;
+        }
+        // Replace rather than mutate the list so the bounds cache and worker sync see the change
+        this.obstacles = [...this.obstacles, normalized];
+        this.markParametersChanged();
+        return this.obstacles.length - 1;
+    }
+    
+    removeObstacle(index) {
+        if (index < 0 || index >= this.obstacles.length) {
+            return false;
+        }
+        this.obstacles = this.obstacles.filter((_, i) => i !== index);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    clearObstacles() {
+        this.obstacles = [];
+        this.markParametersChanged();
+    }
+    
+    setObstacles(obstacles) {
+        this.obstacles = (obstacles || []).map(normalizeObstacle).filter(Boolean);
+        this.markParametersChanged();
+    }
+    
+    // Let one species move through an obstacle as if it weren't there
+    setObstaclePassThrough(index, species, passes) {
+        const obstacle = this.obstacles[index];
+        if (!obstacle) {
+            return false;
+        }
+        const passThrough = [...obstacle.passThrough];
+        passThrough[species] = !!passes;
+        for (let i = 0; i < passThrough.length; i++) {
+            passThrough[i] = !!passThrough[i];
+        }
+        this.obstacles = this.obstacles.map((o, i) => i === index ? { ...o, passThrough } : o);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    // Index of the topmost obstacle containing the point, or -1
+    findObstacleAt(x, y) {
+        const normal = { x: 0, y: 0 };
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            if (obstacleDistance(this.obstacles[i], x, y, normal) <= 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    
+    // Obstacles with their bounding boxes, rebuilt only when the list is replaced
+    getObstacleBoundsList() {
+        const cache = this.obstacleBoundsCache;
+        if (cache.source !== this.obstacles) {
+            cache.source = this.obstacles;
+            cache.list = this.obstacles.map(obstacle => ({ obstacle, ...getObstacleBounds(obstacle) }));
+        }
+        return cache.list;
+    }
+    
+    setArena(arena) {
+        this.arena = normalizeArena(arena);
+        this.markParametersChanged();
+    }
+    
+    // Pixel geometry of the arena, rebuilt only when the arena or canvas size changes
+    getArenaGeometry() {
+        if (!this.arena) {
+            return null;
+        }
+        const cache = this.arenaCache;
+        if (cache.source !== this.arena || cache.width !== this.width || cache.height !== this.height) {
+            cache.source = this.arena;
+            cache.width = this.width;
+            cache.height = this.height;
+            cache.geometry = buildArenaGeometry(this.arena, this.width, this.height);
+        }
+        return cache.geometry;
+    }
+    
+    // Whether a point lies inside the arena (the whole canvas without one,
+    // or when the edges aren't plain walls)
+    isInsideArena(x, y) {
+        const geometry = this.getTopology() === 'bounded' ? this.getArenaGeometry() : null;
+        return !geometry || arenaDistance(geometry, x, y, this.obstacleNormal) > 0;
+    }
+    
+    // Mass-weighted contact impulses between overlapping particles. Approaching
+    // pairs bounce apart with the restitution coefficient and overlapping pairs
+    // are eased apart; each pair gets equal and opposite impulses, so momentum
+    // is conserved. Runs once everyone has moved, on a rebuilt grid.
+    resolveCollisions(topology) {
+        this.updateSpatialGrid();
+        const particles = this.particles;
+        
+        for (let i = 0; i < particles.length; i++) {
+            const p1 = particles[i];
+            const species1 = this.species[p1.species];
+            if (!species1) continue;
+            const radius1 = species1.size || this.particleSize;
+            const invMass1 = 1 / (species1.mass || 1);
+            
+            const nearbyIndices = this.getNearbyParticles(i);
+            for (let k = 0; k < nearbyIndices.length; k++) {
+                const j = nearbyIndices[k];
+                // Each pair once, and never against a mirror image
+                if (j <= i || (topology === 'mirror' && this.nearbyImages[k])) continue;
+                
+                const p2 = particles[j];
+                const species2 = this.species[p2.species];
+                if (!species2) continue;
+                
+                let dx, dy, dist2;
+                if (this.wrapsPair(p1.species, p2.species)) {
+                    const toroidal = this.getToroidalDistance(p1, p2);
+                    dx = toroidal.dx;
+                    dy = toroidal.dy;
+                    dist2 = toroidal.dist2;
+                } else {
+                    dx = p2.x - p1.x;
+                    dy = p2.y - p1.y;
+                    dist2 = dx * dx + dy * dy;
+                }
+                
+                const collisionR = (radius1 + (species2.size || this.particleSize) + this.collisionOffset) * this.collisionMultiplier;
+                if (dist2 >= collisionR * collisionR || dist2 < 0.01) continue;
+                
+                const dist = Math.sqrt(dist2);
+                const nx = dx / dist;
+                const ny = dy / dist;
+                const invMass2 = 1 / (species2.mass || 1);
+                
+                // Negative closing speed means the pair is approaching
+                const closing = (p2.vx - p1.vx) * nx + (p2.vy - p1.vy) * ny;
+                const target = Math.max(-this.restitution * closing, CONTACT_BIAS * (collisionR - dist));
+                const impulse = (target - closing) / (invMass1 + invMass2);
+                if (impulse <= 0) continue;
+                
+                p1.vx -= impulse * invMass1 * nx;
+                p1.vy -= impulse * invMass1 * ny;
+                p2.vx += impulse * invMass2 * nx;
+                p2.vy += impulse * invMass2 * ny;
+            }
+        }
+    }
+    
+    // In bounded topology a species set to 'wrap' still crosses the edges, so
+    // flag it for the seam-aware neighbour search and pair distances
+    updateSeamSpecies(topology) {
+        let seam = null;
+        if (topology === 'bounded') {
+            for (let s = 0; s < this.numSpecies; s++) {
+                if (this.species[s]?.wallMode === 'wrap') {
+                    seam = seam || new Uint8Array(this.numSpecies);
+                    seam[s] = 1;
+                }
+            }
+        }
+        this.seamSpecies = seam;
+    }
+    
+    // Whether two species meet across the wrapping edges. In bounded topology
+    // both must wrap - a bouncing particle never reaches the far side, so it
+    // doesn't feel a wrapping one through the wall either.
+    wrapsPair(s1, s2) {
+        if (this.wrapAroundWalls) {
+            return true;
+        }
+        const seam = this.seamSpecies;
+        return seam !== null && seam[s1] === 1 && seam[s2] === 1;
+    }
+    
+    // Edge handling for a species wall mode under the current topology
+    getSpeciesEdges(wallMode, topology) {
+        switch (wallMode) {
+            case 'bounce':
+                return WRAPPING_TOPOLOGIES.includes(topology) ? 'bounded' : topology;
+            case 'wrap':
+                return WRAPPING_TOPOLOGIES.includes(topology) ? topology : 'torus';
+            case 'absorb':
+                return 'absorb';
+        }
+        return topology;
+    }
+    
+    // Whether a particle has reached the canvas edge or the arena wall
+    isPastWall(p, arenaGeometry) {
+        const radius = this.particleSize * (this.species[p.species]?.sizeMultiplier || 1.0);
+        if (arenaGeometry) {
+            return arenaDistance(arenaGeometry, p.x, p.y, this.obstacleNormal) < radius;
+        }
+        return p.x < radius || p.x > this.width - radius || p.y < radius || p.y > this.height - radius;
+    }
+    
+    // Wrap a particle across a twisted edge: crossing it mirrors the other
+    // coordinate and velocity component. Möbius keeps walls at top and bottom.
+    wrapTwisted(p, dt, topology) {
+        if (p.x < 0 || p.x >= this.width) {
+            p.x += p.x < 0 ? this.width : -this.width;
+            if (topology === 'mobius') {
+                p.y = this.height - p.y;
+                p.vy = -p.vy;
+            }
+        }
+        if (topology === 'mobius') {
+            this.applyEdgeWalls(p, dt, false, true);
+            return;
+        }
+        if (p.y < 0 || p.y >= this.height) {
+            p.y += p.y < 0 ? this.height : -this.height;
+            p.x = this.width - p.x;
+            p.vx = -p.vx;
+            if (p.x >= this.width) p.x -= this.width; // x = 0 mirrors onto the far edge
+        }
+    }
+    
+    // Canvas walls: repulsive falloff near the edges, then a damped bounce.
+    // wallsX / wallsY pick which pairs of edges are walls.
+    applyEdgeWalls(p1, dt, wallsX, wallsY) {
+        // Apply repulsive force near edges - improved smooth falloff
+        if (this.repulsiveForce > 0) {
+            const repulsiveZone = Math.max(30, this.particleSize * 5); // Adaptive zone based on particle size
+            let repulsiveFx = 0, repulsiveFy = 0;
+            
+            if (wallsX) {
+                // Left edge repulsion - smooth exponential falloff
+                if (p1.x < repulsiveZone) {
+                    const intensity = Math.pow((repulsiveZone - p1.x) / repulsiveZone, 2);
+                    repulsiveFx += this.repulsiveForce * intensity * 15;
+                }
+                // Right edge repulsion
+                if (p1.x > this.width - repulsiveZone) {
+                    const intensity = Math.pow((p1.x - (this.width - repulsiveZone)) / repulsiveZone, 2);
+                    repulsiveFx -= this.repulsiveForce * intensity * 15;
+                }
+            }
+            if (wallsY) {
+                // Top edge repulsion
+                if (p1.y < repulsiveZone) {
+                    const intensity = Math.pow((repulsiveZone - p1.y) / repulsiveZone, 2);
+                    repulsiveFy += this.repulsiveForce * intensity * 15;
+                }
+                // Bottom edge repulsion
+                if (p1.y > this.height - repulsiveZone) {
+                    const intensity = Math.pow((p1.y - (this.height - repulsiveZone)) / repulsiveZone, 2);
+                    repulsiveFy -= this.repulsiveForce * intensity * 15;
+                }
+            }
+            
+            // Apply repulsive forces with species-specific mobility consideration
+            const mobilityFactor = this.species[p1.species]?.mobility || 1.0;
+            p1.vx += repulsiveFx * dt * mobilityFactor;
+            p1.vy += repulsiveFy * dt * mobilityFactor;
+        }
+        
+        // Traditional wall collisions with damping - improved boundary detection
+        const effectiveSize = this.particleSize * (this.species[p1.species]?.sizeMultiplier || 1.0);
+        
+        if (wallsX && (p1.x < effectiveSize || p1.x > this.width - effectiveSize)) {
+            p1.vx *= -this.wallDamping;
+            p1.x = Math.max(effectiveSize, Math.min(this.width - effectiveSize, p1.x));
+            // Add slight random angle to prevent particles getting stuck in corners
+            p1.vy += (this.random() - 0.5) * 0.1;
+        }
+        if (wallsY && (p1.y < effectiveSize || p1.y > this.height - effectiveSize)) {
+            p1.vy *= -this.wallDamping;
+            p1.y = Math.max(effectiveSize, Math.min(this.height - effectiveSize, p1.y));
+            // Add slight random angle to prevent particles getting stuck in corners
+            p1.vx += (this.random() - 0.5) * 0.1;
+        }
+    }
+    
+    // Keep a particle inside a shaped arena: bounce off the wall along its
+    // normal, with the same damping and repulsive falloff as the canvas walls
+    applyArena(p, dt, geometry) {
+        const radius = this.particleSize * (this.species[p.species]?.sizeMultiplier || 1.0);
+        const repulsiveZone = Math.max(30, this.particleSize * 5);
+        const normal = this.obstacleNormal;
+        const dist = arenaDistance(geometry, p.x, p.y, normal);
+        
+        if (dist < radius) {
+            p.x += normal.x * (radius - dist);
+            p.y += normal.y * (radius - dist);
+            const vn = p.vx * normal.x + p.vy * normal.y;
+            if (vn < 0) {
+                p.vx -= (1 + this.wallDamping) * vn * normal.x;
+                p.vy -= (1 + this.wallDamping) * vn * normal.y;
+            }
+        } else if (this.repulsiveForce > 0 && dist < repulsiveZone) {
+            const intensity = Math.pow((repulsiveZone - dist) / repulsiveZone, 2);
+            const mobilityFactor = this.species[p.species]?.mobility || 1.0;
+            p.vx += normal.x * this.repulsiveForce * intensity * 15 * dt * mobilityFactor;
+            p.vy += normal.y * this.repulsiveForce * intensity * 15 * dt * mobilityFactor;
+        }
+        
+        // Shapes can reach the canvas edge - never let a particle leave the canvas
+        p.x = Math.max(radius, Math.min(this.width - radius, p.x));
+        p.y = Math.max(radius, Math.min(this.height - radius, p.y));
+    }
+    
+    // Collide a particle with the obstacles it can't pass through, and push it
+    // away from those with a repulsive falloff
+    applyObstacles(p, dt, obstacleList) {
+        const radius = this.particleSize * (this.species[p.species]?.sizeMultiplier || 1.0);
+        const repulsiveZone = Math.max(30, this.particleSize * 5); // Same falloff range as the walls
+        const normal = this.obstacleNormal;
+        
+        for (let k = 0; k < obstacleList.length; k++) {
+            const entry = obstacleList[k];
+            const obstacle = entry.obstacle;
+            if (obstacle.passThrough[p.species]) {
+                continue;
+            }
+            
+            const reach = radius + (obstacle.repulsion > 0 ? repulsiveZone : 0);
+            if (p.x < entry.minX - reach || p.x > entry.maxX + reach ||
+                p.y < entry.minY - reach || p.y > entry.maxY + reach) {
+                continue;
+            }
+            
+            const dist = obstacleDistance(obstacle, p.x, p.y, normal);
+            if (dist < radius) {
+                // Move back onto the surface and reflect the inward velocity
+                p.x += normal.x * (radius - dist);
+                p.y += normal.y * (radius - dist);
+                const vn = p.vx * normal.x + p.vy * normal.y;
+                if (vn < 0) {
+                    p.vx -= (1 + this.wallDamping) * vn * normal.x;
+                    p.vy -= (1 + this.wallDamping) * vn * normal.y;
+                }
+            } else if (obstacle.repulsion > 0 && dist < reach) {
+                const intensity = Math.pow((reach - dist) / repulsiveZone, 2);
+                const mobilityFactor = this.species[p.species]?.mobility || 1.0;
+                p.vx += normal.x * obstacle.repulsion * intensity * 15 * dt * mobilityFactor;
+                p.vy += normal.y * obstacle.repulsion * intensity * 15 * dt * mobilityFactor;
+            }
+        }
+    }
+    
+    // Force function for a pair's curve, rebaking its lookup table only when the points change
+    getCurveForce(key) {
+        const points = this.forceCurves[key];
+        if (!points) return null;
+        
+        let cached = this.forceCurveCache.get(key);
+        if (!cached || cached.points !== points) {
+            cached = { points, force: createCurveForce(buildForceCurveLUT(points)) };
+            this.forceCurveCache.set(key, cached);
+        }
+        return cached.force;
+    }
+    
+    // Resolve law names to force functions once per step, falling back to the
+    // default law for names that aren't registered (e.g. a plugin not loaded)
+    buildForceLawTable() {
+        const resolve = (name) => {
+            const law = getForceLaw(name);
+            if (law) return law.force;
+            if (!this.warnedForceLaws.has(name)) {
+                this.warnedForceLaws.add(name);
+                console.warn(`Force law "${name}" is not registered, using ${DEFAULT_FORCE_LAW}`);
+            }
+            return getForceLaw(DEFAULT_FORCE_LAW).force;
+        };
+        
+        const presetLaw = resolve(this.forceLaw);
+        const table = [];
+        for (let i = 0; i < this.numSpecies; i++) {
+            table[i] = [];
+            for (let j = 0; j < this.numSpecies; j++) {
+                const pairLaw = this.forceLawMatrix?.[i]?.[j];
+                table[i][j] = this.getCurveForce(`${i}-${j}`) || (pairLaw ? resolve(pairLaw) : presetLaw);
+            }
+        }
+        return table;
+    }
+    
+    resizeSpeciesArray(oldCount, newCount) {
+        // Preserve existing species configurations
+        const oldSpecies = [...this.species];
+        this.species = [];
+        
+        for (let i = 0; i < newCount; i++) {
+            if (i < oldCount && oldSpecies[i]) {
+                // Keep existing species configuration but ensure size is synchronized
+                this.species[i] = { ...oldSpecies[i] };
+                // Ensure size is updated if not per-species mode
+                if (!this.perSpeciesSize) {
+                    this.species[i].size = this.particleSize;
+                }
+                // Ensure color is properly set (fix undefined color issue)
+                if (!this.species[i].color || typeof this.species[i].color !== 'object' || 
+                    this.species[i].color.r === undefined || this.species[i].color.g === undefined || this.species[i].color.b === undefined) {
+                    this.species[i].color = this.generateSpeciesColor(i);
+                }
+                // Ensure advanced properties are set (fix missing mobility/inertia)
+                if (this.species[i].mobility === undefined) {
+                    this.species[i].mobility = 1.5; // Default center value
+                }
+                if (this.species[i].inertia === undefined) {
+                    this.species[i].inertia = 0.85; // Default center value
+                }
+                if (this.species[i].opacity === undefined) {
+                    this.species[i].opacity = 0.8 + this.random() * 0.2;
+                }
+            } else {
+                // Create new species with default configuration
+                this.species[i] = {
+                    color: this.generateSpeciesColor(i),
+                    size: this.particleSize + (this.perSpeciesSize ? (this.random() - 0.5) * this.particleSize * 0.5 : 0),
+                    opacity: 0.8 + this.random() * 0.2,
+                    particleCount: this.particlesPerSpecies,
+                    mobility: 1.5, // Default center value
+                    inertia: 0.85, // Default center value
+                    startPosition: {
+                        type: 'cluster',
+                        center: { x: 0.5, y: 0.5 },
+                        radius: 0.2
+                    }
+                };
+            }
+        }
+    }
+    
+    generateSpeciesColor(index) {
+        // Generate consistent colors for species
+        const hue = (index * 137.5) % 360; // Golden angle spacing
+        // Convert HSL to RGB object for consistency
+        return this.hslToRgb(hue, 70, 60);
+    }
+    
+    // Color conversion utilities
+    hslToRgb(h, s, l) {
+        s /= 100;
+        l /= 100;
+        const c = (1 - Math.abs(2 * l - 1)) * s;
+        const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+        const m = l - c / 2;
+        let r, g, b;
+        
+        if (0 <= h && h < 60) {
+            r = c; g = x; b = 0;
+        } else if (60 <= h && h < 120) {
+            r = x; g = c; b = 0;
+        } else if (120 <= h && h < 180) {
+            r = 0; g = c; b = x;
+        } else if (180 <= h && h < 240) {
+            r = 0; g = x; b = c;
+        } else if (240 <= h && h < 300) {
+            r = x; g = 0; b = c;
+        } else if (300 <= h && h < 360) {
+            r = c; g = 0; b = x;
+        }
+        
+        return {
+            r: Math.round((r + m) * 255),
+            g: Math.round((g + m) * 255),
+            b: Math.round((b + m) * 255)
+        };
+    }
+    
+    hexToRgb(hex) {
+        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+        return result ? {
+            r: parseInt(result[1], 16),
+            g: parseInt(result[2], 16),
+            b: parseInt(result[3], 16)
+        } : null;
+    }
+    
+    rgbToHex(r, g, b) {
+        return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+    }
+    
+    getSpeciesName(index) {
+        if (!this.species[index]) return `Species ${index + 1}`;
+        
+        const color = this.species[index].color;
+        if (!color) return `Species ${index + 1}`;
+        
+        // Calculate dominant color component
+        const r = color.r || 0;
+        const g = color.g || 0;
+        const b = color.b || 0;
+        
+        // Calculate hue from RGB
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const delta = max - min;
+        
+        if (delta === 0) {
+            // Grayscale
+            if (max > 200) return 'White';
+            if (max > 100) return 'Gray';
+            return 'Black';
+        }
+        
+        let hue = 0;
+        if (max === r) {
+            hue = ((g - b) / delta) % 6;
+        } else if (max === g) {
+            hue = (b - r) / delta + 2;
+        } else {
+            hue = (r - g) / delta + 4;
+        }
+        hue = Math.round(hue * 60);
+        if (hue < 0) hue += 360;
+        
+        // Map hue to color names
+        if (hue >= 0 && hue < 15) return 'Red';
+        if (hue >= 15 && hue < 45) return 'Orange';
+        if (hue >= 45 && hue < 65) return 'Yellow';
+        if (hue >= 65 && hue < 150) return 'Green';
+        if (hue >= 150 && hue < 190) return 'Cyan';
+        if (hue >= 190 && hue < 250) return 'Blue';
+        if (hue >= 250 && hue < 290) return 'Purple';
+        if (hue >= 290 && hue < 330) return 'Magenta';
+        if (hue >= 330 && hue <= 360) return 'Red';
+        
+        return `Species ${index + 1}`;
+    }
+    
+    // Per-species overrides of global physics. Unset values follow the globals:
+    // maxSpeed 0 doesn't clamp, a null wallMode follows the topology, and the
+    // multipliers scale noise, shockwaves and center pressure (1 = unchanged).
+    setSpeciesOverrides(index, { maxSpeed, wallMode, noiseMultiplier, shockwaveMultiplier, pressureMultiplier } = {}) {
+        const species = this.species[index];
+        if (!species) {
+            return;
+        }
+        const multiplier = (value) => {
+            const number = Number(value ?? 1);
+            return Number.isFinite(number) ? Math.max(0, Math.min(MAX_RESPONSE, number)) : 1;
+        };
+        species.maxSpeed = Math.max(0, Math.min(50, Number(maxSpeed) || 0)); // Pixels per 60Hz frame
+        species.wallMode = SPECIES_WALL_MODES.includes(wallMode) ? wallMode : null;
+        species.noiseMultiplier = multiplier(noiseMultiplier);
+        species.shockwaveMultiplier = multiplier(shockwaveMultiplier);
+        species.pressureMultiplier = multiplier(pressureMultiplier);
+        this.markParametersChanged();
+    }
+    
+    normalizeColor(color) {
+        // Ensure color is in RGB object format
+        if (typeof color === 'string') {
+            if (color.startsWith('#')) {
+                return this.hexToRgb(color);
+            } else if (color.startsWith('hsl')) {
+                // Parse HSL string and convert
+                const hslMatch = color.match(/hsl\((\d+),\s*(\d+)%,\s*(\d+)%\)/);
+                if (hslMatch) {
+                    return this.hslToRgb(parseInt(hslMatch[1]), parseInt(hslMatch[2]), parseInt(hslMatch[3]));
+                }
+            }
+        }
+        return color; // Already RGB object
+    }
+    
+    initializeSpecies() {
+        // Create visually distinct species with unique properties
+        const baseColors = [
+            { r: 255, g: 100, b: 100, name: 'Red' },    // Warm red
+            { r: 100, g: 255, b: 100, name: 'Green' },  // Bright green
+            { r: 100, g: 150, b: 255, name: 'Blue' },   // Cool blue
+            { r: 255, g: 200, b: 100, name: 'Yellow' }, // Warm yellow
+            { r: 255, g: 100, b: 255, name: 'Purple' }  // Vibrant purple
+        ];
+        
+        this.species = []; // Clear existing species
+        for (let i = 0; i < this.numSpecies; i++) {
+            const baseColor = baseColors[i % baseColors.length];
+            this.species[i] = {
+                color: { r: baseColor.r, g: baseColor.g, b: baseColor.b },
+                name: baseColor.name,
+                size: this.particleSize + (this.random() - 0.5) * this.particleSize * 0.5, // Vary species size ±25%
+                opacity: 0.8 + this.random() * 0.2, // Vary particle opacity
+                particleCount: this.particlesPerSpecies,
+                mobility: 1.5, // Speed multiplier (default center)
+                inertia: 0.85, // Individual friction (default center)
+                startPosition: {
+                    type: this.startPattern || 'cluster',
+                    center: { x: 0.5, y: 0.5 },
+                    radius: 0.2
+                }
+            };
+            
+            // Ensure size is always positive and reasonable
+            this.species[i].size = Math.max(0.5, Math.min(10, this.species[i].size));
+        }
+        
+        // Reinitialize force matrices for new species count with improved ranges
+        this.collisionRadius = this.createMatrix(10, 35); // Expanded range for better clustering
+        this.socialRadius = this.createMatrix(40, 200);   // Wider social interactions
+        this.collisionForce = this.createMatrix(-2, -0.3); // Stronger collision forces
+        this.socialForce = this.createAsymmetricMatrix();  // Enhanced clustering patterns
+        this.markParametersChanged();
+    }
+    
+    createMatrix(min, max) {
+        const matrix = [];
+        for (let i = 0; i < this.numSpecies; i++) {
+            matrix[i] = [];
+            for (let j = 0; j < this.numSpecies; j++) {
+                matrix[i][j] = min + this.random() * (max - min);
+            }
+        }
+        return matrix;
+    }
+    
+    // Species x species matrix of nulls, for optional per-pair settings
+    createNullMatrix() {
+        return this.createFilledMatrix(null);
+    }
+    
+    createFilledMatrix(value) {
+        return Array.from({ length: this.numSpecies }, () => new Array(this.numSpecies).fill(value));
+    }
+    
+    createAsymmetricMatrix() {
+        const matrix = [];
+        
+        // Enhanced pattern generation inspired by "clusters" project
+        const generatePatternRow = (rowIndex, numSpecies) => {
+            const row = new Array(numSpecies);
+            
+            // Create sophisticated clustering patterns for complex emergent behaviors
+            for (let j = 0; j < numSpecies; j++) {
+                if (rowIndex === j) {
+                    // Self-interaction: mild cohesion to promote clustering
+                    row[j] = 0.3 + this.random() * 0.8; // 0.3-1.1 range for gentle self-attraction
+                } else {
+                    const speciesDist = Math.abs(j - rowIndex);
+                    const cyclicDist = Math.min(speciesDist, numSpecies - speciesDist);
+                    const relationship = (j - rowIndex + numSpecies) % numSpecies;
+                    
+                    // Create multi-layered interaction patterns
+                    if (cyclicDist === 1) {
+                        // Adjacent species: strong predator-prey dynamics
+                        if (relationship === 1) {
+                            // Hunt the next species - strong attraction with some variation
+                            row[j] = 1.8 + this.random() * 1.4; // 1.8-3.2 range
+                        } else {
+                            // Flee from the previous species - strong repulsion
+                            row[j] = -2.2 - this.random() * 1.3; // -3.5 to -2.2 range
+                        }
+                    } else if (cyclicDist === 2) {
+                        // Species two steps away: moderate interactions for clustering
+                        const clusterBias = this.random() > 0.6 ? 1 : -1;
+                        row[j] = clusterBias * (0.8 + this.random() * 1.2); // ±0.8-2.0 range
+                    } else if (cyclicDist <= Math.ceil(numSpecies / 4)) {
+                        // Close species: create cluster formation tendencies
+                        const attractionBias = this.random() > 0.3 ? 1 : -1;
+                        row[j] = attractionBias * (0.4 + this.random() * 1.1); // ±0.4-1.5 range
+                    } else if (cyclicDist <= Math.ceil(numSpecies / 2)) {
+                        // Medium distance: mixed interactions for dynamic patterns
+                        row[j] = -0.5 + this.random() * 2.0; // -0.5 to 1.5 range
+                    } else {
+                        // Distant species: weak interactions to maintain system coherence
+                        row[j] = -0.3 + this.random() * 0.8; // -0.3 to 0.5 range
+                    }
+                }
+            }
+            return row;
+        };
+        
+        for (let i = 0; i < this.numSpecies; i++) {
+            matrix[i] = generatePatternRow(i, this.numSpecies);
+            
+            // Add controlled randomness for emergent complexity
+            for (let j = 0; j < this.numSpecies; j++) {
+                matrix[i][j] += (this.random() - 0.5) * 0.8; // Reduced randomness for more predictable clustering
+                matrix[i][j] = Math.max(-5, Math.min(5, matrix[i][j])); // Clamp to [-5,5] range
+            }
+        }
+        return matrix;
+    }
+    
+    createAsymmetricMatrixWithDistribution(edgeBias = 0.5) {
+        const matrix = [];
+        
+        // Helper function to generate edge-biased random values
+        const edgeBiasedRandom = (min, max, bias) => {
+            const range = max - min;
+            let random = this.random();
+            
+            if (bias > 0.5) {
+                // Bias towards edges (extreme values)
+                const edgeStrength = (bias - 0.5) * 2; // Map 0.5-1.0 to 0.0-1.0
+                
+                // Use power function to push values towards edges
+                if (this.random() < 0.5) {
+                    // Push towards minimum edge
+                    random = Math.pow(random, 1 + edgeStrength * 3);
+                } else {
+                    // Push towards maximum edge
+                    random = 1 - Math.pow(1 - random, 1 + edgeStrength * 3);
+                }
+            } else if (bias < 0.5) {
+                // Bias towards center (more uniform)
+                const centerStrength = (0.5 - bias) * 2; // Map 0.0-0.5 to 1.0-0.0
+                
+                // Use inverse power function to push values towards center
+                random = 0.5 + (random - 0.5) * Math.pow(Math.abs(random - 0.5) * 2, 1 - centerStrength * 0.8);
+            }
+            // If bias == 0.5, use uniform random (no modification needed)
+            
+            return min + random * range;
+        };
+        
+        // Dynamic pattern generation that works for any number of species
+        const generatePatternRow = (rowIndex, numSpecies, bias) => {
+            const row = new Array(numSpecies);
+            
+            // Create interesting predator-prey patterns that scale with species count
+            for (let j = 0; j < numSpecies; j++) {
+                if (rowIndex === j) {
+                    // Self-interaction: weak positive or neutral (scaled for [-5,5] range)
+                    row[j] = edgeBiasedRandom(0.5, 2.5, bias);
+                } else {
+                    // Different pattern types based on relationship (scaled for [-5,5] range)
+                    const relationship = (j - rowIndex + numSpecies) % numSpecies;
+                    
+                    if (relationship === 1) {
+                        // Chase next species (clockwise predator-prey) - strong attraction
+                        row[j] = edgeBiasedRandom(2.5, 4.5, bias);
+                    } else if (relationship === numSpecies - 1) {
+                        // Flee from previous species (avoid being prey) - strong repulsion
+                        row[j] = edgeBiasedRandom(-4.5, -1.5, bias);
+                    } else if (relationship <= numSpecies / 3) {
+                        // Neutral to moderate interactions for nearby species
+                        row[j] = edgeBiasedRandom(-0.5, 1.5, bias);
+                    } else if (relationship <= 2 * numSpecies / 3) {
+                        // Mixed interactions for middle-distance species
+                        row[j] = edgeBiasedRandom(-1.5, 1.5, bias);
+                    } else {
+                        // Moderate interactions for distant species
+                        row[j] = edgeBiasedRandom(-1.0, 1.0, bias);
+                    }
+                }
+            }
+            return row;
+        };
+        
+        for (let i = 0; i < this.numSpecies; i++) {
+            matrix[i] = generatePatternRow(i, this.numSpecies, edgeBias);
+            
+            // Add some randomness and ensure values stay in valid range
+            for (let j = 0; j < this.numSpecies; j++) {
+                matrix[i][j] += edgeBiasedRandom(-0.15, 0.15, edgeBias);
+                matrix[i][j] = Math.max(-1, Math.min(1, matrix[i][j]));
+            }
+        }
+        return matrix;
+    }
+    
+    // Force Pattern Presets - Creates specific ecological relationships
+    createForcePattern(patternType, edgeBias = 0.8, userParameters = {}) {
+        // Merge user parameters with defaults for this pattern
+        const defaultParams = PATTERN_DEFAULTS[patternType] || {};
+        const parameters = { ...defaultParams, ...userParameters };
+        
+        switch (patternType) {
+            case 'clusters':
+                return this.createClustersPattern(edgeBias, parameters);
+            case 'predator-prey':
+                return this.createPredatorPreyPattern(edgeBias, parameters);
+            case 'territorial':
+                return this.createTerritorialPattern(edgeBias, parameters);
+            case 'symbiotic':
+                return this.createSymbioticPattern(edgeBias, parameters);
+            case 'cyclic':
+                return this.createCyclicPattern(edgeBias, parameters);
+            case 'flocking':
+                return this.createFlockingPattern(edgeBias, parameters);
+            case 'random':
+            default:
+                return this.createAsymmetricMatrixWithDistribution(edgeBias);
+        }
+    }
+    
+    // Enhanced Clusters Pattern - Creates sophisticated stable cluster formations inspired by "clusters" project
+    createClustersPattern(edgeBias, parameters = {}) {
+        const matrix = [];
+        
+        for (let i = 0; i < this.numSpecies; i++) {
+            matrix[i] = new Array(this.numSpecies).fill(0);
+        }
+        
+        // Extract all parameters at the beginning
+        const cohesionStrength = parameters.cohesionStrength || 0.8;
+        const separationDistance = parameters.separationDistance || 0.5;
+        const formationBias = parameters.formationBias || 0.6;
+        
+        // Use configurable cluster type instead of random selection
+        const clusterTypes = ['orbital', 'layered', 'competitive_clustering', 'symbiotic_chains', 'hierarchical_rings'];
+        const chosenType = parameters.clusterType || clusterTypes[Math.floor(this.random() * clusterTypes.length)];
+        
+        for (let i = 0; i < this.numSpecies; i++) {
+            for (let j = 0; j < this.numSpecies; j++) {
+                if (i === j) {
+                    // Self-cohesion for cluster stability - scaled by cohesionStrength parameter
+                    const randomFactor = (1 - formationBias) * this.random() + formationBias * 0.5;
+                    
+                    let baseCohesion = 1.8; // Default base value
+                    
+                    switch (chosenType) {
+                        case 'orbital':
+                            baseCohesion = 1.8 + randomFactor * 0.8;
+                            break;
+                        case 'layered':
+                            // Layer-dependent cohesion
+                            const layer = i % 3;
+                            baseCohesion = 1.5 + layer * 0.4 + randomFactor * 0.6;
+                            break;
+                        case 'competitive_clustering':
+                            baseCohesion = 2.2 + randomFactor * 1.0;
+                            break;
+                        case 'symbiotic_chains':
+                            baseCohesion = 1.4 + randomFactor * 0.8;
+                            break;
+                        case 'hierarchical_rings':
+                            // Ring-based hierarchy
+                            const ringPos = i % Math.ceil(this.numSpecies / 3);
+                            baseCohesion = 1.6 + ringPos * 0.3 + randomFactor * 0.5;
+                            break;
+                    }
+                    
+                    matrix[i][j] = baseCohesion * cohesionStrength;
+                } else {
+                    const speciesDiff = Math.abs(i - j);
+                    const cyclicDist = Math.min(speciesDiff, this.numSpecies - speciesDiff);
+                    const relationship = (j - i + this.numSpecies) % this.numSpecies;
+                    
+                    switch (chosenType) {
+                        case 'orbital':
+                            // Create orbital patterns with attraction/repulsion zones
+                            // Use formationBias to control orbital tightness (0=loose, 1=tight)
+                            const orbitalTightness = 1 + formationBias * 2; // 1.0 to 3.0
+                            
+                            if (cyclicDist === 1) {
+                                // Adjacent species create orbital pairs
+                                // cohesionStrength affects attraction, separationDistance affects repulsion
+                                const attraction = (2.5 * cohesionStrength * orbitalTightness) + this.random() * 1.2;
+                                const repulsion = (-1.8 * (1 + separationDistance)) - this.random() * 0.8;
+                                matrix[i][j] = relationship === 1 ? attraction : repulsion;
+                            } else if (cyclicDist === 2) {
+                                // Secondary orbital influences - affected by formationBias
+                                matrix[i][j] = (0.4 * cohesionStrength * (1 - formationBias * 0.5)) + this.random() * 0.8;
+                            } else {
+                                // Distant repulsion maintains orbital separation
+                                matrix[i][j] = (-0.6 * (1 + separationDistance)) - this.random() * 0.4;
+                            }
+                            break;
+                            
+                        case 'layered':
+                            // Create layered cluster structures
+                            const iLayer = Math.floor(i / Math.ceil(this.numSpecies / 3));
+                            const jLayer = Math.floor(j / Math.ceil(this.numSpecies / 3));
+                            
+                            // formationBias controls layer density (0=spread out, 1=compact)
+                            const layerCompactness = 1 + formationBias * 1.5;
+                            
+                            if (iLayer === jLayer) {
+                                // Same layer: strong attraction scaled by cohesionStrength
+                                matrix[i][j] = (1.2 * cohesionStrength * layerCompactness) + this.random() * 1.0;
+                            } else if (Math.abs(iLayer - jLayer) === 1) {
+                                // Adjacent layers: interaction controlled by separationDistance
+                                const layerInteraction = 0.2 * (1 - separationDistance) * cohesionStrength;
+                                matrix[i][j] = layerInteraction + this.random() * 0.6;
+                            } else {
+                                // Distant layers: repulsion scaled by separationDistance
+                                matrix[i][j] = (-0.8 * (1 + separationDistance * 2)) - this.random() * 0.5;
+                            }
+                            break;
+                            
+                        case 'competitive_clustering':
+                            // Intra-cluster attraction, inter-cluster competition
+                            const clusterSize = Math.max(2, Math.floor(this.numSpecies / 3));
+                            const iCluster = Math.floor(i / clusterSize);
+                            const jCluster = Math.floor(j / clusterSize);
+                            
+                            // formationBias controls cluster aggression (0=peaceful, 1=competitive)
+                            const competitiveness = 1 + formationBias * 2;
+                            
+                            if (iCluster === jCluster) {
+                                // Same cluster: very strong attraction scaled by cohesionStrength
+                                matrix[i][j] = (2.0 * cohesionStrength * competitiveness) + this.random() * 1.5;
+                            } else {
+                                // Different clusters: repulsion scaled by separationDistance and formationBias
+                                const repulsionForce = -2.5 * (1 + separationDistance) * competitiveness;
+                                matrix[i][j] = repulsionForce - this.random() * 1.0;
+                            }
+                            break;
+                            
+                        case 'symbiotic_chains':
+                            // Create chain-like symbiotic relationships
+                            // cohesionStrength controls chain bond strength
+                            // formationBias controls chain flexibility (0=flexible, 1=rigid)
+                            const chainRigidity = 1 + formationBias * 1.5;
+                            
+                            if (cyclicDist === 1) {
+                                // Chain links - strong bonds scaled by parameters
+                                matrix[i][j] = (3.0 * cohesionStrength * chainRigidity) + this.random() * 1.0;
+                            } else if (cyclicDist === 2) {
+                                // Secondary chain influences - controlled by separationDistance
+                                const secondaryInfluence = -0.5 + (1 - separationDistance) * 1.5;
+                                matrix[i][j] = secondaryInfluence + this.random() * 1.2;
+                            } else {
+                                // Anti-clustering for chain separation
+                                matrix[i][j] = (-1.2 * (1 + separationDistance)) - this.random() * 0.8;
+                            }
+                            break;
+                            
+                        case 'hierarchical_rings':
+                            // Concentric ring structures with hierarchy
+                            const ringSize = Math.ceil(this.numSpecies / 3);
+                            const iRing = Math.floor(i / ringSize);
+                            const jRing = Math.floor(j / ringSize);
+                            const iPos = i % ringSize;
+                            const jPos = j % ringSize;
+                            
+                            // formationBias controls ring hierarchy strength (0=equal, 1=strict hierarchy)
+                            const hierarchyStrength = 1 + formationBias * 2;
+                            
+                            if (iRing === jRing) {
+                                // Same ring: orbital attraction
+                                const ringDist = Math.min(Math.abs(iPos - jPos), ringSize - Math.abs(iPos - jPos));
+                                if (ringDist === 1) {
+                                    // Adjacent in ring - strong attraction
+                                    matrix[i][j] = (2.8 * cohesionStrength * hierarchyStrength) + this.random() * 0.7;
+                                } else {
+                                    // Non-adjacent in ring - mild repulsion scaled by separationDistance
+                                    matrix[i][j] = (-0.3 * (1 + separationDistance)) + this.random() * 0.8;
+                                }
+                            } else {
+                                // Different rings: hierarchical interaction based on ring level
+                                const ringDiff = jRing - iRing;
+                                if (ringDiff === 1) {
+                                    // Outer attracts inner - scaled by hierarchy and cohesion
+                                    matrix[i][j] = (1.5 * cohesionStrength * hierarchyStrength) + this.random() * 0.8;
+                                } else if (ringDiff === -1) {
+                                    // Inner repels outer - scaled by separation
+                                    matrix[i][j] = (-0.8 * (1 + separationDistance)) - this.random() * 0.6;
+                                } else {
+                                    // Distant ring repulsion
+                                    matrix[i][j] = (-0.4 * (1 + separationDistance * 1.5)) - this.random() * 0.4;
+                                }
+                            }
+                            break;
+                    }
+                }
+                
+                // Enhanced edge bias with cluster-appropriate scaling
+                if (edgeBias > 0.5) {
+                    const edgeStrength = Math.pow((edgeBias - 0.5) * 2, 1.2);
+                    if (this.random() < 0.6) {
+                        if (matrix[i][j] > 0) {
+                            matrix[i][j] *= (1 + edgeStrength * 0.6); // Enhance attractions
+                        } else {
+                            matrix[i][j] *= (1 + edgeStrength * 0.4); // Moderate repulsion enhancement
+                        }
+                    }
+                }
+                
+                // Clamp to valid range
+                matrix[i][j] = Math.max(-5, Math.min(5, matrix[i][j]));
+            }
+        }
+        
+        // Note: separationDistance is now incorporated directly into each cluster type above
+        // This provides more nuanced control for each pattern type
+        
+        // Generated cluster pattern
+        return matrix;
+    }
+    
+    createPredatorPreyPattern(edgeBias, parameters = {}) {
+        const matrix = [];
+        for (let i = 0; i < this.numSpecies; i++) {
+            matrix[i] = new Array(this.numSpecies).fill(0);
+        }
+        
+        // Extract all parameters
+        const ecosystemType = parameters.ecosystemType || 'simple_chain';
+        const huntIntensity = parameters.huntIntensity || 3.0;
+        const escapeIntensity = parameters.escapeIntensity || 2.5;
+        const populationBalance = parameters.populationBalance || 0.4;
+        
+        // Create complex predator-prey ecosystem with multiple trophic levels
+        // Use populationBalance parameter: 0.2 = few predators, 0.8 = many predators
+        const numPredators = Math.max(1, Math.floor(this.numSpecies * populationBalance));
+        const numPrey = Math.max(1, Math.floor(this.numSpecies * (0.8 - populationBalance))); // Inverse relationship
+        const numOmnivores = Math.max(0, this.numSpecies - numPredators - numPrey); // Rest are omnivores
+        
+        // Assign roles
+        const roles = [];
+        for (let i = 0; i < numPredators; i++) roles.push('predator');
+        for (let i = 0; i < numPrey; i++) roles.push('prey');
+        for (let i = 0; i < numOmnivores; i++) roles.push('omnivore');
+        
+        // Shuffle roles for random assignment
+        for (let i = roles.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [roles[i], roles[j]] = [roles[j], roles[i]];
+        }
+        
+        // Create relationships based on roles
+        for (let i = 0; i < this.numSpecies; i++) {
+            for (let j = 0; j < this.numSpecies; j++) {
+                if (i === j) {
+                    // Self-attraction varies by role
+                    matrix[i][j] = roles[i] === 'prey' ? 1.5 + this.random() * 1.0 : // Prey flock strongly
+                                  roles[i] === 'predator' ? 0.5 + this.random() * 0.5 : // Predators mild flocking
+                                  0.8 + this.random() * 0.7; // Omnivores moderate flocking
+                } else {
+                    const role1 = roles[i];
+                    const role2 = roles[j];
+                    
+                    if (role1 === 'predator' && role2 === 'prey') {
+                        // Hunt intensity parameter controls predator attraction to prey
+                        const huntIntensity = parameters.huntIntensity || 3.0;
+                        matrix[i][j] = huntIntensity * (0.6 + this.random() * 0.4); // Scale base hunt drive
+                    } else if (role1 === 'prey' && role2 === 'predator') {
+                        // Escape intensity parameter controls prey repulsion from predators
+                        const escapeIntensity = parameters.escapeIntensity || 2.5;
+                        matrix[i][j] = -escapeIntensity * (1.0 + this.random() * 0.5); // Scale base fear response
+                    } else if (role1 === 'predator' && role2 === 'predator') {
+                        matrix[i][j] = -1.0 - this.random() * 1.5; // Territorial competition
+                    } else if (role1 === 'prey' && role2 === 'prey') {
+                        matrix[i][j] = 0.5 + this.random() * 1.0; // Mutual benefit
+                    } else if (role1 === 'omnivore' || role2 === 'omnivore') {
+                        // Omnivores have complex, mixed relationships
+                        matrix[i][j] = -1.0 + this.random() * 2.0; // Highly variable
+                    } else {
+                        matrix[i][j] = -0.2 + this.random() * 0.4; // Neutral
+                    }
+                }
+            }
+        }
+        
+        // Generated predator-prey pattern
+        return matrix;
+    }
+    
+    createTerritorialPattern(edgeBias, parameters = {}) {
+        // Extract all parameters at the beginning
+        const territorySize = parameters.territorySize || 0.3;
+        const boundaryStrength = parameters.boundaryStrength || 1.2;
+        const invasionResponse = parameters.invasionResponse || 2.0;
+        
+        const matrix = [];
+        
+        // Territory size affects self-attraction (larger territories = stronger cohesion)
+        // Enhanced scaling: smaller territories = tighter groups, larger = more spread
+        const baseCohesion = 0.8 + (territorySize * 3.0); // Scale: 0.1→1.1, 1.0→3.8
+        
+        for (let i = 0; i < this.numSpecies; i++) {
+            matrix[i] = new Array(this.numSpecies);
+            for (let j = 0; j < this.numSpecies; j++) {
+                if (i === j) {
+                    // Territorial cohesion influenced by territory size parameter
+                    matrix[i][j] = baseCohesion + this.random() * territorySize;
+                } else {
+                    // Boundary strength and invasion response control repulsion intensity
+                    // Enhanced scaling for more dramatic territorial effects
+                    const baseRepulsion = Math.pow(boundaryStrength, 1.2) * Math.pow(invasionResponse, 1.1);
+                    matrix[i][j] = -baseRepulsion * (0.7 + this.random() * 0.6);
+                }
+            }
+        }
+        
+        // Generated territorial pattern
+        
+        return matrix;
+    }
+    
+    createSymbioticPattern(edgeBias, parameters = {}) {
+        // Extract all parameters at the beginning
+        const cooperationStrength = parameters.cooperationStrength || 1.5;
+        const dependencyLevel = parameters.dependencyLevel || 0.7;
+        const mutualismType = parameters.mutualismType || 'obligate';
+        const competitionIntensity = parameters.competitionIntensity || 1.0;
+        
+        const matrix = [];
+        for (let i = 0; i < this.numSpecies; i++) {
+            matrix[i] = new Array(this.numSpecies).fill(0);
+        }
+        
+        // Create pairs that help each other, compete with others
+        const numPairs = Math.floor(this.numSpecies / 2);
+        
+        // Cooperation strength affects partner attraction (enhanced scaling)
+        // Higher dependency creates stronger mutual bonds
+        const baseCooperation = cooperationStrength * Math.pow(1.0 + dependencyLevel, 1.5);
+        
+        for (let p = 0; p < numPairs; p++) {
+            const species1 = p * 2;
+            const species2 = (p * 2 + 1) % this.numSpecies;
+            
+            // Mutual attraction between partners scaled by cooperation parameters
+            const mutualAttraction = baseCooperation * (0.8 + this.random() * 0.4);
+            matrix[species1][species2] = mutualAttraction;
+            matrix[species2][species1] = mutualAttraction;
+            
+            // Self-attraction varies by mutualism type and dependency
+            const selfAttraction = mutualismType === 'obligate' ? 
+                dependencyLevel * (0.3 + this.random() * 0.4) : // Obligate: lower self-attraction
+                (1.0 - dependencyLevel) * (0.5 + this.random() * 0.5); // Facultative: higher self-attraction
+            matrix[species1][species1] = selfAttraction;
+            matrix[species2][species2] = selfAttraction;
+        }
+        
+        // Competition with non-partners scaled by competition intensity
+        for (let i = 0; i < this.numSpecies; i++) {
+            for (let j = 0; j < this.numSpecies; j++) {
+                if (matrix[i][j] === 0 && i !== j) {
+                    // Check if they're partners
+                    const iPair = Math.floor(i / 2);
+                    const jPair = Math.floor(j / 2);
+                    
+                    if (iPair !== jPair) {
+                        // Competition between different pairs scaled by parameter
+                        const competition = competitionIntensity * (0.5 + this.random() * 1.5);
+                        matrix[i][j] = -competition;
+                    } else {
+                        // Neutral within same pair (non-partners in group)
+                        matrix[i][j] = -0.1 + this.random() * 0.2;
+                    }
+                }
+            }
+        }
+        
+        // Generated symbiotic pattern
+        
+        return matrix;
+    }
+    
+    createCyclicPattern(edgeBias, parameters = {}) {
+        // Extract all parameters at the beginning
+        const cycleSpeed = parameters.cycleSpeed || 1.0;
+        const dominanceStrength = parameters.dominanceStrength || 2.0;
+        const cycleComplexity = parameters.cycleComplexity || 'simple';
+        const stabilityFactor = parameters.stabilityFactor || 0.5;
+        
+        const matrix = [];
+        for (let i = 0; i < this.numSpecies; i++) {
+            matrix[i] = new Array(this.numSpecies).fill(0);
+        }
+        
+        // Cycle complexity affects step size (simple=1, complex=2+ steps)
+        const stepSize = cycleComplexity === 'simple' ? 1 : 
+                        cycleComplexity === 'complex' ? 2 : 
+                        Math.max(1, Math.floor(this.numSpecies / 3)); // Multi-level
+        
+        // Rock-paper-scissors style relationships with parameter control
+        for (let i = 0; i < this.numSpecies; i++) {
+            const dominates = (i + stepSize) % this.numSpecies;
+            const dominatedBy = (i - stepSize + this.numSpecies) % this.numSpecies;
+            
+            // Attraction to species it dominates (enhanced scaling for dramatic effect)
+            const huntStrength = Math.pow(dominanceStrength, 1.1) * Math.pow(cycleSpeed, 0.8) * (0.8 + this.random() * 0.7);
+            matrix[i][dominates] = huntStrength;
+            
+            // Repulsion from species that dominates it (asymmetric scaling for dynamic behavior)
+            const fleeStrength = Math.pow(dominanceStrength, 1.2) * (1.0 + cycleSpeed * 0.7) * (0.9 + this.random() * 0.5);
+            matrix[i][dominatedBy] = -fleeStrength;
+            
+            // Self-attraction scaled by stability factor
+            matrix[i][i] = stabilityFactor * (0.3 + this.random() * 0.5);
+            
+            // Neutral to other species (affected by cycle complexity)
+            const neutralRange = cycleComplexity === 'simple' ? 0.6 : 
+                               cycleComplexity === 'complex' ? 1.0 : 1.5;
+            for (let j = 0; j < this.numSpecies; j++) {
+                if (j !== i && j !== dominates && j !== dominatedBy && matrix[i][j] === 0) {
+                    matrix[i][j] = (-neutralRange/2) + this.random() * neutralRange;
+                }
+            }
+        }
+        
+        // Generated cyclic pattern
+        
+        return matrix;
+    }
+    
+    createFlockingPattern(edgeBias, parameters = {}) {
+        const flockType = parameters.flockType || 'schools';
+        const cohesion = parameters.flockCohesion ?? 0.5;
+        const spacing = parameters.flockSpacing ?? 0.8;
+        
+        // Loose attraction within a species keeps flocks together; the velocity
+        // matching itself comes from createFlockingAlignment()
+        const matrix = [];
+        for (let i = 0; i < this.numSpecies; i++) {
+            matrix[i] = [];
+            for (let j = 0; j < this.numSpecies; j++) {
+                if (i === j) {
+                    matrix[i][j] = cohesion * (0.8 + this.random() * 0.4);
+                } else if (flockType === 'mixed') {
+                    matrix[i][j] = (this.random() - 0.5) * spacing * 0.5;
+                } else {
+                    // Schools keep their distance from other species; opposing flocks more so
+                    const avoidance = flockType === 'opposing' ? 1.2 : 0.75;
+                    matrix[i][j] = -spacing * avoidance * (0.7 + this.random() * 0.6);
+                }
+            }
+        }
+        return matrix;
+    }
+    
+    createFlockingAlignment(parameters = {}) {
+        const flockType = parameters.flockType || 'schools';
+        const strength = parameters.alignmentStrength ?? 0.6;
+        
+        const matrix = this.createFilledMatrix(0);
+        for (let i = 0; i < this.numSpecies; i++) {
+            for (let j = 0; j < this.numSpecies; j++) {
+                if (i === j) {
+                    matrix[i][j] = strength;
+                } else if (flockType === 'mixed') {
+                    matrix[i][j] = strength * 0.7;
+                } else if (flockType === 'opposing') {
+                    matrix[i][j] = -strength * 0.5;
+                }
+            }
+        }
+        return matrix;
+    }
+    
+    createShockwave(x, y) {
+        // Add shockwave effect with duration
+        this.activeShockwaves.push({
+            x: x,
+            y: y,
+            strength: this.shockwaveStrength,
+            size: this.shockwaveSize,
+            falloff: this.shockwaveFalloff,
+            age: 0,
+            duration: 0.3 // Shockwave lasts 0.3 seconds
+        });
+        
+        if (!this.mousePressed) {
+            // Shockwave created
+        }
+    }
+    
+    // Add a field emitter ({ type: 'attractor' | 'repeller' | 'vortex' | 'line' | 'wind', ... });
+    // returns its index or -1. Fields are edited in place, so modulations can drive them.
+    addField(field) {
+        const normalized = normalizeField(field);
+        if (!normalized) {
+            return -1;
+        }
+        this.fields.push(normalized);
+        this.markParametersChanged();
+        return this.fields.length - 1;
+    }
+    
+    removeField(index) {
+        if (index < 0 || index >= this.fields.length) {
+            return false;
+        }
+        this.fields.splice(index, 1);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    clearFields() {
+        this.fields = [];
+        this.markParametersChanged();
+    }
+    
+    setFields(fields) {
+        this.fields = (fields || []).map(normalizeField).filter(Boolean);
+        this.markParametersChanged();
+    }
+    
+    // Update some of a field's settings, re-validating the result
+    updateField(index, changes) {
+        const field = this.fields[index];
+        const normalized = field && normalizeField({ ...field, ...changes });
+        if (!normalized) {
+            return false;
+        }
+        Object.assign(field, normalized);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    // Total force from all field emitters on a particle, written to this.fieldForce
+    calculateFieldForce(particle) {
+        const out = this.fieldForce;
+        out.fx = 0;
+        out.fy = 0;
+        
+        for (let k = 0; k < this.fields.length; k++) {
+            const field = this.fields[k];
+            if (!fieldAffectsSpecies(field, particle.species)) {
+                continue;
+            }
+            
+            let anchorX = field.x;
+            let anchorY = field.y;
+            if (field.type === 'line') {
+                const anchor = closestPointOnLine(field, particle.x, particle.y, this.fieldAnchor);
+                anchorX = anchor.x;
+                anchorY = anchor.y;
+            }
+            
+            let dx = particle.x - anchorX;
+            let dy = particle.y - anchorY;
+            if (this.wrapAroundWalls) {
+                // Fields reach across the edges like everything else in wrapping space
+                const wrapped = this.getToroidalDistance(particle, { x: anchorX, y: anchorY });
+                dx = -wrapped.dx;
+                dy = -wrapped.dy;
+            }
+            addFieldForce(field, dx, dy, out);
+        }
+        return out;
+    }
+    
+    // Add a spatial zone ({ shape: 'rect' | 'circle' | 'painted', ..., socialForce, friction, noise });
+    // returns its index or -1
+    addZone(zone) {
+        const normalized = normalizeZone(zone);
+        if (!normalized) {
+            return -1;
+        }
+        this.zones.push(normalized);
+        this.markParametersChanged();
+        return this.zones.length - 1;
+    }
+    
+    removeZone(index) {
+        if (index < 0 || index >= this.zones.length) {
+            return false;
+        }
+        this.zones.splice(index, 1);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    clearZones() {
+        this.zones = [];
+        this.markParametersChanged();
+    }
+    
+    setZones(zones) {
+        this.zones = (zones || []).map(normalizeZone).filter(Boolean);
+        this.markParametersChanged();
+    }
+    
+    // Update some of a zone's settings, re-validating the result. Pass null for
+    // socialForce, friction or noise to drop that override.
+    updateZone(index, changes) {
+        const zone = this.zones[index];
+        const normalized = zone && normalizeZone({ ...zone, ...changes });
+        if (!normalized) {
+            return false;
+        }
+        Object.assign(zone, normalized);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    // Zones with their bounds for this step. Painted zones carry a coverage
+    // grid, rebuilt only when the mask, blend or canvas size changes.
+    getZoneList() {
+        return this.zones.map(zone => {
+            let coverage = null;
+            if (zone.shape === 'painted') {
+                const cached = this.zoneCoverage.get(zone.mask);
+                if (cached && cached.blend === zone.blend && cached.width === this.width && cached.height === this.height) {
+                    coverage = cached.grid;
+                } else {
+                    coverage = buildZoneCoverage(zone, this.width, this.height);
+                    this.zoneCoverage.set(zone.mask, { blend: zone.blend, width: this.width, height: this.height, grid: coverage });
+                }
+            }
+            return { zone, coverage, ...getZoneBounds(zone, this.width, this.height) };
+        });
+    }
+    
+    // Blend the overrides of every zone covering a particle into this.zoneMix:
+    // the species' social force row, its friction retention and a noise
+    // multiplier. Returns null when no zone reaches the particle.
+    mixZones(particle, zoneList) {
+        const s1 = particle.species;
+        const mix = this.zoneMix;
+        let reached = false;
+        
+        for (let k = 0; k < zoneList.length; k++) {
+            const entry = zoneList[k];
+            if (particle.x < entry.minX || particle.x > entry.maxX || particle.y < entry.minY || particle.y > entry.maxY) {
+                continue;
+            }
+            const weight = zoneWeight(entry.zone, entry.coverage, particle.x, particle.y);
+            if (weight === 0) {
+                continue;
+            }
+            
+            if (!reached) {
+                reached = true;
+                mix.useRow = false;
+                mix.retention = this.species[s1]?.inertia || this.friction;
+                mix.noise = 1;
+            }
+            
+            const zone = entry.zone;
+            if (zone.socialForce) {
+                if (!mix.useRow) {
+                    if (!mix.row || mix.row.length !== this.numSpecies) {
+                        mix.row = new Float64Array(this.numSpecies);
+                    }
+                    for (let s2 = 0; s2 < this.numSpecies; s2++) {
+                        mix.row[s2] = this.socialForce[s1]?.[s2] ?? 0;
+                    }
+                    mix.useRow = true;
+                }
+                const zoneRow = zone.socialForce[s1];
+                if (zoneRow) {
+                    for (let s2 = 0; s2 < this.numSpecies; s2++) {
+                        if (zoneRow[s2] !== undefined) {
+                            mix.row[s2] += (zoneRow[s2] - mix.row[s2]) * weight;
+                        }
+                    }
+                }
+            }
+            if (zone.friction !== null) {
+                mix.retention += (1.0 - zone.friction - mix.retention) * weight;
+            }
+            if (zone.noise !== null) {
+                mix.noise += (zone.noise - mix.noise) * weight;
+            }
+        }
+        return reached ? mix : null;
+    }
+    
+    // Add a particle emitter ({ x, y, species, rate, angle, spread, speed, lifetime });
+    // returns its index or -1
+    addEmitter(emitter) {
+        const normalized = normalizeEmitter(emitter);
+        if (!normalized) {
+            return -1;
+        }
+        this.emitters.push(normalized);
+        this.markParametersChanged();
+        return this.emitters.length - 1;
+    }
+    
+    updateEmitter(index, changes) {
+        const emitter = this.emitters[index];
+        const normalized = emitter && normalizeEmitter({ ...emitter, ...changes });
+        if (!normalized) {
+            return false;
+        }
+        Object.assign(emitter, normalized);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    removeEmitter(index) {
+        if (index < 0 || index >= this.emitters.length) {
+            return false;
+        }
+        this.emitters.splice(index, 1);
+        this.emitterAccumulators.splice(index, 1);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    setEmitters(emitters) {
+        this.emitters = (emitters || []).map(normalizeEmitter).filter(Boolean);
+        this.emitterAccumulators = [];
+        this.markParametersChanged();
+    }
+    
+    // Add a particle sink ({ x, y, radius, species }); returns its index or -1
+    addSink(sink) {
+        const normalized = normalizeSink(sink);
+        if (!normalized) {
+            return -1;
+        }
+        this.sinks.push(normalized);
+        this.markParametersChanged();
+        return this.sinks.length - 1;
+    }
+    
+    updateSink(index, changes) {
+        const sink = this.sinks[index];
+        const normalized = sink && normalizeSink({ ...sink, ...changes });
+        if (!normalized) {
+            return false;
+        }
+        Object.assign(sink, normalized);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    removeSink(index) {
+        if (index < 0 || index >= this.sinks.length) {
+            return false;
+        }
+        this.sinks.splice(index, 1);
+        this.markParametersChanged();
+        return true;
+    }
+    
+    setSinks(sinks) {
+        this.sinks = (sinks || []).map(normalizeSink).filter(Boolean);
+        this.markParametersChanged();
+    }
+    
+    setMaxParticles(max) {
+        this.maxParticles = Math.max(0, Math.min(20000, Math.round(max)));
+        this.markParametersChanged();
+    }
+    
+    // Whether particles can currently appear or disappear during a step
+    hasLifecycle() {
+        return this.emitters.length > 0 || this.sinks.length > 0 || this.mortalParticles > 0 ||
+            this.species.some(s => s?.wallMode === 'absorb');
+    }
+    
+    // Spawn from emitters, then drop expired particles and those inside sinks.
+    // The particle array is edited in place, so nothing needs reinitialising.
+    updateLifecycle(dt) {
+        if (!this.hasLifecycle()) {
+            return;
+        }
+        
+        for (let k = 0; k < this.emitters.length; k++) {
+            const emitter = this.emitters[k];
+            if (emitter.species >= this.numSpecies || emitter.rate <= 0) {
+                continue;
+            }
+            
+            let owed = (this.emitterAccumulators[k] || 0) + emitter.rate * dt;
+            while (owed >= 1) {
+                owed -= 1;
+                if (this.particles.length >= this.maxParticles) {
+                    owed = 0;
+                    break;
+                }
+                const angle = (emitter.angle + (this.random() - 0.5) * emitter.spread) * Math.PI / 180;
+                this.particles.push({
+                    x: emitter.x + (this.random() - 0.5) * 2, // Jitter so particles don't stack exactly
+                    y: emitter.y + (this.random() - 0.5) * 2,
+                    vx: Math.cos(angle) * emitter.speed,
+                    vy: Math.sin(angle) * emitter.speed,
+                    species: emitter.species,
+                    age: 0,
+                    energy: 1,
+                    spawned: true,
+                    lifetime: emitter.lifetime
+                });
+            }
+            this.emitterAccumulators[k] = owed;
+        }
+        
+        // Compact the survivors to the front of the array
+        const particles = this.particles;
+        const remap = this.bonds.length > 0 ? new Int32Array(particles.length).fill(-1) : null;
+        let kept = 0;
+        let mortal = 0;
+        for (let i = 0; i < particles.length; i++) {
+            const p = particles[i];
+            if (p.lifetime > 0 && p.age >= p.lifetime) {
+                continue;
+            }
+            if (p.absorbed || this.isInSink(p)) {
+                continue;
+            }
+            if (p.lifetime > 0) {
+                mortal++;
+            }
+            if (remap) {
+                remap[i] = kept;
+            }
+            particles[kept++] = p;
+        }
+        particles.length = kept;
+        this.mortalParticles = mortal;
+        
+        // Point bonds at the particles' new indices, dropping bonds to removed ones
+        if (remap) {
+            const bonds = this.bonds;
+            let keptBonds = 0;
+            for (let k = 0; k < bonds.length; k += 2) {
+                const a = remap[bonds[k]];
+                const b = remap[bonds[k + 1]];
+                if (a !== -1 && b !== -1) {
+                    bonds[keptBonds++] = a;
+                    bonds[keptBonds++] = b;
+                }
+            }
+            bonds.length = keptBonds;
+        }
+    }
+    
+    isInSink(particle) {
+        for (let k = 0; k < this.sinks.length; k++) {
+            const sink = this.sinks[k];
+            if (sink.species && !sink.species.includes(particle.species)) {
+                continue;
+            }
+            const dx = particle.x - sink.x;
+            const dy = particle.y - sink.y;
+            if (dx * dx + dy * dy < sink.radius * sink.radius) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Calculate toroidal distance (considering wrap-around boundaries,
+    // including the Klein and Möbius twists)
+    getToroidalDistance(p1, p2) {
+        const topology = this.getTopology();
+        if (topology === 'klein' || topology === 'mobius') {
+            return this.getTwistedDistance(p1, p2, topology);
+        }
+        
+        let dx = p2.x - p1.x;
+        let dy = p2.y - p1.y;
+        
+        // Find shortest distance considering wrap-around
+        if (Math.abs(dx) > this.width / 2) {
+            dx = dx > 0 ? dx - this.width : dx + this.width;
+        }
+        if (Math.abs(dy) > this.height / 2) {
+            dy = dy > 0 ? dy - this.height : dy + this.height;
+        }
+        
+        return { dx, dy, dist2: dx * dx + dy * dy };
+    }
+    
+    // Shortest vector from p1 to p2 or to p2's image across the twisted edge
+    getTwistedDistance(p1, p2, topology) {
+        const width = this.width;
+        const height = this.height;
+        let dx, dy, twistedDx, twistedDy;
+        
+        if (topology === 'klein') {
+            // x wraps plainly; across the top or bottom edge p2 appears with x mirrored
+            dx = p2.x - p1.x;
+            twistedDx = (width - p2.x) - p1.x;
+            if (Math.abs(dx) > width / 2) dx -= Math.sign(dx) * width;
+            if (Math.abs(twistedDx) > width / 2) twistedDx -= Math.sign(twistedDx) * width;
+            dy = p2.y - p1.y;
+            twistedDy = dy > 0 ? dy - height : dy + height;
+        } else {
+            // Möbius: across the left or right edge p2 appears with y mirrored
+            dx = p2.x - p1.x;
+            twistedDx = dx > 0 ? dx - width : dx + width;
+            dy = p2.y - p1.y;
+            twistedDy = (height - p2.y) - p1.y;
+        }
+        
+        const dist2 = dx * dx + dy * dy;
+        const twistedDist2 = twistedDx * twistedDx + twistedDy * twistedDy;
+        if (twistedDist2 < dist2) {
+            return { dx: twistedDx, dy: twistedDy, dist2: twistedDist2 };
+        }
+        return { dx, dy, dist2 };
+    }
+    
+    // Vector from p1 to a mirror image of p2 (an image code from getNearbyParticles)
+    getMirrorImageDistance(p1, p2, image) {
+        let x = p2.x;
+        let y = p2.y;
+        if (image & MIRROR_LEFT) x = -x;
+        else if (image & MIRROR_RIGHT) x = 2 * this.width - x;
+        if (image & MIRROR_TOP) y = -y;
+        else if (image & MIRROR_BOTTOM) y = 2 * this.height - y;
+        const dx = x - p1.x;
+        const dy = y - p1.y;
+        return { dx, dy, dist2: dx * dx + dy * dy };
+    }
+    
+    // The edge topology in effect. wrapAroundWalls decides whether edges wrap,
+    // so code that only toggles it still gets a plain torus or box.
+    getTopology() {
+        if (this.wrapAroundWalls) {
+            return WRAPPING_TOPOLOGIES.includes(this.topology) ? this.topology : 'torus';
+        }
+        return this.topology === 'mirror' ? 'mirror' : 'bounded';
+    }
+    
+    setTopology(topology) {
+        if (!TOPOLOGIES.includes(topology)) {
+            console.warn(`Unknown topology "${topology}", using bounded`);
+            topology = 'bounded';
+        }
+        this.topology = topology;
+        this.wrapAroundWalls = WRAPPING_TOPOLOGIES.includes(topology);
+        this.markParametersChanged();
+    }
+    
+    updateShockwaves(dt) {
+        // Update shockwave ages and remove expired ones
+        for (let i = this.activeShockwaves.length - 1; i >= 0; i--) {
+            this.activeShockwaves[i].age += dt;
+            
+            // Remove expired shockwaves
+            if (this.activeShockwaves[i].age > this.activeShockwaves[i].duration) {
+                this.activeShockwaves.splice(i, 1);
+            }
+        }
+    }
+    
+    calculateShockwaveForce(particle) {
+        let fx = 0, fy = 0;
+        
+        // Apply force from all active temporal shockwaves
+        for (const shockwave of this.activeShockwaves) {
+            let dx, dy, dist2;
+            
+            if (this.wrapAroundWalls) {
+                // Use toroidal distance for shockwaves too
+                const shockwavePos = { x: shockwave.x, y: shockwave.y };
+                const toroidal = this.getToroidalDistance(particle, shockwavePos);
+                dx = -toroidal.dx; // Reverse direction (particle relative to shockwave)
+                dy = -toroidal.dy;
+                dist2 = toroidal.dist2;
+            } else {
+                dx = particle.x - shockwave.x;
+                dy = particle.y - shockwave.y;
+                dist2 = dx * dx + dy * dy;
+            }
+            
+            const dist = Math.sqrt(dist2);
+            
+            // Skip if particle is outside shockwave radius
+            if (dist > shockwave.size || dist < 0.1) continue;
+            
+            // Calculate falloff: starts strong, fades with distance and time
+            const distanceFalloff = Math.pow(1 - (dist / shockwave.size), shockwave.falloff);
+            const timeFalloff = 1 - (shockwave.age / shockwave.duration);
+            const totalFalloff = distanceFalloff * timeFalloff;
+            
+            // Calculate force magnitude
+            const forceMagnitude = (shockwave.strength * totalFalloff) / Math.max(dist, 1);
+            
+            // Apply force in direction away from shockwave center
+            const invDist = 1.0 / dist;
+            fx += dx * invDist * forceMagnitude;
+            fy += dy * invDist * forceMagnitude;
+        }
+        
+        // Apply continuous force from mouse position if pressed
+        if (this.mousePressed) {
+            let dx, dy, dist2;
+            
+            if (this.wrapAroundWalls) {
+                // Use toroidal distance for mouse interaction too
+                const toroidal = this.getToroidalDistance(particle, this.currentMousePos);
+                dx = -toroidal.dx; // Reverse direction (particle relative to mouse)
+                dy = -toroidal.dy;
+                dist2 = toroidal.dist2;
+            } else {
+                dx = particle.x - this.currentMousePos.x;
+                dy = particle.y - this.currentMousePos.y;
+                dist2 = dx * dx + dy * dy;
+            }
+            
+            const dist = Math.sqrt(dist2);
+            
+            // Apply continuous force if within range
+            if (dist <= this.shockwaveSize && dist >= 0.1) {
+                const distanceFalloff = Math.pow(1 - (dist / this.shockwaveSize), this.shockwaveFalloff);
+                const forceMagnitude = (this.shockwaveStrength * distanceFalloff * 0.5) / Math.max(dist, 1); // Reduced strength for continuous
+                
+                const invDist = 1.0 / dist;
+                fx += dx * invDist * forceMagnitude;
+                fy += dy * invDist * forceMagnitude;
+            }
+        }
+        
+        return { fx, fy };
+    }
+    
+    initializeParticles() {
+        this.particles = [];
+        
+        for (let species = 0; species < this.numSpecies; species++) {
+            for (let i = 0; i < this.particlesPerSpecies; i++) {
+                // Cluster initial positions by species for interesting starting conditions
+                const angle = this.random() * Math.PI * 2;
+                const radius = this.random() * 100 + 50;
+                const centerX = this.width * (0.3 + species * 0.15);
+                const centerY = this.height * 0.5;
+                
+                this.particles.push({
+                    x: centerX + Math.cos(angle) * radius,
+                    y: centerY + Math.sin(angle) * radius,
+                    vx: (this.random() - 0.5) * 2,
+                    vy: (this.random() - 0.5) * 2,
+                    species: species,
+                    age: 0,
+                    energy: 1
+                });
+            }
+        }
+    }
+    
+    // Advance by one frame of real time in fixed ticks. Leftover time carries
+    // over to the next frame. Returns the number of ticks taken.
+    advance(frameDt) {
+        this.timeAccumulator += frameDt * this.timeScale;
+        
+        // Drop backlog we can't catch up on (e.g. after a background tab)
+        const maxBacklog = this.fixedTimestep * this.maxTicksPerFrame;
+        if (this.timeAccumulator > maxBacklog) {
+            this.timeAccumulator = maxBacklog;
+        }
+        
+        // Small tolerance so float drift doesn't push a whole tick into the next frame
+        let ticks = 0;
+        while (this.timeAccumulator >= this.fixedTimestep - 1e-9) {
+            this.tick();
+            this.timeAccumulator -= this.fixedTimestep;
+            ticks++;
+        }
+        return ticks;
+    }
+    
+    // Advance exactly one fixed tick - also used for single-stepping while frozen
+    tick() {
+        const substeps = Math.max(1, Math.round(this.substeps));
+        const h = this.fixedTimestep / substeps;
+        for (let i = 0; i < substeps; i++) {
+            this.step(h);
+        }
+    }
+    
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, Math.min(4, scale));
+        this.markParametersChanged();
+    }
+    
+    setSubsteps(substeps) {
+        this.substeps = Math.max(1, Math.min(8, Math.round(substeps)));
+        this.markParametersChanged();
+    }
+    
+    setFixedTimestep(timestep) {
+        this.fixedTimestep = Math.max(1 / 240, Math.min(1 / 15, timestep));
+        this.timeAccumulator = 0;
+        this.markParametersChanged();
+    }
+    
+    // Replace the particles with a recorded snapshot (see SnapshotHistory.js)
+    // and wind the clocks back to when it was taken. Bonds and shockwaves
+    // aren't recorded - bonds re-form from the restored positions.
+    restoreSnapshot(snapshot) {
+        const particles = new Array(snapshot.count);
+        const { positions, velocities, species, ages, lifetimes } = snapshot;
+        let mortal = 0;
+        for (let i = 0; i < snapshot.count; i++) {
+            const p = {
+                x: positions[i * 2],
+                y: positions[i * 2 + 1],
+                vx: velocities[i * 2],
+                vy: velocities[i * 2 + 1],
+                species: Math.min(species[i], this.numSpecies - 1),
+                age: snapshot.mortal ? ages[i] : 0,
+                energy: 1
+            };
+            if (snapshot.mortal && lifetimes[i] > 0) {
+                p.lifetime = lifetimes[i];
+                mortal++;
+            }
+            particles[i] = p;
+        }
+        
+        this.particles = particles;
+        this.mortalParticles = mortal;
+        this.time = snapshot.time;
+        this.frameCount = snapshot.frameCount;
+        this.noiseGenerator.time = snapshot.noiseTime;
+        this.timeModulationCycle = snapshot.timeModulationCycle;
+        this.rng.state = snapshot.rngState;
+        this.timeAccumulator = 0;
+        this.activeShockwaves = [];
+    }
+    
+    // Resume from a preset's state section (see ParticleState.js), bonds
+    // included. Returns false if the state can't be used.
+    loadParticleState(state) {
+        const snapshot = decodeParticleState(state, this.width, this.height);
+        if (!snapshot) {
+            return false;
+        }
+        this.restoreSnapshot(snapshot);
+        this.bonds = snapshot.bonds;
+        this.bondParticles = this.particles;
+        return true;
+    }
+    
+    // Integrate dt seconds of physics. Forces and friction are tuned per 60Hz
+    // frame, so everything is scaled by dt relative to that frame.
+    step(dt) {
+        this.time += dt;
+        const frameScale = dt * 60;
+        if (this.enableTimeModulation) {
+            this.timeModulationCycle = (this.timeModulationCycle + dt / this.timeModulationPeriod) % 1;
+        }
+        
+        // Update noise generator time once per step (not per particle)
+        // Update time if noise is enabled OR if amplitude > 0 (for animation to work)
+        if (this.noiseGenerator && (this.noiseEnabled || this.noiseGenerator.globalAmplitude > 0)) {
+            this.noiseGenerator.updateTime(frameScale);
+        }
+        
+        // Update shockwaves
+        this.updateShockwaves(dt);
+        
+        // Safety check for empty particle array
+        if (this.particles.length === 0) {
+            // An empty arena can still be filled by emitters
+            if (this.hasLifecycle()) {
+                this.updateLifecycle(dt);
+            } else {
+                console.warn('No particles to update');
+            }
+            return;
+        }
+        
+        // Update spatial grid for optimized neighbor search
+        // Now supports both regular and toroidal (wrap-around) topology
+        this.updateGridCellSize();
+        this.updateSpatialGrid();
+        const forceLaws = this.buildForceLawTable();
+        const lawContext = { time: this.time, s1: 0, s2: 0 };
+        const obstacleList = this.getObstacleBoundsList();
+        const zoneList = this.zones.length > 0 ? this.getZoneList() : null;
+        const topology = this.getTopology();
+        this.updateSeamSpecies(topology);
+        const arenaGeometry = topology === 'bounded' ? this.getArenaGeometry() : null;
+        let neighborTotal = 0;
+        let neighborMax = 0;
+        
+        const bonding = this.prepareBonds();
+        
+        // Summed neighbour velocity and count per species (vx, vy, n) for alignment
+        const alignment = this.alignmentMatrix;
+        const alignSums = alignment ? new Float64Array(this.numSpecies * 3) : null;
+        
+        const density = this.enableDensityForces && this.densityStrength !== 0;
+        const impulses = this.massCollisions;
+        const timeModulation = this.enableTimeModulation ? this.getTimeModulationTable() : null;
+        
+        // Contact counts per species for conversions, applied once everyone has moved
+        const contacts = this.conversionMatrix ? new Uint16Array(this.numSpecies) : null;
+        const conversions = [];
+        
+        // Update each particle with optimized force calculations
+        for (let i = 0; i < this.particles.length; i++) {
+            const p1 = this.particles[i];
+            if (!p1) {
+                continue;
+            }
+            
+            const s1 = p1.species;
+            if (s1 === undefined || s1 < 0 || s1 >= this.numSpecies) {
+                continue;
+            }
+            
+            const species = this.species[s1];
+            const species1Radius = species?.size || this.particleSize;
+            const socialScale = this.massScaledForces ? 1 / (species?.mass || 1) : 1;
+            const zoneMix = zoneList ? this.mixZones(p1, zoneList) : null;
+            const socialRow = zoneMix?.useRow ? zoneMix.row : null;
+            
+            // Reset forces
+            let fx = 0, fy = 0;
+            
+            // Density forces keep social attraction and repulsion apart until the neighbours are counted
+            let attractX = 0, attractY = 0, repelX = 0, repelY = 0;
+            let crowd = 0;
+            
+            // Apply shockwave forces first
+            const shockwaveForce = this.calculateShockwaveForce(p1);
+            const shockwaveMultiplier = species?.shockwaveMultiplier ?? 1;
+            fx += shockwaveForce.fx * shockwaveMultiplier;
+            fy += shockwaveForce.fy * shockwaveMultiplier;
+            
+            // Get nearby particles using spatial partitioning
+            const nearbyIndices = this.getNearbyParticles(i);
+            const nearbyImages = topology === 'mirror' ? this.nearbyImages : null;
+            neighborTotal += nearbyIndices.length;
+            if (nearbyIndices.length > neighborMax) neighborMax = nearbyIndices.length;
+            
+            // Calculate forces from nearby particles only
+            for (let k = 0; k < nearbyIndices.length; k++) {
+                const j = nearbyIndices[k];
+                // Mirror images only push and pull - a particle does feel its own
+                const image = nearbyImages ? nearbyImages[k] : 0;
+                if (i === j && !image) continue;
+                
+                const p2 = this.particles[j];
+                let dx, dy, dist2;
+                
+                if (image) {
+                    const mirrored = this.getMirrorImageDistance(p1, p2, image);
+                    dx = mirrored.dx;
+                    dy = mirrored.dy;
+                    dist2 = mirrored.dist2;
+                } else if (this.wrapsPair(s1, p2.species)) {
+                    // Use toroidal distance calculation for wrap-around
+                    const toroidal = this.getToroidalDistance(p1, p2);
+                    dx = toroidal.dx;
+                    dy = toroidal.dy;
+                    dist2 = toroidal.dist2;
+                } else {
+                    // Standard Euclidean distance
+                    dx = p2.x - p1.x;
+                    dy = p2.y - p1.y;
+                    dist2 = dx * dx + dy * dy;
+                }
+                
+                // Critical fix: Prevent division by zero and very small distances
+                const minDist2 = 0.01; // Minimum distance squared to prevent Infinity/NaN
+                if (dist2 < minDist2) continue;
+                
+                const s2 = p2.species;
+                
+                // Safety check for valid species index
+                if (s1 === undefined || s2 === undefined || s1 < 0 || s2 < 0 || 
+                    s1 >= this.numSpecies || s2 >= this.numSpecies) {
+                    continue;
+                }
+                
+                // Calculate collision distance based on particle sizes
+                const species2Radius = this.species[s2]?.size || this.particleSize;
+                
+                // Collision distance = sum of radii + offset + multiplier
+                const baseCollisionDistance = species1Radius + species2Radius;
+                const collisionR = (baseCollisionDistance + this.collisionOffset) * this.collisionMultiplier;
+                const collisionR2 = collisionR * collisionR;
+                
+                if (contacts && !image && dist2 < collisionR2) {
+                    contacts[s2]++;
+                }
+                
+                if (alignSums && !image && alignment[s1][s2]) {
+                    const alignR = this.alignmentRadius?.[s1]?.[s2] || DEFAULT_ALIGNMENT_RADIUS;
+                    if (dist2 < alignR * alignR) {
+                        alignSums[s2 * 3] += p2.vx;
+                        alignSums[s2 * 3 + 1] += p2.vy;
+                        alignSums[s2 * 3 + 2]++;
+                    }
+                }
+                
+                // Form a bond when a bonding pair comes within its rest length
+                if (bonding && !image && i < j) {
+                    const rule = bonding.rules[s1][s2];
+                    if (rule && dist2 < rule.restLength * rule.restLength &&
+                        bonding.counts[i] < this.maxBonds && bonding.counts[j] < this.maxBonds) {
+                        const key = i * bonding.n + j;
+                        if (!bonding.linked.has(key)) {
+                            bonding.linked.add(key);
+                            bonding.counts[i]++;
+                            bonding.counts[j]++;
+                            this.bonds.push(i, j);
+                        }
+                    }
+                }
+                
+                // Safe access to social radius matrix
+                let socialR = 50; // default
+                if (Array.isArray(this.socialRadius) && this.socialRadius[s1] && this.socialRadius[s1][s2] !== undefined) {
+                    socialR = this.socialRadius[s1][s2];
+                    if (isNaN(socialR) || socialR <= 0) {
+                        socialR = 50;
+                    }
+                }
+                const socialR2 = socialR * socialR;
+                
+                // Early exit if particle is too far for any interaction
+                if (dist2 > socialR2) continue;
+                crowd++;
+                
+                // Safe distance calculation with minimum threshold
+                const dist = Math.sqrt(dist2);
+                
+                // Prevent division by zero or very small numbers
+                if (dist < 0.1) {
+                    // If particles are too close, apply a strong repulsive force in a random direction
+                    const angle = this.random() * Math.PI * 2;
+                    const unitX = Math.cos(angle);
+                    const unitY = Math.sin(angle);
+                    const F = -10.0; // Strong repulsion
+                    fx += F * unitX;
+                    fy += F * unitY;
+                    continue;
+                }
+                
+                const invDist = 1.0 / dist;
+                
+                // Normalized direction
+                const unitX = dx * invDist;
+                const unitY = dy * invDist;
+                
+                // Collision force (always repulsive at close range) - impulse collisions replace it
+                if (dist2 < collisionR2 && !impulses) {
+                    // Safety check for force matrix bounds
+                    if (this.collisionForce[s1] && this.collisionForce[s1][s2] !== undefined) {
+                        // Enhanced collision force that scales with particle size and overlap
+                        const overlap = collisionR - dist;
+                        const baseForce = this.collisionForce[s1][s2];
+                        
+                        // Make force stronger for larger particles and deeper overlaps
+                        const sizeScale = Math.max(1.0, (species1Radius + species2Radius) / 6.0);
+                        const overlapScale = Math.max(1.0, overlap / 2.0);
+                        
+                        const F = baseForce * sizeScale * overlapScale / Math.max(dist, 0.1);
+                        // Safety check for force values
+                        if (isNaN(F) || !isFinite(F)) {
+                            continue;
+                        }
+                        fx += F * unitX;
+                        fy += F * unitY;
+                    }
+                }
+                
+                // Enhanced social force with cluster-promoting behavior
+                if (dist2 < socialR2) {
+                    // Safety check for force matrix bounds
+                    if (this.socialForce[s1] && this.socialForce[s1][s2] !== undefined) {
+                        // Zones covering this particle swap in their own blended forces
+                        const pairForce = socialRow ? socialRow[s2] : this.socialForce[s1][s2];
+                        const baseForce = timeModulation
+                            ? pairForce * timeModulation[s1 * this.numSpecies + s2]
+                            : pairForce;
+                        
+                        // Skip if no force between these species - curves scale by it too
+                        if (baseForce === 0) continue;
+                        
+                        // Distance-to-force shape comes from the pair's force law
+                        lawContext.s1 = s1;
+                        lawContext.s2 = s2;
+                        const F = forceLaws[s1][s2](dist, baseForce, socialR, collisionR, lawContext) * socialScale;
+                        
+                        // Safety check for social force values
+                        if (isNaN(F) || !isFinite(F)) {
+                            continue;
+                        }
+                        if (!density) {
+                            fx += F * unitX;
+                            fy += F * unitY;
+                        } else if (F > 0) {
+                            attractX += F * unitX;
+                            attractY += F * unitY;
+                        } else {
+                            repelX += F * unitX;
+                            repelY += F * unitY;
+                        }
+                    }
+                }
+            }
+            
+            // Crowded particles loosen their attraction and push harder; sparse ones gather
+            if (density) {
+                const threshold = this.getDensityThreshold(s1);
+                const crowding = Math.max(-1, Math.min(1, (crowd - threshold) / threshold));
+                const shift = this.densityStrength * crowding;
+                fx += attractX * (1 - shift) + repelX * (1 + shift);
+                fy += attractY * (1 - shift) + repelY * (1 + shift);
+            }
+            
+            // Steer toward or away from each species' average neighbour velocity
+            if (alignSums) {
+                for (let s2 = 0; s2 < this.numSpecies; s2++) {
+                    const count = alignSums[s2 * 3 + 2];
+                    if (count === 0) continue;
+                    const steer = alignment[s1][s2] * ALIGNMENT_STEERING;
+                    fx += steer * (alignSums[s2 * 3] / count - p1.vx);
+                    fy += steer * (alignSums[s2 * 3 + 1] / count - p1.vy);
+                }
+                alignSums.fill(0);
+            }
+            
+            if (contacts) {
+                const target = this.pickConversion(s1, contacts, dt);
+                if (target !== -1) {
+                    conversions.push(i, target);
+                }
+                contacts.fill(0);
+            }
+            
+            // Add environmental pressure (global center force)
+            if (this.environmentalPressure !== 0) {
+                const centerX = this.width / 2;
+                const centerY = this.height / 2;
+                const dcx = centerX - p1.x;
+                const dcy = centerY - p1.y;
+                const centerDist = Math.sqrt(dcx * dcx + dcy * dcy);
+                if (centerDist > 0.1) {
+                    const centerForce = this.environmentalPressure * 0.5 * (species?.pressureMultiplier ?? 1); // Increased effect for better visibility
+                    fx += (dcx / centerDist) * centerForce;
+                    fy += (dcy / centerDist) * centerForce;
+                }
+            }
+            
+            // Add persistent field emitters
+            if (this.fields.length > 0) {
+                const fieldForce = this.calculateFieldForce(p1);
+                fx += fieldForce.fx;
+                fy += fieldForce.fy;
+            }
+            
+            // Add chaos/randomness
+            if (this.chaosLevel > 0) {
+                fx += (this.random() - 0.5) * this.chaosLevel * 2;
+                fy += (this.random() - 0.5) * this.chaosLevel * 2;
+            }
+            
+            // Apply noise-based forces for organic movement patterns
+            if (this.noiseEnabled && this.noiseGenerator.globalAmplitude > 0) {
+                // Get normalized position for noise sampling (0-1 range)
+                const nx = (p1.x + this.halfWidth) / this.width;
+                const ny = (p1.y + this.halfHeight) / this.height;
+                
+                // Get noise values with particle index for consistent patterns
+                const noiseForce = this.noiseGenerator.getNoise(nx, ny, i);
+                
+                // Apply noise forces with strength scaling
+                const noiseStrength = 50.0 * (species?.noiseMultiplier ?? 1) * (zoneMix ? zoneMix.noise : 1); // Base strength for noise forces
+                fx += noiseForce.x * noiseStrength;
+                fy += noiseForce.y * noiseStrength;
+            }
+            
+            // Safety check for NaN forces
+            if (isNaN(fx) || isNaN(fy)) {
+                fx = 0;
+                fy = 0;
+            }
+            
+            // Apply forces with per-species mobility and NaN protection
+            const mobility = species?.mobility || 1.0;
+            const forceX = fx * this.forceFactor * mobility * this.forceScale;
+            const forceY = fy * this.forceFactor * mobility * this.forceScale;
+            
+            if (!isNaN(forceX) && !isNaN(forceY)) {
+                p1.vx += forceX * frameScale;
+                p1.vy += forceY * frameScale;
+            }
+            
+            // Bond springs act directly on velocity, independent of the force sliders
+            if (bonding) {
+                p1.vx += bonding.forces[i * 2] * frameScale;
+                p1.vy += bonding.forces[i * 2 + 1] * frameScale;
+            }
+            
+            // Apply sophisticated friction with multi-factor dampening
+            const speciesFriction = zoneMix ? zoneMix.retention : (species?.inertia || this.friction);
+            const velocity = Math.sqrt(p1.vx * p1.vx + p1.vy * p1.vy);
+            
+            // Multi-factor dampening for more organic cluster behavior
+            let dampening = speciesFriction;
+            
+            // Velocity-dependent dampening with smooth transitions
+            if (velocity > 2.0) {
+                // Progressive dampening for high-velocity particles
+                const excessVelocity = velocity - 2.0;
+                const velocityFactor = Math.min(excessVelocity / 4.0, 1.0); // Cap at 1.0
+                const extraDampening = 0.85 + velocityFactor * 0.1; // 0.85-0.95 range
+                dampening *= extraDampening;
+            } else if (velocity < 0.5) {
+                // Slight boost for very slow particles to prevent stagnation
+                dampening *= 1.02;
+            }
+            
+            // Species-specific dampening characteristics
+            const speciesCharacteristic = Math.sin(p1.species * 0.7 + this.time * 0.0005) * 0.02;
+            dampening *= (1.0 + speciesCharacteristic);
+            
+            // Environmental context dampening (particles near edges behave differently)
+            // Skip edge dampening in wrap-around mode since there are no "edges"
+            if (!this.wrapAroundWalls) {
+                const centerX = this.width / 2;
+                const centerY = this.height / 2;
+                const distFromCenter = Math.sqrt((p1.x - centerX) ** 2 + (p1.y - centerY) ** 2);
+                const maxDistFromCenter = Math.sqrt(centerX ** 2 + centerY ** 2);
+                const edgeProximity = distFromCenter / maxDistFromCenter;
+                
+                // Particles near edges have slightly different dynamics
+                if (edgeProximity > 0.8) {
+                    dampening *= 0.98; // Slightly more dampening near edges
+                }
+            }
+            
+            // Dampening is per 60Hz frame - compound it over shorter or longer steps
+            if (frameScale !== 1) {
+                dampening = Math.pow(dampening, frameScale);
+            }
+            p1.vx *= dampening;
+            p1.vy *= dampening;
+            
+            // Velocity sanity check
+            if (isNaN(p1.vx) || isNaN(p1.vy)) {
+                p1.vx = (this.random() - 0.5) * 2;
+                p1.vy = (this.random() - 0.5) * 2;
+            }
+            
+            // Per-species speed limit
+            if (species?.maxSpeed > 0) {
+                const speed = Math.sqrt(p1.vx * p1.vx + p1.vy * p1.vy);
+                if (speed > species.maxSpeed) {
+                    p1.vx *= species.maxSpeed / speed;
+                    p1.vy *= species.maxSpeed / speed;
+                }
+            }
+            
+            // Update position with NaN validation (velocity is in pixels per 60Hz frame)
+            p1.x += p1.vx * frameScale;
+            p1.y += p1.vy * frameScale;
+            
+            // Critical safety check: Prevent NaN positions
+            if (isNaN(p1.x) || isNaN(p1.y)) {
+                p1.x = this.width * 0.5;
+                p1.y = this.height * 0.5;
+                p1.vx = (this.random() - 0.5) * 2;
+                p1.vy = (this.random() - 0.5) * 2;
+            }
+            
+            // Obstacles apply in both wall modes; the walls below then fix anything pushed off-canvas
+            if (obstacleList.length > 0) {
+                this.applyObstacles(p1, dt, obstacleList);
+            }
+            
+            // Handle wall behavior based on the topology, or the species' own wall mode
+            const edges = species?.wallMode ? this.getSpeciesEdges(species.wallMode, topology) : topology;
+            if (edges === 'absorb') {
+                // Absorbing walls take the particle - it's removed with the lifecycle pass
+                if (this.isPastWall(p1, arenaGeometry)) {
+                    p1.absorbed = true;
+                }
+            } else if (edges === 'torus') {
+                // Wrap-around boundaries (toroidal space) - improved smooth wrapping
+                if (p1.x < 0) {
+                    p1.x += this.width;
+                } else if (p1.x >= this.width) {
+                    p1.x -= this.width;
+                }
+                if (p1.y < 0) {
+                    p1.y += this.height;
+                } else if (p1.y >= this.height) {
+                    p1.y -= this.height;
+                }
+            } else if (edges === 'klein' || edges === 'mobius') {
+                this.wrapTwisted(p1, dt, edges);
+            } else if (arenaGeometry) {
+                // Shaped arena - walls follow the shape's normal
+                this.applyArena(p1, dt, arenaGeometry);
+            } else {
+                // Bounded and mirror topologies have solid canvas walls
+                this.applyEdgeWalls(p1, dt, true, true);
+            }
+            
+            // Update age for visual effects
+            p1.age += dt;
+            p1.energy = 0.5 + 0.5 * Math.sin(p1.age * 2 + i);
+        }
+        
+        if (impulses) {
+            this.resolveCollisions(topology);
+        }
+        
+        // Neighbour candidates per particle - shown by the grid debug overlay
+        this.gridStats.avgNeighbors = neighborTotal / this.particles.length;
+        this.gridStats.maxNeighbors = neighborMax;
+        
+        for (let k = 0; k < conversions.length; k += 2) {
+            this.particles[conversions[k]].species = conversions[k + 1];
+        }
+        
+        // Measured every step for the overlay; the thermostat then corrects it
+        const energy = this.measureKineticEnergy();
+        if (this.thermostatEnabled) {
+            this.applyThermostat(dt, energy);
+        }
+        
+        // Particles appear and disappear after everyone has moved
+        this.updateLifecycle(dt);
+        
+        this.frameCount++;
+    }
+    
+
+    // Preset ecosystems with interesting asymmetric behaviors
+    loadPreset(name) {
+        switch (name) {
+            case 'predatorPrey':
+                // Red hunts Green, Green hunts Blue, Blue hunts Red
+                this.socialForce = [
+                    [0.3, 0.8, -0.7, 0.2, -0.3],   // Red: chase green, flee blue
+                    [-0.8, 0.3, 0.8, -0.4, 0.2],   // Green: flee red, chase blue
+                    [0.8, -0.8, 0.3, 0.1, -0.2],   // Blue: chase red, flee green
+                    [-0.2, 0.4, -0.1, 0.5, -0.6],  // Yellow: mixed
+                    [0.3, -0.2, 0.2, 0.6, 0.4]     // Purple: mixed
+                ];
+                break;
+                
+            case 'crystallization':
+                // Strong self-attraction, ordered repulsion from others
+                for (let i = 0; i < this.numSpecies; i++) {
+                    for (let j = 0; j < this.numSpecies; j++) {
+                        this.socialForce[i][j] = i === j ? 0.8 : -0.3;
+                    }
+                }
+                break;
+                
+            case 'vortex':
+                // Circular chase pattern
+                for (let i = 0; i < this.numSpecies; i++) {
+                    for (let j = 0; j < this.numSpecies; j++) {
+                        if (j === (i + 1) % this.numSpecies) {
+                            this.socialForce[i][j] = 0.9; // Chase next species
+                        } else if (j === (i - 1 + this.numSpecies) % this.numSpecies) {
+                            this.socialForce[i][j] = -0.9; // Flee previous species
+                        } else {
+                            this.socialForce[i][j] = 0;
+                        }
+                    }
+                }
+                break;
+                
+            case 'symbiosis':
+                // Complex interdependencies
+                this.socialForce = [
+                    [0.5, 0.6, -0.3, 0.7, -0.4],   // Red: likes green & yellow
+                    [0.6, 0.4, 0.8, -0.5, 0.3],    // Green: likes blue
+                    [-0.3, 0.8, 0.5, -0.2, 0.6],   // Blue: likes green & purple
+                    [0.7, -0.5, -0.2, 0.6, 0.4],   // Yellow: likes red & self
+                    [-0.4, 0.3, 0.6, 0.4, 0.5]     // Purple: likes most
+                ];
+                break;
+        }
+        this.markParametersChanged();
+    }
+    
+    // Load a full preset configuration
+    loadFullPreset(preset) {
+        // Validate preset structure
+        if (!preset || !preset.species) {
+            console.error('Invalid preset: missing species configuration');
+            return false;
+        }
+        
+        this.applyPresetSections(preset);
+        
+        // Resume the saved particles if the preset has them, otherwise
+        // reinitialize particles with new configuration
+        if (!preset.state || !this.loadParticleState(preset.state)) {
+            this.initializeParticlesWithPositions();
+        }
+        return true;
+    }
+    
+    // Apply the simulation-owned preset sections (particles, species, physics, walls, noise, forces, fields, zones)
+    applyPresetSections(preset) {
+        // Restart the random sequence so the same preset and seed replay the same run.
+        // Presets saved before seeding existed replay from the current seed.
+        // A saved state section winds the clocks forward again when it loads.
+        this.setSeed(preset.seed ?? this.getSeed());
+        this.resetClocks();
+        this.markParametersChanged();
+        
+        // Load PARTICLES Section
+        if (preset.particles) {
+            this.particlesPerSpecies = preset.particles.particlesPerSpecies || this.particlesPerSpecies;
+            this.numSpecies = preset.particles.numSpecies || preset.species.count;
+        } else {
+            this.numSpecies = preset.species.count;
+        }
+        this.setEmitters(preset.particles?.emitters);
+        this.setSinks(preset.particles?.sinks);
+        this.setMaxParticles(preset.particles?.maxParticles ?? DEFAULT_MAX_PARTICLES);
+        
+        // Load SPECIES Section
+        this.species = [];
+        preset.species.definitions.forEach((def, i) => {
+            this.species[i] = {
+                color: this.normalizeColor(def.color),
+                size: def.size,
+                opacity: def.opacity,
+                name: def.name,
+                particleCount: def.particleCount,
+                startPosition: def.startPosition
+            };
+            // Load per-species dynamics if available
+            this.species[i].mobility = def.mobility !== undefined ? def.mobility : 1.5;
+            this.species[i].inertia = def.inertia !== undefined ? def.inertia : 0.85;
+            this.setSpeciesMass(i, def.mass);
+            this.setSpeciesOverrides(i, def);
+        });
+        
+        // Load PHYSICS Section
+        this.friction = 1.0 - preset.physics.friction;
+        this.wallDamping = preset.physics.wallDamping !== undefined ? preset.physics.wallDamping : 0.8;
+        this.forceFactor = preset.physics.forceFactor;
+        this.forceScale = preset.physics.forceScale !== undefined ? preset.physics.forceScale : 1.0;
+        this.setFixedTimestep(preset.physics.fixedTimestep || 1 / 60);
+        this.setSubsteps(preset.physics.substeps || 1);
+        
+        // Load WALLS Section (new parameters)
+        if (preset.walls) {
+            this.repulsiveForce = preset.walls.repulsiveForce || 0.3;
+            // Older presets only have the wrap-around flag
+            this.setTopology(preset.walls.topology || (preset.walls.wrapAroundWalls ? 'torus' : 'bounded'));
+            this.setArena(preset.walls.arena);
+            this.setObstacles(preset.walls.obstacles);
+        } else {
+            // Default values for backward compatibility
+            this.repulsiveForce = 0.3;
+            this.setTopology('bounded');
+            this.arena = null;
+            this.obstacles = [];
+        }
+        
+        // Load full matrices if available, otherwise create from single values
+        if (preset.physics.collisionRadius && Array.isArray(preset.physics.collisionRadius)) {
+            this.collisionRadius = preset.physics.collisionRadius;
+        } else {
+            const collisionR = preset.physics.collisionRadiusValue || preset.physics.collisionRadius || 15;
+            this.collisionRadius = this.createMatrix(collisionR, collisionR);
+        }
+        
+        if (preset.physics.socialRadius && Array.isArray(preset.physics.socialRadius)) {
+            this.socialRadius = preset.physics.socialRadius;
+        } else {
+            const socialR = preset.physics.socialRadiusValue || preset.physics.socialRadius || 50;
+            this.socialRadius = this.createMatrix(socialR, socialR);
+        }
+        
+        // Load enhanced physics parameters
+        if (preset.physics.collisionMultiplier !== undefined) {
+            this.collisionMultiplier = preset.physics.collisionMultiplier;
+        }
+        if (preset.physics.collisionOffset !== undefined) {
+            this.collisionOffset = preset.physics.collisionOffset;
+        }
+        if (preset.physics.environmentPressure !== undefined) {
+            this.environmentalPressure = preset.physics.environmentPressure; // Note: property has different name
+        }
+        if (preset.physics.chaosLevel !== undefined) {
+            this.chaosLevel = preset.physics.chaosLevel;
+        }
+        this.setDensityForces(preset.physics.densityForces);
+        this.setTimeModulation(preset.physics.timeModulation);
+        this.setThermostat(preset.physics.thermostat);
+        this.setMassPhysics(preset.physics.mass);
+        
+        // Load shockwave settings from physics section
+        if (preset.physics.shockwaveEnabled !== undefined) {
+            this.shockwaveEnabled = preset.physics.shockwaveEnabled;
+        }
+        if (preset.physics.shockwaveStrength !== undefined) {
+            this.shockwaveStrength = preset.physics.shockwaveStrength;
+        }
+        if (preset.physics.shockwaveSize !== undefined) {
+            this.shockwaveSize = preset.physics.shockwaveSize;
+        }
+        if (preset.physics.shockwaveFalloff !== undefined) {
+            this.shockwaveFalloff = preset.physics.shockwaveFalloff;
+        }
+        
+        // Base particle size lives in the VISUAL section but drives wall margins
+        if (preset.visual && preset.visual.particleSize !== undefined) {
+            this.particleSize = preset.visual.particleSize;
+        }
+        
+        // Load NOISE Section
+        if (preset.noise) {
+            this.noiseEnabled = preset.noise.enabled || false;
+            this.noisePattern = preset.noise.pattern || 'perlin';
+            
+            // Load seed if provided, otherwise keep existing seed
+            if (preset.noise.seed !== undefined) {
+                this.noiseGenerator.setSeed(preset.noise.seed);
+            }
+            
+            if (preset.noise.globalAmplitude !== undefined) {
+                this.noiseGenerator.setGlobalAmplitude(preset.noise.globalAmplitude);
+            }
+            if (preset.noise.globalScale !== undefined) {
+                this.noiseGenerator.setGlobalScale(preset.noise.globalScale);
+            }
+            if (preset.noise.globalTimeScale !== undefined) {
+                this.noiseGenerator.setGlobalTimeScale(preset.noise.globalTimeScale);
+            }
+            if (preset.noise.contrast !== undefined) {
+                this.noiseGenerator.setContrast(preset.noise.contrast);
+            }
+            if (preset.noise.globalOctaves !== undefined) {
+                this.noiseGenerator.setGlobalOctaves(preset.noise.globalOctaves);
+            }
+            if (preset.noise.timeIncrement !== undefined) {
+                this.noiseGenerator.setTimeIncrement(preset.noise.timeIncrement);
+            }
+            this.noiseGenerator.setPattern(this.noisePattern);
+        } else {
+            // Default noise settings
+            this.noiseEnabled = false;
+            this.noiseGenerator.setGlobalAmplitude(0);
+        }
+        
+        // Load FORCES Section
+        this.collisionForce = preset.forces.collision;
+        this.socialForce = preset.forces.social;
+        this.forceLaw = preset.forces.law || DEFAULT_FORCE_LAW;
+        this.forceLawMatrix = preset.forces.lawMatrix || null;
+        this.conversionMatrix = preset.forces.conversions || null;
+        this.conversionThreshold = preset.forces.conversionThreshold ?? 3;
+        this.bondRules = {};
+        for (const [key, rule] of Object.entries(preset.forces.bonds?.rules || {})) {
+            this.bondRules[key] = normalizeBondRule(rule);
+        }
+        this.maxBonds = preset.forces.bonds?.maxBonds ?? DEFAULT_MAX_BONDS;
+        this.setAlignmentMatrix(preset.forces.alignment?.matrix || null, preset.forces.alignment?.radius || null);
+        this.bonds = [];
+        this.forceCurves = {};
+        for (const [key, points] of Object.entries(preset.forces.curves || {})) {
+            const curve = normalizeForceCurve(points);
+            if (curve) {
+                this.forceCurves[key] = curve;
+            }
+        }
+        
+        // Load force pattern configuration if available
+        if (preset.forces.pattern) {
+            this.forcePatternType = preset.forces.pattern.type || 'random';
+            this.forceDistribution = preset.forces.pattern.edgeBias || 0.8;
+            this.forcePatternParameters = preset.forces.pattern.parameters || {};
+        }
+        
+        // Load FIELDS Section
+        this.setFields(preset.fields);
+        
+        // Load ZONES Section
+        this.setZones(preset.zones);
+        
+        // Everything above placed in pixels moves to this canvas. Older
+        // presets don't record their canvas and load as saved.
+        if (preset.canvas) {
+            this.scaleLayout(preset.canvas.width, preset.canvas.height);
+        }
+    }
+    
+
+    // Initialize particles using starting positions from preset
+    initializeParticlesWithPositions() {
+        this.particles = [];
+        
+        // Ensure canvas dimensions are valid
+        if (!this.width || !this.height) {
+            console.error('Canvas dimensions not set, cannot initialize particles');
+            return;
+        }
+        
+        for (let speciesId = 0; speciesId < this.numSpecies; speciesId++) {
+            const species = this.species[speciesId];
+            if (!species) {
+                console.error(`Species ${speciesId} not found`);
+                continue;
+            }
+            
+            const count = species.particleCount || this.particlesPerSpecies;
+            const startPos = species.startPosition || { type: 'cluster', center: { x: 0.5, y: 0.5 }, radius: 0.1 };
+            
+            // Ensure startPos has required properties
+            if (!startPos.center) {
+                startPos.center = { x: 0.5, y: 0.5 };
+            }
+            if (startPos.radius === undefined) {
+                startPos.radius = 0.1;
+            }
+            
+            for (let i = 0; i < count; i++) {
+                let x, y;
+                
+                // Validate center coordinates and provide safe defaults
+                let centerX = startPos.center && typeof startPos.center.x === 'number' && !isNaN(startPos.center.x) 
+                    ? startPos.center.x * this.width 
+                    : this.width * 0.5;
+                let centerY = startPos.center && typeof startPos.center.y === 'number' && !isNaN(startPos.center.y) 
+                    ? startPos.center.y * this.height 
+                    : this.height * 0.5;
+                let radius = typeof startPos.radius === 'number' && !isNaN(startPos.radius) 
+                    ? startPos.radius * Math.min(this.width, this.height) 
+                    : 50; // Safe default radius
+                
+                switch (startPos.type) {
+                    case 'cluster':
+                        const angle = this.random() * Math.PI * 2;
+                        const r = this.random() * radius;
+                        x = centerX + Math.cos(angle) * r;
+                        y = centerY + Math.sin(angle) * r;
+                        break;
+                        
+                    case 'ring':
+                        const ringAngle = (i / count) * Math.PI * 2;
+                        x = centerX + Math.cos(ringAngle) * radius * 0.8;
+                        y = centerY + Math.sin(ringAngle) * radius * 0.8;
+                        break;
+                        
+                    case 'grid':
+                        const gridSize = Math.ceil(Math.sqrt(count));
+                        const gridX = (i % gridSize) - gridSize / 2;
+                        const gridY = Math.floor(i / gridSize) - gridSize / 2;
+                        x = centerX + gridX * (radius * 2 / gridSize);
+                        y = centerY + gridY * (radius * 2 / gridSize);
+                        break;
+                    
+                    case 'custom':
+                        if (startPos.customPoints && startPos.customPoints.length > 0) {
+                            // Use weighted random selection based on opacity
+                            const totalWeight = startPos.customPoints.reduce((sum, point) => sum + point.opacity, 0);
+                            let randomWeight = this.random() * totalWeight;
+                            
+                            let selectedPoint = startPos.customPoints[0];
+                            for (const point of startPos.customPoints) {
+                                randomWeight -= point.opacity;
+                                if (randomWeight <= 0) {
+                                    selectedPoint = point;
+                                    break;
+                                }
+                            }
+                            
+                            // Add some random variation around the selected point
+                            const variation = selectedPoint.size * 0.5;
+                            const vAngle = this.random() * Math.PI * 2;
+                            const vRadius = this.random() * variation * Math.min(this.width, this.height);
+                            
+                            x = selectedPoint.x * this.width + Math.cos(vAngle) * vRadius;
+                            y = selectedPoint.y * this.height + Math.sin(vAngle) * vRadius;
+                        } else {
+                            // Fallback to center if no custom points
+                            x = centerX;
+                            y = centerY;
+                        }
+                        break;
+                        
+                    case 'random':
+                    default:
+                        x = centerX + (this.random() - 0.5) * radius * 2;
+                        y = centerY + (this.random() - 0.5) * radius * 2;
+                        break;
+                }
+                
+                // Final validation to prevent NaN particles
+                const finalX = isNaN(x) ? this.width * 0.5 : Math.max(this.particleSize, Math.min(this.width - this.particleSize, x));
+                const finalY = isNaN(y) ? this.height * 0.5 : Math.max(this.particleSize, Math.min(this.height - this.particleSize, y));
+                
+                this.particles.push({
+                    x: finalX,
+                    y: finalY,
+                    vx: (this.random() - 0.5) * 2,
+                    vy: (this.random() - 0.5) * 2,
+                    species: speciesId,
+                    age: 0,
+                    energy: 1
+                });
+            }
+        }
+    }
+    
+    // Export the simulation-owned preset sections. With includeState the live
+    // particles are saved too, so loading the preset resumes this exact scene.
+    exportPreset({ includeState = false } = {}) {
+        const preset = {
+            name: 'Custom',
+            version: '1.0',
+            seed: this.getSeed(),
+            
+            // PARTICLES Section
+            particles: {
+                particlesPerSpecies: this.particlesPerSpecies,
+                numSpecies: this.numSpecies,
+                startPattern: this.species[0]?.startPosition?.type || 'cluster',
+                emitters: this.emitters,
+                sinks: this.sinks,
+                maxParticles: this.maxParticles
+            },
+            
+            // SPECIES Section
+            species: {
+                count: this.numSpecies,
+                definitions: this.species.map((s, i) => ({
+                    id: i,
+                    name: s.name || `Species ${i + 1}`,
+                    color: this.normalizeColor(s.color),
+                    size: s.size,
+                    opacity: s.opacity,
+                    particleCount: s.particleCount || this.particlesPerSpecies,
+                    startPosition: s.startPosition || { type: 'cluster', center: { x: 0.5, y: 0.5 }, radius: 0.1 },
+                    mobility: s.mobility || 1.5,
+                    inertia: s.inertia || 0.85,
+                    mass: s.mass || 1,
+                    maxSpeed: s.maxSpeed || 0,
+                    wallMode: s.wallMode || null,
+                    noiseMultiplier: s.noiseMultiplier ?? 1,
+                    shockwaveMultiplier: s.shockwaveMultiplier ?? 1,
+                    pressureMultiplier: s.pressureMultiplier ?? 1
+                }))
+            },
+            
+            // PHYSICS Section
+            physics: {
+                // Convert friction from physics value (0.8-1.0) to UI value (0-0.2)
+                friction: 1.0 - this.friction,
+                forceFactor: this.forceFactor,
+                forceScale: this.forceScale || 1.0,  // Global force multiplier for modulation
+                // Fixed-timestep integration
+                fixedTimestep: this.fixedTimestep,
+                substeps: this.substeps,
+                // Store full matrices, not just [0][0] values
+                collisionRadius: this.collisionRadius,
+                socialRadius: this.socialRadius,
+                // Store single values for UI compatibility
+                collisionRadiusValue: this.collisionRadius[0][0],
+                socialRadiusValue: this.socialRadius[0][0],
+                // Enhanced physics parameters
+                collisionMultiplier: this.collisionMultiplier || 1.0,
+                collisionOffset: this.collisionOffset || 0.0,  // Add missing collision offset
+                environmentPressure: this.environmentalPressure || 0.0,  // Note: property has different name
+                chaosLevel: this.chaosLevel || 0.0,
+                densityForces: {
+                    enabled: this.enableDensityForces,
+                    strength: this.densityStrength,
+                    thresholds: [...this.densityThresholds]
+                },
+                timeModulation: {
+                    enabled: this.enableTimeModulation,
+                    amplitude: this.timeModulationAmplitude,
+                    period: this.timeModulationPeriod,
+                    spread: this.timeModulationSpread
+                },
+                thermostat: {
+                    enabled: this.thermostatEnabled,
+                    mode: this.thermostatMode,
+                    target: this.targetTemperature,
+                    relaxation: this.thermostatRelaxation,
+                    perSpecies: this.thermostatPerSpecies
+                },
+                mass: {
+                    collisions: this.massCollisions,
+                    restitution: this.restitution,
+                    scaleForces: this.massScaledForces
+                },
+                // Shockwave settings
+                shockwaveEnabled: this.shockwaveEnabled,
+                shockwaveStrength: this.shockwaveStrength,
+                shockwaveSize: this.shockwaveSize,
+                shockwaveFalloff: this.shockwaveFalloff
+            },
+            
+            // WALLS Section
+            walls: {
+                wallDamping: this.wallDamping,
+                repulsiveForce: this.repulsiveForce,
+                wrapAroundWalls: this.wrapAroundWalls,
+                topology: this.getTopology(),
+                arena: this.arena,
+                obstacles: this.obstacles
+            },
+            
+            // NOISE Section
+            noise: this.getNoiseConfig(),
+            
+            // FORCES Section
+            forces: {
+                collision: this.collisionForce,
+                social: this.socialForce,
+                law: this.forceLaw,
+                lawMatrix: this.forceLawMatrix,
+                curves: this.forceCurves,
+                conversions: this.conversionMatrix,
+                conversionThreshold: this.conversionThreshold,
+                bonds: {
+                    rules: this.bondRules,
+                    maxBonds: this.maxBonds
+                },
+                alignment: this.alignmentMatrix ? {
+                    matrix: this.alignmentMatrix,
+                    radius: this.alignmentRadius
+                } : null,
+                pattern: {
+                    type: this.forcePatternType || 'random',
+                    edgeBias: this.forceDistribution || 0.8,
+                    parameters: this.forcePatternParameters || {}
+                }
+            },
+            
+            // FIELDS Section
+            fields: this.fields,
+            
+            // ZONES Section
+            zones: this.zones,
+            
+            // CANVAS Section - the size the obstacles, fields, emitters, sinks and zones were placed at
+            canvas: {
+                width: this.width,
+                height: this.height
+            }
+        };
+        
+        // STATE Section
+        if (includeState) {
+            preset.state = encodeParticleState(this);
+        }
+        return preset;
+    }
+    
+    resize(width, height) {
+        const fromWidth = this.width;
+        const fromHeight = this.height;
+        this.width = width;
+        this.height = height;
+        this.halfWidth = width / 2;
+        this.halfHeight = height / 2;
+        this.scaleLayout(fromWidth, fromHeight);
+        this.initSpatialGrid();
+        this.markParametersChanged();
+    }
+    
+    // Obstacles, fields, emitters, sinks and zones are placed in pixels, so
+    // move them from a canvas of the given size onto the current one. Sizes
+    // follow the shorter side, as arena shapes do.
+    scaleLayout(fromWidth, fromHeight) {
+        if (!(fromWidth > 0 && fromHeight > 0 && this.width > 0 && this.height > 0) ||
+            (fromWidth === this.width && fromHeight === this.height)) {
+            return;
+        }
+        const sx = this.width / fromWidth;
+        const sy = this.height / fromHeight;
+        const sr = Math.min(this.width, this.height) / Math.min(fromWidth, fromHeight);
+        this.obstacles = this.obstacles.map(obstacle => scaleObstacle(obstacle, sx, sy, sr));
+        this.fields = this.fields.map(field => scaleField(field, sx, sy, sr));
+        this.emitters = this.emitters.map(emitter => scaleEmitter(emitter, sx, sy));
+        this.sinks = this.sinks.map(sink => scaleSink(sink, sx, sy, sr));
+        this.zones = this.zones.map(zone => scaleZone(zone, sx, sy, sr));
+    }
+    
+
+    // Update parameters from UI
+    setParameter(name, value) {
+        if (name === 'particleSize') {
+            this.particleSize = value;
+            // Update all species sizes if not in per-species mode
+            this.updateSpeciesSizes();
+        } else {
+            this[name] = value;
+        }
+        this.markParametersChanged();
+    }
+
+    // Update species sizes based on current particleSize
+    updateSpeciesSizes() {
+        if (!this.species || this.species.length === 0) return;
+        
+        for (let i = 0; i < this.species.length; i++) {
+            if (this.species[i]) {
+                if (this.perSpeciesSize) {
+                    // Keep varied sizes in per-species mode
+                    if (!this.species[i].size || this.species[i].size <= 0) {
+                        this.species[i].size = this.particleSize + (this.random() - 0.5) * this.particleSize * 0.5;
+                    }
+                } else {
+                    // Synchronize to global particle size
+                    this.species[i].size = this.particleSize;
+                }
+            }
+        }
+        this.markParametersChanged();
+    }
+    
+    setSocialForce(i, j, value) {
+        if (this.socialForce[i] && j < this.socialForce[i].length) {
+            this.socialForce[i][j] = value;
+        }
+        this.markParametersChanged();
+    }
+    
+    // Apply force pattern with configurable parameters
+    applyForcePattern(patternType, edgeBias = 0.8, userParameters = {}) {
+        // Store configuration for preset saving
+        this.forcePatternType = patternType;
+        this.forceDistribution = edgeBias;
+        this.forcePatternParameters = userParameters;
+        
+        // Generate and apply the force pattern
+        this.socialForce = this.createForcePattern(patternType, edgeBias, userParameters);
+        
+        // Flocking also sets the velocity alignment that makes it flock
+        if (patternType === 'flocking') {
+            this.setAlignmentMatrix(this.createFlockingAlignment({ ...PATTERN_DEFAULTS.flocking, ...userParameters }));
+        }
+        
+        // Applied force pattern
+        this.markParametersChanged();
+    }
+    
+    // Mute/freeze functionality
+    // Noise control methods
+    setNoiseEnabled(enabled) {
+        this.noiseEnabled = enabled;
+        this.markParametersChanged();
+    }
+    
+    setNoisePattern(pattern) {
+        this.noiseGenerator.setPattern(pattern);
+        this.noisePattern = pattern;
+        this.markParametersChanged();
+    }
+    
+    setNoiseAmplitude(amplitude) {
+        this.noiseGenerator.setGlobalAmplitude(amplitude);
+        this.markParametersChanged();
+    }
+    
+    setNoiseScale(scale) {
+        this.noiseGenerator.setGlobalScale(scale);
+        this.markParametersChanged();
+    }
+    
+    setNoiseTimeScale(timeScale) {
+        this.noiseGenerator.setGlobalTimeScale(timeScale);
+        this.markParametersChanged();
+    }
+    
+    setNoiseContrast(contrast) {
+        this.noiseGenerator.setContrast(contrast);
+        this.markParametersChanged();
+    }
+    
+    getNoiseConfig() {
+        return {
+            enabled: this.noiseEnabled,
+            pattern: this.noisePattern,
+            ...this.noiseGenerator.getConfig()
+        };
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Particle state
+ * The live particles packed into a preset's optional `state` section, so a
+ * preset can resume an evolved scene instead of regrowing it from the start
+ * positions. Arrays are quantised and base64-encoded little-endian: positions
+ * as 16-bit fractions of the canvas, velocities as 16-bit steps of the fastest
+ * component, species as bytes. Ages and lifetimes (Float32) and bonds are only
+ * stored when there are any. The clocks and random state travel along, so
+ * loading the same state always replays the same run.
+ */
+
+export const PARTICLE_STATE_VERSION = 1;
+
+const POSITION_STEPS = 65535;
+const VELOCITY_STEPS = 32767;
+
+// Pack the simulation's particles, bonds and clocks into a state section
+export function encodeParticleState(simulation) {
+    const particles = simulation.particles;
+    const count = particles.length;
+    const width = simulation.width;
+    const height = simulation.height;
+    const mortal = particles.some(p => p.lifetime > 0);
+    
+    let fastest = 0;
+    for (const p of particles) {
+        fastest = Math.max(fastest, Math.abs(p.vx), Math.abs(p.vy));
+    }
+    const velocityScale = fastest > 0 ? fastest / VELOCITY_STEPS : 1;
+    
+    const positions = new DataView(new ArrayBuffer(count * 4));
+    const velocities = new DataView(new ArrayBuffer(count * 4));
+    const species = new Uint8Array(count);
+    const ages = mortal ? new DataView(new ArrayBuffer(count * 4)) : null;
+    const lifetimes = mortal ? new DataView(new ArrayBuffer(count * 4)) : null;
+    
+    for (let i = 0; i < count; i++) {
+        const p = particles[i];
+        positions.setUint16(i * 4, quantise(p.x / width, POSITION_STEPS), true);
+        positions.setUint16(i * 4 + 2, quantise(p.y / height, POSITION_STEPS), true);
+        velocities.setInt16(i * 4, Math.round(p.vx / velocityScale), true);
+        velocities.setInt16(i * 4 + 2, Math.round(p.vy / velocityScale), true);
+        species[i] = p.species;
+        if (mortal) {
+            ages.setFloat32(i * 4, p.age || 0, true);
+            lifetimes.setFloat32(i * 4, p.lifetime || 0, true);
+        }
+    }
+    
+    // Bond indices only mean something for the array they were made for
+    const bonds = simulation.bondParticles === particles && simulation.bonds.length > 0
+        ? packIndices(simulation.bonds, count)
+        : null;
+    
+    return {
+        version: PARTICLE_STATE_VERSION,
+        count,
+        width,
+        height,
+        velocityScale,
+        positions: toBase64(positions),
+        velocities: toBase64(velocities),
+        species: toBase64(species),
+        ages: ages && toBase64(ages),
+        lifetimes: lifetimes && toBase64(lifetimes),
+        bonds,
+        time: simulation.time,
+        frameCount: simulation.frameCount,
+        noiseTime: simulation.noiseGenerator.time,
+        timeModulationCycle: simulation.timeModulationCycle,
+        rngState: simulation.rng.state
+    };
+}
+
+// Unpack a state section into a snapshot for ParticleSimulation.restoreSnapshot,
+// with positions stretched to a canvas of the given size. Bonds come back as a
+// flat index array. Returns null if the state is malformed.
+export function decodeParticleState(state, width, height) {
+    if (!state || state.version !== PARTICLE_STATE_VERSION || !Number.isInteger(state.count) || state.count < 0 ||
+        !(state.velocityScale > 0)) {
+        console.warn('Unsupported particle state', state?.version);
+        return null;
+    }
+    
+    const count = state.count;
+    const positions = fromBase64(state.positions, count * 4);
+    const velocities = fromBase64(state.velocities, count * 4);
+    const species = fromBase64(state.species, count);
+    const mortal = state.ages != null;
+    const ages = mortal ? fromBase64(state.ages, count * 4) : null;
+    const lifetimes = mortal ? fromBase64(state.lifetimes, count * 4) : null;
+    const bonds = state.bonds ? unpackIndices(state.bonds, count) : [];
+    if (!positions || !velocities || !species || (mortal && (!ages || !lifetimes)) || !bonds) {
+        console.warn('Particle state arrays are malformed');
+        return null;
+    }
+    
+    const snapshot = {
+        count,
+        mortal,
+        positions: new Float32Array(count * 2),
+        velocities: new Float32Array(count * 2),
+        species: new Uint16Array(count),
+        ages: mortal ? new Float32Array(count) : null,
+        lifetimes: mortal ? new Float32Array(count) : null,
+        bonds,
+        time: Number(state.time) || 0,
+        frameCount: Number(state.frameCount) || 0,
+        noiseTime: Number(state.noiseTime) || 0,
+        timeModulationCycle: Number(state.timeModulationCycle) || 0,
+        rngState: state.rngState >>> 0
+    };
+    
+    for (let i = 0; i < count; i++) {
+        snapshot.positions[i * 2] = positions.getUint16(i * 4, true) / POSITION_STEPS * width;
+        snapshot.positions[i * 2 + 1] = positions.getUint16(i * 4 + 2, true) / POSITION_STEPS * height;
+        snapshot.velocities[i * 2] = velocities.getInt16(i * 4, true) * state.velocityScale;
+        snapshot.velocities[i * 2 + 1] = velocities.getInt16(i * 4 + 2, true) * state.velocityScale;
+        snapshot.species[i] = species.getUint8(i);
+        if (mortal) {
+            snapshot.ages[i] = ages.getFloat32(i * 4, true);
+            snapshot.lifetimes[i] = lifetimes.getFloat32(i * 4, true);
+        }
+    }
+    return snapshot;
+}
+
+// Copy of an encoded state keeping `keep` evenly spaced particles, so a state
+// can be shrunk to a size limit without the simulation it came from. Bonds
+// between kept particles survive. Returns null if the state is malformed.
+export function thinParticleState(state, keep) {
+    const count = state.count;
+    keep = Math.max(0, Math.min(count, Math.floor(keep)));
+    const picked = new Uint32Array(keep);
+    const remap = new Int32Array(count).fill(-1);
+    for (let k = 0; k < keep; k++) {
+        picked[k] = Math.floor(k * count / keep);
+        remap[picked[k]] = k;
+    }
+    
+    const positions = pickRecords(state.positions, 4, count, picked);
+    const velocities = pickRecords(state.velocities, 4, count, picked);
+    const species = pickRecords(state.species, 1, count, picked);
+    const mortal = state.ages != null;
+    const ages = mortal ? pickRecords(state.ages, 4, count, picked) : null;
+    const lifetimes = mortal ? pickRecords(state.lifetimes, 4, count, picked) : null;
+    const oldBonds = state.bonds ? unpackIndices(state.bonds, count) : [];
+    if (!positions || !velocities || !species || (mortal && (!ages || !lifetimes)) || !oldBonds) {
+        return null;
+    }
+    
+    const bonds = [];
+    for (let k = 0; k < oldBonds.length; k += 2) {
+        const a = remap[oldBonds[k]];
+        const b = remap[oldBonds[k + 1]];
+        if (a !== -1 && b !== -1) {
+            bonds.push(a, b);
+        }
+    }
+    
+    return {
+        ...state,
+        count: keep,
+        positions,
+        velocities,
+        species,
+        ages,
+        lifetimes,
+        bonds: bonds.length > 0 ? packIndices(bonds, keep) : null
+    };
+}
+
+// The picked fixed-size records of a base64 array, re-encoded
+function pickRecords(data, size, count, picked) {
+    const view = fromBase64(data, count * size);
+    if (!view) {
+        return null;
+    }
+    const source = new Uint8Array(view.buffer);
+    const out = new Uint8Array(picked.length * size);
+    for (let k = 0; k < picked.length; k++) {
+        out.set(source.subarray(picked[k] * size, picked[k] * size + size), k * size);
+    }
+    return toBase64(out);
+}
+
+function quantise(fraction, steps) {
+    return Math.round(Math.max(0, Math.min(1, fraction)) * steps);
+}
+
+// Bond index pairs as Uint16 while every index fits, otherwise Uint32
+function packIndices(indices, count) {
+    const size = count <= 65536 ? 2 : 4;
+    const view = new DataView(new ArrayBuffer(indices.length * size));
+    for (let k = 0; k < indices.length; k++) {
+        if (size === 2) {
+            view.setUint16(k * 2, indices[k], true);
+        } else {
+            view.setUint32(k * 4, indices[k], true);
+        }
+    }
+    return toBase64(view);
+}
+
+function unpackIndices(data, count) {
+    const size = count <= 65536 ? 2 : 4;
+    const view = fromBase64(data, 0);
+    if (!view || view.byteLength % (size * 2) !== 0) {
+        return null;
+    }
+    const indices = new Array(view.byteLength / size);
+    for (let k = 0; k < indices.length; k++) {
+        indices[k] = size === 2 ? view.getUint16(k * 2, true) : view.getUint32(k * 4, true);
+        if (indices[k] >= count) {
+            return null;
+        }
+    }
+    return indices;
+}
+
+function toBase64(view) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+// Decode to a DataView of at least minBytes bytes - null if malformed or short
+function fromBase64(data, minBytes) {
+    if (typeof data !== 'string') {
+        return null;
+    }
+    let binary;
+    try {
+        binary = atob(data);
+    } catch (error) {
+        return null;
+    }
+    if (binary.length < minBytes) {
+        return null;
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new DataView(bytes.buffer);
+}
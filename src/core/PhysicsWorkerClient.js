@@ -0,0 +1,219 @@
+/**
+ * Main-thread side of worker physics
+ * Keeps a SimulationWorker in step with a ParticleSimulation: parameter and
+ * particle changes are posted as messages, and each frame's particle state
+ * (positions, velocities, species, ages, lifetimes, spawn flags) comes back
+ * as transferred typed arrays that are copied into the local particle
+ * objects for rendering and UI.
+ */
+
+import { getForceLawModules } from './ForceLaws.js';
+
+export class PhysicsWorkerClient {
+    // onFailure is called once if the worker dies; the caller owns the fallback
+    constructor(simulation, onFailure = null) {
+        this.simulation = simulation;
+        this.worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            console.warn('Physics worker failed, falling back to main-thread physics:', e.message);
+            this.failed = true;
+            if (onFailure) onFailure(e);
+        };
+        this.failed = false;
+        
+        // One step request in flight at a time; frame time accumulates meanwhile
+        this.busy = false;
+        this.pendingDt = 0;
+        this.pendingSingleTick = false;
+        
+        // Change tracking - only send what changed since the last frame
+        this.generation = 0;
+        this.syncedParticles = null;
+        this.syncedCount = -1;
+        this.syncedParameterVersion = -1;
+        this.syncedShockwaves = false;
+        this.syncedLawModules = 0;
+        
+        // Buffers returned by the worker, handed back for reuse on the next step
+        this.spareBuffers = null;
+        
+        this.worker.postMessage({
+            type: 'init',
+            width: simulation.width,
+            height: simulation.height,
+            seed: simulation.getSeed(),
+            noiseSeed: simulation.noiseGenerator.seed
+        });
+    }
+    
+    // Queue dt seconds of physics. Results arrive asynchronously and are
+    // applied to the simulation's particles when the worker answers.
+    update(dt, singleTick = false) {
+        this.syncParticles();
+        this.syncParameters();
+        
+        this.pendingDt += dt;
+        this.pendingSingleTick = this.pendingSingleTick || singleTick;
+        if (this.busy) {
+            return;
+        }
+        
+        const message = {
+            type: 'step',
+            dt: this.pendingDt,
+            singleTick: this.pendingSingleTick
+        };
+        const transfer = [];
+        if (this.spareBuffers) {
+            message.positions = this.spareBuffers.positions;
+            message.velocities = this.spareBuffers.velocities;
+            transfer.push(message.positions.buffer, message.velocities.buffer);
+            this.spareBuffers = null;
+        }
+        
+        this.worker.postMessage(message, transfer);
+        this.busy = true;
+        this.pendingDt = 0;
+        this.pendingSingleTick = false;
+    }
+    
+    // Send the particle set whenever it is replaced (preset load, reinit, species change)
+    syncParticles() {
+        const particles = this.simulation.particles;
+        if (particles === this.syncedParticles && particles.length === this.syncedCount) {
+            return;
+        }
+        
+        const count = particles.length;
+        const positions = new Float32Array(count * 2);
+        const velocities = new Float32Array(count * 2);
+        const species = new Uint16Array(count);
+        const ages = new Float32Array(count);
+        const lifetimes = new Float32Array(count);
+        const spawned = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            const p = particles[i];
+            positions[i * 2] = p.x;
+            positions[i * 2 + 1] = p.y;
+            velocities[i * 2] = p.vx;
+            velocities[i * 2 + 1] = p.vy;
+            species[i] = p.species;
+            ages[i] = p.age || 0;
+            lifetimes[i] = p.lifetime || 0;
+            spawned[i] = p.spawned ? 1 : 0;
+        }
+        
+        this.generation++;
+        // The clocks travel with the particles, so a rewound set resumes from its own time
+        const simulation = this.simulation;
+        const message = {
+            type: 'particles',
+            generation: this.generation,
+            time: simulation.time,
+            frameCount: simulation.frameCount,
+            noiseTime: simulation.noiseGenerator.time,
+            timeModulationCycle: simulation.timeModulationCycle,
+            rngState: simulation.rng.state,
+            count,
+            positions,
+            velocities,
+            species,
+            ages,
+            lifetimes,
+            spawned
+        };
+        const transfer = [positions.buffer, velocities.buffer, species.buffer, ages.buffer, lifetimes.buffer, spawned.buffer];
+        
+        // A set loaded from a preset's saved state brings its bonds along
+        if (particles !== this.syncedParticles && simulation.bondParticles === particles && simulation.bonds.length > 0) {
+            message.bonds = Uint32Array.from(simulation.bonds);
+            transfer.push(message.bonds.buffer);
+        }
+        this.worker.postMessage(message, transfer);
+        
+        this.syncedParticles = particles;
+        this.syncedCount = count;
+    }
+    
+    syncParameters() {
+        // Custom force laws are registered by modules the worker has to import too
+        const lawModules = getForceLawModules();
+        if (lawModules.length !== this.syncedLawModules) {
+            this.worker.postMessage({ type: 'forceLawModules', urls: [...lawModules] });
+            this.syncedLawModules = lawModules.length;
+        }
+        
+        // Parameters are resent only after markParametersChanged(). Shockwaves are
+        // aged on this thread, so they change every frame while any are active.
+        const simulation = this.simulation;
+        const shockwaves = simulation.activeShockwaves.length > 0;
+        if (simulation.parameterVersion === this.syncedParameterVersion && !shockwaves && !this.syncedShockwaves) {
+            return;
+        }
+        this.worker.postMessage({ type: 'params', params: simulation.getParameterSnapshot() });
+        this.syncedParameterVersion = simulation.parameterVersion;
+        this.syncedShockwaves = shockwaves;
+    }
+    
+    handleMessage(msg) {
+        if (msg.type !== 'state') {
+            return;
+        }
+        
+        this.busy = false;
+        this.spareBuffers = { positions: msg.positions, velocities: msg.velocities };
+        
+        // Drop results computed for a particle set that has since been replaced
+        const particles = this.simulation.particles;
+        if (msg.generation !== this.generation) {
+            return;
+        }
+        this.applyLifecycle(msg);
+        
+        const { positions, velocities } = msg;
+        for (let i = 0; i < msg.count; i++) {
+            const p = particles[i];
+            p.x = positions[i * 2];
+            p.y = positions[i * 2 + 1];
+            p.vx = velocities[i * 2];
+            p.vy = velocities[i * 2 + 1];
+        }
+        
+        this.simulation.time = msg.time;
+        this.simulation.frameCount = msg.frameCount;
+        this.simulation.noiseGenerator.time = msg.noiseTime;
+        this.simulation.timeModulationCycle = msg.timeModulationCycle;
+        this.simulation.rng.state = msg.rngState;
+        this.simulation.gridStats = msg.gridStats;
+        this.simulation.energyStats = msg.energyStats;
+        this.simulation.bonds = msg.bonds ? Array.from(msg.bonds) : [];
+        this.simulation.bondParticles = particles;
+    }
+    
+    // Grow or shrink the local particle array to match the worker's after
+    // emitters, sinks and species conversions have run. The array is resized in place, so this
+    // doesn't count as a replaced particle set. energy is derived from age the
+    // same way tick() does it rather than sent.
+    applyLifecycle({ count, species, ages, lifetimes, spawned }) {
+        const particles = this.simulation.particles;
+        for (let i = particles.length; i < count; i++) {
+            particles.push({ x: 0, y: 0, vx: 0, vy: 0, species: 0, age: 0, energy: 1 });
+        }
+        particles.length = count;
+        
+        for (let i = 0; i < count; i++) {
+            const p = particles[i];
+            p.species = species[i];
+            p.age = ages[i];
+            p.energy = 0.5 + 0.5 * Math.sin(p.age * 2 + i);
+            p.lifetime = lifetimes[i];
+            p.spawned = spawned[i] === 1;
+        }
+        this.syncedCount = count;
+    }
+    
+    terminate() {
+        this.worker.terminate();
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Physics worker entry point
+ * Hosts a ParticleSimulation off the main thread. PhysicsWorkerClient sends
+ * parameters and particles in, and gets positions, velocities, species,
+ * ages, lifetimes and spawn flags back as transferable typed arrays.
+ */
+
+import { ParticleSimulation } from './ParticleSimulation.js';
+
+let simulation = null;
+let generation = 0; // Bumped by the client whenever it replaces the particle set
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    
+    switch (msg.type) {
+        case 'init':
+            simulation = new ParticleSimulation(msg.width, msg.height, { seed: msg.seed, noiseSeed: msg.noiseSeed });
+            break;
+        
+        case 'params':
+            simulation.applyParameterSnapshot(msg.params);
+            break;
+        
+        case 'particles':
+            generation = msg.generation;
+            loadParticles(msg);
+            break;
+        
+        case 'step':
+            step(msg);
+            break;
+        
+        case 'forceLawModules':
+            // Laws register themselves on import; unknown laws fall back to the default until loaded
+            msg.urls.forEach(url => import(url).catch(error => {
+                console.error(`SimulationWorker: failed to load force law module ${url}:`, error);
+            }));
+            break;
+        
+        default:
+            console.warn(`SimulationWorker: unknown message type "${msg.type}"`);
+    }
+};
+
+function loadParticles({ count, positions, velocities, species, ages, lifetimes, spawned, bonds, time, frameCount, noiseTime, timeModulationCycle, rngState }) {
+    const particles = new Array(count);
+    for (let i = 0; i < count; i++) {
+        particles[i] = {
+            x: positions[i * 2],
+            y: positions[i * 2 + 1],
+            vx: velocities[i * 2],
+            vy: velocities[i * 2 + 1],
+            species: species[i],
+            age: ages[i],
+            energy: 1,
+            spawned: spawned[i] === 1,
+            lifetime: lifetimes[i]
+        };
+    }
+    simulation.particles = particles;
+    simulation.mortalParticles = particles.filter(p => p.lifetime > 0).length;
+    simulation.time = time;
+    simulation.frameCount = frameCount;
+    simulation.noiseGenerator.time = noiseTime;
+    simulation.timeModulationCycle = timeModulationCycle;
+    simulation.rng.state = rngState;
+    simulation.timeAccumulator = 0;
+    if (bonds) {
+        simulation.bonds = Array.from(bonds);
+        simulation.bondParticles = particles;
+    }
+}
+
+function step({ dt, singleTick, positions, velocities }) {
+    if (singleTick) {
+        simulation.tick();
+    } else if (dt > 0) {
+        simulation.advance(dt);
+    }
+    
+    // Reuse the buffers the client handed back when they are large enough
+    const particles = simulation.particles;
+    const count = particles.length;
+    if (!positions || positions.length < count * 2) {
+        positions = new Float32Array(count * 2);
+    }
+    if (!velocities || velocities.length < count * 2) {
+        velocities = new Float32Array(count * 2);
+    }
+    
+    for (let i = 0; i < count; i++) {
+        const p = particles[i];
+        positions[i * 2] = p.x;
+        positions[i * 2 + 1] = p.y;
+        velocities[i * 2] = p.vx;
+        velocities[i * 2 + 1] = p.vy;
+    }
+    
+    const message = {
+        type: 'state',
+        generation,
+        count,
+        positions,
+        velocities,
+        time: simulation.time,
+        frameCount: simulation.frameCount,
+        noiseTime: simulation.noiseGenerator.time,
+        timeModulationCycle: simulation.timeModulationCycle,
+        rngState: simulation.rng.state,
+        gridStats: simulation.gridStats,
+        energyStats: simulation.energyStats
+    };
+    // Every per-particle field the main thread reads comes back each step -
+    // ages move every tick, and emitters, sinks and conversions change the rest
+    Object.assign(message, packLifecycle(particles));
+    const transfer = [
+        positions.buffer, velocities.buffer,
+        message.species.buffer, message.ages.buffer, message.lifetimes.buffer, message.spawned.buffer
+    ];
+    
+    // Bonds are only needed on the main thread for drawing
+    if (simulation.bonds.length > 0) {
+        message.bonds = Uint32Array.from(simulation.bonds);
+        transfer.push(message.bonds.buffer);
+    }
+    
+    self.postMessage(message, transfer);
+}
+
+function packLifecycle(particles) {
+    const count = particles.length;
+    const species = new Uint16Array(count);
+    const ages = new Float32Array(count);
+    const lifetimes = new Float32Array(count);
+    const spawned = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        const p = particles[i];
+        species[i] = p.species;
+        ages[i] = p.age;
+        lifetimes[i] = p.lifetime || 0;
+        spawned[i] = p.spawned ? 1 : 0;
+    }
+    return { species, ages, lifetimes, spawned };
+}
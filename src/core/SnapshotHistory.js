@@ -0,0 +1,198 @@
+/**
+ * Snapshot history
+ * Ring buffer of compact particle snapshots - positions, velocities, species
+ * and simulation time - so a run can be rewound and resumed from an earlier
+ * frame. The buffer is bounded by frame count and by memory. When full it
+ * drops the oldest frame, or with downsampling on it keeps every other frame
+ * and records half as often, so a long history spans more time at a coarser
+ * resolution.
+ */
+
+export const DEFAULT_HISTORY_FRAMES = 600;
+export const DEFAULT_HISTORY_MEGABYTES = 32;
+
+const BYTES_PER_PARTICLE = 18; // Two Float32 pairs and a Uint16 species
+const BYTES_PER_MORTAL_PARTICLE = 8; // Age and lifetime, only stored when some particle has a lifetime
+
+export class SnapshotHistory {
+    constructor(options = {}) {
+        this.slots = []; // Snapshots in ring order
+        this.spare = null; // The last dropped snapshot, whose buffers the next one reuses
+        this.start = 0; // Slot holding the oldest snapshot
+        this.length = 0;
+        this.bytes = 0;
+        this.skipped = 0; // Frames offered since the last one recorded
+        this.configure(options);
+    }
+    
+    // Change the limits, keeping as many of the newest snapshots as still fit
+    configure({ frames = DEFAULT_HISTORY_FRAMES, megabytes = DEFAULT_HISTORY_MEGABYTES, interval = 1, downsample = false } = {}) {
+        this.capacity = Math.max(10, Math.min(10000, Math.round(Number(frames) || DEFAULT_HISTORY_FRAMES)));
+        this.maxBytes = Math.max(1, Math.min(512, Number(megabytes) || DEFAULT_HISTORY_MEGABYTES)) * 1024 * 1024;
+        this.baseInterval = Math.max(1, Math.min(60, Math.round(Number(interval) || 1))); // Record every nth frame
+        this.interval = this.baseInterval; // Doubles each time downsampling thins the buffer
+        this.downsample = !!downsample;
+        
+        const kept = this.toArray();
+        while (kept.length > 0 && (kept.length > this.capacity || sumBytes(kept) > this.maxBytes)) {
+            kept.shift();
+        }
+        this.setSnapshots(kept);
+    }
+    
+    clear() {
+        this.setSnapshots([]);
+        this.spare = null;
+        this.interval = this.baseInterval;
+        this.skipped = 0;
+    }
+    
+    // Oldest first
+    get(index) {
+        if (index < 0 || index >= this.length) {
+            return null;
+        }
+        return this.slots[(this.start + index) % this.slots.length];
+    }
+    
+    getNewest() {
+        return this.get(this.length - 1);
+    }
+    
+    toArray() {
+        const snapshots = [];
+        for (let i = 0; i < this.length; i++) {
+            snapshots.push(this.get(i));
+        }
+        return snapshots;
+    }
+    
+    // Forget everything recorded after the snapshot at index - resuming from
+    // a rewound frame starts a new timeline
+    truncate(index) {
+        this.setSnapshots(this.toArray().slice(0, Math.max(0, index + 1)));
+    }
+    
+    getStats() {
+        const oldest = this.get(0);
+        const newest = this.getNewest();
+        return {
+            frames: this.length,
+            bytes: this.bytes,
+            interval: this.interval,
+            span: oldest ? newest.time - oldest.time : 0
+        };
+    }
+    
+    // Record the simulation's current state, unless this frame falls between
+    // recorded ones or time hasn't moved since the last snapshot. Returns
+    // whether a snapshot was taken.
+    record(simulation) {
+        const newest = this.getNewest();
+        if (newest && newest.time === simulation.time) {
+            return false;
+        }
+        if (newest && ++this.skipped < this.interval) {
+            return false;
+        }
+        this.skipped = 0;
+        
+        const particles = simulation.particles;
+        const count = particles.length;
+        const mortal = particles.some(p => p.lifetime > 0);
+        const bytes = count * (BYTES_PER_PARTICLE + (mortal ? BYTES_PER_MORTAL_PARTICLE : 0));
+        this.makeRoom(bytes);
+        
+        // Reuse the dropped snapshot's buffers when they are big enough
+        let snapshot = this.spare;
+        this.spare = null;
+        if (!snapshot || snapshot.positions.length < count * 2 || (mortal && (!snapshot.ages || snapshot.ages.length < count))) {
+            snapshot = {
+                positions: new Float32Array(count * 2),
+                velocities: new Float32Array(count * 2),
+                species: new Uint16Array(count),
+                ages: mortal ? new Float32Array(count) : null,
+                lifetimes: mortal ? new Float32Array(count) : null
+            };
+        }
+        
+        snapshot.time = simulation.time;
+        snapshot.frameCount = simulation.frameCount;
+        snapshot.noiseTime = simulation.noiseGenerator.time;
+        snapshot.timeModulationCycle = simulation.timeModulationCycle;
+        snapshot.rngState = simulation.rng.state;
+        snapshot.count = count;
+        snapshot.mortal = mortal;
+        snapshot.bytes = snapshot.positions.byteLength + snapshot.velocities.byteLength + snapshot.species.byteLength +
+            (snapshot.ages ? snapshot.ages.byteLength + snapshot.lifetimes.byteLength : 0);
+        
+        const { positions, velocities, species, ages, lifetimes } = snapshot;
+        for (let i = 0; i < count; i++) {
+            const p = particles[i];
+            positions[i * 2] = p.x;
+            positions[i * 2 + 1] = p.y;
+            velocities[i * 2] = p.vx;
+            velocities[i * 2 + 1] = p.vy;
+            species[i] = p.species;
+            if (mortal) {
+                ages[i] = p.age || 0;
+                lifetimes[i] = p.lifetime || 0;
+            }
+        }
+        
+        this.push(snapshot);
+        return true;
+    }
+    
+    // Free frames until a snapshot of the given size fits
+    makeRoom(bytes) {
+        while (this.length > 0 && (this.length >= this.capacity || this.bytes + bytes > this.maxBytes)) {
+            if (this.downsample && this.length > 1) {
+                this.thin();
+            } else {
+                this.dropOldest();
+            }
+        }
+    }
+    
+    // Keep every other snapshot, counting back from the newest, and record
+    // half as often from now on
+    thin() {
+        const snapshots = this.toArray();
+        this.setSnapshots(snapshots.filter((snapshot, i) => (snapshots.length - 1 - i) % 2 === 0));
+        this.interval = Math.min(this.interval * 2, 3600);
+    }
+    
+    dropOldest() {
+        this.spare = this.get(0);
+        this.bytes -= this.spare.bytes;
+        this.slots[this.start] = null;
+        this.start = (this.start + 1) % this.slots.length;
+        this.length--;
+    }
+    
+    push(snapshot) {
+        if (this.length === this.slots.length) {
+            // No free slot - grow the ring, unrolling it first if it has wrapped
+            if (this.start !== 0) {
+                this.setSnapshots(this.toArray());
+            }
+            this.slots.push(snapshot);
+        } else {
+            this.slots[(this.start + this.length) % this.slots.length] = snapshot;
+        }
+        this.length++;
+        this.bytes += snapshot.bytes;
+    }
+    
+    setSnapshots(snapshots) {
+        this.slots = snapshots;
+        this.start = 0;
+        this.length = snapshots.length;
+        this.bytes = sumBytes(snapshots);
+    }
+}
+
+function sumBytes(snapshots) {
+    return snapshots.reduce((total, snapshot) => total + snapshot.bytes, 0);
+}
@@ -0,0 +1,187 @@
+/**
+ * Spatial zones
+ * Regions of the canvas, in pixels, that override the social force matrix,
+ * friction or noise for the particles inside them. A zone is a rectangle, a
+ * circle, or a painted mask stretched over the canvas. Overrides fade in across
+ * a band `blend` pixels wide centred on the zone's border, and overlapping
+ * zones are applied in list order, so later zones win.
+ */
+
+import { decodeMask } from './Arenas.js';
+
+export const ZONE_SHAPES = ['rect', 'circle', 'painted'];
+export const MAX_ZONE_FORCE = 5;
+export const MAX_ZONE_NOISE = 5;
+
+// Validate a zone description and fill in defaults - returns null if unusable
+export function normalizeZone(zone) {
+    if (!zone || !ZONE_SHAPES.includes(zone.shape)) {
+        console.warn(`Unknown zone shape "${zone?.shape}"`);
+        return null;
+    }
+    
+    const base = {
+        shape: zone.shape,
+        name: typeof zone.name === 'string' ? zone.name.slice(0, 40) : '',
+        blend: Math.max(0, Math.min(200, Number(zone.blend ?? 40) || 0)), // Width of the border fade in pixels
+        // null leaves the global setting alone inside the zone
+        socialForce: normalizeZoneMatrix(zone.socialForce),
+        friction: zone.friction == null ? null : Math.max(0, Math.min(1, Number(zone.friction) || 0)), // Same scale as the friction slider
+        noise: zone.noise == null ? null : Math.max(0, Math.min(MAX_ZONE_NOISE, Number(zone.noise) || 0)) // Noise strength multiplier
+    };
+    
+    switch (zone.shape) {
+        case 'rect':
+            if (!isFinite(zone.x) || !isFinite(zone.y) || !(zone.width > 0) || !(zone.height > 0)) break;
+            return { ...base, x: zone.x, y: zone.y, width: zone.width, height: zone.height };
+        
+        case 'circle':
+            if (!isFinite(zone.x) || !isFinite(zone.y) || !(zone.radius > 0)) break;
+            return { ...base, x: zone.x, y: zone.y, radius: zone.radius };
+        
+        case 'painted': {
+            const cells = decodeMask(zone.mask);
+            if (!cells || !cells.includes(1)) break;
+            const { width, height, data } = zone.mask;
+            return { ...base, mask: { width, height, data } };
+        }
+    }
+    
+    console.warn(`Invalid ${zone.shape} zone`, zone);
+    return null;
+}
+
+// Copy of a zone for a canvas stretched by (sx, sy). Radii and the blend band
+// follow sr; painted masks already stretch with the canvas.
+export function scaleZone(zone, sx, sy, sr) {
+    const scaled = { ...zone, blend: zone.blend * sr };
+    switch (zone.shape) {
+        case 'rect':
+            return { ...scaled, x: zone.x * sx, y: zone.y * sy, width: zone.width * sx, height: zone.height * sy };
+        case 'circle':
+            return { ...scaled, x: zone.x * sx, y: zone.y * sy, radius: zone.radius * sr };
+        default:
+            return scaled;
+    }
+}
+
+// Square-ish matrix of forces, clamped to the force slider range. Rows may be
+// shorter than the species count - missing pairs keep the global force.
+function normalizeZoneMatrix(matrix) {
+    if (!Array.isArray(matrix)) {
+        return null;
+    }
+    return matrix.map(row => Array.isArray(row)
+        ? row.map(value => Math.max(-MAX_ZONE_FORCE, Math.min(MAX_ZONE_FORCE, Number(value) || 0)))
+        : []);
+}
+
+// Painted zones are sampled from a coverage grid: the mask box-blurred across
+// the blend width, so coverage ramps from 0 to 1 over the border band
+export function buildZoneCoverage(zone, width, height) {
+    const { mask } = zone;
+    const cells = decodeMask(mask);
+    const gw = mask.width;
+    const gh = mask.height;
+    const cellSize = (width / gw + height / gh) / 2;
+    const radius = Math.round(zone.blend / cellSize / 2);
+    
+    const coverage = new Float32Array(gw * gh);
+    for (let i = 0; i < coverage.length; i++) {
+        coverage[i] = cells[i];
+    }
+    if (radius > 0) {
+        boxBlur(coverage, gw, gh, radius);
+    }
+    return { coverage, gw, gh, cellW: width / gw, cellH: height / gh };
+}
+
+// Separable box blur in place; cells past the edge count as empty
+function boxBlur(grid, gw, gh, radius) {
+    const span = radius * 2 + 1;
+    const line = new Float32Array(Math.max(gw, gh));
+    
+    for (let y = 0; y < gh; y++) {
+        for (let x = 0; x < gw; x++) line[x] = grid[y * gw + x];
+        let sum = 0;
+        for (let x = 0; x < Math.min(radius, gw); x++) sum += line[x];
+        for (let x = 0; x < gw; x++) {
+            if (x + radius < gw) sum += line[x + radius];
+            if (x - radius - 1 >= 0) sum -= line[x - radius - 1];
+            grid[y * gw + x] = sum / span;
+        }
+    }
+    for (let x = 0; x < gw; x++) {
+        for (let y = 0; y < gh; y++) line[y] = grid[y * gw + x];
+        let sum = 0;
+        for (let y = 0; y < Math.min(radius, gh); y++) sum += line[y];
+        for (let y = 0; y < gh; y++) {
+            if (y + radius < gh) sum += line[y + radius];
+            if (y - radius - 1 >= 0) sum -= line[y - radius - 1];
+            grid[y * gw + x] = sum / span;
+        }
+    }
+}
+
+// How strongly a zone applies at (x, y): 1 well inside, 0 outside, easing
+// smoothly across the border band. Painted zones need their coverage grid.
+export function zoneWeight(zone, coverage, x, y) {
+    let t;
+    switch (zone.shape) {
+        case 'rect': {
+            // Distance to the nearest side - positive inside
+            const inside = Math.min(x - zone.x, zone.x + zone.width - x, y - zone.y, zone.y + zone.height - y);
+            t = zone.blend > 0 ? inside / zone.blend + 0.5 : (inside > 0 ? 1 : 0);
+            break;
+        }
+        
+        case 'circle': {
+            const inside = zone.radius - Math.sqrt((x - zone.x) ** 2 + (y - zone.y) ** 2);
+            t = zone.blend > 0 ? inside / zone.blend + 0.5 : (inside > 0 ? 1 : 0);
+            break;
+        }
+        
+        case 'painted':
+            t = sampleCoverage(coverage, x, y);
+            break;
+        
+        default:
+            return 0;
+    }
+    
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    return t * t * (3 - 2 * t);
+}
+
+// Bilinear sample of a coverage grid at canvas position (x, y)
+function sampleCoverage(grid, x, y) {
+    const { coverage, gw, gh } = grid;
+    // Values sit at cell centres
+    const u = Math.max(0, Math.min(gw - 1, x / grid.cellW - 0.5));
+    const v = Math.max(0, Math.min(gh - 1, y / grid.cellH - 0.5));
+    const i = Math.min(u | 0, gw - 2);
+    const j = Math.min(v | 0, gh - 2);
+    if (i < 0 || j < 0) {
+        // Single row or column of cells
+        return coverage[Math.round(v) * gw + Math.round(u)];
+    }
+    const fu = u - i;
+    const fv = v - j;
+    const top = coverage[j * gw + i] * (1 - fu) + coverage[j * gw + i + 1] * fu;
+    const bottom = coverage[(j + 1) * gw + i] * (1 - fu) + coverage[(j + 1) * gw + i + 1] * fu;
+    return top * (1 - fv) + bottom * fv;
+}
+
+// Axis-aligned bounds of a zone's influence, border band included
+export function getZoneBounds(zone, width, height) {
+    const pad = zone.blend / 2;
+    switch (zone.shape) {
+        case 'rect':
+            return { minX: zone.x - pad, minY: zone.y - pad, maxX: zone.x + zone.width + pad, maxY: zone.y + zone.height + pad };
+        case 'circle':
+            return { minX: zone.x - zone.radius - pad, minY: zone.y - zone.radius - pad, maxX: zone.x + zone.radius + pad, maxY: zone.y + zone.radius + pad };
+        default:
+            return { minX: 0, minY: 0, maxX: width, maxY: height };
+    }
+}
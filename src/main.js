@@ -5,6 +5,7 @@ import { UIStateManager } from './utils/UIStateManager.js';
 import { CollapsibleUIIntegration } from './ui/CollapsibleUIIntegration.js';
 import { DOMHelpers } from './utils/DOMHelpers.js';
 import { CloudSyncUI } from './ui/CloudSyncUI.js';
+import { TelemetryPanel } from './ui/TelemetryPanel.js';
 import { Logger } from './utils/Logger.js';
 import { AspectRatioManager } from './utils/AspectRatioManager.js';
 import { EnvironmentManager } from './utils/EnvironmentManager.js';
@@ -68,6 +69,8 @@ async function init() {
     // Create particle system
     const particleSystem = new SimpleParticleSystem(aspectRatioManager.canvas.width, aspectRatioManager.canvas.height);
     particleSystem.setCanvas(canvas);
+    // Worker physics is experimental - only on when the user opted in
+    particleSystem.setWorkerPhysics(localStorage.getItem('workerPhysics') === 'true');
     // Make particle system globally accessible for species synchronization
     window.particleSystem = particleSystem;
     window.aspectRatioManager = aspectRatioManager;
@@ -278,6 +281,7 @@ async function init() {
             V - Randomize values<br>
             R - Randomize forces<br>
             M - Mute/freeze<br>
+            . - Step once<br>
             Shift + - Next preset<br>
             Shift - - Previous preset
         `;
@@ -288,7 +292,8 @@ async function init() {
         performanceSection.innerHTML = `
             FPS: <span id="overlay-fps">--</span><br>
             Particles: <span id="overlay-particles">--</span><br>
-            Species: <span id="overlay-species">--</span>
+            Species: <span id="overlay-species">--</span> <span id="overlay-populations"></span><br>
+            Energy: <span id="overlay-energy">--</span>
         `;
         
         overlay.appendChild(shortcutsSection);
@@ -300,6 +305,10 @@ async function init() {
     
     const combinedOverlay = createCombinedOverlay();
     
+    // Scrolling charts of frame rate, timing, energy, populations and speed
+    const telemetryPanel = new TelemetryPanel(particleSystem);
+    document.body.appendChild(telemetryPanel.createElement());
+    
     // Animation loop
     let lastTime = 0;
     let frameCount = 0;
@@ -327,6 +336,22 @@ async function init() {
             speciesElement.textContent = speciesCount.toString();
         }
         
+        // Population per species - these change with conversions, emitters and sinks
+        const populationsElement = document.getElementById('overlay-populations');
+        if (populationsElement) {
+            populationsElement.textContent = particleSystem.numSpecies > 1
+                ? `(${particleSystem.getSpeciesCounts().join(' / ')})`
+                : '';
+        }
+        
+        // Kinetic energy from the last physics step, with the thermostat target when it is on
+        const energyElement = document.getElementById('overlay-energy');
+        if (energyElement && particleSystem.energyStats) {
+            const { total, temperature } = particleSystem.energyStats;
+            energyElement.textContent = `${total.toFixed(0)} (T ${temperature.toFixed(1)}` +
+                (particleSystem.thermostatEnabled ? ` → ${particleSystem.targetTemperature.toFixed(1)})` : ')');
+        }
+        
         // MUTED status display has been removed
     }
     
@@ -353,6 +378,7 @@ async function init() {
         }
         
         particleSystem.update(deltaTime);
+        telemetryPanel.recordFrame(currentTime);
         
         
         requestAnimationFrame(animate);
@@ -108,6 +108,7 @@ export class CollapsibleUIIntegration {
             { id: 'boundary', title: 'Boundary Behavior' },
             { id: 'mouse', title: 'Mouse Interactions' },
             { id: 'force-relationships', title: 'Force Relationships' },
+            { id: 'zones', title: 'Zones' },
             { id: 'effects', title: 'Effects' },
             { id: 'colors', title: 'Colors' },
             { id: 'modulations', title: 'Modulations' },
@@ -0,0 +1,134 @@
+/**
+ * Conversion matrix editor
+ * Grid of per-pair conversion rates: the cell in row A, column B is the chance
+ * per second that a particle of A touching enough particles of B turns into B.
+ * Diagonal cells are disabled - a species can't convert into itself.
+ */
+
+const MAX_RATE = 5;
+
+export class ConversionMatrixEditor {
+  constructor(container, onChange) {
+    this.container = container;
+    this.onChange = onChange;
+    this.species = [];
+    this.matrix = [];
+    
+    this.container.addEventListener('input', this.handleInput.bind(this));
+  }
+  
+  setSpecies(species) {
+    this.species = species || [];
+    this.resize();
+    this.render();
+  }
+  
+  // null (no conversions) or an n x n array of rates
+  setMatrix(matrix) {
+    const n = this.species.length;
+    this.matrix = [];
+    for (let i = 0; i < n; i++) {
+      this.matrix.push([]);
+      for (let j = 0; j < n; j++) {
+        this.matrix[i].push(matrix?.[i]?.[j] || 0);
+      }
+    }
+    this.render();
+  }
+  
+  // Returns null when no pair converts, matching ParticleSimulation.conversionMatrix
+  getMatrix() {
+    if (this.matrix.every(row => row.every(rate => !rate))) {
+      return null;
+    }
+    return this.matrix.map(row => [...row]);
+  }
+  
+  resize() {
+    this.setMatrix(this.matrix);
+  }
+  
+  // Each species converts into the next: A -> B -> C -> A
+  applyCyclic(rate) {
+    const n = this.species.length;
+    this.setMatrix(null);
+    if (n < 2) return;
+    for (let i = 0; i < n; i++) {
+      this.matrix[i][(i + 1) % n] = rate;
+    }
+    this.render();
+    this.notifyChange();
+  }
+  
+  clear() {
+    this.setMatrix(null);
+    this.notifyChange();
+  }
+  
+  handleInput(e) {
+    const cell = e.target;
+    if (!cell.classList.contains('conversion-cell')) return;
+    
+    const from = parseInt(cell.dataset.from);
+    const to = parseInt(cell.dataset.to);
+    const rate = Math.max(0, Math.min(MAX_RATE, parseFloat(cell.value) || 0));
+    if (this.matrix[from]) {
+      this.matrix[from][to] = rate;
+      cell.parentElement.style.background = this.getCellBackground(rate);
+      this.notifyChange();
+    }
+  }
+  
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this.getMatrix());
+    }
+  }
+  
+  render() {
+    if (!this.container) return;
+    
+    let html = '<table style="border-collapse: collapse; width: 100%;">';
+    
+    // Header row - target species
+    html += '<tr><td style="padding: 4px; color: #666;">from \\ to</td>';
+    this.species.forEach((species, i) => {
+      html += `<td style="padding: 4px; text-align: center; font-weight: bold; color: ${this.getSpeciesColor(species)}">
+        ${species.name ? species.name.charAt(0) : (i + 1)}
+      </td>`;
+    });
+    html += '</tr>';
+    
+    this.matrix.forEach((row, i) => {
+      const species = this.species[i];
+      html += `<tr>
+        <td style="padding: 4px; font-weight: bold; color: ${this.getSpeciesColor(species)}">
+          ${species.name || `S${i + 1}`}
+        </td>`;
+      
+      row.forEach((rate, j) => {
+        const disabled = i === j ? 'disabled' : '';
+        html += `<td style="padding: 2px; border: 1px solid #333; background: ${this.getCellBackground(rate)};">
+          <input type="number" class="conversion-cell" data-from="${i}" data-to="${j}"
+                 min="0" max="${MAX_RATE}" step="0.1" value="${i === j ? '' : rate}" ${disabled}
+                 style="width: 100%; min-width: 36px; background: transparent; border: none; color: #ccc; text-align: center; font-family: monospace;">
+        </td>`;
+      });
+      html += '</tr>';
+    });
+    
+    html += '</table>';
+    this.container.innerHTML = html;
+  }
+  
+  getCellBackground(rate) {
+    return rate > 0 ? `rgba(102, 153, 255, ${Math.min(rate / MAX_RATE, 1) * 0.4 + 0.1})` : 'transparent';
+  }
+  
+  getSpeciesColor(species) {
+    if (species?.color) {
+      return `rgb(${species.color.r}, ${species.color.g}, ${species.color.b})`;
+    }
+    return '#aaa';
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Emitter and sink tool
+ * Places particle emitters and sinks on the simulation canvas. While a mode
+ * other than 'none' is active the tool owns the pointer, so clicks don't fire
+ * shockwaves.
+ *
+ * emitter - click to place, drag to aim
+ * sink    - click to place, drag to size
+ * move    - drag an emitter or sink; clicking one selects it for editing
+ * erase   - click an emitter or sink to remove it
+ */
+
+const HANDLE_RADIUS = 12; // Pointer distance that counts as hitting an emitter
+
+export class EmitterTool {
+    constructor(particleSystem, { onChange, onSelect } = {}) {
+        this.particleSystem = particleSystem;
+        this.canvas = particleSystem.canvas;
+        this.onChange = onChange;
+        this.onSelect = onSelect;
+        
+        this.mode = 'none';
+        this.drag = null; // { kind: 'emitter' | 'sink', index, action: 'move' | 'aim' | 'size', lastX, lastY }
+        this.selected = null; // { kind, index }
+        
+        // Applied to newly placed emitters and sinks
+        this.defaults = { species: 0, rate: 20, spread: 30, speed: 2, lifetime: 0, radius: 40 };
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.canvas.addEventListener('mouseleave', this.handleMouseUp.bind(this));
+    }
+    
+    setMode(mode) {
+        this.mode = mode;
+        this.drag = null;
+        if (mode === 'none') {
+            this.select(null);
+        }
+        this.particleSystem.canvasTool = mode === 'none' ? null : this;
+        this.canvas.style.cursor = mode === 'none' ? '' : 'crosshair';
+    }
+    
+    select(selection) {
+        this.selected = selection;
+        if (this.onSelect) {
+            this.onSelect(selection);
+        }
+    }
+    
+    // The emitter or sink under the pointer, or null
+    findAt(x, y) {
+        const { emitters, sinks } = this.particleSystem;
+        for (let i = emitters.length - 1; i >= 0; i--) {
+            if (Math.hypot(x - emitters[i].x, y - emitters[i].y) <= HANDLE_RADIUS) {
+                return { kind: 'emitter', index: i };
+            }
+        }
+        for (let i = sinks.length - 1; i >= 0; i--) {
+            if (Math.hypot(x - sinks[i].x, y - sinks[i].y) <= Math.max(sinks[i].radius, HANDLE_RADIUS)) {
+                return { kind: 'sink', index: i };
+            }
+        }
+        return null;
+    }
+    
+    getMousePos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+    
+    handleMouseDown(e) {
+        if (this.mode === 'none' || e.button !== 0) return;
+        const { x, y } = this.getMousePos(e);
+        const ps = this.particleSystem;
+        
+        if (this.mode === 'move' || this.mode === 'erase') {
+            const hit = this.findAt(x, y);
+            if (this.mode === 'move') {
+                this.select(hit);
+                if (hit) {
+                    this.drag = { ...hit, action: 'move', lastX: x, lastY: y };
+                }
+            } else if (hit) {
+                if (hit.kind === 'emitter') {
+                    ps.removeEmitter(hit.index);
+                } else {
+                    ps.removeSink(hit.index);
+                }
+                this.select(null);
+                this.notifyChange();
+            }
+            return;
+        }
+        
+        let index;
+        if (this.mode === 'emitter') {
+            index = ps.addEmitter({ ...this.defaults, x, y });
+        } else {
+            index = ps.addSink({ x, y, radius: this.defaults.radius, species: null });
+        }
+        if (index === -1) return;
+        
+        this.drag = { kind: this.mode, index, action: this.mode === 'emitter' ? 'aim' : 'size', lastX: x, lastY: y };
+        this.select({ kind: this.mode, index });
+        this.notifyChange();
+    }
+    
+    handleMouseMove(e) {
+        if (!this.drag) return;
+        const { x, y } = this.getMousePos(e);
+        const drag = this.drag;
+        const ps = this.particleSystem;
+        const item = drag.kind === 'emitter' ? ps.emitters[drag.index] : ps.sinks[drag.index];
+        if (!item) {
+            this.drag = null;
+            return;
+        }
+        
+        const dist = Math.hypot(x - item.x, y - item.y);
+        if (drag.action === 'aim') {
+            if (dist > 5) {
+                item.angle = (Math.atan2(y - item.y, x - item.x) * 180 / Math.PI + 360) % 360;
+            }
+        } else if (drag.action === 'size') {
+            if (dist > 5) {
+                item.radius = dist;
+            }
+        } else {
+            item.x += x - drag.lastX;
+            item.y += y - drag.lastY;
+        }
+        this.particleSystem.markParametersChanged();
+        drag.lastX = x;
+        drag.lastY = y;
+        drag.moved = true;
+    }
+    
+    handleMouseUp() {
+        if (!this.drag) return;
+        if (this.drag.moved) {
+            this.notifyChange();
+        }
+        this.drag = null;
+    }
+    
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+    
+    // Emitters and sinks are only drawn while the tool is active
+    renderPreview(ctx) {
+        const ps = this.particleSystem;
+        ctx.lineWidth = 1.5;
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        
+        ps.sinks.forEach((sink, index) => {
+            const selected = this.selected?.kind === 'sink' && this.selected.index === index;
+            ctx.strokeStyle = selected ? 'rgba(255, 255, 255, 0.9)' : 'rgba(255, 255, 255, 0.4)';
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.arc(sink.x, sink.y, sink.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fillText('Sink', sink.x + 6, sink.y);
+        });
+        
+        ps.emitters.forEach((emitter, index) => {
+            const selected = this.selected?.kind === 'emitter' && this.selected.index === index;
+            const color = ps.species[emitter.species]?.color || { r: 255, g: 255, b: 255 };
+            const rgb = `${color.r}, ${color.g}, ${color.b}`;
+            
+            // Emission cone
+            const angle = emitter.angle * Math.PI / 180;
+            const halfSpread = Math.min(emitter.spread, 359) * Math.PI / 360;
+            const length = 20 + emitter.speed * 8;
+            ctx.fillStyle = `rgba(${rgb}, 0.15)`;
+            ctx.beginPath();
+            ctx.moveTo(emitter.x, emitter.y);
+            ctx.arc(emitter.x, emitter.y, length, angle - halfSpread, angle + halfSpread);
+            ctx.closePath();
+            ctx.fill();
+            
+            ctx.fillStyle = selected ? 'rgba(255, 255, 255, 0.95)' : `rgba(${rgb}, 0.9)`;
+            ctx.beginPath();
+            ctx.arc(emitter.x, emitter.y, 5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Field emitter tool
+ * Places and drags field emitters on the simulation canvas. While a mode other
+ * than 'none' is active the tool owns the pointer, so clicks don't fire shockwaves.
+ *
+ * attractor / repeller / vortex - click to place, keep dragging to move
+ * line  - drag from one end of the segment to the other
+ * wind  - drag from the centre in the direction the wind should blow
+ * move  - drag an existing field; clicking one selects it for editing
+ * erase - click a field to remove it
+ */
+
+import { FIELD_TYPES, closestPointOnLine } from '../core/FieldEmitters.js';
+
+const HANDLE_RADIUS = 12; // Pointer distance that counts as hitting a field
+
+export class FieldTool {
+    constructor(particleSystem, { onChange, onSelect } = {}) {
+        this.particleSystem = particleSystem;
+        this.canvas = particleSystem.canvas;
+        this.onChange = onChange;
+        this.onSelect = onSelect;
+        
+        this.mode = 'none';
+        this.drag = null; // { index, kind: 'move' | 'end' | 'angle', lastX, lastY }
+        this.selectedIndex = -1;
+        
+        // Applied to newly placed fields
+        this.defaults = { strength: 1, radius: 150, falloff: 1, species: null };
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.canvas.addEventListener('mouseleave', this.handleMouseUp.bind(this));
+    }
+    
+    setMode(mode) {
+        this.mode = mode;
+        this.drag = null;
+        if (mode === 'none') {
+            this.select(-1);
+        }
+        this.particleSystem.canvasTool = mode === 'none' ? null : this;
+        this.canvas.style.cursor = mode === 'none' ? '' : 'crosshair';
+    }
+    
+    select(index) {
+        this.selectedIndex = index;
+        if (this.onSelect) {
+            this.onSelect(index);
+        }
+    }
+    
+    getMousePos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+    
+    // Index of the field whose handle (or line) is under the pointer, or -1
+    findFieldAt(x, y) {
+        const fields = this.particleSystem.fields;
+        for (let i = fields.length - 1; i >= 0; i--) {
+            const field = fields[i];
+            if (Math.hypot(x - field.x, y - field.y) <= HANDLE_RADIUS) {
+                return i;
+            }
+            if (field.type === 'line' && distanceToSegment(x, y, field) <= HANDLE_RADIUS / 2) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    
+    handleMouseDown(e) {
+        if (this.mode === 'none' || e.button !== 0) return;
+        const { x, y } = this.getMousePos(e);
+        
+        if (this.mode === 'move') {
+            const index = this.findFieldAt(x, y);
+            this.select(index);
+            if (index !== -1) {
+                this.drag = { index, kind: 'move', lastX: x, lastY: y };
+            }
+            return;
+        }
+        
+        if (this.mode === 'erase') {
+            const index = this.findFieldAt(x, y);
+            if (index !== -1 && this.particleSystem.removeField(index)) {
+                this.select(-1);
+                this.notifyChange();
+            }
+            return;
+        }
+        
+        // Place a new field of the current type
+        const index = this.particleSystem.addField({
+            ...this.defaults,
+            type: this.mode,
+            x,
+            y,
+            x2: x,
+            y2: y,
+            species: this.defaults.species ? [...this.defaults.species] : null
+        });
+        if (index === -1) return;
+        
+        const kind = this.mode === 'line' ? 'end' : this.mode === 'wind' ? 'angle' : 'move';
+        this.drag = { index, kind, lastX: x, lastY: y };
+        this.select(index);
+        this.notifyChange();
+    }
+    
+    handleMouseMove(e) {
+        if (!this.drag) return;
+        const { x, y } = this.getMousePos(e);
+        const drag = this.drag;
+        const field = this.particleSystem.fields[drag.index];
+        if (!field) {
+            this.drag = null;
+            return;
+        }
+        
+        if (drag.kind === 'end') {
+            field.x2 = x;
+            field.y2 = y;
+        } else if (drag.kind === 'angle') {
+            if (Math.hypot(x - field.x, y - field.y) > 5) {
+                field.angle = (Math.atan2(y - field.y, x - field.x) * 180 / Math.PI + 360) % 360;
+            }
+        } else {
+            const dx = x - drag.lastX;
+            const dy = y - drag.lastY;
+            field.x += dx;
+            field.y += dy;
+            if (field.type === 'line') {
+                field.x2 += dx;
+                field.y2 += dy;
+            }
+        }
+        this.particleSystem.markParametersChanged();
+        drag.lastX = x;
+        drag.lastY = y;
+        drag.moved = true;
+    }
+    
+    handleMouseUp() {
+        if (!this.drag) return;
+        
+        // A line placed with a plain click gets a default length
+        const field = this.particleSystem.fields[this.drag.index];
+        if (field?.type === 'line' && Math.hypot(field.x2 - field.x, field.y2 - field.y) < 5) {
+            field.x2 = field.x + 100;
+            this.particleSystem.markParametersChanged();
+        }
+        
+        if (this.drag.moved) {
+            this.notifyChange();
+        }
+        this.drag = null;
+    }
+    
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+    
+    // Field markers are only drawn while the tool is active
+    renderPreview(ctx) {
+        ctx.lineWidth = 1.5;
+        this.particleSystem.fields.forEach((field, index) => {
+            const selected = index === this.selectedIndex;
+            const color = field.strength >= 0 ? '102, 204, 102' : '204, 102, 102';
+            
+            // Reach
+            ctx.strokeStyle = `rgba(${color}, ${selected ? 0.6 : 0.25})`;
+            ctx.setLineDash([4, 6]);
+            ctx.beginPath();
+            if (field.type === 'line') {
+                ctx.moveTo(field.x, field.y);
+                ctx.lineTo(field.x2, field.y2);
+                ctx.setLineDash([]);
+            } else {
+                ctx.arc(field.x, field.y, field.radius, 0, Math.PI * 2);
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            // Wind direction
+            if (field.type === 'wind') {
+                const angle = field.angle * Math.PI / 180;
+                const length = Math.min(field.radius * 0.6, 60);
+                const tipX = field.x + Math.cos(angle) * length;
+                const tipY = field.y + Math.sin(angle) * length;
+                ctx.beginPath();
+                ctx.moveTo(field.x, field.y);
+                ctx.lineTo(tipX, tipY);
+                ctx.lineTo(tipX - Math.cos(angle - 0.5) * 10, tipY - Math.sin(angle - 0.5) * 10);
+                ctx.moveTo(tipX, tipY);
+                ctx.lineTo(tipX - Math.cos(angle + 0.5) * 10, tipY - Math.sin(angle + 0.5) * 10);
+                ctx.stroke();
+            }
+            
+            // Handle and type label
+            ctx.fillStyle = selected ? 'rgba(255, 255, 255, 0.95)' : `rgba(${color}, 0.9)`;
+            ctx.beginPath();
+            ctx.arc(field.x, field.y, 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.font = '10px monospace';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(FIELD_TYPES[field.type].label, field.x + 9, field.y);
+        });
+    }
+}
+
+function distanceToSegment(x, y, field) {
+    const closest = closestPointOnLine(field, x, y, { x: 0, y: 0 });
+    return Math.hypot(x - closest.x, y - closest.y);
+}
@@ -0,0 +1,205 @@
+/**
+ * Force curve editor
+ * Canvas editor for a species pair's force-vs-distance curve. x is distance as
+ * a fraction of the social radius, y is force from -1 (repel) to +1 (attract).
+ * Click to add a point, drag to move it, double-click or right-click to remove.
+ */
+
+import { sampleForceCurve } from '../core/ForceLaws.js';
+
+const HIT_RADIUS = 8;
+
+export class ForceCurveEditor {
+  constructor(canvas, onChange) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.onChange = onChange;
+    this.points = [];
+    this.dragIndex = -1;
+    this.hoverIndex = -1;
+    
+    this.setupEventListeners();
+    this.render();
+  }
+  
+  setupEventListeners() {
+    this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+    this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+    this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+    this.canvas.addEventListener('mouseleave', this.handleMouseUp.bind(this));
+    this.canvas.addEventListener('dblclick', this.handleRemove.bind(this));
+    this.canvas.addEventListener('contextmenu', this.handleRemove.bind(this));
+  }
+  
+  setPoints(points) {
+    this.points = points ? points.map(p => ({ x: p.x, y: p.y })) : [];
+    this.dragIndex = -1;
+    this.render();
+  }
+  
+  getMousePoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    // Scale for CSS-resized canvases
+    const px = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const py = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    return { px, py, ...this.toCurve(px, py) };
+  }
+  
+  toCurve(px, py) {
+    return {
+      x: Math.max(0, Math.min(1, px / this.canvas.width)),
+      y: Math.max(-1, Math.min(1, 1 - (py / this.canvas.height) * 2))
+    };
+  }
+  
+  toCanvas(point) {
+    return {
+      px: point.x * this.canvas.width,
+      py: (1 - point.y) / 2 * this.canvas.height
+    };
+  }
+  
+  findPoint(px, py) {
+    return this.points.findIndex(point => {
+      const c = this.toCanvas(point);
+      return Math.hypot(c.px - px, c.py - py) <= HIT_RADIUS;
+    });
+  }
+  
+  handleMouseDown(e) {
+    if (e.button !== 0) return;
+    const m = this.getMousePoint(e);
+    this.dragIndex = this.findPoint(m.px, m.py);
+    
+    if (this.dragIndex === -1) {
+      this.points.push({ x: m.x, y: m.y });
+      this.dragIndex = this.points.length - 1;
+      this.commit();
+    }
+  }
+  
+  handleMouseMove(e) {
+    const m = this.getMousePoint(e);
+    
+    if (this.dragIndex !== -1) {
+      this.points[this.dragIndex] = { x: m.x, y: m.y };
+      this.commit();
+      return;
+    }
+    
+    const hover = this.findPoint(m.px, m.py);
+    if (hover !== this.hoverIndex) {
+      this.hoverIndex = hover;
+      this.canvas.style.cursor = hover !== -1 ? 'grab' : 'crosshair';
+      this.render();
+    }
+  }
+  
+  handleMouseUp() {
+    this.dragIndex = -1;
+  }
+  
+  handleRemove(e) {
+    e.preventDefault();
+    const m = this.getMousePoint(e);
+    const index = this.findPoint(m.px, m.py);
+    
+    // A curve needs at least two points
+    if (index !== -1 && this.points.length > 2) {
+      this.points.splice(index, 1);
+      this.hoverIndex = -1;
+      this.commit();
+    }
+  }
+  
+  commit() {
+    // Keep points ordered by distance, following the one being dragged
+    const dragged = this.points[this.dragIndex];
+    this.points.sort((a, b) => a.x - b.x);
+    if (dragged) {
+      this.dragIndex = this.points.indexOf(dragged);
+    }
+    
+    this.render();
+    
+    if (this.onChange && this.points.length >= 2) {
+      this.onChange(this.points.map(p => ({ x: p.x, y: p.y })));
+    }
+  }
+  
+  render() {
+    const ctx = this.ctx;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    
+    // Clear canvas
+    ctx.fillStyle = '#0c0c0c';
+    ctx.fillRect(0, 0, width, height);
+    
+    // Attract above the axis, repel below
+    ctx.fillStyle = 'rgba(102, 204, 102, 0.08)';
+    ctx.fillRect(0, 0, width, height / 2);
+    ctx.fillStyle = 'rgba(204, 102, 102, 0.08)';
+    ctx.fillRect(0, height / 2, width, height / 2);
+    
+    // Grid lines at quarter distances
+    ctx.strokeStyle = '#2a2a2a';
+    ctx.lineWidth = 1;
+    for (let i = 1; i < 4; i++) {
+      const x = (i / 4) * width;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+    
+    // Zero-force axis
+    ctx.strokeStyle = '#3a3a3a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+    
+    // Labels
+    ctx.fillStyle = '#666666';
+    ctx.font = '10px monospace'; // --font-size-sm
+    ctx.textBaseline = 'alphabetic';
+    ctx.textAlign = 'left';
+    ctx.fillText('ATTRACT', 4, 12);
+    ctx.fillText('REPEL', 4, height - 4);
+    ctx.textAlign = 'right';
+    ctx.fillText('SOCIAL RADIUS', width - 4, height - 4);
+    
+    if (this.points.length < 2) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#999999';
+      ctx.fillText('Click to add points', width / 2, height / 2 - 8);
+      return;
+    }
+    
+    // Curve
+    const sorted = [...this.points].sort((a, b) => a.x - b.x);
+    ctx.strokeStyle = '#cccccc';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let px = 0; px <= width; px += 2) {
+      const py = (1 - sampleForceCurve(sorted, px / width)) / 2 * height;
+      if (px === 0) {
+        ctx.moveTo(px, py);
+      } else {
+        ctx.lineTo(px, py);
+      }
+    }
+    ctx.stroke();
+    
+    // Control points
+    this.points.forEach((point, index) => {
+      const { px, py } = this.toCanvas(point);
+      ctx.fillStyle = index === this.hoverIndex || index === this.dragIndex ? '#ffffff' : '#999999';
+      ctx.beginPath();
+      ctx.arc(px, py, 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+}
@@ -1,8 +1,13 @@
 export class ForceEditor {
-  constructor(canvas, onChange) {
+  // options lets a second editor (e.g. alignment) use its own selectors, matrix view and labels
+  constructor(canvas, onChange, options = {}) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.onChange = onChange;
+    this.fromSelectId = options.fromSelectId || 'force-from-species';
+    this.toSelectId = options.toSelectId || 'force-to-species';
+    this.matrixViewId = options.matrixViewId || 'force-matrix-view';
+    this.labels = options.labels || ['REPEL', 'NEUTRAL', 'ATTRACT'];
     this.forceMatrix = [];
     this.species = [];
     this.selectedFrom = 0;
@@ -76,8 +81,8 @@ export class ForceEditor {
   }
   
   updateSpeciesSelectors() {
-    const fromSelect = document.getElementById('force-from-species');
-    const toSelect = document.getElementById('force-to-species');
+    const fromSelect = document.getElementById(this.fromSelectId);
+    const toSelect = document.getElementById(this.toSelectId);
     
     if (!fromSelect || !toSelect) return;
     
@@ -156,9 +161,9 @@ export class ForceEditor {
     ctx.fillStyle = '#999999';
     ctx.font = '11px monospace'; // --font-size-md
     ctx.textAlign = 'center';
-    ctx.fillText('REPEL', width * 0.25, 20);
-    ctx.fillText('NEUTRAL', width * 0.5, 20);
-    ctx.fillText('ATTRACT', width * 0.75, 20);
+    ctx.fillText(this.labels[0], width * 0.25, 20);
+    ctx.fillText(this.labels[1], width * 0.5, 20);
+    ctx.fillText(this.labels[2], width * 0.75, 20);
     
     // Draw force values
     ctx.fillStyle = '#666666';
@@ -264,7 +269,7 @@ export class ForceEditor {
   }
   
   updateMatrixView() {
-    const container = document.getElementById('force-matrix-view');
+    const container = document.getElementById(this.matrixViewId);
     if (!container) return;
     
     let html = '<table style="border-collapse: collapse; width: 100%;">';
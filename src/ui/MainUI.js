@@ -1,7 +1,16 @@
 import { XYGraph } from './XYGraph.js';
 import { DistributionDrawer } from './DistributionDrawer.js';
+import { ForceCurveEditor } from './ForceCurveEditor.js';
+import { ObstacleTool } from './ObstacleTool.js';
+import { FieldTool } from './FieldTool.js';
+import { EmitterTool } from './EmitterTool.js';
+import { ZoneTool } from './ZoneTool.js';
 import { DOMHelpers } from '../utils/DOMHelpers.js';
 import { ModulationManager } from '../utils/ModulationManager.js';
+import { getForceLaws } from '../core/ForceLaws.js';
+import { FIELD_TYPES } from '../core/FieldEmitters.js';
+import { encodeMask, MASK_MAX_CELLS } from '../core/Arenas.js';
+import { evaluatePreset, BEHAVIOR_LABELS, BEHAVIOR_NAMES } from '../core/BehaviorClassifier.js';
 
 export class MainUI {
     constructor(particleSystem, presetManager, autoSaveCallback = null, presetModal = null, aspectRatioManager = null) {
@@ -20,6 +29,7 @@ export class MainUI {
         this.selectedSpeciesForSize = 0; // Track selected species for size control
         this.patternParameterStates = {}; // Store parameter values for each pattern
         this.cachedPresetOrder = []; // Cache preset order for stable navigation
+        this.classifying = false; // A behavior classification run is in progress
         this.modulationManager = new ModulationManager(particleSystem);
         
         // Ensure new wall properties are initialized
@@ -53,7 +63,7 @@ export class MainUI {
             'shockwave-enabled', 'shockwave-controls', 'shockwave-strength', 'shockwave-strength-value',
             'shockwave-size', 'shockwave-size-value', 'shockwave-falloff', 'shockwave-falloff-value',
             // Walls controls
-            'wall-bounce', 'wall-bounce-value', 'repulsive-force', 'repulsive-force-value', 'wrap-around-walls',
+            'wall-bounce', 'wall-bounce-value', 'repulsive-force', 'repulsive-force-value', 'topology',
             // Force controls
             'from-species', 'to-species', 'force-graph-container', 'clear-forces-btn',
             // Effects controls
@@ -210,6 +220,66 @@ export class MainUI {
                                min="0" max="10" step="0.5" value="0.0">
                         <span class="info-text">Extra spacing between particles (independent of size)</span>
                     </div>
+                    
+                    <!-- Emitters and Sinks -->
+                    <div class="control-group">
+                        <label>Emitter Tool</label>
+                        <select class="select select-sm" id="emitter-tool">
+                            <option value="none">Off</option>
+                            <option value="move">Move / Select</option>
+                            <option value="emitter">Emitter</option>
+                            <option value="sink">Sink</option>
+                            <option value="erase">Erase</option>
+                        </select>
+                        <span class="info-text" id="emitter-target-info">Emitters spawn particles (drag to aim), sinks remove them (drag to size)</span>
+                    </div>
+                    <div class="control-group">
+                        <label>Emitter Species</label>
+                        <select class="select select-sm" id="emitter-species"></select>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Emission Rate
+                            <span class="value-display" id="emitter-rate-value">20/s</span>
+                        </label>
+                        <input type="range" class="range-slider" id="emitter-rate" 
+                               min="0" max="200" step="1" value="20">
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Emission Spread
+                            <span class="value-display" id="emitter-spread-value">30°</span>
+                        </label>
+                        <input type="range" class="range-slider" id="emitter-spread" 
+                               min="0" max="360" step="5" value="30">
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Emission Speed
+                            <span class="value-display" id="emitter-speed-value">2.0</span>
+                        </label>
+                        <input type="range" class="range-slider" id="emitter-speed" 
+                               min="0" max="10" step="0.1" value="2">
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Particle Lifetime
+                            <span class="value-display" id="emitter-lifetime-value">∞</span>
+                        </label>
+                        <input type="range" class="range-slider" id="emitter-lifetime" 
+                               min="0" max="30" step="0.5" value="0">
+                        <span class="info-text">Seconds before emitted particles fade out; 0 = forever</span>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Max Particles
+                            <span class="value-display" id="max-particles-value">${this.particleSystem.maxParticles}</span>
+                        </label>
+                        <input type="range" class="range-slider" id="max-particles" 
+                               min="500" max="20000" step="500" value="${this.particleSystem.maxParticles}">
+                        <span class="info-text">Emitters pause when the population reaches this</span>
+                    </div>
+                    <button class="btn btn-secondary btn-sm" id="clear-emitters-btn" style="width: 100%;">Clear Emitters & Sinks</button>
                 </div>
             </div>
             
@@ -257,6 +327,220 @@ export class MainUI {
                             <span class="slider-label-right">Attract</span>
                         </div>
                     </div>
+                    
+                    <!-- Density Forces -->
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="density-forces-enabled" ${this.particleSystem.enableDensityForces ? 'checked' : ''}>
+                            Density Forces
+                        </label>
+                        <span class="info-text">Social forces respond to how crowded each particle is</span>
+                    </div>
+                    <div class="control-group" id="density-controls" ${!this.particleSystem.enableDensityForces ? 'style="display: none;"' : ''}>
+                        <div class="control-group">
+                            <label>
+                                Crowding Response
+                                <span class="value-display" id="density-strength-value">${this.safeFixed(this.particleSystem.densityStrength, 2, '0.50')}</span>
+                            </label>
+                            <input type="range" class="range-slider" id="density-strength" 
+                                   min="-1" max="1" step="0.05" value="${this.safeValue(this.particleSystem.densityStrength, 0.5)}">
+                            <div class="slider-labels">
+                                <span class="slider-label-left">Clump</span>
+                                <span class="slider-label-right">Spread</span>
+                            </div>
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                Crowding Threshold
+                                <span class="value-display" id="density-threshold-value">8</span>
+                            </label>
+                            <select class="select select-sm" id="density-species"></select>
+                            <input type="range" class="range-slider" id="density-threshold" 
+                                   min="1" max="50" step="1" value="8">
+                            <span class="info-text">Neighbours within the social radius before a particle counts as crowded</span>
+                        </div>
+                    </div>
+                    
+                    <!-- Time Modulation -->
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="time-modulation-enabled" ${this.particleSystem.enableTimeModulation ? 'checked' : ''}>
+                            Time Modulation
+                        </label>
+                        <span class="info-text">Social forces rise and fall over time, pair by pair</span>
+                    </div>
+                    <div class="control-group" id="time-modulation-controls" ${!this.particleSystem.enableTimeModulation ? 'style="display: none;"' : ''}>
+                        <div class="control-group">
+                            <label>
+                                Amplitude
+                                <span class="value-display" id="time-modulation-amplitude-value">${this.safeFixed(this.particleSystem.timeModulationAmplitude, 2, '0.30')}</span>
+                            </label>
+                            <input type="range" class="range-slider" id="time-modulation-amplitude" 
+                                   min="0" max="1" step="0.05" value="${this.safeValue(this.particleSystem.timeModulationAmplitude, 0.3)}">
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                Period
+                                <span class="value-display" id="time-modulation-period-value">${this.safeFixed(this.particleSystem.timeModulationPeriod, 1, '8.0')}s</span>
+                            </label>
+                            <input type="range" class="range-slider" id="time-modulation-period" 
+                                   min="0.5" max="60" step="0.5" value="${this.safeValue(this.particleSystem.timeModulationPeriod, 8)}">
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                Phase Spread
+                                <span class="value-display" id="time-modulation-spread-value">${this.safeFixed(this.particleSystem.timeModulationSpread, 2, '0.30')}</span>
+                            </label>
+                            <input type="range" class="range-slider" id="time-modulation-spread" 
+                                   min="0" max="1" step="0.05" value="${this.safeValue(this.particleSystem.timeModulationSpread, 0.3)}">
+                            <span class="info-text">0 pulses every pair together, higher values stagger them</span>
+                        </div>
+                    </div>
+                    
+                    <!-- Thermostat -->
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="thermostat-enabled" ${this.particleSystem.thermostatEnabled ? 'checked' : ''}>
+                            Thermostat
+                        </label>
+                        <span class="info-text">Scales velocities to hold the kinetic energy at a target temperature</span>
+                    </div>
+                    <div class="control-group" id="thermostat-controls" ${!this.particleSystem.thermostatEnabled ? 'style="display: none;"' : ''}>
+                        <div class="control-group">
+                            <label>Mode</label>
+                            <select class="select select-sm" id="thermostat-mode">
+                                <option value="relax">Gradual Relaxation</option>
+                                <option value="rescale">Instant Rescale</option>
+                            </select>
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                Target Temperature
+                                <span class="value-display" id="thermostat-target-value">${this.safeFixed(this.particleSystem.targetTemperature, 1, '5.0')}</span>
+                            </label>
+                            <input type="range" class="range-slider" id="thermostat-target" 
+                                   min="0" max="50" step="0.5" value="${this.safeValue(this.particleSystem.targetTemperature, 5)}">
+                            <span class="info-text">Mean kinetic energy per particle</span>
+                        </div>
+                        <div class="control-group" id="thermostat-relaxation-control">
+                            <label>
+                                Relaxation Time
+                                <span class="value-display" id="thermostat-relaxation-value">${this.safeFixed(this.particleSystem.thermostatRelaxation, 1, '1.0')}s</span>
+                            </label>
+                            <input type="range" class="range-slider" id="thermostat-relaxation" 
+                                   min="0.1" max="10" step="0.1" value="${this.safeValue(this.particleSystem.thermostatRelaxation, 1)}">
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                <input type="checkbox" id="thermostat-per-species" ${this.particleSystem.thermostatPerSpecies ? 'checked' : ''}>
+                                Per Species
+                            </label>
+                            <span class="info-text">Hold every species at the target instead of the system as a whole</span>
+                        </div>
+                    </div>
+                    
+                    <!-- Mass Physics -->
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="mass-collisions" ${this.particleSystem.massCollisions ? 'checked' : ''}>
+                            Mass Collisions
+                        </label>
+                        <span class="info-text">Collisions trade momentum by species mass instead of using the collision force</span>
+                    </div>
+                    <div class="control-group" id="restitution-control" ${!this.particleSystem.massCollisions ? 'style="display: none;"' : ''}>
+                        <label>
+                            Restitution
+                            <span class="value-display" id="restitution-value">${this.safeFixed(this.particleSystem.restitution, 2, '0.80')}</span>
+                        </label>
+                        <input type="range" class="range-slider" id="restitution" 
+                               min="0" max="1" step="0.05" value="${this.safeValue(this.particleSystem.restitution, 0.8)}">
+                        <span class="info-text">0 stops colliding pairs dead, 1 bounces them apart with no energy lost</span>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="mass-scaled-forces" ${this.particleSystem.massScaledForces ? 'checked' : ''}>
+                            Divide Social Forces by Mass
+                        </label>
+                        <span class="info-text">Heavy species respond slowly to attraction and repulsion</span>
+                    </div>
+                    
+                    <!-- Time Controls -->
+                    <div class="control-group">
+                        <label>
+                            Time Scale
+                            <span class="value-display" id="time-scale-value">${this.safeFixed(this.particleSystem.timeScale, 2, '1.00')}x</span>
+                        </label>
+                        <input type="range" class="range-slider" id="time-scale" 
+                               min="0.05" max="4" step="0.05" value="${this.safeValue(this.particleSystem.timeScale, 1)}">
+                        <div class="slider-labels">
+                            <span class="slider-label-left">Slow-mo</span>
+                            <span class="slider-label-right">Fast</span>
+                        </div>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Substeps
+                            <span class="value-display" id="substeps-value">${this.safeValue(this.particleSystem.substeps, 1)}</span>
+                        </label>
+                        <input type="range" class="range-slider" id="substeps" 
+                               min="1" max="8" step="1" value="${this.safeValue(this.particleSystem.substeps, 1)}">
+                        <span class="info-text">Smaller integration steps per tick - steadier at high force</span>
+                    </div>
+                    <div class="control-group">
+                        <button class="btn btn-secondary btn-sm" id="single-step-btn" style="width: 100%;" title="Freeze and advance one tick (.)">Step Once</button>
+                    </div>
+                    
+                    <!-- Rewind -->
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="history-enabled" ${this.particleSystem.historyEnabled ? 'checked' : ''}>
+                            Record History
+                        </label>
+                        <span class="info-text">Keep recent frames so the run can be rewound</span>
+                    </div>
+                    <div class="control-group" id="history-controls" ${!this.particleSystem.historyEnabled ? 'style="display: none;"' : ''}>
+                        <div class="control-group">
+                            <label>
+                                Rewind
+                                <span class="value-display" id="history-scrub-value">Live</span>
+                            </label>
+                            <input type="range" class="range-slider" id="history-scrub" 
+                                   min="0" max="0" step="1" value="0">
+                            <span class="info-text" id="history-info">Nothing recorded yet</span>
+                        </div>
+                        <div class="control-group">
+                            <button class="btn btn-secondary btn-sm" id="history-resume-btn" style="width: 100%;" title="Continue from the shown frame - later frames are discarded">Resume From Here</button>
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                History Length
+                                <span class="value-display" id="history-frames-value">${this.particleSystem.history.capacity} frames</span>
+                            </label>
+                            <input type="range" class="range-slider" id="history-frames" 
+                                   min="60" max="3600" step="60" value="${this.particleSystem.history.capacity}">
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                <input type="checkbox" id="history-downsample" ${this.particleSystem.history.downsample ? 'checked' : ''}>
+                                Downsample When Full
+                            </label>
+                            <span class="info-text">Keep every other frame instead of dropping the oldest, so the history reaches further back</span>
+                        </div>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="worker-physics" ${this.particleSystem.physicsWorker ? 'checked' : ''}>
+                            Worker Physics
+                        </label>
+                        <span class="info-text" id="worker-physics-info">Run physics off the main thread for large particle counts</span>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="show-spatial-grid" ${this.particleSystem.showSpatialGrid ? 'checked' : ''}>
+                            Show Spatial Grid
+                        </label>
+                        <span class="info-text">Debug overlay: grid cells, particles per cell and neighbour counts</span>
+                    </div>
                 </div>
             </div>
             
@@ -392,11 +676,15 @@ export class MainUI {
                 </div>
                 <div class="panel-content">
                     <div class="control-group">
-                        <label>
-                            <input type="checkbox" id="wrap-around-walls" ${(this.particleSystem.wrapAroundWalls || false) ? 'checked' : ''}>
-                            Toroidal Space (Wrap-Around)
-                        </label>
-                        <span class="info-text">When enabled, particles wrap seamlessly from one edge to the opposite</span>
+                        <label>Edge Topology</label>
+                        <select class="select select-sm" id="topology">
+                            <option value="bounded">Bounded (Walls)</option>
+                            <option value="torus">Torus (Wrap-Around)</option>
+                            <option value="mirror">Mirror</option>
+                            <option value="klein">Klein Bottle</option>
+                            <option value="mobius">Möbius Strip</option>
+                        </select>
+                        <span class="info-text">Mirror walls reflect forces; Klein and Möbius wrap with a flip across one pair of edges</span>
                     </div>
                     <div class="control-group" id="wall-controls" style="${(this.particleSystem.wrapAroundWalls || false) ? 'display: none;' : ''}">
                         <label>
@@ -416,6 +704,86 @@ export class MainUI {
                                min="0" max="1.0" step="0.05" value="${this.particleSystem.repulsiveForce || 0.3}">
                         <span class="info-text">Pushes particles away from walls to prevent clustering at boundaries</span>
                     </div>
+                    <div class="control-group" id="arena-controls" style="${this.particleSystem.getTopology() !== 'bounded' ? 'display: none;' : ''}">
+                        <label>Arena Shape</label>
+                        <select class="select select-sm" id="arena-shape">
+                            <option value="rectangle">Canvas Rectangle</option>
+                            <option value="circle">Circle</option>
+                            <option value="rounded">Rounded Rectangle</option>
+                            <option value="polygon">Polygon</option>
+                            <option value="mask">Image Mask</option>
+                        </select>
+                        <div class="control-group" id="arena-scale-control" style="display: none;">
+                            <label>
+                                Arena Size
+                                <span class="value-display" id="arena-scale-value">95%</span>
+                            </label>
+                            <input type="range" class="range-slider" id="arena-scale" 
+                                   min="0.2" max="1" step="0.05" value="0.95">
+                        </div>
+                        <div class="control-group" id="arena-corner-control" style="display: none;">
+                            <label>
+                                Corner Radius
+                                <span class="value-display" id="arena-corner-radius-value">60</span>
+                            </label>
+                            <input type="range" class="range-slider" id="arena-corner-radius" 
+                                   min="0" max="300" step="5" value="60">
+                        </div>
+                        <div id="arena-polygon-controls" style="display: none;">
+                            <div class="control-group">
+                                <label>
+                                    Sides
+                                    <span class="value-display" id="arena-sides-value">6</span>
+                                </label>
+                                <input type="range" class="range-slider" id="arena-sides" 
+                                       min="3" max="12" step="1" value="6">
+                            </div>
+                            <div class="control-group">
+                                <label>
+                                    Rotation
+                                    <span class="value-display" id="arena-rotation-value">0°</span>
+                                </label>
+                                <input type="range" class="range-slider" id="arena-rotation" 
+                                       min="0" max="360" step="5" value="0">
+                            </div>
+                        </div>
+                        <div class="control-group" id="arena-mask-controls" style="display: none;">
+                            <input type="file" id="arena-mask-file" accept="image/*" style="display: none;">
+                            <button class="btn btn-secondary btn-sm" id="arena-mask-btn" style="width: 100%;">Load Mask Image</button>
+                            <span class="info-text">White is open space, black is wall; the image is stretched over the canvas</span>
+                        </div>
+                        <label>
+                            <input type="checkbox" id="arena-clip" checked>
+                            Clip Rendering to Arena
+                        </label>
+                    </div>
+                    <div class="control-group">
+                        <label>Obstacle Tool</label>
+                        <select class="select select-sm" id="obstacle-tool">
+                            <option value="none">Off</option>
+                            <option value="select">Select</option>
+                            <option value="circle">Circle</option>
+                            <option value="rect">Rectangle</option>
+                            <option value="polygon">Polygon</option>
+                            <option value="erase">Erase</option>
+                        </select>
+                        <span class="info-text">Draw obstacles on the canvas; polygons close on double-click</span>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Obstacle Repulsion
+                            <span class="value-display" id="obstacle-repulsion-value">0.00</span>
+                        </label>
+                        <input type="range" class="range-slider" id="obstacle-repulsion" 
+                               min="0" max="1.0" step="0.05" value="0">
+                        <span class="info-text">Pushes particles away before they touch the obstacle</span>
+                    </div>
+                    <div class="control-group">
+                        <label>Pass-Through Species</label>
+                        <div class="species-buttons" id="obstacle-pass-through"></div>
+                        <span class="info-text" id="obstacle-target-info">Applies to new obstacles</span>
+                    </div>
+                    <button class="btn btn-secondary btn-sm" id="clear-obstacles-btn" style="width: 100%;">Clear Obstacles</button>
                 </div>
             </div>
             
@@ -460,6 +828,50 @@ export class MainUI {
                             <span class="info-text">Higher values = sharper falloff</span>
                         </div>
                     </div>
+                    
+                    <!-- Field Emitter Controls -->
+                    <div class="control-group">
+                        <label>Field Tool</label>
+                        <select class="select select-sm" id="field-tool">
+                            <option value="none">Off</option>
+                            <option value="move">Move / Select</option>
+                            ${Object.entries(FIELD_TYPES).map(([type, info]) => `<option value="${type}" title="${info.description}">${info.label}</option>`).join('')}
+                            <option value="erase">Erase</option>
+                        </select>
+                        <span class="info-text" id="field-target-info">Persistent force fields; lines and wind are drawn by dragging</span>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Field Strength
+                            <span class="value-display" id="field-strength-value">1.00</span>
+                        </label>
+                        <input type="range" class="range-slider" id="field-strength" 
+                               min="-5.0" max="5.0" step="0.05" value="1">
+                        <span class="info-text">Negative strength reverses the field</span>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Field Radius
+                            <span class="value-display" id="field-radius-value">150</span>
+                        </label>
+                        <input type="range" class="range-slider" id="field-radius" 
+                               min="10" max="800" step="10" value="150">
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Field Falloff
+                            <span class="value-display" id="field-falloff-value">1.0</span>
+                        </label>
+                        <input type="range" class="range-slider" id="field-falloff" 
+                               min="0.1" max="4.0" step="0.1" value="1">
+                        <span class="info-text">Higher values = sharper falloff</span>
+                    </div>
+                    <div class="control-group">
+                        <label>Affected Species</label>
+                        <div class="species-buttons" id="field-species"></div>
+                        <span class="info-text">No species selected affects all of them</span>
+                    </div>
+                    <button class="btn btn-secondary btn-sm" id="clear-fields-btn" style="width: 100%;">Clear Fields</button>
                 </div>
             </div>
             
@@ -498,8 +910,16 @@ export class MainUI {
                             <option value="territorial">Territorial</option>
                             <option value="symbiotic">Symbiotic</option>
                             <option value="cyclic">Cyclic</option>
+                            <option value="flocking">Flocking</option>
                         </select>
                     </div>
+                    <div class="control-group">
+                        <label>Force Law</label>
+                        <select class="select" id="force-law-selector">
+                            ${getForceLaws().map(law => `<option value="${law.name}" title="${law.description}">${law.label}</option>`).join('')}
+                        </select>
+                        <span class="info-text">How social force changes with distance</span>
+                    </div>
                     
                     <!-- Dynamic Pattern Parameters Panel (Task 5) -->
                     <div id="pattern-parameters-panel" class="pattern-parameters-panel">
@@ -530,11 +950,170 @@ export class MainUI {
                         </div>
                     </div>
                     <div id="force-graph-container"></div>
+                    <div class="control-group">
+                        <label>Pair Force Law</label>
+                        <select class="select select-sm" id="pair-force-law-selector">
+                            <option value="">Same as preset</option>
+                            ${getForceLaws().map(law => `<option value="${law.name}" title="${law.description}">${law.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="pair-force-curve-enabled">
+                            Distance Curve
+                        </label>
+                        <span class="info-text">Draw this pair's force against distance; overrides the force law</span>
+                    </div>
+                    <div class="control-group" id="force-curve-container" style="display: none;">
+                        <canvas id="force-curve-canvas" width="288" height="120"></canvas>
+                        <span class="info-text">Click to add points, drag to move, double-click to remove</span>
+                        <span class="info-text" id="force-curve-zero-note" style="display: none;">The force above sets the curve's strength - set it above 0 for the curve to act</span>
+                    </div>
+                    
+                    <!-- Spring Bonds -->
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="pair-bond-enabled">
+                            Form Bonds
+                        </label>
+                        <span class="info-text">This pair links up with springs on contact (both directions)</span>
+                    </div>
+                    <div id="bond-controls" style="display: none;">
+                        <div class="control-group">
+                            <label>
+                                Rest Length
+                                <span class="value-display" id="bond-rest-length-value">12</span>
+                            </label>
+                            <input type="range" class="range-slider" id="bond-rest-length" 
+                                   min="2" max="100" step="1" value="12">
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                Stiffness
+                                <span class="value-display" id="bond-stiffness-value">0.10</span>
+                            </label>
+                            <input type="range" class="range-slider" id="bond-stiffness" 
+                                   min="0.01" max="1" step="0.01" value="0.1">
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                Damping
+                                <span class="value-display" id="bond-damping-value">0.05</span>
+                            </label>
+                            <input type="range" class="range-slider" id="bond-damping" 
+                                   min="0" max="1" step="0.01" value="0.05">
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                Break Stretch
+                                <span class="value-display" id="bond-break-ratio-value">3.0×</span>
+                            </label>
+                            <input type="range" class="range-slider" id="bond-break-ratio" 
+                                   min="1.1" max="10" step="0.1" value="3">
+                            <span class="info-text">Bonds snap beyond this multiple of the rest length</span>
+                        </div>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Max Bonds per Particle
+                            <span class="value-display" id="max-bonds-value">${this.particleSystem.maxBonds}</span>
+                        </label>
+                        <input type="range" class="range-slider" id="max-bonds" 
+                               min="0" max="8" step="1" value="${this.particleSystem.maxBonds}">
+                        <span class="info-text">2 makes chains, more makes meshes and membranes</span>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            <input type="checkbox" id="show-bonds" ${this.particleSystem.showBonds ? 'checked' : ''}>
+                            Show Bonds
+                        </label>
+                    </div>
+                    <button class="btn btn-secondary btn-sm" id="break-bonds-btn" style="width: 100%;">Break All Bonds</button>
                     <button class="btn btn-secondary btn-sm" id="clear-forces-btn" style="width: 100%;">Clear All Forces</button>
                 </div>
             </div>
             
-            <!-- 7. EFFECTS Section -->
+            <!-- 7. ZONES Section -->
+            <div class="panel ui-section">
+                <div class="panel-header">
+                    <h4 class="section-title">Zones</h4>
+                </div>
+                <div class="panel-content">
+                    <div class="control-group">
+                        <label>Zone Tool</label>
+                        <select class="select select-sm" id="zone-tool">
+                            <option value="none">Off</option>
+                            <option value="move">Move / Select</option>
+                            <option value="rect">Rectangle</option>
+                            <option value="circle">Circle</option>
+                            <option value="paint">Paint</option>
+                            <option value="erase">Erase</option>
+                        </select>
+                        <span class="info-text" id="zone-target-info">Regions with their own forces, friction and noise</span>
+                    </div>
+                    <div class="zone-list" id="zone-list"></div>
+                    <div class="control-group">
+                        <label>
+                            Border Blend
+                            <span class="value-display" id="zone-blend-value">40px</span>
+                        </label>
+                        <input type="range" class="range-slider" id="zone-blend" 
+                               min="0" max="200" step="5" value="40">
+                        <span class="info-text">Width of the fade between a zone and its surroundings</span>
+                    </div>
+                    <div class="control-group">
+                        <label>
+                            Brush Size
+                            <span class="value-display" id="zone-brush-value">25px</span>
+                        </label>
+                        <input type="range" class="range-slider" id="zone-brush" 
+                               min="5" max="100" step="1" value="25">
+                        <span class="info-text">Paint mode; hold Shift to rub out</span>
+                    </div>
+                    
+                    <!-- Overrides for the selected zone -->
+                    <div id="zone-overrides" style="display: none;">
+                        <div class="control-group">
+                            <label>Name</label>
+                            <input type="text" class="input input-sm" id="zone-name" placeholder="Zone name" style="width: 100%;">
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                <input type="checkbox" id="zone-friction-enabled">
+                                Friction Override
+                                <span class="value-display" id="zone-friction-value">0.05</span>
+                            </label>
+                            <input type="range" class="range-slider" id="zone-friction" 
+                                   min="0" max="1.0" step="0.01" value="0.05">
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                <input type="checkbox" id="zone-noise-enabled">
+                                Noise Multiplier
+                                <span class="value-display" id="zone-noise-value">1.0×</span>
+                            </label>
+                            <input type="range" class="range-slider" id="zone-noise" 
+                                   min="0" max="5" step="0.1" value="1">
+                            <span class="info-text">Scales the noise pattern inside the zone</span>
+                        </div>
+                        <div class="control-group">
+                            <label>
+                                <input type="checkbox" id="zone-forces-enabled">
+                                Force Matrix Override
+                            </label>
+                            <div id="zone-force-matrix"></div>
+                            <span class="info-text">Row species feels column species</span>
+                        </div>
+                        <div class="randomize-buttons-row" id="zone-force-buttons">
+                            <button class="btn btn-secondary btn-sm" id="zone-copy-forces-btn">Copy Global</button>
+                            <button class="btn btn-secondary btn-sm" id="zone-randomize-forces-btn">Randomize</button>
+                        </div>
+                    </div>
+                    <button class="btn btn-secondary btn-sm" id="clear-zones-btn" style="width: 100%;">Clear Zones</button>
+                </div>
+            </div>
+            
+            <!-- 8. EFFECTS Section -->
             <div class="panel ui-section">
                 <div class="panel-header">
                     <h4 class="section-title">Effects</h4>
@@ -664,7 +1243,7 @@ export class MainUI {
                 </div>
             </div>
             
-            <!-- 8. COLORS Section -->
+            <!-- 9. COLORS Section -->
             <div class="panel ui-section">
                 <div class="panel-header">
                     <h4 class="section-title">Colors</h4>
@@ -708,7 +1287,7 @@ export class MainUI {
                 </div>
             </div>
             
-            <!-- 9. MODULATIONS Section -->
+            <!-- 10. MODULATIONS Section -->
             <div class="panel ui-section">
                 <div class="panel-header">
                     <h4 class="section-title">Modulations</h4>
@@ -781,7 +1360,7 @@ export class MainUI {
                 </div>
             </div>
             
-            <!-- 10. ASPECT RATIO Section -->
+            <!-- 11. ASPECT RATIO Section -->
             <div class="panel ui-section">
                 <div class="panel-header">
                     <h4 class="section-title">Aspect Ratio</h4>
@@ -845,7 +1424,7 @@ export class MainUI {
                 </div>
             </div>
             
-            <!-- 11. PRESETS & ACTIONS Section -->
+            <!-- 12. PRESETS & ACTIONS Section -->
             <div class="panel ui-section">
                 <div class="panel-header">
                     <h4 class="section-title">Presets & Actions</h4>
@@ -859,10 +1438,25 @@ export class MainUI {
                     
                     <!-- Preset Selector -->
                     <div class="control-group" style="margin-bottom: var(--space-md);">
-                        <label>Load Preset</label>
-                        <select class="select" id="preset-selector" style="width: 100%;">
-                            <option value="">Custom</option>
+                        <label>Load Preset</label>
+                        <select class="select" id="preset-selector" style="width: 100%;">
+                            <option value="">Custom</option>
+                        </select>
+                    </div>
+                    
+                    <!-- Behavior Tags -->
+                    <div class="control-group" style="margin-bottom: var(--space-md);">
+                        <label>Filter by Behavior</label>
+                        <select class="select select-sm" id="preset-tag-filter" style="width: 100%;">
+                            <option value="">All Presets</option>
+                            ${BEHAVIOR_LABELS.map(label => `<option value="${label}">${BEHAVIOR_NAMES[label]}</option>`).join('')}
+                            <option value="untagged">Untagged</option>
                         </select>
+                        <div style="display: flex; gap: var(--space-sm); margin-top: var(--space-sm);">
+                            <button class="btn btn-secondary btn-sm" id="classify-preset-btn" style="flex: 1;">Classify Preset</button>
+                            <button class="btn btn-secondary btn-sm" id="classify-all-btn" style="flex: 1;">Classify Untagged</button>
+                        </div>
+                        <span class="info-text" id="classify-status">Run presets headless and tag the behavior they settle into</span>
                     </div>
                     
                     <!-- Preset Name Input -->
@@ -871,6 +1465,15 @@ export class MainUI {
                         <input type="text" class="input" id="preset-name-input" placeholder="Enter new preset name" style="width: 100%;">
                     </div>
                     
+                    <!-- Particle State -->
+                    <div class="control-group" style="margin-bottom: var(--space-md);">
+                        <label>
+                            <input type="checkbox" id="save-particle-state">
+                            Save Particle State
+                        </label>
+                        <span class="info-text">Store the live particles so loading the preset resumes this exact scene</span>
+                    </div>
+                    
                     <!-- Save/Update Button -->
                     <button class="btn btn-primary" id="save-preset-btn" style="width: 100%; margin-bottom: var(--space-sm);">
                         Update Preset
@@ -1191,6 +1794,46 @@ export class MainUI {
                 justify-content: center;
             }
             
+            .zone-list {
+                display: flex;
+                flex-direction: column;
+                gap: var(--space-xs);
+                margin-bottom: var(--space-sm);
+            }
+            
+            .zone-item {
+                display: flex;
+                align-items: center;
+                gap: var(--space-sm);
+                padding: var(--space-xs) var(--space-sm);
+                border: 1px solid var(--border-default);
+                border-radius: var(--radius-sm);
+                font-size: var(--font-size-xs);
+                color: var(--text-primary);
+                cursor: pointer;
+            }
+            
+            .zone-item:hover {
+                border-color: var(--border-strong);
+            }
+            
+            .zone-item.active {
+                border-color: var(--border-strong);
+                background: var(--bg-elevated);
+            }
+            
+            .zone-swatch {
+                width: 10px;
+                height: 10px;
+                border-radius: var(--radius-sm);
+                flex-shrink: 0;
+            }
+            
+            .zone-summary {
+                margin-left: auto;
+                color: var(--text-secondary);
+            }
+            
             .species-buttons {
                 display: flex;
                 flex-wrap: wrap;
@@ -1397,6 +2040,10 @@ export class MainUI {
                 font-style: italic;
             }
             
+            .info-text.warning-text {
+                color: var(--accent-danger) !important;
+            }
+            
             /* Pattern Parameters Panel Styles */
             .pattern-parameters-panel {
                 display: none;
@@ -1530,6 +2177,40 @@ export class MainUI {
             }
         });
         
+        // Initialize force curve editor for the selected pair
+        this.forceCurveEditor = new ForceCurveEditor(document.getElementById('force-curve-canvas'), (points) => {
+            const fromSpecies = parseInt(document.getElementById('from-species').value);
+            const toSpecies = parseInt(document.getElementById('to-species').value);
+            this.particleSystem.setPairForceCurve(fromSpecies, toSpecies, points);
+            this.triggerAutoSave();
+        });
+        
+        // Initialize obstacle and field emitter editing on the simulation canvas
+        if (this.particleSystem.canvas) {
+            this.obstacleTool = new ObstacleTool(this.particleSystem, {
+                onChange: () => this.triggerAutoSave(),
+                onSelect: () => this.updateObstacleControls()
+            });
+            this.fieldTool = new FieldTool(this.particleSystem, {
+                onChange: () => {
+                    this.updateModulationParameterOptions();
+                    this.triggerAutoSave();
+                },
+                onSelect: () => this.updateFieldControls()
+            });
+            this.emitterTool = new EmitterTool(this.particleSystem, {
+                onChange: () => this.triggerAutoSave(),
+                onSelect: () => this.updateEmitterControls()
+            });
+            this.zoneTool = new ZoneTool(this.particleSystem, {
+                onChange: () => {
+                    this.updateZoneControls();
+                    this.triggerAutoSave();
+                },
+                onSelect: () => this.updateZoneControls()
+            });
+        }
+        
         // Initialize Distribution Drawer
         const distributionCanvas = document.getElementById('distribution-canvas');
         
@@ -1643,6 +2324,10 @@ export class MainUI {
                     this.toggleMute();
                     e.preventDefault();
                     break;
+                case '.':
+                    this.particleSystem.requestSingleStep();
+                    e.preventDefault();
+                    break;
             }
         });
     }
@@ -1658,6 +2343,11 @@ export class MainUI {
             combinedOverlay.style.display = this.isVisible ? 'flex' : 'none';
         }
         
+        const telemetryPanel = document.getElementById('telemetry-panel');
+        if (telemetryPanel) {
+            telemetryPanel.style.display = this.isVisible ? '' : 'none';
+        }
+        
         // Keep the old shortcuts overlay reference for backward compatibility
         const shortcutsOverlay = document.getElementById('shortcuts-overlay');
         if (shortcutsOverlay) {
@@ -1776,8 +2466,10 @@ export class MainUI {
         }
         
         try {
-            // Export current state as preset
-            const preset = this.particleSystem.exportPreset();
+            // Export current state as preset, with the particles themselves if asked
+            const preset = this.particleSystem.exportPreset({
+                includeState: document.getElementById('save-particle-state').checked
+            });
             
             // Include modulations if they exist
             if (this.modulationManager) {
@@ -1808,12 +2500,24 @@ export class MainUI {
             statusDiv.style.color = '#888';
             
             // Save the preset
-            await this.presetManager.savePreset(saveKey, preset);
+            const cloudPreset = await this.presetManager.savePreset(saveKey, preset);
             
             // Update the UI
             this.currentEditingPreset = saveKey;
-            statusDiv.textContent = isNewPreset ? '✅ New preset saved!' : '✅ Preset updated!';
-            statusDiv.style.color = '#4a9eff';
+            const stateWarning = cloudPreset?.stateDropped || cloudPreset?.stateReduced;
+            if (cloudPreset?.stateDropped) {
+                // The cloud copy is a plain preset; only the local copy resumes the particles
+                statusDiv.textContent = '⚠️ Saved - particle state too large for the cloud, kept on this device only';
+                statusDiv.style.color = '#ffaa00';
+            } else if (cloudPreset?.stateReduced) {
+                // The local copy keeps every particle; the cloud copy a thinned sample
+                const { kept, total } = cloudPreset.stateReduced;
+                statusDiv.textContent = `⚠️ Saved - cloud copy keeps ${kept.toLocaleString()} of ${total.toLocaleString()} particles to fit the size limit`;
+                statusDiv.style.color = '#ffaa00';
+            } else {
+                statusDiv.textContent = isNewPreset ? '✅ New preset saved!' : '✅ Preset updated!';
+                statusDiv.style.color = '#4a9eff';
+            }
             
             // Update preset selector
             this.updatePresetSelector();
@@ -1827,10 +2531,10 @@ export class MainUI {
                 this.updateSaveButton();
             }
             
-            // Clear status after 3 seconds
+            // Clear status after 3 seconds, or 8 for the warning
             setTimeout(() => {
                 statusDiv.textContent = '';
-            }, 3000);
+            }, stateWarning ? 8000 : 3000);
             
         } catch (error) {
             console.error('Failed to save preset:', error);
@@ -1862,7 +2566,7 @@ export class MainUI {
         // Enhanced force randomization with sophisticated pattern selection
         const edgeBias = this.forceDistribution || 0.7; // Default to cluster-friendly bias
         const patterns = ['clusters', 'predator-prey', 'territorial', 'symbiotic', 'cyclic'];
-        const selectedPattern = patterns[Math.floor(Math.random() * patterns.length)];
+        const selectedPattern = patterns[Math.floor(this.particleSystem.random() * patterns.length)];
         
         // Update UI to reflect the selected pattern
         const patternSelector = document.getElementById('force-pattern-selector');
@@ -1879,6 +2583,7 @@ export class MainUI {
         // Also randomize collision parameters for complete dynamics overhaul
         this.particleSystem.collisionRadius = this.particleSystem.createMatrix(8, 40);
         this.particleSystem.collisionForce = this.particleSystem.createMatrix(-2.5, -0.2);
+        this.particleSystem.markParametersChanged();
         
         this.updateGraph();
         
@@ -1923,82 +2628,82 @@ export class MainUI {
             'minimal'    // Simple, clean behaviors
         ];
         
-        const scenario = scenarios[Math.floor(Math.random() * scenarios.length)];
+        const scenario = scenarios[Math.floor(this.particleSystem.random() * scenarios.length)];
         const params = {};
         
         switch(scenario) {
             case 'clusters':
-                params.particlesPerSpecies = 120 + Math.random() * 180; // Optimized for cluster formation
-                params.numSpecies = 4 + Math.floor(Math.random() * 3); // 4-6 species for complex clustering
-                params.forceFactor = 1.5 + Math.random() * 2.0; // Stronger forces for stable clusters
-                params.friction = 0.94 + Math.random() * 0.04; // Higher friction for stability
-                params.socialRadius = 70 + Math.random() * 80; // Optimized social interaction range
-                params.collisionRadius = 12 + Math.random() * 18; // Enhanced collision dynamics
+                params.particlesPerSpecies = 120 + this.particleSystem.random() * 180; // Optimized for cluster formation
+                params.numSpecies = 4 + Math.floor(this.particleSystem.random() * 3); // 4-6 species for complex clustering
+                params.forceFactor = 1.5 + this.particleSystem.random() * 2.0; // Stronger forces for stable clusters
+                params.friction = 0.94 + this.particleSystem.random() * 0.04; // Higher friction for stability
+                params.socialRadius = 70 + this.particleSystem.random() * 80; // Optimized social interaction range
+                params.collisionRadius = 12 + this.particleSystem.random() * 18; // Enhanced collision dynamics
                 params.forceDistribution = 0.75; // Edge-biased for distinct clustering
-                params.environmentPressure = -0.2 + Math.random() * 0.3; // Slight environmental influence
-                params.chaosLevel = Math.random() * 0.15; // Low chaos for stable patterns
+                params.environmentPressure = -0.2 + this.particleSystem.random() * 0.3; // Slight environmental influence
+                params.chaosLevel = this.particleSystem.random() * 0.15; // Low chaos for stable patterns
                 params.forcePattern = 'clusters';
                 break;
                 
             case 'swarm':
-                params.particlesPerSpecies = 200 + Math.random() * 300;
-                params.numSpecies = 3 + Math.floor(Math.random() * 3);
-                params.forceFactor = 2.0 + Math.random() * 3.0;
-                params.friction = 0.85 + Math.random() * 0.1; // Low friction
-                params.socialRadius = 100 + Math.random() * 200;
+                params.particlesPerSpecies = 200 + this.particleSystem.random() * 300;
+                params.numSpecies = 3 + Math.floor(this.particleSystem.random() * 3);
+                params.forceFactor = 2.0 + this.particleSystem.random() * 3.0;
+                params.friction = 0.85 + this.particleSystem.random() * 0.1; // Low friction
+                params.socialRadius = 100 + this.particleSystem.random() * 200;
                 params.forceDistribution = 0.3; // More uniform forces
                 break;
                 
             case 'predator':
-                params.particlesPerSpecies = 100 + Math.random() * 200;
-                params.numSpecies = 2 + Math.floor(Math.random() * 3);
-                params.forceFactor = 3.0 + Math.random() * 4.0;
-                params.friction = 0.9 + Math.random() * 0.08;
+                params.particlesPerSpecies = 100 + this.particleSystem.random() * 200;
+                params.numSpecies = 2 + Math.floor(this.particleSystem.random() * 3);
+                params.forceFactor = 3.0 + this.particleSystem.random() * 4.0;
+                params.friction = 0.9 + this.particleSystem.random() * 0.08;
                 params.forceDistribution = 0.8; // Strong asymmetry
                 break;
                 
             case 'crystal':
-                params.particlesPerSpecies = 150 + Math.random() * 150;
-                params.numSpecies = 3 + Math.floor(Math.random() * 2);
-                params.forceFactor = 1.0 + Math.random() * 2.0;
-                params.friction = 0.95 + Math.random() * 0.04; // High friction
-                params.socialRadius = 50 + Math.random() * 100;
+                params.particlesPerSpecies = 150 + this.particleSystem.random() * 150;
+                params.numSpecies = 3 + Math.floor(this.particleSystem.random() * 2);
+                params.forceFactor = 1.0 + this.particleSystem.random() * 2.0;
+                params.friction = 0.95 + this.particleSystem.random() * 0.04; // High friction
+                params.socialRadius = 50 + this.particleSystem.random() * 100;
                 params.forceDistribution = 0.5;
                 break;
                 
             case 'organic':
-                params.particlesPerSpecies = 180 + Math.random() * 220;
-                params.numSpecies = 4 + Math.floor(Math.random() * 4);
-                params.forceFactor = 1.5 + Math.random() * 2.5;
-                params.friction = 0.88 + Math.random() * 0.1;
-                params.socialRadius = 80 + Math.random() * 150;
-                params.forceDistribution = 0.6 + Math.random() * 0.2;
+                params.particlesPerSpecies = 180 + this.particleSystem.random() * 220;
+                params.numSpecies = 4 + Math.floor(this.particleSystem.random() * 4);
+                params.forceFactor = 1.5 + this.particleSystem.random() * 2.5;
+                params.friction = 0.88 + this.particleSystem.random() * 0.1;
+                params.socialRadius = 80 + this.particleSystem.random() * 150;
+                params.forceDistribution = 0.6 + this.particleSystem.random() * 0.2;
                 break;
                 
             case 'chaotic':
-                params.particlesPerSpecies = 50 + Math.random() * 400;
-                params.numSpecies = 5 + Math.floor(Math.random() * 10);
-                params.forceFactor = 4.0 + Math.random() * 6.0;
-                params.friction = 0.8 + Math.random() * 0.15;
-                params.socialRadius = 50 + Math.random() * 300;
-                params.forceDistribution = 0.7 + Math.random() * 0.3;
+                params.particlesPerSpecies = 50 + this.particleSystem.random() * 400;
+                params.numSpecies = 5 + Math.floor(this.particleSystem.random() * 10);
+                params.forceFactor = 4.0 + this.particleSystem.random() * 6.0;
+                params.friction = 0.8 + this.particleSystem.random() * 0.15;
+                params.socialRadius = 50 + this.particleSystem.random() * 300;
+                params.forceDistribution = 0.7 + this.particleSystem.random() * 0.3;
                 break;
                 
             case 'minimal':
-                params.particlesPerSpecies = 50 + Math.random() * 100;
+                params.particlesPerSpecies = 50 + this.particleSystem.random() * 100;
                 params.numSpecies = 2;
-                params.forceFactor = 0.5 + Math.random() * 1.5;
-                params.friction = 0.9 + Math.random() * 0.08;
-                params.socialRadius = 80 + Math.random() * 80;
-                params.forceDistribution = 0.4 + Math.random() * 0.4;
+                params.forceFactor = 0.5 + this.particleSystem.random() * 1.5;
+                params.friction = 0.9 + this.particleSystem.random() * 0.08;
+                params.socialRadius = 80 + this.particleSystem.random() * 80;
+                params.forceDistribution = 0.4 + this.particleSystem.random() * 0.4;
                 break;
         }
         
         // Always set physics-focused parameters (not visual effects)
-        params.collisionRadius = 5 + Math.random() * 30;
-        params.wallDamping = 0.7 + Math.random() * 0.5;
-        params.trailEnabled = Math.random() > 0.3;
-        params.blur = 0.88 + Math.random() * 0.11; // Focus on high trail values
+        params.collisionRadius = 5 + this.particleSystem.random() * 30;
+        params.wallDamping = 0.7 + this.particleSystem.random() * 0.5;
+        params.trailEnabled = this.particleSystem.random() > 0.3;
+        params.blur = 0.88 + this.particleSystem.random() * 0.11; // Focus on high trail values
         
         return { scenario, params };
     }
@@ -2066,6 +2771,8 @@ export class MainUI {
             }
         }
         
+        this.particleSystem.markParametersChanged();
+        
         // Reinitialize particles with new configuration
         this.particleSystem.initializeParticles();
     }
@@ -2153,12 +2860,12 @@ export class MainUI {
     }
     
     generateRandomParams(scenario) {
-        const random = (min, max) => min + Math.random() * (max - min);
+        const random = (min, max) => min + this.particleSystem.random() * (max - min);
         const randomInt = (min, max) => Math.floor(random(min, max + 1));
-        const choice = (array) => array[Math.floor(Math.random() * array.length)];
+        const choice = (array) => array[Math.floor(this.particleSystem.random() * array.length)];
         
         // Add variation factors to ensure uniqueness
-        const variationSeed = Math.random();
+        const variationSeed = this.particleSystem.random();
         const complexityFactor = 0.7 + variationSeed * 0.6; // 0.7 to 1.3 multiplier
         
         let params = {};
@@ -2320,7 +3027,7 @@ export class MainUI {
         const scenariosToChooseFrom = availableScenarios.length > 0 ? availableScenarios : scenarios;
         
         // Pick a random scenario from available ones
-        const selectedScenario = scenariosToChooseFrom[Math.floor(Math.random() * scenariosToChooseFrom.length)];
+        const selectedScenario = scenariosToChooseFrom[Math.floor(this.particleSystem.random() * scenariosToChooseFrom.length)];
         
         // Add to recent history only if it's not already there
         if (!this.recentScenarios.includes(selectedScenario)) {
@@ -2415,13 +3122,14 @@ export class MainUI {
         
         // Randomize force matrix for interesting interactions
         this.particleSystem.socialForce = this.particleSystem.createAsymmetricMatrix();
+        this.particleSystem.markParametersChanged();
         
         // Apply special glow effects for certain scenarios
         if (params.speciesGlowEnabled || scenario === 'plasma' || scenario === 'dreamscape') {
             const numGlowing = Math.min(3, this.particleSystem.numSpecies);
             for (let i = 0; i < numGlowing; i++) {
-                const intensity = 0.3 + Math.random() * 0.5;
-                const size = 1.2 + Math.random() * 1.3;
+                const intensity = 0.3 + this.particleSystem.random() * 0.5;
+                const size = 1.2 + this.particleSystem.random() * 1.3;
                 this.particleSystem.setSpeciesGlow(i, { intensity, size });
             }
         }
@@ -2466,7 +3174,7 @@ export class MainUI {
             () => this.getProfessionalPalette('space')
         ];
         
-        const palette = colorPalettes[Math.floor(Math.random() * colorPalettes.length)]();
+        const palette = colorPalettes[Math.floor(this.particleSystem.random() * colorPalettes.length)]();
         
         for (let i = 0; i < this.particleSystem.numSpecies; i++) {
             if (this.particleSystem.species[i]) {
@@ -2575,7 +3283,7 @@ export class MainUI {
         };
         
         const colors = backgroundColors[scenario] || backgroundColors.swarms;
-        const color = colors[Math.floor(Math.random() * colors.length)];
+        const color = colors[Math.floor(this.particleSystem.random() * colors.length)];
         
         this.particleSystem.backgroundColor = color;
         const bgColorInput = document.getElementById('background-color');
@@ -2623,21 +3331,21 @@ export class MainUI {
         
         for (let i = 0; i < primaryClusters; i++) {
             const angle = (i / primaryClusters) * 2 * Math.PI;
-            const radius = 0.3 + Math.random() * 0.2;
+            const radius = 0.3 + this.particleSystem.random() * 0.2;
             const centerX = 0.5 + Math.cos(angle) * radius;
             const centerY = 0.5 + Math.sin(angle) * radius;
-            const size = 0.08 + Math.random() * 0.04;
+            const size = 0.08 + this.particleSystem.random() * 0.04;
             
             distribution[i] = this.createClusterPoints(centerX, centerY, size);
         }
         
         // Create smaller satellite clusters for remaining species
         for (let i = primaryClusters; i < numSpecies; i++) {
-            const angle = Math.random() * 2 * Math.PI;
-            const radius = 0.15 + Math.random() * 0.3;
+            const angle = this.particleSystem.random() * 2 * Math.PI;
+            const radius = 0.15 + this.particleSystem.random() * 0.3;
             const centerX = 0.5 + Math.cos(angle) * radius;
             const centerY = 0.5 + Math.sin(angle) * radius;
-            const size = 0.04 + Math.random() * 0.03; // Smaller satellites
+            const size = 0.04 + this.particleSystem.random() * 0.03; // Smaller satellites
             
             distribution[i] = this.createClusterPoints(centerX, centerY, size);
         }
@@ -2660,15 +3368,15 @@ export class MainUI {
             const col = i % gridSize;
             
             // Position clusters in a grid with some randomization
-            const baseX = baseOffset + col * spacing + Math.random() * spacing * 0.3;
-            const baseY = baseOffset + row * spacing + Math.random() * spacing * 0.3;
+            const baseX = baseOffset + col * spacing + this.particleSystem.random() * spacing * 0.3;
+            const baseY = baseOffset + row * spacing + this.particleSystem.random() * spacing * 0.3;
             
             // Ensure positions stay within bounds
             const centerX = Math.min(0.85, Math.max(0.15, baseX));
             const centerY = Math.min(0.85, Math.max(0.15, baseY));
             
             // Create tight clusters for better cohesion
-            const clusterSize = 0.04 + Math.random() * 0.03;
+            const clusterSize = 0.04 + this.particleSystem.random() * 0.03;
             
             distribution[i] = this.createClusterPoints(centerX, centerY, clusterSize);
         }
@@ -2700,9 +3408,9 @@ export class MainUI {
         
         // Create turbulent, energy-like distribution
         for (let i = 0; i < numSpecies; i++) {
-            const x = Math.random();
-            const y = Math.random();
-            const size = 0.12 + Math.random() * 0.08;
+            const x = this.particleSystem.random();
+            const y = this.particleSystem.random();
+            const size = 0.12 + this.particleSystem.random() * 0.08;
             
             distribution[i] = this.createClusterPoints(x, y, size);
         }
@@ -2720,7 +3428,7 @@ export class MainUI {
             const x = 0.2 + 0.6 * t + 0.1 * Math.sin(t * Math.PI * 3);
             const y = 0.5 + 0.3 * Math.sin(t * Math.PI * 2);
             
-            distribution[i] = this.createClusterPoints(x, y, 0.07 + Math.random() * 0.03);
+            distribution[i] = this.createClusterPoints(x, y, 0.07 + this.particleSystem.random() * 0.03);
         }
         
         return distribution;
@@ -2732,20 +3440,20 @@ export class MainUI {
         
         // Ensure ALL species get at least one cluster
         for (let i = 0; i < numSpecies; i++) {
-            const x = Math.random();
-            const y = Math.random();
-            const size = 0.06 + Math.random() * 0.08;
+            const x = this.particleSystem.random();
+            const y = this.particleSystem.random();
+            const size = 0.06 + this.particleSystem.random() * 0.08;
             
             distribution[i] = this.createClusterPoints(x, y, size);
         }
         
         // Add additional random clusters for chaos
-        const extraClusters = Math.floor(Math.random() * numSpecies);
+        const extraClusters = Math.floor(this.particleSystem.random() * numSpecies);
         for (let i = 0; i < extraClusters; i++) {
-            const species = Math.floor(Math.random() * numSpecies);
-            const x = Math.random();
-            const y = Math.random();
-            const size = 0.02 + Math.random() * 0.10;
+            const species = Math.floor(this.particleSystem.random() * numSpecies);
+            const x = this.particleSystem.random();
+            const y = this.particleSystem.random();
+            const size = 0.02 + this.particleSystem.random() * 0.10;
             
             // Add to existing species distribution
             distribution[species] = distribution[species].concat(this.createClusterPoints(x, y, size));
@@ -2797,12 +3505,12 @@ export class MainUI {
         for (let i = 0; i < numSpecies; i++) {
             // Create a golden ratio spiral for natural distribution
             const goldenAngle = Math.PI * (3 - Math.sqrt(5)); // Golden angle
-            const angle = i * goldenAngle + Math.random() * 0.3;
-            const radius = 0.1 + (i / numSpecies) * 0.3 + Math.random() * 0.15;
+            const angle = i * goldenAngle + this.particleSystem.random() * 0.3;
+            const radius = 0.1 + (i / numSpecies) * 0.3 + this.particleSystem.random() * 0.15;
             const x = 0.5 + Math.cos(angle) * radius;
             const y = 0.5 + Math.sin(angle) * radius;
             
-            distribution[i] = this.createClusterPoints(x, y, 0.08 + Math.random() * 0.05);
+            distribution[i] = this.createClusterPoints(x, y, 0.08 + this.particleSystem.random() * 0.05);
         }
         
         return distribution;
@@ -2815,20 +3523,20 @@ export class MainUI {
         size = Math.max(0.02, Math.min(0.2, size));
         
         const points = [];
-        const numPoints = Math.floor(15 + Math.random() * 15); // 15-30 points per cluster
+        const numPoints = Math.floor(15 + this.particleSystem.random() * 15); // 15-30 points per cluster
         const radius = size;
         
         for (let i = 0; i < numPoints; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const r = Math.random() * radius * 0.8;
+            const angle = this.particleSystem.random() * Math.PI * 2;
+            const r = this.particleSystem.random() * radius * 0.8;
             const x = Math.max(0, Math.min(1, centerX + Math.cos(angle) * r));
             const y = Math.max(0, Math.min(1, centerY + Math.sin(angle) * r));
             
             points.push({
                 x,
                 y,
-                size: size * 0.2 * (0.8 + Math.random() * 0.4),
-                opacity: 0.7 + Math.random() * 0.3
+                size: size * 0.2 * (0.8 + this.particleSystem.random() * 0.4),
+                opacity: 0.7 + this.particleSystem.random() * 0.3
             });
         }
         
@@ -3020,6 +3728,12 @@ export class MainUI {
                                min="0.70" max="0.99" step="0.01" value="${species?.inertia || 0.85}">
                         <span class="mini-value">${(species?.inertia || 0.85).toFixed(2)}</span>
                     </div>
+                    <div class="mini-slider-group">
+                        <label class="mini-label">Mass</label>
+                        <input type="range" class="mini-slider species-mass" data-species="${i}"
+                               min="0.1" max="20" step="0.1" value="${species?.mass || 1}">
+                        <span class="mini-value">${(species?.mass || 1).toFixed(1)}</span>
+                    </div>
                 </div>
             `;
             container.appendChild(row);
@@ -3077,6 +3791,7 @@ export class MainUI {
                 
                 if (this.particleSystem.species[speciesIndex]) {
                     this.particleSystem.species[speciesIndex].particleCount = value;
+                    this.particleSystem.markParametersChanged();
                     this.particleSystem.initializeParticles();
                     this.updateTotalParticles();
                     this.triggerAutoSave();
@@ -3091,6 +3806,7 @@ export class MainUI {
                 const value = parseFloat(e.target.value);
                 if (this.particleSystem.species[speciesIndex]) {
                     this.particleSystem.species[speciesIndex].mobility = value;
+                    this.particleSystem.markParametersChanged();
                     // Update the display value
                     const valueSpan = e.target.nextElementSibling;
                     if (valueSpan) {
@@ -3108,6 +3824,7 @@ export class MainUI {
                 const value = parseFloat(e.target.value);
                 if (this.particleSystem.species[speciesIndex]) {
                     this.particleSystem.species[speciesIndex].inertia = value;
+                    this.particleSystem.markParametersChanged();
                     // Update the display value
                     const valueSpan = e.target.nextElementSibling;
                     if (valueSpan) {
@@ -3117,6 +3834,23 @@ export class MainUI {
                 }
             });
         });
+
+        // Add mass slider event listeners
+        container.querySelectorAll('.species-mass').forEach(input => {
+            input.addEventListener('input', (e) => {
+                const speciesIndex = parseInt(e.target.dataset.species);
+                const value = parseFloat(e.target.value);
+                if (this.particleSystem.species[speciesIndex]) {
+                    this.particleSystem.setSpeciesMass(speciesIndex, value);
+                    // Update the display value
+                    const valueSpan = e.target.nextElementSibling;
+                    if (valueSpan) {
+                        valueSpan.textContent = value.toFixed(1);
+                    }
+                    this.triggerAutoSave();
+                }
+            });
+        });
     }
     
     generateSpeciesColor(index) {
@@ -3335,6 +4069,26 @@ export class MainUI {
             await this.savePreset();
         });
         
+        // Behavior tags
+        document.getElementById('preset-tag-filter').addEventListener('change', () => {
+            this.updatePresetSelector();
+        });
+        
+        document.getElementById('classify-preset-btn').addEventListener('click', async () => {
+            if (!presetSelector.value) {
+                document.getElementById('classify-status').textContent = 'Select a preset to classify';
+                return;
+            }
+            await this.classifyPresets([presetSelector.value]);
+        });
+        
+        document.getElementById('classify-all-btn').addEventListener('click', async () => {
+            const untagged = this.presetManager.getUserPresets()
+                .filter(preset => !this.presetManager.getPresetTags(preset.key))
+                .map(preset => preset.key);
+            await this.classifyPresets(untagged);
+        });
+        
         // Particle controls
         document.getElementById('particles-per-species').addEventListener('input', (e) => {
             let value = parseInt(e.target.value);
@@ -3358,6 +4112,7 @@ export class MainUI {
                     this.particleSystem.species[i].particleCount = value;
                 }
             }
+            this.particleSystem.markParametersChanged();
             // Reinitialize with positions
             this.particleSystem.initializeParticlesWithPositions();
             document.getElementById('particles-per-species-value').textContent = value;
@@ -3490,6 +4245,7 @@ export class MainUI {
         document.getElementById('force-strength').addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.particleSystem.forceFactor = value;
+            this.particleSystem.markParametersChanged();
             document.getElementById('force-strength-value').textContent = value.toFixed(1);
             this.triggerAutoSave();
         });
@@ -3497,10 +4253,80 @@ export class MainUI {
         document.getElementById('friction').addEventListener('input', (e) => {
             const uiFriction = parseFloat(e.target.value);
             this.particleSystem.friction = 1.0 - uiFriction;
+            this.particleSystem.markParametersChanged();
             document.getElementById('friction-value').textContent = uiFriction.toFixed(2);
             this.triggerAutoSave();
         });
         
+        // Time controls - time scale is playback only and is not saved with presets
+        document.getElementById('time-scale').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.particleSystem.setTimeScale(value);
+            document.getElementById('time-scale-value').textContent = `${value.toFixed(2)}x`;
+        });
+        
+        document.getElementById('substeps').addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            this.particleSystem.setSubsteps(value);
+            document.getElementById('substeps-value').textContent = value;
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('single-step-btn').addEventListener('click', () => {
+            this.particleSystem.requestSingleStep();
+        });
+        
+        // Rewind - history is playback only and is not saved with presets
+        document.getElementById('history-enabled').addEventListener('change', (e) => {
+            this.particleSystem.setHistoryEnabled(e.target.checked);
+            document.getElementById('history-controls').style.display = e.target.checked ? 'block' : 'none';
+            this.updateHistoryControls();
+        });
+        
+        document.getElementById('history-scrub').addEventListener('input', (e) => {
+            this.particleSystem.rewindTo(parseInt(e.target.value));
+            this.updateHistoryControls();
+        });
+        
+        document.getElementById('history-resume-btn').addEventListener('click', () => {
+            this.particleSystem.setMuted(false);
+            this.updateHistoryControls();
+        });
+        
+        const applyHistoryOptions = () => {
+            const history = this.particleSystem.history;
+            history.configure({
+                frames: parseInt(document.getElementById('history-frames').value),
+                megabytes: history.maxBytes / (1024 * 1024),
+                interval: history.baseInterval,
+                downsample: document.getElementById('history-downsample').checked
+            });
+            // Trimming can remove the frame on show
+            if (this.particleSystem.rewindIndex >= history.length) {
+                this.particleSystem.rewindIndex = -1;
+            }
+            document.getElementById('history-frames-value').textContent = `${history.capacity} frames`;
+            this.updateHistoryControls();
+        };
+        document.getElementById('history-frames').addEventListener('input', applyHistoryOptions);
+        document.getElementById('history-downsample').addEventListener('change', applyHistoryOptions);
+        
+        // The scrub bar follows the recording while the simulation runs
+        setInterval(() => this.updateHistoryControls(), 250);
+        
+        document.getElementById('worker-physics').addEventListener('change', (e) => {
+            const requested = e.target.checked;
+            e.target.checked = this.particleSystem.setWorkerPhysics(requested);
+            localStorage.setItem('workerPhysics', requested.toString());
+            this.updateWorkerPhysicsStatus();
+        });
+        // The worker can die at any time, so the checkbox follows the simulation
+        setInterval(() => this.updateWorkerPhysicsStatus(), 1000);
+        
+        document.getElementById('show-spatial-grid').addEventListener('change', (e) => {
+            this.particleSystem.showSpatialGrid = e.target.checked;
+        });
+        
         // Noise controls
         const noiseEnabled = document.getElementById('noise-enabled');
         const noiseControls = document.getElementById('noise-controls');
@@ -3567,6 +4393,7 @@ export class MainUI {
                 const value = parseFloat(e.target.value);
                 if (this.particleSystem.noiseGenerator) {
                     this.particleSystem.noiseGenerator.setTimeIncrement(value);
+                    this.particleSystem.markParametersChanged();
                 }
                 document.getElementById('noise-animation-value').textContent = value.toFixed(3);
                 this.triggerAutoSave();
@@ -3579,6 +4406,7 @@ export class MainUI {
                 const value = parseInt(e.target.value);
                 if (this.particleSystem.noiseGenerator) {
                     this.particleSystem.noiseGenerator.setGlobalOctaves(value);
+                    this.particleSystem.markParametersChanged();
                 }
                 document.getElementById('noise-octaves-value').textContent = value;
                 this.triggerAutoSave();
@@ -3613,6 +4441,7 @@ export class MainUI {
                     if (this.particleSystem.noiseGenerator) {
                         // Use the slider value directly as it's limited to 0-1000
                         this.particleSystem.noiseGenerator.setSeed(value);
+                        this.particleSystem.markParametersChanged();
                         localStorage.setItem('noiseSeed', value.toString());
                         document.getElementById('noise-seed-value').textContent = value;
                         this.triggerAutoSave();
@@ -3627,6 +4456,7 @@ export class MainUI {
                 const newSeed = Math.floor(Math.random() * 1000);
                 if (this.particleSystem.noiseGenerator) {
                     this.particleSystem.noiseGenerator.setSeed(newSeed);
+                    this.particleSystem.markParametersChanged();
                     localStorage.setItem('noiseSeed', newSeed.toString());
                     document.getElementById('noise-seed').value = newSeed;
                     document.getElementById('noise-seed-value').textContent = newSeed;
@@ -3638,6 +4468,7 @@ export class MainUI {
         document.getElementById('wall-bounce').addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.particleSystem.wallDamping = value;
+            this.particleSystem.markParametersChanged();
             document.getElementById('wall-bounce-value').textContent = value.toFixed(2);
             this.triggerAutoSave();
         });
@@ -3645,26 +4476,246 @@ export class MainUI {
         document.getElementById('repulsive-force').addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.particleSystem.repulsiveForce = value;
+            this.particleSystem.markParametersChanged();
             document.getElementById('repulsive-force-value').textContent = value.toFixed(2);
             this.triggerAutoSave();
         });
         
-        document.getElementById('wrap-around-walls').addEventListener('change', (e) => {
-            this.particleSystem.wrapAroundWalls = e.target.checked;
+        document.getElementById('obstacle-tool').addEventListener('change', (e) => {
+            this.setCanvasToolMode(this.obstacleTool, e.target.value);
+            this.updateObstacleControls();
+        });
+        
+        document.getElementById('obstacle-repulsion').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            document.getElementById('obstacle-repulsion-value').textContent = value.toFixed(2);
+            if (!this.obstacleTool) return;
+            
+            // Edit the selected obstacle, otherwise set the value for new ones
+            const index = this.obstacleTool.selectedIndex;
+            if (index !== -1) {
+                this.particleSystem.setObstacles(this.particleSystem.obstacles.map((o, i) =>
+                    i === index ? { ...o, repulsion: value } : o));
+                this.triggerAutoSave();
+            } else {
+                this.obstacleTool.defaults.repulsion = value;
+            }
+        });
+        
+        document.getElementById('field-tool').addEventListener('change', (e) => {
+            this.setCanvasToolMode(this.fieldTool, e.target.value);
+            this.updateFieldControls();
+        });
+        
+        document.getElementById('emitter-tool').addEventListener('change', (e) => {
+            this.setCanvasToolMode(this.emitterTool, e.target.value);
+            this.updateEmitterControls();
+        });
+        
+        document.getElementById('emitter-species').addEventListener('change', (e) => {
+            this.applyEmitterSetting('species', parseInt(e.target.value));
+        });
+        
+        // Emitter sliders edit the selected emitter, otherwise the settings for new ones
+        [
+            ['emitter-rate', 'rate', v => `${v}/s`],
+            ['emitter-spread', 'spread', v => `${v}°`],
+            ['emitter-speed', 'speed', v => v.toFixed(1)],
+            ['emitter-lifetime', 'lifetime', v => v > 0 ? `${v.toFixed(1)}s` : '∞']
+        ].forEach(([id, key, format]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                document.getElementById(`${id}-value`).textContent = format(value);
+                this.applyEmitterSetting(key, value);
+            });
+        });
+        
+        document.getElementById('max-particles').addEventListener('input', (e) => {
+            this.particleSystem.setMaxParticles(parseInt(e.target.value));
+            document.getElementById('max-particles-value').textContent = this.particleSystem.maxParticles;
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('clear-emitters-btn').addEventListener('click', () => {
+            this.particleSystem.setEmitters([]);
+            this.particleSystem.setSinks([]);
+            this.emitterTool?.select(null);
+            this.triggerAutoSave();
+        });
+        
+        // Field sliders edit the selected field, otherwise the settings for new ones
+        [['field-strength', 'strength', 2], ['field-radius', 'radius', 0], ['field-falloff', 'falloff', 1]].forEach(([id, key, decimals]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                document.getElementById(`${id}-value`).textContent = value.toFixed(decimals);
+                if (!this.fieldTool) return;
+                
+                const index = this.fieldTool.selectedIndex;
+                if (index !== -1) {
+                    this.particleSystem.updateField(index, { [key]: value });
+                    this.triggerAutoSave();
+                } else {
+                    this.fieldTool.defaults[key] = value;
+                }
+            });
+        });
+        
+        document.getElementById('clear-fields-btn').addEventListener('click', () => {
+            this.particleSystem.clearFields();
+            this.fieldTool?.select(-1);
+            this.updateModulationParameterOptions();
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('zone-tool').addEventListener('change', (e) => {
+            this.setCanvasToolMode(this.zoneTool, e.target.value);
+            this.updateZoneControls();
+        });
+        
+        document.getElementById('zone-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.zone-item');
+            if (!item || !this.zoneTool) return;
+            
+            // Zones are only drawn while the tool is on - switch it on to show the selection
+            if (this.zoneTool.mode === 'none') {
+                this.setCanvasToolMode(this.zoneTool, 'move');
+                document.getElementById('zone-tool').value = 'move';
+            }
+            this.zoneTool.select(parseInt(item.dataset.index));
+        });
+        
+        // Blend edits the selected zone, otherwise the setting for new ones
+        document.getElementById('zone-blend').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            document.getElementById('zone-blend-value').textContent = `${value}px`;
+            if (!this.zoneTool) return;
+            
+            if (this.getSelectedZone()) {
+                this.particleSystem.updateZone(this.zoneTool.selectedZone, { blend: value });
+                this.triggerAutoSave();
+            } else {
+                this.zoneTool.defaults.blend = value;
+            }
+        });
+        
+        document.getElementById('zone-brush').addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            document.getElementById('zone-brush-value').textContent = `${value}px`;
+            if (this.zoneTool) {
+                this.zoneTool.defaults.brush = value;
+            }
+        });
+        
+        document.getElementById('zone-name').addEventListener('input', (e) => {
+            this.applyZoneSetting({ name: e.target.value });
+            this.updateZoneList();
+        });
+        
+        // Friction and noise overrides - unchecked means the global setting applies
+        [
+            ['zone-friction', 'friction', v => v.toFixed(2)],
+            ['zone-noise', 'noise', v => `${v.toFixed(1)}×`]
+        ].forEach(([id, key, format]) => {
+            const slider = document.getElementById(id);
+            const checkbox = document.getElementById(`${id}-enabled`);
+            slider.addEventListener('input', () => {
+                const value = parseFloat(slider.value);
+                document.getElementById(`${id}-value`).textContent = format(value);
+                if (checkbox.checked) {
+                    this.applyZoneSetting({ [key]: value });
+                }
+            });
+            checkbox.addEventListener('change', () => {
+                slider.disabled = !checkbox.checked;
+                this.applyZoneSetting({ [key]: checkbox.checked ? parseFloat(slider.value) : null });
+                this.updateZoneList();
+            });
+        });
+        
+        // A new force override starts from the global matrix
+        document.getElementById('zone-forces-enabled').addEventListener('change', (e) => {
+            const forces = e.target.checked ? this.particleSystem.socialForce.map(row => [...row]) : null;
+            this.applyZoneSetting({ socialForce: forces });
+            this.updateZoneControls();
+        });
+        
+        document.getElementById('zone-copy-forces-btn').addEventListener('click', () => {
+            this.applyZoneSetting({ socialForce: this.particleSystem.socialForce.map(row => [...row]) });
+            this.updateZoneControls();
+        });
+        
+        document.getElementById('zone-randomize-forces-btn').addEventListener('click', () => {
+            const n = this.particleSystem.numSpecies;
+            const forces = [];
+            for (let i = 0; i < n; i++) {
+                forces.push([]);
+                for (let j = 0; j < n; j++) {
+                    forces[i].push(Math.round((this.particleSystem.random() * 2 - 1) * 100) / 100);
+                }
+            }
+            this.applyZoneSetting({ socialForce: forces });
+            this.updateZoneControls();
+        });
+        
+        document.getElementById('zone-force-matrix').addEventListener('input', (e) => {
+            const cell = e.target;
+            const zone = this.getSelectedZone();
+            if (!cell.classList.contains('zone-force-cell') || !zone?.socialForce) return;
             
-            // Show/hide wall controls based on wrap-around mode
-            const wallControls = document.getElementById('wall-controls');
-            const repulsiveControl = document.getElementById('repulsive-control');
+            const forces = zone.socialForce.map(row => [...row]);
+            const from = parseInt(cell.dataset.from);
+            const to = parseInt(cell.dataset.to);
+            if (forces[from]) {
+                forces[from][to] = parseFloat(cell.value) || 0;
+                this.applyZoneSetting({ socialForce: forces });
+                cell.style.color = this.getZoneForceColor(zone.socialForce[from][to]);
+            }
+        });
+        
+        document.getElementById('clear-zones-btn').addEventListener('click', () => {
+            this.particleSystem.clearZones();
+            this.zoneTool?.select(-1);
+            this.updateZoneControls();
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('clear-obstacles-btn').addEventListener('click', () => {
+            this.particleSystem.clearObstacles();
+            this.obstacleTool?.select(-1);
+            this.triggerAutoSave();
+        });
+        
+        // Arena shape controls - shaped arenas only apply while walls are solid
+        document.getElementById('arena-shape').addEventListener('change', () => {
+            this.applyArenaFromControls();
+        });
+        ['arena-scale', 'arena-corner-radius', 'arena-sides', 'arena-rotation'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.applyArenaFromControls();
+            });
+        });
+        document.getElementById('arena-clip').addEventListener('change', () => {
+            this.applyArenaFromControls();
+        });
+        document.getElementById('arena-mask-btn').addEventListener('click', () => {
+            document.getElementById('arena-mask-file').click();
+        });
+        document.getElementById('arena-mask-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadArenaMask(file);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('topology').addEventListener('change', (e) => {
+            this.particleSystem.setTopology(e.target.value);
+            this.updateTopologyControls();
             
-            if (e.target.checked) {
-                // Wrap-around mode: hide wall controls and disable repulsive force
-                wallControls.style.display = 'none';
-                repulsiveControl.style.display = 'none';
+            if (e.target.value === 'torus' || e.target.value === 'klein') {
+                // No walls left: disable repulsive force
                 this.particleSystem.repulsiveForce = 0;
             } else {
-                // Wall mode: show wall controls
-                wallControls.style.display = '';
-                repulsiveControl.style.display = '';
                 // Restore repulsive force to default if it was 0
                 if (this.particleSystem.repulsiveForce === 0) {
                     this.particleSystem.repulsiveForce = 0.3;
@@ -3676,40 +4727,145 @@ export class MainUI {
             this.triggerAutoSave();
         });
         
-        // Collision strength control
-        document.getElementById('collision-strength').addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.particleSystem.collisionMultiplier = value;
-            document.getElementById('collision-strength-value').textContent = value.toFixed(1);
+        // Collision strength control
+        document.getElementById('collision-strength').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.particleSystem.collisionMultiplier = value;
+            this.particleSystem.markParametersChanged();
+            document.getElementById('collision-strength-value').textContent = value.toFixed(1);
+            this.triggerAutoSave();
+        });
+        
+        // Collision offset control
+        document.getElementById('collision-offset').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.particleSystem.collisionOffset = value;
+            this.particleSystem.markParametersChanged();
+            document.getElementById('collision-offset-value').textContent = value.toFixed(1);
+            this.triggerAutoSave();
+        });
+
+        
+        document.getElementById('social-radius').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            for (let i = 0; i < this.particleSystem.numSpecies; i++) {
+                for (let j = 0; j < this.particleSystem.numSpecies; j++) {
+                    if (this.particleSystem.socialRadius[i]) {
+                        this.particleSystem.socialRadius[i][j] = value;
+                    }
+                }
+            }
+            this.particleSystem.markParametersChanged();
+            document.getElementById('social-radius-value').textContent = value;
+        });
+        
+        // Advanced Physics controls
+        document.getElementById('environmental-pressure').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.particleSystem.environmentalPressure = value;
+            this.particleSystem.markParametersChanged();
+            document.getElementById('environmental-pressure-value').textContent = value.toFixed(1);
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('density-forces-enabled').addEventListener('change', (e) => {
+            this.particleSystem.enableDensityForces = e.target.checked;
+            this.particleSystem.markParametersChanged();
+            document.getElementById('density-controls').style.display = e.target.checked ? 'block' : 'none';
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('density-strength').addEventListener('input', (e) => {
+            this.particleSystem.setDensityStrength(parseFloat(e.target.value));
+            document.getElementById('density-strength-value').textContent = this.particleSystem.densityStrength.toFixed(2);
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('density-species').addEventListener('change', () => {
+            this.updateDensityThresholdControl();
+        });
+        
+        document.getElementById('density-threshold').addEventListener('input', (e) => {
+            const species = parseInt(document.getElementById('density-species').value) || 0;
+            this.particleSystem.setDensityThreshold(species, parseInt(e.target.value));
+            this.updateDensityThresholdControl();
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('time-modulation-enabled').addEventListener('change', (e) => {
+            this.particleSystem.enableTimeModulation = e.target.checked;
+            this.particleSystem.markParametersChanged();
+            document.getElementById('time-modulation-controls').style.display = e.target.checked ? 'block' : 'none';
+            this.triggerAutoSave();
+        });
+        
+        ['amplitude', 'period', 'spread'].forEach(key => {
+            document.getElementById(`time-modulation-${key}`).addEventListener('input', (e) => {
+                const ps = this.particleSystem;
+                ps.setTimeModulation({
+                    enabled: ps.enableTimeModulation,
+                    amplitude: ps.timeModulationAmplitude,
+                    period: ps.timeModulationPeriod,
+                    spread: ps.timeModulationSpread,
+                    [key]: parseFloat(e.target.value)
+                });
+                this.updateTimeModulationControls();
+                this.triggerAutoSave();
+            });
+        });
+        
+        document.getElementById('thermostat-enabled').addEventListener('change', (e) => {
+            this.particleSystem.thermostatEnabled = e.target.checked;
+            this.particleSystem.markParametersChanged();
+            document.getElementById('thermostat-controls').style.display = e.target.checked ? 'block' : 'none';
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('thermostat-mode').addEventListener('change', (e) => {
+            this.particleSystem.thermostatMode = e.target.value;
+            this.particleSystem.markParametersChanged();
+            this.updateThermostatControls();
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('thermostat-target').addEventListener('input', (e) => {
+            this.particleSystem.setTargetTemperature(parseFloat(e.target.value));
+            this.updateThermostatControls();
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('thermostat-relaxation').addEventListener('input', (e) => {
+            const ps = this.particleSystem;
+            ps.thermostatRelaxation = Math.max(0.1, parseFloat(e.target.value) || 1);
+            ps.markParametersChanged();
+            this.updateThermostatControls();
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('thermostat-per-species').addEventListener('change', (e) => {
+            this.particleSystem.thermostatPerSpecies = e.target.checked;
+            this.particleSystem.markParametersChanged();
             this.triggerAutoSave();
         });
         
-        // Collision offset control
-        document.getElementById('collision-offset').addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.particleSystem.collisionOffset = value;
-            document.getElementById('collision-offset-value').textContent = value.toFixed(1);
+        document.getElementById('mass-collisions').addEventListener('change', (e) => {
+            this.particleSystem.massCollisions = e.target.checked;
+            this.particleSystem.markParametersChanged();
+            document.getElementById('restitution-control').style.display = e.target.checked ? 'block' : 'none';
             this.triggerAutoSave();
         });
-
         
-        document.getElementById('social-radius').addEventListener('input', (e) => {
+        document.getElementById('restitution').addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
-            for (let i = 0; i < this.particleSystem.numSpecies; i++) {
-                for (let j = 0; j < this.particleSystem.numSpecies; j++) {
-                    if (this.particleSystem.socialRadius[i]) {
-                        this.particleSystem.socialRadius[i][j] = value;
-                    }
-                }
-            }
-            document.getElementById('social-radius-value').textContent = value;
+            this.particleSystem.restitution = value;
+            this.particleSystem.markParametersChanged();
+            document.getElementById('restitution-value').textContent = value.toFixed(2);
+            this.triggerAutoSave();
         });
         
-        // Advanced Physics controls
-        document.getElementById('environmental-pressure').addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.particleSystem.environmentalPressure = value;
-            document.getElementById('environmental-pressure-value').textContent = value.toFixed(1);
+        document.getElementById('mass-scaled-forces').addEventListener('change', (e) => {
+            this.particleSystem.massScaledForces = e.target.checked;
+            this.particleSystem.markParametersChanged();
             this.triggerAutoSave();
         });
         
@@ -3717,6 +4873,7 @@ export class MainUI {
         // Shockwave controls
         document.getElementById('shockwave-enabled').addEventListener('change', (e) => {
             this.particleSystem.shockwaveEnabled = e.target.checked;
+            this.particleSystem.markParametersChanged();
             const controls = document.getElementById('shockwave-controls');
             if (controls) {
                 controls.style.display = e.target.checked ? 'block' : 'none';
@@ -3727,6 +4884,7 @@ export class MainUI {
         document.getElementById('shockwave-strength').addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.particleSystem.shockwaveStrength = value;
+            this.particleSystem.markParametersChanged();
             document.getElementById('shockwave-strength-value').textContent = value;
             this.triggerAutoSave();
         });
@@ -3734,6 +4892,7 @@ export class MainUI {
         document.getElementById('shockwave-size').addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.particleSystem.shockwaveSize = value;
+            this.particleSystem.markParametersChanged();
             document.getElementById('shockwave-size-value').textContent = value;
             this.triggerAutoSave();
         });
@@ -3741,6 +4900,7 @@ export class MainUI {
         document.getElementById('shockwave-falloff').addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.particleSystem.shockwaveFalloff = value;
+            this.particleSystem.markParametersChanged();
             document.getElementById('shockwave-falloff-value').textContent = value.toFixed(1);
             this.triggerAutoSave();
         });
@@ -4053,6 +5213,7 @@ export class MainUI {
                     // Update only selected species
                     this.particleSystem.species[selectedSpecies].size = safeValue;
                 }
+                this.particleSystem.markParametersChanged();
                 
                 document.getElementById('species-size-value').textContent = value.toFixed(1);
                 this.triggerAutoSave();
@@ -4096,6 +5257,72 @@ export class MainUI {
             this.triggerAutoSave();
         });
         
+        document.getElementById('force-law-selector').addEventListener('change', (e) => {
+            this.particleSystem.setForceLaw(e.target.value);
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('pair-force-law-selector').addEventListener('change', (e) => {
+            const fromSpecies = parseInt(document.getElementById('from-species').value);
+            const toSpecies = parseInt(document.getElementById('to-species').value);
+            this.particleSystem.setPairForceLaw(fromSpecies, toSpecies, e.target.value || null);
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('pair-force-curve-enabled').addEventListener('change', (e) => {
+            const fromSpecies = parseInt(document.getElementById('from-species').value);
+            const toSpecies = parseInt(document.getElementById('to-species').value);
+            // Start from a short-range repel, mid-range attract shape
+            const points = e.target.checked
+                ? [{ x: 0, y: -1 }, { x: 0.3, y: 0 }, { x: 0.6, y: 1 }, { x: 1, y: 0 }]
+                : null;
+            this.particleSystem.setPairForceCurve(fromSpecies, toSpecies, points);
+            this.updateGraph();
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('pair-bond-enabled').addEventListener('change', (e) => {
+            const fromSpecies = parseInt(document.getElementById('from-species').value);
+            const toSpecies = parseInt(document.getElementById('to-species').value);
+            this.particleSystem.setBondRule(fromSpecies, toSpecies, e.target.checked ? {} : null);
+            this.updateGraph();
+            this.triggerAutoSave();
+        });
+        
+        // Bond sliders edit the rule of the selected pair
+        [
+            ['bond-rest-length', 'restLength', v => v.toFixed(0)],
+            ['bond-stiffness', 'stiffness', v => v.toFixed(2)],
+            ['bond-damping', 'damping', v => v.toFixed(2)],
+            ['bond-break-ratio', 'breakRatio', v => `${v.toFixed(1)}×`]
+        ].forEach(([id, key, format]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                const fromSpecies = parseInt(document.getElementById('from-species').value);
+                const toSpecies = parseInt(document.getElementById('to-species').value);
+                const value = parseFloat(e.target.value);
+                document.getElementById(`${id}-value`).textContent = format(value);
+                if (this.particleSystem.getBondRule(fromSpecies, toSpecies)) {
+                    this.particleSystem.setBondRule(fromSpecies, toSpecies, { [key]: value });
+                    this.triggerAutoSave();
+                }
+            });
+        });
+        
+        document.getElementById('max-bonds').addEventListener('input', (e) => {
+            this.particleSystem.setMaxBonds(parseInt(e.target.value));
+            document.getElementById('max-bonds-value').textContent = this.particleSystem.maxBonds;
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('show-bonds').addEventListener('change', (e) => {
+            this.particleSystem.showBonds = e.target.checked;
+            this.triggerAutoSave();
+        });
+        
+        document.getElementById('break-bonds-btn').addEventListener('click', () => {
+            this.particleSystem.clearBonds();
+        });
+        
         // Force pattern selector with dynamic parameters
         document.getElementById('force-pattern-selector').addEventListener('change', (e) => {
             const pattern = e.target.value;
@@ -4970,7 +6197,7 @@ export class MainUI {
     }
     
     updateSpeciesSelectors(numSpecies) {
-        const selectors = ['from-species', 'to-species', 'glow-species-selector', 'halo-species-selector', 'trail-species-selector', 'size-species-selector'];
+        const selectors = ['from-species', 'to-species', 'glow-species-selector', 'halo-species-selector', 'trail-species-selector', 'size-species-selector', 'density-species'];
         
         selectors.forEach(selectorId => {
             const select = document.getElementById(selectorId);
@@ -5007,6 +6234,133 @@ export class MainUI {
         this.updateSpeciesButtons(numSpecies);
     }
     
+    // Set the arena from the shape controls. Picking the image mask without a
+    // mask loaded asks for an image first and keeps the current arena meanwhile.
+    applyArenaFromControls(mask = null) {
+        const ps = this.particleSystem;
+        const shape = mask ? 'mask' : document.getElementById('arena-shape').value;
+        if (shape === 'mask') {
+            mask = mask || ps.arena?.mask;
+            if (!mask) {
+                document.getElementById('arena-mask-file').click();
+                this.updateArenaControls();
+                return;
+            }
+        }
+        
+        ps.setArena({
+            shape,
+            scale: parseFloat(document.getElementById('arena-scale').value),
+            cornerRadius: parseFloat(document.getElementById('arena-corner-radius').value),
+            sides: parseInt(document.getElementById('arena-sides').value),
+            rotation: parseFloat(document.getElementById('arena-rotation').value),
+            clip: document.getElementById('arena-clip').checked,
+            mask
+        });
+        this.updateArenaControls();
+        this.triggerAutoSave();
+    }
+    
+    // Downsample a black-and-white image into an arena mask
+    loadArenaMask(file) {
+        const image = new Image();
+        const url = URL.createObjectURL(file);
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, MASK_MAX_CELLS / Math.max(image.width, image.height));
+            const width = Math.max(1, Math.round(image.width * scale));
+            const height = Math.max(1, Math.round(image.height * scale));
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0, width, height);
+            const { data } = ctx.getImageData(0, 0, width, height);
+            
+            // Bright, opaque pixels are open space
+            const cells = new Uint8Array(width * height);
+            for (let i = 0; i < cells.length; i++) {
+                const brightness = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / 3 * (data[i * 4 + 3] / 255);
+                cells[i] = brightness > 127 ? 1 : 0;
+            }
+            this.applyArenaFromControls(encodeMask(cells, width, height));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            console.error('Could not load arena mask image', file.name);
+        };
+        image.src = url;
+    }
+    
+    // Torus and Klein have no walls; Möbius keeps its top and bottom walls.
+    // Arena shapes only apply to the plain bounded canvas.
+    updateTopologyControls() {
+        const topology = this.particleSystem.getTopology();
+        const hasWalls = topology !== 'torus' && topology !== 'klein';
+        const wallControls = document.getElementById('wall-controls');
+        const repulsiveControl = document.getElementById('repulsive-control');
+        const arenaControls = document.getElementById('arena-controls');
+        if (wallControls) wallControls.style.display = hasWalls ? '' : 'none';
+        if (repulsiveControl) repulsiveControl.style.display = hasWalls ? '' : 'none';
+        if (arenaControls) arenaControls.style.display = topology === 'bounded' ? '' : 'none';
+    }
+    
+    updateArenaControls() {
+        const arena = this.particleSystem.arena;
+        const shape = arena?.shape || 'rectangle';
+        document.getElementById('arena-shape').value = shape;
+        document.getElementById('arena-scale-control').style.display = shape === 'rectangle' || shape === 'mask' ? 'none' : 'block';
+        document.getElementById('arena-corner-control').style.display = shape === 'rounded' ? 'block' : 'none';
+        document.getElementById('arena-polygon-controls').style.display = shape === 'polygon' ? 'block' : 'none';
+        document.getElementById('arena-mask-controls').style.display = shape === 'mask' ? 'block' : 'none';
+        document.getElementById('arena-clip').checked = arena ? arena.clip : true;
+        
+        if (arena?.scale !== undefined) {
+            document.getElementById('arena-scale').value = arena.scale;
+            document.getElementById('arena-scale-value').textContent = `${Math.round(arena.scale * 100)}%`;
+        }
+        if (shape === 'rounded') {
+            document.getElementById('arena-corner-radius').value = arena.cornerRadius;
+            document.getElementById('arena-corner-radius-value').textContent = arena.cornerRadius;
+        }
+        if (shape === 'polygon') {
+            document.getElementById('arena-sides').value = arena.sides;
+            document.getElementById('arena-sides-value').textContent = arena.sides;
+            document.getElementById('arena-rotation').value = arena.rotation;
+            document.getElementById('arena-rotation-value').textContent = `${arena.rotation}°`;
+        }
+    }
+    
+    // Show the crowding threshold of the species picked in the density selector
+    updateDensityThresholdControl() {
+        const species = parseInt(document.getElementById('density-species')?.value) || 0;
+        const threshold = this.particleSystem.getDensityThreshold(species);
+        document.getElementById('density-threshold').value = threshold;
+        document.getElementById('density-threshold-value').textContent = threshold;
+    }
+    
+    updateTimeModulationControls() {
+        const ps = this.particleSystem;
+        document.getElementById('time-modulation-amplitude').value = ps.timeModulationAmplitude;
+        document.getElementById('time-modulation-amplitude-value').textContent = ps.timeModulationAmplitude.toFixed(2);
+        document.getElementById('time-modulation-period').value = ps.timeModulationPeriod;
+        document.getElementById('time-modulation-period-value').textContent = `${ps.timeModulationPeriod.toFixed(1)}s`;
+        document.getElementById('time-modulation-spread').value = ps.timeModulationSpread;
+        document.getElementById('time-modulation-spread-value').textContent = ps.timeModulationSpread.toFixed(2);
+    }
+    
+    updateThermostatControls() {
+        const ps = this.particleSystem;
+        document.getElementById('thermostat-mode').value = ps.thermostatMode;
+        document.getElementById('thermostat-target').value = ps.targetTemperature;
+        document.getElementById('thermostat-target-value').textContent = ps.targetTemperature.toFixed(1);
+        document.getElementById('thermostat-relaxation').value = ps.thermostatRelaxation;
+        document.getElementById('thermostat-relaxation-value').textContent = `${ps.thermostatRelaxation.toFixed(1)}s`;
+        document.getElementById('thermostat-relaxation-control').style.display = ps.thermostatMode === 'relax' ? '' : 'none';
+        document.getElementById('thermostat-per-species').checked = ps.thermostatPerSpecies;
+    }
+    
     updateGraph() {
         const fromSpecies = parseInt(document.getElementById('from-species').value);
         const toSpecies = parseInt(document.getElementById('to-species').value);
@@ -5014,6 +6368,36 @@ export class MainUI {
         
         this.forceGraph.setValue(force);
         this.updateGraphInfo();
+        
+        const pairLawSelector = document.getElementById('pair-force-law-selector');
+        if (pairLawSelector) {
+            pairLawSelector.value = this.particleSystem.getPairForceLaw(fromSpecies, toSpecies) || '';
+        }
+        
+        const curve = this.particleSystem.getPairForceCurve(fromSpecies, toSpecies);
+        const curveCheckbox = document.getElementById('pair-force-curve-enabled');
+        if (curveCheckbox && this.forceCurveEditor) {
+            curveCheckbox.checked = !!curve;
+            document.getElementById('force-curve-container').style.display = curve ? 'block' : 'none';
+            this.forceCurveEditor.setPoints(curve);
+        }
+        
+        const bondRule = this.particleSystem.getBondRule(fromSpecies, toSpecies);
+        const bondCheckbox = document.getElementById('pair-bond-enabled');
+        if (bondCheckbox) {
+            bondCheckbox.checked = !!bondRule;
+            document.getElementById('bond-controls').style.display = bondRule ? 'block' : 'none';
+            if (bondRule) {
+                document.getElementById('bond-rest-length').value = bondRule.restLength;
+                document.getElementById('bond-rest-length-value').textContent = bondRule.restLength.toFixed(0);
+                document.getElementById('bond-stiffness').value = bondRule.stiffness;
+                document.getElementById('bond-stiffness-value').textContent = bondRule.stiffness.toFixed(2);
+                document.getElementById('bond-damping').value = bondRule.damping;
+                document.getElementById('bond-damping-value').textContent = bondRule.damping.toFixed(2);
+                document.getElementById('bond-break-ratio').value = bondRule.breakRatio;
+                document.getElementById('bond-break-ratio-value').textContent = `${bondRule.breakRatio.toFixed(1)}×`;
+            }
+        }
     }
     
     updateGraphInfo() {
@@ -5026,6 +6410,12 @@ export class MainUI {
         const toName = this.particleSystem.getSpeciesName(toSpecies);
         
         this.forceGraph.setInfo(`${fromName} → ${toName}: ${force.toFixed(2)}`);
+        
+        // A curve only shapes the pair's force, so a zero force silences it
+        const zeroNote = document.getElementById('force-curve-zero-note');
+        if (zeroNote) {
+            zeroNote.style.display = force === 0 ? 'block' : 'none';
+        }
     }
     
     // Dynamic pattern parameters panel management
@@ -5068,6 +6458,9 @@ export class MainUI {
             case 'cyclic':
                 this.createCyclicParameterPanel(panel);
                 break;
+            case 'flocking':
+                this.createFlockingParameterPanel(panel);
+                break;
             default:
                 console.warn(`Unknown pattern: ${pattern}`);
         }
@@ -5400,6 +6793,66 @@ export class MainUI {
         this.attachParameterListeners('cyclic');
     }
     
+    createFlockingParameterPanel(panel) {
+        panel.innerHTML = `
+            <div class="pattern-parameters-header">
+                <h5>Flocking Parameters</h5>
+                <p class="pattern-description">Boids-style schools and swarms that match their neighbours' velocity</p>
+            </div>
+            <div class="control-group">
+                <label>Quick Presets</label>
+                <div class="preset-buttons">
+                    <button class="btn btn-sm preset-btn" data-preset="schools" title="Each species schools on its own">Schools</button>
+                    <button class="btn btn-sm preset-btn" data-preset="swarm" title="All species move as one loose swarm">Swarm</button>
+                    <button class="btn btn-sm preset-btn" data-preset="rivals" title="Flocks that steer against each other">Rivals</button>
+                    <button class="btn btn-sm preset-btn" data-preset="drift" title="Gentle, loosely aligned drifting">Drift</button>
+                </div>
+            </div>
+            <div class="control-group">
+                <label>Flock Type</label>
+                <select class="select-dropdown" id="param-flock-type" 
+                        title="schools (align within a species), mixed (align with everyone), opposing (align within, steer against others)">
+                    <option value="schools" selected>Schools</option>
+                    <option value="mixed">Mixed</option>
+                    <option value="opposing">Opposing</option>
+                </select>
+            </div>
+            <div class="control-group">
+                <label title="How strongly particles match the velocity of their neighbours.">
+                    Alignment Strength
+                    <span class="value-display" id="param-alignment-value">0.6</span>
+                    <span class="tooltip-icon">ℹ️</span>
+                </label>
+                <input type="range" class="range-slider" id="param-alignment-strength" 
+                       min="0.1" max="1.0" step="0.05" value="0.6" title="0.1 = loose drifting, 1.0 = tight lockstep">
+                <div class="slider-labels">
+                    <span class="slider-label-left">Loose</span>
+                    <span class="slider-label-right">Lockstep</span>
+                </div>
+            </div>
+            <div class="control-group">
+                <label title="Attraction within a species that keeps flocks together.">
+                    Flock Cohesion
+                    <span class="value-display" id="param-flock-cohesion-value">0.5</span>
+                    <span class="tooltip-icon">ℹ️</span>
+                </label>
+                <input type="range" class="range-slider" id="param-flock-cohesion" 
+                       min="0" max="2.0" step="0.1" value="0.5" title="0 = no pull together, 2.0 = dense flocks">
+            </div>
+            <div class="control-group">
+                <label title="How far flocks keep from other species.">
+                    Flock Spacing
+                    <span class="value-display" id="param-flock-spacing-value">0.8</span>
+                    <span class="tooltip-icon">ℹ️</span>
+                </label>
+                <input type="range" class="range-slider" id="param-flock-spacing" 
+                       min="0" max="2.0" step="0.1" value="0.8" title="0 = flocks pass through each other, 2.0 = strong avoidance">
+            </div>
+        `;
+        
+        this.attachParameterListeners('flocking');
+    }
+    
     // Attach event listeners for pattern parameter controls
     attachParameterListeners(pattern) {
         // Use setTimeout to ensure DOM is ready
@@ -5437,7 +6890,13 @@ export class MainUI {
                 // Cyclic
                 'param-cycle-speed': 'param-cycle-speed-value',
                 'param-dominance-strength': 'param-dominance-value',
-                'param-stability-factor': 'param-stability-value'
+                'param-stability-factor': 'param-stability-value',
+                
+                // Flocking
+                'param-flock-type': null,
+                'param-alignment-strength': 'param-alignment-value',
+                'param-flock-cohesion': 'param-flock-cohesion-value',
+                'param-flock-spacing': 'param-flock-spacing-value'
             };
             
             // Get all inputs and selects in the parameter panel
@@ -5605,6 +7064,26 @@ export class MainUI {
                     parameters.stabilityFactor = parseFloat(stabilityFactor.value);
                 }
                 break;
+                
+            case 'flocking':
+                const flockType = panel.querySelector('#param-flock-type');
+                const alignmentStrength = panel.querySelector('#param-alignment-strength');
+                const flockCohesion = panel.querySelector('#param-flock-cohesion');
+                const flockSpacing = panel.querySelector('#param-flock-spacing');
+                
+                if (flockType) {
+                    parameters.flockType = flockType.value;
+                }
+                if (alignmentStrength) {
+                    parameters.alignmentStrength = parseFloat(alignmentStrength.value);
+                }
+                if (flockCohesion) {
+                    parameters.flockCohesion = parseFloat(flockCohesion.value);
+                }
+                if (flockSpacing) {
+                    parameters.flockSpacing = parseFloat(flockSpacing.value);
+                }
+                break;
         }
         
         return parameters;
@@ -5661,6 +7140,12 @@ export class MainUI {
                 case 'cycleComplexity': elementId = 'param-cycle-complexity'; break;
                 case 'stabilityFactor': elementId = 'param-stability-factor'; break;
                 
+                // Flocking parameters
+                case 'flockType': elementId = 'param-flock-type'; break;
+                case 'alignmentStrength': elementId = 'param-alignment-strength'; break;
+                case 'flockCohesion': elementId = 'param-flock-cohesion'; break;
+                case 'flockSpacing': elementId = 'param-flock-spacing'; break;
+                
                 default: return;
             }
             
@@ -5685,7 +7170,10 @@ export class MainUI {
                         'param-competition-intensity': 'param-competition-value',
                         'param-cycle-speed': 'param-cycle-speed-value',
                         'param-dominance-strength': 'param-dominance-value',
-                        'param-stability-factor': 'param-stability-value'
+                        'param-stability-factor': 'param-stability-value',
+                        'param-alignment-strength': 'param-alignment-value',
+                        'param-flock-cohesion': 'param-flock-cohesion-value',
+                        'param-flock-spacing': 'param-flock-spacing-value'
                     };
                     
                     const valueDisplayId = idMappings[elementId];
@@ -5734,22 +7222,17 @@ export class MainUI {
         const uiFriction = 1.0 - ps.friction;
         document.getElementById('friction').value = uiFriction;
         document.getElementById('friction-value').textContent = uiFriction.toFixed(2);
+        document.getElementById('time-scale').value = ps.timeScale;
+        document.getElementById('time-scale-value').textContent = `${ps.timeScale.toFixed(2)}x`;
+        document.getElementById('substeps').value = ps.substeps;
+        document.getElementById('substeps-value').textContent = ps.substeps;
         document.getElementById('wall-bounce').value = ps.wallDamping;
         document.getElementById('wall-bounce-value').textContent = ps.wallDamping.toFixed(2);
         document.getElementById('repulsive-force').value = ps.repulsiveForce || 0.3;
         document.getElementById('repulsive-force-value').textContent = (ps.repulsiveForce || 0.3).toFixed(2);
-        document.getElementById('wrap-around-walls').checked = ps.wrapAroundWalls || false;
-        
-        // Update wall controls visibility based on wrap-around mode
-        const wallControls = document.getElementById('wall-controls');
-        const repulsiveControl = document.getElementById('repulsive-control');
-        if (ps.wrapAroundWalls) {
-            if (wallControls) wallControls.style.display = 'none';
-            if (repulsiveControl) repulsiveControl.style.display = 'none';
-        } else {
-            if (wallControls) wallControls.style.display = '';
-            if (repulsiveControl) repulsiveControl.style.display = '';
-        }
+        document.getElementById('topology').value = ps.getTopology();
+        this.updateTopologyControls();
+        this.updateArenaControls();
         // New collision strength control
         document.getElementById('collision-strength').value = ps.collisionMultiplier || 1.0;
         document.getElementById('collision-strength-value').textContent = (ps.collisionMultiplier || 1.0).toFixed(1);
@@ -5765,6 +7248,25 @@ export class MainUI {
         document.getElementById('environmental-pressure').value = ps.environmentalPressure || 0.0;
         document.getElementById('environmental-pressure-value').textContent = (ps.environmentalPressure || 0.0).toFixed(1);
         
+        // Density forces, time modulation and thermostat
+        document.getElementById('density-forces-enabled').checked = ps.enableDensityForces;
+        document.getElementById('density-controls').style.display = ps.enableDensityForces ? 'block' : 'none';
+        document.getElementById('density-strength').value = ps.densityStrength;
+        document.getElementById('density-strength-value').textContent = ps.densityStrength.toFixed(2);
+        this.updateDensityThresholdControl();
+        document.getElementById('time-modulation-enabled').checked = ps.enableTimeModulation;
+        document.getElementById('time-modulation-controls').style.display = ps.enableTimeModulation ? 'block' : 'none';
+        this.updateTimeModulationControls();
+        document.getElementById('thermostat-enabled').checked = ps.thermostatEnabled;
+        document.getElementById('thermostat-controls').style.display = ps.thermostatEnabled ? 'block' : 'none';
+        this.updateThermostatControls();
+        document.getElementById('mass-collisions').checked = ps.massCollisions;
+        document.getElementById('restitution-control').style.display = ps.massCollisions ? 'block' : 'none';
+        document.getElementById('restitution').value = ps.restitution;
+        document.getElementById('restitution-value').textContent = ps.restitution.toFixed(2);
+        document.getElementById('mass-scaled-forces').checked = ps.massScaledForces;
+        this.updateZoneControls();
+        
         // Force distribution and pattern
         this.forceDistribution = ps.forceDistribution || 0.8;
         document.getElementById('force-distribution').value = this.forceDistribution;
@@ -5773,6 +7275,10 @@ export class MainUI {
         // Force pattern selector - restore from particle system
         const currentPattern = ps.forcePatternType || 'random';
         document.getElementById('force-pattern-selector').value = currentPattern;
+        document.getElementById('force-law-selector').value = ps.forceLaw;
+        document.getElementById('max-bonds').value = ps.maxBonds;
+        document.getElementById('max-bonds-value').textContent = ps.maxBonds;
+        document.getElementById('show-bonds').checked = ps.showBonds;
         
         // Store pattern parameters and update dynamic panel
         if (ps.forcePatternParameters) {
@@ -5944,13 +7450,23 @@ export class MainUI {
         // Clear and rebuild selector options
         selector.innerHTML = '<option value="">Custom</option>';
         
-        // Add presets in stable cached order
+        // Add presets in stable cached order, keeping only those matching the
+        // behavior filter - and the current selection, so it stays visible
+        const tagFilter = document.getElementById('preset-tag-filter')?.value || '';
         this.cachedPresetOrder.forEach(key => {
             const preset = presetMap.get(key);
             if (preset) {
+                const tags = this.presetManager.getPresetTags(key);
+                const behavior = tags?.behavior || 'untagged';
+                if (tagFilter && behavior !== tagFilter && key !== currentValue) {
+                    return;
+                }
                 const option = document.createElement('option');
                 option.value = preset.key;
                 option.textContent = preset.name;
+                if (tags) {
+                    option.title = BEHAVIOR_NAMES[tags.behavior] || tags.behavior;
+                }
                 selector.appendChild(option);
             }
         });
@@ -5961,6 +7477,60 @@ export class MainUI {
         }
     }
     
+    // Run each preset headless for a fixed number of steps and tag it with the
+    // behavior it settles into. One at a time, as each is a full simulation.
+    async classifyPresets(keys) {
+        const status = document.getElementById('classify-status');
+        if (this.classifying) return;
+        if (keys.length === 0) {
+            status.textContent = 'Every preset is already tagged';
+            return;
+        }
+        
+        const buttons = [document.getElementById('classify-preset-btn'), document.getElementById('classify-all-btn')];
+        buttons.forEach(button => button.disabled = true);
+        this.classifying = true;
+        
+        let tagged = 0;
+        let lastResult = null;
+        try {
+            for (let i = 0; i < keys.length; i++) {
+                const preset = this.presetManager.getPreset(keys[i]);
+                if (!preset) continue;
+                
+                const progress = keys.length > 1 ? ` (${i + 1}/${keys.length})` : '';
+                const result = await evaluatePreset(preset, {
+                    onProgress: (fraction) => {
+                        status.textContent = `Classifying ${preset.name}${progress}... ${Math.round(fraction * 100)}%`;
+                    }
+                });
+                if (!result) {
+                    console.warn(`Could not evaluate preset "${preset.name}"`);
+                    continue;
+                }
+                
+                await this.presetManager.setPresetTags(keys[i], {
+                    behavior: result.label,
+                    metrics: result.metrics,
+                    steps: result.steps,
+                    width: result.width,
+                    height: result.height,
+                    version: result.version
+                });
+                tagged++;
+                lastResult = `${preset.name}: ${BEHAVIOR_NAMES[result.label]}`;
+            }
+            status.textContent = keys.length === 1 && lastResult ? lastResult : `Tagged ${tagged} of ${keys.length} presets`;
+        } catch (error) {
+            console.error('Failed to classify presets:', error);
+            status.textContent = 'Classification failed';
+        } finally {
+            this.classifying = false;
+            buttons.forEach(button => button.disabled = false);
+            this.updatePresetSelector();
+        }
+    }
+    
     applyDistributionToParticleSystem() {
         if (this.distributionDrawer) {
             this.distributionDrawer.applyToParticleSystem();
@@ -6152,6 +7722,329 @@ export class MainUI {
         if (numSpecies > 0) {
             this.selectSpeciesForSize(0);
         }
+        
+        this.updateObstacleControls();
+        this.updateFieldControls();
+        this.updateEmitterControls();
+        this.updateZoneControls();
+    }
+    
+    // Sync the scrub bar with the recorded frames: the live edge while running,
+    // or the frame on show after rewinding
+    updateHistoryControls() {
+        const scrub = document.getElementById('history-scrub');
+        if (!scrub || !this.particleSystem.historyEnabled) return;
+        
+        const ps = this.particleSystem;
+        const history = ps.history;
+        const stats = history.getStats();
+        const rewound = ps.rewindIndex !== -1;
+        scrub.max = Math.max(0, stats.frames - 1);
+        scrub.value = rewound ? ps.rewindIndex : scrub.max;
+        
+        const shown = rewound ? history.get(ps.rewindIndex) : null;
+        document.getElementById('history-scrub-value').textContent = shown
+            ? `-${(history.getNewest().time - shown.time).toFixed(1)}s`
+            : 'Live';
+        document.getElementById('history-resume-btn').disabled = !rewound;
+        document.getElementById('history-info').textContent = stats.frames > 0
+            ? `${stats.span.toFixed(1)}s in ${stats.frames} frames, ${(stats.bytes / (1024 * 1024)).toFixed(1)} MB` +
+              (stats.interval > 1 ? `, every ${stats.interval} frames` : '')
+            : 'Nothing recorded yet';
+    }
+    
+    updateWorkerPhysicsStatus() {
+        const checkbox = document.getElementById('worker-physics');
+        const info = document.getElementById('worker-physics-info');
+        if (!checkbox || !info) return;
+        
+        const failed = this.particleSystem.workerPhysicsFailed;
+        checkbox.checked = this.particleSystem.isWorkerPhysicsActive();
+        info.textContent = failed
+            ? 'Worker unavailable - physics is running on the main thread'
+            : 'Run physics off the main thread for large particle counts';
+        info.classList.toggle('warning-text', failed);
+    }
+    
+    // Switch one canvas tool's mode - only one tool can own the pointer at a time
+    setCanvasToolMode(activeTool, mode) {
+        const tools = [
+            [this.obstacleTool, 'obstacle-tool'],
+            [this.fieldTool, 'field-tool'],
+            [this.emitterTool, 'emitter-tool'],
+            [this.zoneTool, 'zone-tool']
+        ];
+        if (mode !== 'none') {
+            for (const [tool, selectId] of tools) {
+                if (tool && tool !== activeTool && tool.mode !== 'none') {
+                    tool.setMode('none');
+                    document.getElementById(selectId).value = 'none';
+                }
+            }
+        }
+        activeTool?.setMode(mode);
+    }
+    
+    applyEmitterSetting(key, value) {
+        const tool = this.emitterTool;
+        if (!tool) return;
+        
+        if (tool.selected?.kind === 'emitter') {
+            this.particleSystem.updateEmitter(tool.selected.index, { [key]: value });
+            this.triggerAutoSave();
+        } else {
+            tool.defaults[key] = value;
+        }
+    }
+    
+    getSelectedZone() {
+        return this.zoneTool ? this.particleSystem.zones[this.zoneTool.selectedZone] || null : null;
+    }
+    
+    applyZoneSetting(changes) {
+        if (this.getSelectedZone() && this.particleSystem.updateZone(this.zoneTool.selectedZone, changes)) {
+            this.triggerAutoSave();
+        }
+    }
+    
+    // Short list of what a zone overrides, for the zone list
+    describeZone(zone) {
+        const parts = [];
+        if (zone.socialForce) parts.push('forces');
+        if (zone.friction !== null) parts.push('friction');
+        if (zone.noise !== null) parts.push('noise');
+        return parts.length > 0 ? parts.join(' · ') : 'no overrides';
+    }
+    
+    getZoneForceColor(value) {
+        return value > 0 ? '#66cc66' : value < 0 ? '#cc6666' : '#999999';
+    }
+    
+    updateZoneList() {
+        const list = document.getElementById('zone-list');
+        if (!list || !this.zoneTool) return;
+        
+        list.innerHTML = '';
+        this.particleSystem.zones.forEach((zone, index) => {
+            const item = document.createElement('div');
+            item.className = `zone-item ${index === this.zoneTool.selectedZone ? 'active' : ''}`;
+            item.dataset.index = index;
+            item.innerHTML = `<span class="zone-swatch" style="background: rgb(${this.zoneTool.getZoneColor(index)});"></span>
+                <span class="zone-name"></span>
+                <span class="zone-summary">${this.describeZone(zone)}</span>`;
+            // Names are typed by the user, so keep them out of the markup
+            item.querySelector('.zone-name').textContent = zone.name || `Zone ${index + 1}`;
+            list.appendChild(item);
+        });
+    }
+    
+    // Sync the zone list and override controls with the selected zone; blend
+    // shows the setting for new zones when nothing is selected
+    updateZoneControls() {
+        if (!document.getElementById('zone-list') || !this.zoneTool) return;
+        
+        const tool = this.zoneTool;
+        if (tool.selectedZone >= this.particleSystem.zones.length) {
+            tool.selectedZone = -1;
+        }
+        const zone = this.getSelectedZone();
+        this.updateZoneList();
+        
+        document.getElementById('zone-target-info').textContent = zone
+            ? `Editing ${zone.name || `zone ${tool.selectedZone + 1}`} (${zone.shape})`
+            : 'Regions with their own forces, friction and noise';
+        const blend = zone ? zone.blend : tool.defaults.blend;
+        document.getElementById('zone-blend').value = blend;
+        document.getElementById('zone-blend-value').textContent = `${blend}px`;
+        document.getElementById('zone-brush').value = tool.defaults.brush;
+        document.getElementById('zone-brush-value').textContent = `${tool.defaults.brush}px`;
+        document.getElementById('zone-overrides').style.display = zone ? 'block' : 'none';
+        if (!zone) return;
+        
+        document.getElementById('zone-name').value = zone.name;
+        [['zone-friction', zone.friction, 0.05, v => v.toFixed(2)], ['zone-noise', zone.noise, 1, v => `${v.toFixed(1)}×`]]
+            .forEach(([id, value, fallback, format]) => {
+                const slider = document.getElementById(id);
+                document.getElementById(`${id}-enabled`).checked = value !== null;
+                slider.disabled = value === null;
+                if (value !== null) {
+                    slider.value = value;
+                }
+                document.getElementById(`${id}-value`).textContent = format(value ?? fallback);
+            });
+        
+        document.getElementById('zone-forces-enabled').checked = !!zone.socialForce;
+        document.getElementById('zone-force-buttons').style.display = zone.socialForce ? 'flex' : 'none';
+        this.renderZoneForceMatrix(zone);
+    }
+    
+    // Grid of number inputs for the selected zone's force matrix
+    renderZoneForceMatrix(zone) {
+        const container = document.getElementById('zone-force-matrix');
+        if (!zone.socialForce) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const ps = this.particleSystem;
+        const speciesColor = (i) => {
+            const color = ps.species[i]?.color;
+            return color ? `rgb(${color.r}, ${color.g}, ${color.b})` : '#aaa';
+        };
+        
+        let html = '<table style="border-collapse: collapse; width: 100%;"><tr><td></td>';
+        for (let j = 0; j < ps.numSpecies; j++) {
+            html += `<td style="padding: 2px; text-align: center; font-weight: bold; color: ${speciesColor(j)}">${j + 1}</td>`;
+        }
+        html += '</tr>';
+        for (let i = 0; i < ps.numSpecies; i++) {
+            html += `<tr><td style="padding: 2px; font-weight: bold; color: ${speciesColor(i)}">${i + 1}</td>`;
+            for (let j = 0; j < ps.numSpecies; j++) {
+                // Pairs the override doesn't cover show the global force they fall back to
+                const value = zone.socialForce[i]?.[j] ?? ps.socialForce[i]?.[j] ?? 0;
+                html += `<td style="padding: 1px; border: 1px solid #333;">
+                    <input type="number" class="zone-force-cell" data-from="${i}" data-to="${j}"
+                           min="-5" max="5" step="0.05" value="${value}"
+                           style="width: 100%; min-width: 32px; background: transparent; border: none; color: ${this.getZoneForceColor(value)}; text-align: center; font-family: monospace;">
+                </td>`;
+            }
+            html += '</tr>';
+        }
+        html += '</table>';
+        container.innerHTML = html;
+    }
+    
+    // Sync emitter controls with the selected emitter, or with the settings
+    // for new emitters when nothing (or a sink) is selected
+    updateEmitterControls() {
+        const speciesSelect = document.getElementById('emitter-species');
+        if (!speciesSelect || !this.emitterTool) return;
+        
+        const tool = this.emitterTool;
+        const selected = tool.selected?.kind === 'emitter' ? this.particleSystem.emitters[tool.selected.index] : null;
+        const target = selected || tool.defaults;
+        
+        document.getElementById('emitter-target-info').textContent = selected
+            ? `Editing emitter ${tool.selected.index + 1}`
+            : tool.selected?.kind === 'sink'
+                ? `Sink ${tool.selected.index + 1} selected - drag to move it`
+                : 'Emitters spawn particles (drag to aim), sinks remove them (drag to size)';
+        
+        speciesSelect.innerHTML = '';
+        for (let i = 0; i < this.particleSystem.numSpecies; i++) {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = this.particleSystem.getSpeciesName(i);
+            speciesSelect.appendChild(option);
+        }
+        speciesSelect.value = Math.min(target.species, this.particleSystem.numSpecies - 1);
+        
+        document.getElementById('emitter-rate').value = target.rate;
+        document.getElementById('emitter-rate-value').textContent = `${target.rate}/s`;
+        document.getElementById('emitter-spread').value = target.spread;
+        document.getElementById('emitter-spread-value').textContent = `${target.spread}°`;
+        document.getElementById('emitter-speed').value = target.speed;
+        document.getElementById('emitter-speed-value').textContent = target.speed.toFixed(1);
+        document.getElementById('emitter-lifetime').value = target.lifetime;
+        document.getElementById('emitter-lifetime-value').textContent = target.lifetime > 0 ? `${target.lifetime.toFixed(1)}s` : '∞';
+        document.getElementById('max-particles').value = this.particleSystem.maxParticles;
+        document.getElementById('max-particles-value').textContent = this.particleSystem.maxParticles;
+    }
+    
+    // Sync the field sliders and species buttons with the selected field,
+    // or with the settings for new fields when nothing is selected
+    updateFieldControls() {
+        const container = document.getElementById('field-species');
+        if (!container || !this.fieldTool) return;
+        
+        const tool = this.fieldTool;
+        const selected = this.particleSystem.fields[tool.selectedIndex];
+        const target = selected || tool.defaults;
+        
+        document.getElementById('field-target-info').textContent = selected
+            ? `Editing ${FIELD_TYPES[selected.type].label} ${tool.selectedIndex + 1}`
+            : 'Persistent force fields; lines and wind are drawn by dragging';
+        document.getElementById('field-strength').value = target.strength;
+        document.getElementById('field-strength-value').textContent = target.strength.toFixed(2);
+        document.getElementById('field-radius').value = target.radius;
+        document.getElementById('field-radius-value').textContent = target.radius.toFixed(0);
+        document.getElementById('field-falloff').value = target.falloff;
+        document.getElementById('field-falloff-value').textContent = target.falloff.toFixed(1);
+        
+        container.innerHTML = '';
+        const letterLabels = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+        
+        for (let i = 0; i < this.particleSystem.numSpecies; i++) {
+            const species = this.particleSystem.species[i];
+            const button = document.createElement('button');
+            button.className = `species-btn ${target.species?.includes(i) ? 'active' : ''}`;
+            button.title = `${species.name || `Species ${i + 1}`} is affected`;
+            button.style.background = `rgb(${species.color.r}, ${species.color.g}, ${species.color.b})`;
+            button.textContent = letterLabels[i] || (i + 1);
+            
+            button.addEventListener('click', () => {
+                button.classList.toggle('active');
+                
+                // Rebuild the species list from the buttons; an empty list means every species
+                const speciesList = [...container.querySelectorAll('.species-btn')]
+                    .map((btn, index) => btn.classList.contains('active') ? index : -1)
+                    .filter(index => index !== -1);
+                const species = speciesList.length > 0 ? speciesList : null;
+                
+                if (this.particleSystem.fields[tool.selectedIndex]) {
+                    this.particleSystem.updateField(tool.selectedIndex, { species });
+                    this.triggerAutoSave();
+                } else {
+                    tool.defaults.species = species;
+                }
+            });
+            
+            container.appendChild(button);
+        }
+    }
+    
+    // Sync obstacle repulsion and pass-through buttons with the selected obstacle,
+    // or with the defaults for new obstacles when nothing is selected
+    updateObstacleControls() {
+        const container = document.getElementById('obstacle-pass-through');
+        if (!container || !this.obstacleTool) return;
+        
+        const tool = this.obstacleTool;
+        const selected = this.particleSystem.obstacles[tool.selectedIndex];
+        const target = selected || tool.defaults;
+        
+        document.getElementById('obstacle-target-info').textContent = selected
+            ? `Editing obstacle ${tool.selectedIndex + 1} (${selected.type})`
+            : 'Applies to new obstacles';
+        document.getElementById('obstacle-repulsion').value = target.repulsion;
+        document.getElementById('obstacle-repulsion-value').textContent = target.repulsion.toFixed(2);
+        
+        container.innerHTML = '';
+        const letterLabels = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+        
+        for (let i = 0; i < this.particleSystem.numSpecies; i++) {
+            const species = this.particleSystem.species[i];
+            const button = document.createElement('button');
+            button.className = `species-btn ${target.passThrough[i] ? 'active' : ''}`;
+            button.title = `${species.name || `Species ${i + 1}`} passes through`;
+            button.style.background = `rgb(${species.color.r}, ${species.color.g}, ${species.color.b})`;
+            button.textContent = letterLabels[i] || (i + 1);
+            
+            button.addEventListener('click', () => {
+                const passes = !button.classList.contains('active');
+                button.classList.toggle('active', passes);
+                
+                const current = this.particleSystem.obstacles[tool.selectedIndex];
+                if (current) {
+                    this.particleSystem.setObstaclePassThrough(tool.selectedIndex, i, passes);
+                    this.triggerAutoSave();
+                } else {
+                    tool.defaults.passThrough[i] = passes;
+                }
+            });
+            
+            container.appendChild(button);
+        }
     }
     
     selectSpeciesForSize(speciesId) {
@@ -6251,6 +8144,16 @@ export class MainUI {
                 stable: { cycleSpeed: 0.2, dominanceStrength: 1.0, cycleComplexity: 'simple', stabilityFactor: 0.95 },
                 // Inspired by "pollack" - multi-layered, sophisticated patterns
                 complex: { cycleSpeed: 2.2, dominanceStrength: 3.5, cycleComplexity: 'multi-level', stabilityFactor: 0.3 }
+            },
+            flocking: {
+                // Each species schools on its own, like fish
+                schools: { flockType: 'schools', alignmentStrength: 0.7, flockCohesion: 0.6, flockSpacing: 0.8 },
+                // One loose swarm of every species, like midges
+                swarm: { flockType: 'mixed', alignmentStrength: 0.5, flockCohesion: 0.9, flockSpacing: 0.3 },
+                // Flocks that steer against each other
+                rivals: { flockType: 'opposing', alignmentStrength: 0.8, flockCohesion: 0.7, flockSpacing: 1.4 },
+                // Slow, loosely aligned drifting
+                drift: { flockType: 'schools', alignmentStrength: 0.25, flockCohesion: 0.3, flockSpacing: 0.5 }
             }
         };
         
@@ -6318,7 +8221,13 @@ export class MainUI {
             cycleSpeed: 'param-cycle-speed',
             dominanceStrength: 'param-dominance-strength',
             cycleComplexity: 'param-cycle-complexity',
-            stabilityFactor: 'param-stability-factor'
+            stabilityFactor: 'param-stability-factor',
+            
+            // Flocking
+            flockType: 'param-flock-type',
+            alignmentStrength: 'param-alignment-strength',
+            flockCohesion: 'param-flock-cohesion',
+            flockSpacing: 'param-flock-spacing'
         };
         
         const elementId = paramMappings[paramName];
@@ -0,0 +1,207 @@
+/**
+ * Obstacle drawing tool
+ * Places obstacles directly on the simulation canvas. While a mode other than
+ * 'none' is active the tool owns the pointer, so clicks don't fire shockwaves.
+ *
+ * circle  - drag from the centre outwards
+ * rect    - drag from corner to corner
+ * polygon - click each vertex, double-click or click the first vertex to close
+ * select  - click an obstacle to edit its pass-through species
+ * erase   - click an obstacle to remove it
+ */
+
+const MIN_SIZE = 5; // Smaller drags are treated as stray clicks
+const CLOSE_DISTANCE = 10; // Clicking this close to the first vertex closes a polygon
+
+export class ObstacleTool {
+    constructor(particleSystem, { onChange, onSelect } = {}) {
+        this.particleSystem = particleSystem;
+        this.canvas = particleSystem.canvas;
+        this.onChange = onChange;
+        this.onSelect = onSelect;
+        
+        this.mode = 'none';
+        this.draft = null; // Obstacle being drawn
+        this.selectedIndex = -1;
+        
+        // Applied to newly drawn obstacles
+        this.defaults = { repulsion: 0, passThrough: [] };
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.draft) {
+                this.draft = null;
+            }
+        });
+    }
+    
+    setMode(mode) {
+        this.mode = mode;
+        this.draft = null;
+        if (mode !== 'select') {
+            this.select(-1);
+        }
+        this.particleSystem.canvasTool = mode === 'none' ? null : this;
+        this.canvas.style.cursor = mode === 'none' ? '' : 'crosshair';
+    }
+    
+    select(index) {
+        this.selectedIndex = index;
+        if (this.onSelect) {
+            this.onSelect(index);
+        }
+    }
+    
+    getMousePos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+    
+    handleMouseDown(e) {
+        if (this.mode === 'none' || e.button !== 0) return;
+        const { x, y } = this.getMousePos(e);
+        
+        switch (this.mode) {
+            case 'circle':
+                this.draft = { type: 'circle', x, y, radius: 0 };
+                break;
+            
+            case 'rect':
+                this.draft = { type: 'rect', startX: x, startY: y, x, y, width: 0, height: 0 };
+                break;
+            
+            case 'polygon':
+                if (!this.draft) {
+                    this.draft = { type: 'polygon', points: [{ x, y }], cursor: { x, y } };
+                    break;
+                }
+                if (this.draft.points.length >= 3 &&
+                    Math.hypot(x - this.draft.points[0].x, y - this.draft.points[0].y) < CLOSE_DISTANCE) {
+                    this.commit();
+                } else {
+                    this.draft.points.push({ x, y });
+                }
+                break;
+            
+            case 'select':
+                this.select(this.particleSystem.findObstacleAt(x, y));
+                break;
+            
+            case 'erase': {
+                const index = this.particleSystem.findObstacleAt(x, y);
+                if (index !== -1 && this.particleSystem.removeObstacle(index)) {
+                    this.notifyChange();
+                }
+                break;
+            }
+        }
+    }
+    
+    handleMouseMove(e) {
+        if (!this.draft) return;
+        const { x, y } = this.getMousePos(e);
+        const draft = this.draft;
+        
+        if (draft.type === 'circle') {
+            draft.radius = Math.hypot(x - draft.x, y - draft.y);
+        } else if (draft.type === 'rect') {
+            draft.x = Math.min(x, draft.startX);
+            draft.y = Math.min(y, draft.startY);
+            draft.width = Math.abs(x - draft.startX);
+            draft.height = Math.abs(y - draft.startY);
+        } else {
+            draft.cursor = { x, y };
+        }
+    }
+    
+    handleMouseUp() {
+        // Polygons stay open until closed explicitly
+        if (!this.draft || this.draft.type === 'polygon') return;
+        
+        const draft = this.draft;
+        const bigEnough = draft.type === 'circle'
+            ? draft.radius >= MIN_SIZE
+            : draft.width >= MIN_SIZE && draft.height >= MIN_SIZE;
+        if (bigEnough) {
+            this.commit();
+        } else {
+            this.draft = null;
+        }
+    }
+    
+    handleDoubleClick() {
+        if (this.draft?.type !== 'polygon') return;
+        
+        // The double-click's own clicks added duplicate vertices - drop them
+        const points = this.draft.points.filter((p, i, all) =>
+            i === 0 || Math.hypot(p.x - all[i - 1].x, p.y - all[i - 1].y) >= 1);
+        if (points.length >= 3) {
+            this.draft.points = points;
+            this.commit();
+        }
+    }
+    
+    commit() {
+        const { type, x, y, radius, width, height, points } = this.draft;
+        this.draft = null;
+        
+        const index = this.particleSystem.addObstacle({
+            type, x, y, radius, width, height, points,
+            repulsion: this.defaults.repulsion,
+            passThrough: [...this.defaults.passThrough]
+        });
+        if (index !== -1) {
+            this.notifyChange();
+        }
+    }
+    
+    notifyChange() {
+        if (this.selectedIndex >= this.particleSystem.obstacles.length) {
+            this.select(-1);
+        }
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+    
+    // Drawn by SimpleParticleSystem.renderObstacles() after the obstacles themselves
+    renderPreview(ctx) {
+        const draft = this.draft;
+        if (!draft) return;
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        if (draft.type === 'circle') {
+            ctx.arc(draft.x, draft.y, draft.radius, 0, Math.PI * 2);
+        } else if (draft.type === 'rect') {
+            ctx.rect(draft.x, draft.y, draft.width, draft.height);
+        } else {
+            draft.points.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.lineTo(draft.cursor.x, draft.cursor.y);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Mark the vertex that closes the polygon
+        if (draft.type === 'polygon') {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.beginPath();
+            ctx.arc(draft.points[0].x, draft.points[0].y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
@@ -1,6 +1,7 @@
 import { DistributionDrawer } from './DistributionDrawer.js';
 import { ColorPicker } from './ColorPicker.js';
 import { ForceEditor } from './ForceEditor.js';
+import { ConversionMatrixEditor } from './ConversionMatrixEditor.js';
 import { SpeciesGlowControl } from './SpeciesGlowControl.js';
 
 export class PresetModal {
@@ -12,6 +13,10 @@ export class PresetModal {
     this.activeTab = 'species';
     this.distributionDrawer = null;
     this.forceEditor = null;
+    this.conversionEditor = null;
+    this.alignmentEditor = null;
+    this.alignmentMatrix = [];
+    this.alignmentRadius = [];
     this.colorPickers = [];
     this.speciesGlowControl = null;
     this.isOpen = false;
@@ -100,6 +105,47 @@ export class PresetModal {
               <h5 style="margin-bottom: 10px;">Force Matrix View</h5>
               <div id="force-matrix-view" style="font-family: monospace; font-size: var(--font-size-md); background: #111; padding: 10px; border-radius: 4px; overflow-x: auto;"></div>
             </div>
+            <div style="margin-top: 20px;">
+              <h5 style="margin-bottom: 10px;">Velocity Alignment</h5>
+              <p class="info-text">
+                Steer a species toward (positive) or away from (negative) the average velocity of nearby particles of another species.
+              </p>
+              <div class="species-selectors">
+                <div class="selector-group">
+                  <label>From</label>
+                  <select class="select select-sm" id="alignment-from-species"></select>
+                </div>
+                <div class="selector-group">
+                  <label>To</label>
+                  <select class="select select-sm" id="alignment-to-species"></select>
+                </div>
+              </div>
+              <canvas id="alignment-editor-canvas" width="400" height="120" style="border: 1px solid #333; border-radius: 4px;"></canvas>
+              <div class="control-group" style="margin-top: 10px;">
+                <label>
+                  Alignment Radius
+                  <span class="value-display" id="modal-alignment-radius-value">80</span>
+                </label>
+                <input type="range" class="range-slider" id="modal-alignment-radius" min="5" max="300" step="5" value="80">
+              </div>
+              <div id="alignment-matrix-view" style="font-family: monospace; font-size: var(--font-size-md); background: #111; padding: 10px; border-radius: 4px; overflow-x: auto;"></div>
+            </div>
+            <div style="margin-top: 15px;">
+              <h5 style="margin-bottom: 10px;">Species Conversion</h5>
+              <p class="info-text">
+                Chance per second that a particle (row) touching enough particles of another species (column) turns into it.
+              </p>
+              <div id="conversion-matrix-editor" style="font-family: monospace; font-size: var(--font-size-md); background: #111; padding: 10px; border-radius: 4px; overflow-x: auto;"></div>
+              <div class="control-group" style="margin-top: 10px;">
+                <label>
+                  Contacts Needed
+                  <span class="value-display" id="modal-conversion-threshold-value">3</span>
+                </label>
+                <input type="range" class="range-slider" id="modal-conversion-threshold" min="1" max="10" step="1" value="3">
+              </div>
+              <button class="btn btn-secondary btn-sm" id="conversion-cyclic-btn">Cyclic (A→B→C→A)</button>
+              <button class="btn btn-secondary btn-sm" id="conversion-clear-btn">Clear</button>
+            </div>
           </div>
         </div>
         
@@ -347,6 +393,12 @@ export class PresetModal {
           flex: 1;
         }
         
+        .species-overrides {
+          border-top: 1px solid var(--border-default);
+          margin-top: var(--space-md);
+          padding-top: var(--space-sm);
+        }
+        
         #force-editor-canvas {
           border: 1px solid var(--border-default) !important;
           background: var(--bg-primary);
@@ -405,6 +457,23 @@ export class PresetModal {
     this.forceEditor = new ForceEditor(forceCanvas, () => this.markChanged());
     this.forceEditor.setInfoElement(this.modal.querySelector('#force-info'));
     
+    // Alignment and conversion edits apply to the running simulation straight away
+    this.alignmentEditor = new ForceEditor(this.modal.querySelector('#alignment-editor-canvas'), () => {
+      this.applyAlignmentToParticleSystem();
+      this.alignmentEditor.updateMatrixView();
+      this.markChanged();
+    }, {
+      fromSelectId: 'alignment-from-species',
+      toSelectId: 'alignment-to-species',
+      matrixViewId: 'alignment-matrix-view',
+      labels: ['OPPOSE', 'IGNORE', 'ALIGN']
+    });
+    
+    this.conversionEditor = new ConversionMatrixEditor(this.modal.querySelector('#conversion-matrix-editor'), (matrix) => {
+      this.applyConversionsToParticleSystem(matrix);
+      this.markChanged();
+    });
+    
     // Initialize Distribution Drawer for layout tab (extended version)
     const distributionCanvas = this.modal.querySelector('#distribution-drawer-canvas');
     if (distributionCanvas) {
@@ -540,6 +609,34 @@ export class PresetModal {
       });
     });
     
+    // The radius slider follows the pair picked in the alignment editor
+    ['#alignment-from-species', '#alignment-to-species'].forEach(selector => {
+      this.modal.querySelector(selector).addEventListener('change', () => this.updateAlignmentRadiusUI());
+    });
+    this.modal.querySelector('#modal-alignment-radius').addEventListener('input', (e) => {
+      const radius = parseInt(e.target.value);
+      const { selectedFrom, selectedTo } = this.alignmentEditor;
+      this.modal.querySelector('#modal-alignment-radius-value').textContent = radius;
+      if (this.alignmentRadius[selectedFrom]) {
+        this.alignmentRadius[selectedFrom][selectedTo] = radius;
+        this.applyAlignmentToParticleSystem();
+        this.markChanged();
+      }
+    });
+    
+    this.modal.querySelector('#conversion-cyclic-btn').addEventListener('click', () => {
+      this.conversionEditor.applyCyclic(1);
+    });
+    this.modal.querySelector('#conversion-clear-btn').addEventListener('click', () => {
+      this.conversionEditor.clear();
+    });
+    this.modal.querySelector('#modal-conversion-threshold').addEventListener('input', (e) => {
+      const threshold = parseInt(e.target.value);
+      this.modal.querySelector('#modal-conversion-threshold-value').textContent = threshold;
+      this.particleSystem.setConversionThreshold(threshold);
+      this.markChanged();
+    });
+    
     // Distribution drawer controls for layout tab
     const modalDistributionSpecies = this.modal.querySelector('#modal-distribution-species');
     if (modalDistributionSpecies) {
@@ -641,6 +738,66 @@ export class PresetModal {
       this.forceEditor.setSpecies(this.currentPreset.species.definitions);
       this.forceEditor.setForceMatrix(this.currentPreset.forces.social);
       this.forceEditor.updateMatrixView();
+      this.conversionEditor.setSpecies(this.currentPreset.species.definitions);
+      this.alignmentEditor.setSpecies(this.currentPreset.species.definitions);
+      this.alignmentEditor.updateMatrixView();
+      this.updateAlignmentRadiusUI();
+    }
+  }
+  
+  // Copy the preset's alignment matrices (padded or trimmed to the species count) into the editor
+  loadAlignmentToUI(alignment) {
+    const n = this.currentPreset.species.count;
+    const fill = (source, fallback) => Array.from({ length: n }, (_, i) =>
+      Array.from({ length: n }, (_, j) => source?.[i]?.[j] ?? fallback));
+    this.alignmentMatrix = fill(alignment?.matrix, 0);
+    this.alignmentRadius = fill(alignment?.radius, 80);
+    
+    this.alignmentEditor.setSpecies(this.currentPreset.species.definitions);
+    this.alignmentEditor.setForceMatrix(this.alignmentMatrix);
+    this.alignmentEditor.updateMatrixView();
+    this.updateAlignmentRadiusUI();
+  }
+  
+  // null when no pair aligns, matching ParticleSimulation.alignmentMatrix
+  getAlignmentFromUI() {
+    if (this.alignmentMatrix.every(row => row.every(value => !value))) {
+      return null;
+    }
+    return {
+      matrix: this.alignmentMatrix.map(row => [...row]),
+      radius: this.alignmentRadius.map(row => [...row])
+    };
+  }
+  
+  updateAlignmentRadiusUI() {
+    const { selectedFrom, selectedTo } = this.alignmentEditor;
+    const radius = this.alignmentRadius[selectedFrom]?.[selectedTo] ?? 80;
+    this.modal.querySelector('#modal-alignment-radius').value = radius;
+    this.modal.querySelector('#modal-alignment-radius-value').textContent = radius;
+  }
+  
+  applyAlignmentToParticleSystem() {
+    if (this.currentPreset && this.currentPreset.species.count === this.particleSystem.numSpecies) {
+      const alignment = this.getAlignmentFromUI();
+      this.particleSystem.setAlignmentMatrix(alignment?.matrix || null, alignment?.radius || null);
+    }
+  }
+  
+  // Load the preset's conversion rates and contact threshold into the editor
+  loadConversionsToUI(forces) {
+    this.conversionEditor.setSpecies(this.currentPreset.species.definitions);
+    this.conversionEditor.setMatrix(forces?.conversions || null);
+    const threshold = forces?.conversionThreshold ?? 3;
+    this.modal.querySelector('#modal-conversion-threshold').value = threshold;
+    this.modal.querySelector('#modal-conversion-threshold-value').textContent = threshold;
+  }
+  
+  applyConversionsToParticleSystem(matrix) {
+    // Only while the editor and simulation agree on the species count
+    if (this.currentPreset && this.currentPreset.species.count === this.particleSystem.numSpecies) {
+      this.particleSystem.conversionMatrix = matrix;
+      this.particleSystem.markParametersChanged();
     }
   }
 
@@ -679,6 +836,7 @@ export class PresetModal {
         }
         break;
     }
+    this.particleSystem.markParametersChanged();
   }
 
   syncToMainUI(parameterId, value) {
@@ -780,6 +938,11 @@ export class PresetModal {
     // Update force matrices from the expanded/shrunk preset matrices
     this.particleSystem.collisionForce = this.currentPreset.forces.collision;
     this.particleSystem.socialForce = this.currentPreset.forces.social;
+    this.conversionEditor.setSpecies(this.currentPreset.species.definitions);
+    this.particleSystem.conversionMatrix = this.conversionEditor.getMatrix();
+    this.particleSystem.markParametersChanged();
+    this.loadAlignmentToUI({ matrix: this.alignmentMatrix, radius: this.alignmentRadius });
+    this.applyAlignmentToParticleSystem();
     
     this.updateSpeciesList();
     if (this.activeTab === 'layout' && this.distributionDrawer) {
@@ -936,11 +1099,56 @@ export class PresetModal {
           <input type="range" class="range-slider species-particle-count" data-index="${index}" 
                  min="1" max="1000" value="${species.particleCount}">
         </div>
+        <div class="species-overrides">
+          <span class="info-text">Overrides of the global physics for this species</span>
+          <div class="control-group">
+            <label>
+              Max Speed
+              <span class="value-display" id="species-${index}-maxSpeed">${this.formatSpeciesOverride('maxSpeed', species.maxSpeed)}</span>
+            </label>
+            <input type="range" class="range-slider species-override" data-key="maxSpeed" 
+                   min="0" max="20" step="0.5" value="${species.maxSpeed || 0}">
+          </div>
+          <div class="control-group">
+            <label>Wall Mode</label>
+            <select class="select select-sm species-override" data-key="wallMode">
+              <option value="">Follow Boundary Setting</option>
+              <option value="bounce">Bounce</option>
+              <option value="wrap">Wrap</option>
+              <option value="absorb">Absorb (Remove)</option>
+            </select>
+          </div>
+          <div class="control-group">
+            <label>
+              Noise Response
+              <span class="value-display" id="species-${index}-noiseMultiplier">${this.formatSpeciesOverride('noiseMultiplier', species.noiseMultiplier)}</span>
+            </label>
+            <input type="range" class="range-slider species-override" data-key="noiseMultiplier" 
+                   min="0" max="5" step="0.1" value="${species.noiseMultiplier ?? 1}">
+          </div>
+          <div class="control-group">
+            <label>
+              Shockwave Response
+              <span class="value-display" id="species-${index}-shockwaveMultiplier">${this.formatSpeciesOverride('shockwaveMultiplier', species.shockwaveMultiplier)}</span>
+            </label>
+            <input type="range" class="range-slider species-override" data-key="shockwaveMultiplier" 
+                   min="0" max="5" step="0.1" value="${species.shockwaveMultiplier ?? 1}">
+          </div>
+          <div class="control-group">
+            <label>
+              Center Pressure Response
+              <span class="value-display" id="species-${index}-pressureMultiplier">${this.formatSpeciesOverride('pressureMultiplier', species.pressureMultiplier)}</span>
+            </label>
+            <input type="range" class="range-slider species-override" data-key="pressureMultiplier" 
+                   min="0" max="5" step="0.1" value="${species.pressureMultiplier ?? 1}">
+          </div>
+        </div>
       `;
       
       container.appendChild(speciesDiv);
       speciesDiv.querySelector(`#color-picker-${index}`).appendChild(colorPicker.element);
       this.colorPickers.push(colorPicker);
+      speciesDiv.querySelector('[data-key="wallMode"]').value = species.wallMode || '';
       
       speciesDiv.querySelector('.species-name').addEventListener('input', (e) => {
         this.currentPreset.species.definitions[index].name = e.target.value;
@@ -954,6 +1162,7 @@ export class PresetModal {
         
         // Apply the change to the particle system immediately
         this.particleSystem.species[index].particleCount = count;
+        this.particleSystem.markParametersChanged();
         this.particleSystem.initializeParticles();
         
         // Update main UI total particle count
@@ -965,6 +1174,22 @@ export class PresetModal {
         
         this.markChanged();
       });
+      
+      speciesDiv.querySelectorAll('.species-override').forEach(input => {
+        input.addEventListener('input', (e) => {
+          const key = e.target.dataset.key;
+          const definition = this.currentPreset.species.definitions[index];
+          definition[key] = key === 'wallMode' ? (e.target.value || null) : parseFloat(e.target.value);
+          
+          // Applied to the running simulation straight away, like the count
+          this.particleSystem.setSpeciesOverrides(index, definition);
+          const display = speciesDiv.querySelector(`#species-${index}-${key}`);
+          if (display) {
+            display.textContent = this.formatSpeciesOverride(key, definition[key]);
+          }
+          this.markChanged();
+        });
+      });
     });
     
     // Update modal distribution species selector
@@ -972,6 +1197,13 @@ export class PresetModal {
   }
 
 
+  formatSpeciesOverride(key, value) {
+    if (key === 'maxSpeed') {
+      return value > 0 ? value.toFixed(1) : 'Off';
+    }
+    return `${(value ?? 1).toFixed(1)}x`;
+  }
+
   populatePresetDropdown() {
     const selector = this.modal.querySelector('#modal-preset-selector');
     if (!selector) return;
@@ -1187,6 +1419,8 @@ export class PresetModal {
       this.forceEditor.setForceMatrix(this.currentPreset.forces.social);
       this.forceEditor.setSpecies(this.currentPreset.species.definitions);
     }
+    this.loadConversionsToUI(this.currentPreset.forces);
+    this.loadAlignmentToUI(this.currentPreset.forces?.alignment);
     
     // Update species glow control
     if (this.speciesGlowControl) {
@@ -1327,6 +1561,13 @@ export class PresetModal {
     if (this.forceEditor && this.forceEditor.forceMatrix) {
       preset.forces.social = this.forceEditor.forceMatrix;
     }
+    if (this.alignmentEditor) {
+      preset.forces.alignment = this.getAlignmentFromUI();
+    }
+    if (this.conversionEditor) {
+      preset.forces.conversions = this.conversionEditor.getMatrix();
+      preset.forces.conversionThreshold = parseInt(this.modal.querySelector('#modal-conversion-threshold').value);
+    }
     
     // Update effects from modal UI
     this.updateEffectsFromUI(preset);
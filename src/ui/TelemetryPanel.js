@@ -0,0 +1,366 @@
+/**
+ * Telemetry panel
+ * Collapsible overlay of scrolling time-series charts - FPS, frame time split
+ * into physics and render, kinetic energy, population per species and average
+ * speed - sampled a few times a second. Each chart can be switched off, and
+ * the enabled series can be downloaded as CSV.
+ */
+
+const SAMPLE_INTERVAL = 200; // Milliseconds between samples
+const MAX_SAMPLES = 600;     // Two minutes of history
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 56;
+
+// One chart per series; frame time and population draw several lines
+const SERIES = [
+    { id: 'fps', label: 'FPS' },
+    { id: 'frameTime', label: 'Frame Time (ms)' },
+    { id: 'energy', label: 'Kinetic Energy' },
+    { id: 'population', label: 'Population' },
+    { id: 'speed', label: 'Average Speed' }
+];
+
+const PHYSICS_COLOR = 'rgb(90, 170, 255)';
+const RENDER_COLOR = 'rgb(255, 170, 70)';
+const LINE_COLOR = 'rgb(220, 220, 220)';
+
+export class TelemetryPanel {
+    constructor(particleSystem) {
+        this.particleSystem = particleSystem;
+        this.samples = [];
+        this.enabled = Object.fromEntries(SERIES.map(series => [series.id, true]));
+        this.isOpen = localStorage.getItem('telemetryPanelOpen') === 'true';
+        this.startTime = null;
+        
+        // Frames accumulated since the last sample
+        this.pending = { frames: 0, physics: 0, render: 0, since: null };
+        
+        this.container = null;
+        this.canvases = {};
+    }
+    
+    createElement() {
+        this.container = document.createElement('div');
+        this.container.id = 'telemetry-panel';
+        this.container.className = 'panel telemetry-panel';
+        this.container.innerHTML = `
+            <div class="panel-header telemetry-header">
+                <h4 class="section-title">Telemetry</h4>
+                <span class="telemetry-toggle">${this.isOpen ? '▾' : '▸'}</span>
+            </div>
+            <div class="panel-content telemetry-content" ${!this.isOpen ? 'style="display: none;"' : ''}>
+                <div class="telemetry-series">
+                    ${SERIES.map(series => `
+                        <label>
+                            <input type="checkbox" data-series="${series.id}" checked>
+                            ${series.label}
+                        </label>
+                    `).join('')}
+                </div>
+                ${SERIES.map(series => `
+                    <div class="telemetry-chart" data-chart="${series.id}">
+                        <div class="telemetry-chart-label">
+                            <span>${series.label}</span>
+                            <span class="value-display" data-value="${series.id}">--</span>
+                        </div>
+                        <canvas width="${CHART_WIDTH}" height="${CHART_HEIGHT}" data-canvas="${series.id}"></canvas>
+                    </div>
+                `).join('')}
+                <div class="telemetry-actions">
+                    <button class="btn btn-secondary btn-sm" id="telemetry-export-btn">Export CSV</button>
+                    <button class="btn btn-secondary btn-sm" id="telemetry-clear-btn">Clear</button>
+                </div>
+            </div>
+        `;
+        
+        const style = document.createElement('style');
+        style.textContent = `
+            .telemetry-panel {
+                position: fixed;
+                top: 10px;
+                left: 10px;
+                width: ${CHART_WIDTH + 42}px;
+                z-index: var(--z-overlay);
+            }
+            
+            .telemetry-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                cursor: pointer;
+                user-select: none;
+            }
+            
+            .telemetry-content {
+                padding: var(--space-md) var(--space-xl);
+            }
+            
+            .telemetry-series {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 2px var(--space-sm);
+                font-size: var(--font-size-xs);
+                margin-bottom: var(--space-sm);
+            }
+            
+            .telemetry-chart {
+                margin-bottom: var(--space-sm);
+            }
+            
+            .telemetry-chart-label {
+                display: flex;
+                justify-content: space-between;
+                font-size: var(--font-size-xs);
+                color: var(--text-secondary);
+            }
+            
+            .telemetry-chart canvas {
+                display: block;
+                background: var(--bg-primary);
+                border-radius: var(--radius-sm);
+            }
+            
+            .telemetry-actions {
+                display: flex;
+                gap: var(--space-sm);
+            }
+        `;
+        document.head.appendChild(style);
+        
+        for (const series of SERIES) {
+            this.canvases[series.id] = this.container.querySelector(`[data-canvas="${series.id}"]`);
+        }
+        this.setupEventListeners();
+        return this.container;
+    }
+    
+    setupEventListeners() {
+        this.container.querySelector('.telemetry-header').addEventListener('click', () => {
+            this.setOpen(!this.isOpen);
+        });
+        
+        this.container.querySelectorAll('[data-series]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const id = e.target.dataset.series;
+                this.enabled[id] = e.target.checked;
+                this.container.querySelector(`[data-chart="${id}"]`).style.display = e.target.checked ? '' : 'none';
+                this.draw();
+            });
+        });
+        
+        this.container.querySelector('#telemetry-export-btn').addEventListener('click', () => {
+            this.exportCSV();
+        });
+        
+        this.container.querySelector('#telemetry-clear-btn').addEventListener('click', () => {
+            this.samples = [];
+            this.startTime = null;
+            this.draw();
+        });
+    }
+    
+    setOpen(open) {
+        this.isOpen = open;
+        localStorage.setItem('telemetryPanelOpen', open);
+        this.container.querySelector('.telemetry-content').style.display = open ? '' : 'none';
+        this.container.querySelector('.telemetry-toggle').textContent = open ? '▾' : '▸';
+        if (open) {
+            this.draw();
+        }
+    }
+    
+    // Call once per animation frame, after the particle system has updated.
+    // Samples keep being taken while the panel is closed, so opening it shows
+    // the recent past.
+    recordFrame(now = performance.now()) {
+        const pending = this.pending;
+        const timing = this.particleSystem.frameTiming;
+        if (pending.since === null) {
+            pending.since = now;
+            return;
+        }
+        pending.frames++;
+        pending.physics += timing.physics;
+        pending.render += timing.render;
+        
+        const elapsed = now - pending.since;
+        if (elapsed < SAMPLE_INTERVAL) {
+            return;
+        }
+        
+        if (this.startTime === null) {
+            this.startTime = now;
+        }
+        this.samples.push({
+            time: (now - this.startTime) / 1000,
+            fps: pending.frames * 1000 / elapsed,
+            physics: pending.physics / pending.frames,
+            render: pending.render / pending.frames,
+            energy: this.particleSystem.energyStats.total,
+            population: this.particleSystem.getSpeciesCounts(),
+            speed: this.measureAverageSpeed()
+        });
+        if (this.samples.length > MAX_SAMPLES) {
+            this.samples.shift();
+        }
+        
+        pending.frames = 0;
+        pending.physics = 0;
+        pending.render = 0;
+        pending.since = now;
+        
+        if (this.isOpen) {
+            this.draw();
+        }
+    }
+    
+    measureAverageSpeed() {
+        const particles = this.particleSystem.particles;
+        if (particles.length === 0) {
+            return 0;
+        }
+        let total = 0;
+        for (const p of particles) {
+            total += Math.sqrt(p.vx * p.vx + p.vy * p.vy);
+        }
+        return total / particles.length;
+    }
+    
+    // The lines each chart draws: { color, values }
+    getChartLines(id) {
+        const samples = this.samples;
+        switch (id) {
+            case 'frameTime':
+                return [
+                    { color: PHYSICS_COLOR, values: samples.map(s => s.physics) },
+                    { color: RENDER_COLOR, values: samples.map(s => s.render) }
+                ];
+            case 'population': {
+                const speciesCount = samples.length > 0 ? samples[samples.length - 1].population.length : 0;
+                const lines = [];
+                for (let i = 0; i < speciesCount; i++) {
+                    const color = this.particleSystem.species[i]?.color;
+                    lines.push({
+                        color: color ? `rgb(${color.r}, ${color.g}, ${color.b})` : LINE_COLOR,
+                        values: samples.map(s => s.population[i] ?? 0)
+                    });
+                }
+                return lines;
+            }
+            default:
+                return [{ color: LINE_COLOR, values: samples.map(s => s[id]) }];
+        }
+    }
+    
+    draw() {
+        if (!this.container || !this.isOpen) {
+            return;
+        }
+        const latest = this.samples[this.samples.length - 1];
+        
+        for (const series of SERIES) {
+            if (!this.enabled[series.id]) continue;
+            this.drawChart(this.canvases[series.id], this.getChartLines(series.id));
+            
+            const valueElement = this.container.querySelector(`[data-value="${series.id}"]`);
+            valueElement.textContent = latest ? this.formatLatest(series.id, latest) : '--';
+        }
+    }
+    
+    formatLatest(id, sample) {
+        switch (id) {
+            case 'fps': return sample.fps.toFixed(0);
+            case 'frameTime': return `${sample.physics.toFixed(1)} + ${sample.render.toFixed(1)}`;
+            case 'energy': return sample.energy.toFixed(0);
+            case 'population': return sample.population.join(' / ');
+            case 'speed': return sample.speed.toFixed(2);
+        }
+        return '';
+    }
+    
+    // Newest sample at the right edge, scaled so the tallest visible value fits
+    drawChart(canvas, lines) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        
+        let max = 0;
+        for (const line of lines) {
+            for (const value of line.values) {
+                if (value > max) max = value;
+            }
+        }
+        if (max <= 0) {
+            return;
+        }
+        const scaleY = (height - 4) / max;
+        const stepX = width / (MAX_SAMPLES - 1);
+        
+        ctx.lineWidth = 1;
+        for (const line of lines) {
+            const values = line.values;
+            const offset = MAX_SAMPLES - values.length;
+            ctx.strokeStyle = line.color;
+            ctx.beginPath();
+            for (let i = 0; i < values.length; i++) {
+                const x = (offset + i) * stepX;
+                const y = height - 2 - values[i] * scaleY;
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+        }
+        
+        // Scale marker
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '9px monospace';
+        ctx.fillText(max >= 100 ? max.toFixed(0) : max.toPrecision(2), 2, 9);
+    }
+    
+    // Enabled series as CSV, one row per sample
+    buildCSV() {
+        const speciesCount = this.samples.reduce((most, s) => Math.max(most, s.population.length), 0);
+        const columns = [{ header: 'time_s', value: s => s.time.toFixed(2) }];
+        if (this.enabled.fps) {
+            columns.push({ header: 'fps', value: s => s.fps.toFixed(1) });
+        }
+        if (this.enabled.frameTime) {
+            columns.push({ header: 'physics_ms', value: s => s.physics.toFixed(3) });
+            columns.push({ header: 'render_ms', value: s => s.render.toFixed(3) });
+        }
+        if (this.enabled.energy) {
+            columns.push({ header: 'kinetic_energy', value: s => s.energy.toFixed(3) });
+        }
+        if (this.enabled.population) {
+            for (let i = 0; i < speciesCount; i++) {
+                const name = (this.particleSystem.species[i]?.name || `species_${i}`).replace(/[^a-zA-Z0-9]+/g, '_');
+                columns.push({ header: `population_${name}`, value: s => s.population[i] ?? '' });
+            }
+        }
+        if (this.enabled.speed) {
+            columns.push({ header: 'average_speed', value: s => s.speed.toFixed(4) });
+        }
+        
+        const rows = [columns.map(column => column.header).join(',')];
+        for (const sample of this.samples) {
+            rows.push(columns.map(column => column.value(sample)).join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+    
+    exportCSV() {
+        const blob = new Blob([this.buildCSV()], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `particle_life_telemetry_${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+    }
+}
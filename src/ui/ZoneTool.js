@@ -0,0 +1,376 @@
+/**
+ * Spatial zone tool
+ * Draws zones on the simulation canvas. While a mode other than 'none' is
+ * active the tool owns the pointer, so clicks don't fire shockwaves, and every
+ * zone is drawn tinted over the particles.
+ *
+ * rect   - drag from corner to corner
+ * circle - drag from the centre outwards
+ * paint  - brush into the selected painted zone (a new one if none is selected);
+ *          hold Shift to rub out
+ * move   - drag a zone; clicking one selects it for editing
+ * erase  - click a zone to remove it
+ */
+
+import { encodeMask, decodeMask } from '../core/Arenas.js';
+import { zoneWeight } from '../core/Zones.js';
+
+const MIN_SIZE = 5; // Smaller drags are treated as stray clicks
+const PAINT_CELLS = 96; // Cells along the longer side of a painted zone's mask
+const ZONE_COLORS = ['102, 170, 255', '255, 170, 102', '153, 230, 102', '255, 102, 204', '102, 230, 210', '230, 210, 102'];
+
+export class ZoneTool {
+    constructor(particleSystem, { onChange, onSelect } = {}) {
+        this.particleSystem = particleSystem;
+        this.canvas = particleSystem.canvas;
+        this.onChange = onChange;
+        this.onSelect = onSelect;
+        
+        this.mode = 'none';
+        this.draft = null; // Rectangle or circle being drawn
+        this.drag = null; // { index, action: 'move' | 'paint', ... }
+        this.selectedZone = -1;
+        this.maskImages = new WeakMap(); // Painted zone mask -> { color, image, labelX, labelY }
+        
+        // Applied to newly drawn zones
+        this.defaults = { blend: 40, brush: 25 };
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.canvas.addEventListener('mouseleave', this.handleMouseUp.bind(this));
+    }
+    
+    setMode(mode) {
+        this.mode = mode;
+        this.draft = null;
+        this.drag = null;
+        if (mode === 'none') {
+            this.select(-1);
+        }
+        this.particleSystem.canvasTool = mode === 'none' ? null : this;
+        this.canvas.style.cursor = mode === 'none' ? '' : 'crosshair';
+    }
+    
+    select(index) {
+        this.selectedZone = index;
+        if (this.onSelect) {
+            this.onSelect(index);
+        }
+    }
+    
+    getMousePos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+    
+    // Index of the topmost zone covering the pointer at least halfway, or -1
+    findZoneAt(x, y) {
+        const list = this.particleSystem.getZoneList();
+        for (let i = list.length - 1; i >= 0; i--) {
+            if (zoneWeight(list[i].zone, list[i].coverage, x, y) >= 0.5) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    
+    handleMouseDown(e) {
+        if (this.mode === 'none' || e.button !== 0) return;
+        const { x, y } = this.getMousePos(e);
+        const ps = this.particleSystem;
+        
+        switch (this.mode) {
+            case 'rect':
+                this.draft = { shape: 'rect', startX: x, startY: y, x, y, width: 0, height: 0 };
+                break;
+            
+            case 'circle':
+                this.draft = { shape: 'circle', x, y, radius: 0 };
+                break;
+            
+            case 'paint':
+                this.startPainting(x, y, e.shiftKey);
+                break;
+            
+            case 'move': {
+                const index = this.findZoneAt(x, y);
+                this.select(index);
+                if (index !== -1) {
+                    const zone = ps.zones[index];
+                    this.drag = {
+                        index, action: 'move', startX: x, startY: y, lastX: x, lastY: y,
+                        cells: zone.shape === 'painted' ? decodeMask(zone.mask) : null
+                    };
+                }
+                break;
+            }
+            
+            case 'erase': {
+                const index = this.findZoneAt(x, y);
+                if (index !== -1 && ps.removeZone(index)) {
+                    this.select(-1);
+                    this.notifyChange();
+                }
+                break;
+            }
+        }
+    }
+    
+    handleMouseMove(e) {
+        const { x, y } = this.getMousePos(e);
+        
+        if (this.draft) {
+            const draft = this.draft;
+            if (draft.shape === 'circle') {
+                draft.radius = Math.hypot(x - draft.x, y - draft.y);
+            } else {
+                draft.x = Math.min(x, draft.startX);
+                draft.y = Math.min(y, draft.startY);
+                draft.width = Math.abs(x - draft.startX);
+                draft.height = Math.abs(y - draft.startY);
+            }
+            return;
+        }
+        
+        const drag = this.drag;
+        const zone = drag && this.particleSystem.zones[drag.index];
+        if (!zone) {
+            this.drag = null;
+            return;
+        }
+        
+        if (drag.action === 'paint') {
+            // Stamp along the stroke so fast drags don't leave gaps
+            const steps = Math.max(1, Math.ceil(Math.hypot(x - drag.lastX, y - drag.lastY) / (this.defaults.brush / 2)));
+            for (let k = 1; k <= steps; k++) {
+                this.stamp(drag, drag.lastX + (x - drag.lastX) * k / steps, drag.lastY + (y - drag.lastY) * k / steps);
+            }
+            zone.mask = encodeMask(drag.cells, zone.mask.width, zone.mask.height);
+        } else if (zone.shape === 'painted') {
+            // Masks move in whole cells, measured from where the drag started
+            zone.mask = this.shiftMask(drag.cells, zone.mask, x - drag.startX, y - drag.startY);
+        } else {
+            zone.x += x - drag.lastX;
+            zone.y += y - drag.lastY;
+        }
+        this.particleSystem.markParametersChanged();
+        drag.lastX = x;
+        drag.lastY = y;
+        drag.moved = true;
+    }
+    
+    handleMouseUp() {
+        if (this.draft) {
+            const draft = this.draft;
+            this.draft = null;
+            const bigEnough = draft.shape === 'circle'
+                ? draft.radius >= MIN_SIZE
+                : draft.width >= MIN_SIZE && draft.height >= MIN_SIZE;
+            if (bigEnough) {
+                const { shape, x, y, radius, width, height } = draft;
+                const index = this.particleSystem.addZone({ shape, x, y, radius, width, height, blend: this.defaults.blend });
+                if (index !== -1) {
+                    this.select(index);
+                    this.notifyChange();
+                }
+            }
+            return;
+        }
+        
+        if (!this.drag) return;
+        const drag = this.drag;
+        this.drag = null;
+        
+        // A painted zone rubbed out completely is removed
+        if (drag.action === 'paint' && !drag.cells.includes(1)) {
+            this.particleSystem.removeZone(drag.index);
+            this.select(-1);
+            this.notifyChange();
+        } else if (drag.moved || drag.action === 'paint') {
+            this.notifyChange();
+        }
+    }
+    
+    // Begin a brush stroke in the selected painted zone, or in a new one
+    startPainting(x, y, erase) {
+        const ps = this.particleSystem;
+        let index = this.selectedZone;
+        if (ps.zones[index]?.shape !== 'painted') {
+            if (erase) return;
+            const scale = PAINT_CELLS / Math.max(ps.width, ps.height);
+            const width = Math.max(1, Math.round(ps.width * scale));
+            const height = Math.max(1, Math.round(ps.height * scale));
+            const cells = new Uint8Array(width * height);
+            this.stamp({ cells, width, height, erase: false }, x, y);
+            index = ps.addZone({ shape: 'painted', mask: encodeMask(cells, width, height), blend: this.defaults.blend });
+            if (index === -1) return;
+            this.select(index);
+        }
+        
+        const mask = ps.zones[index].mask;
+        this.drag = { index, action: 'paint', cells: decodeMask(mask), width: mask.width, height: mask.height, erase, lastX: x, lastY: y };
+        this.stamp(this.drag, x, y);
+        ps.zones[index].mask = encodeMask(this.drag.cells, mask.width, mask.height);
+        ps.markParametersChanged();
+    }
+    
+    // Set (or clear) every cell whose centre is under the brush at (x, y)
+    stamp({ cells, width, height, erase }, x, y) {
+        const ps = this.particleSystem;
+        const cellW = ps.width / width;
+        const cellH = ps.height / height;
+        const radius = this.defaults.brush;
+        const minX = Math.max(0, Math.floor((x - radius) / cellW));
+        const maxX = Math.min(width - 1, Math.floor((x + radius) / cellW));
+        const minY = Math.max(0, Math.floor((y - radius) / cellH));
+        const maxY = Math.min(height - 1, Math.floor((y + radius) / cellH));
+        for (let cy = minY; cy <= maxY; cy++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                if (Math.hypot((cx + 0.5) * cellW - x, (cy + 0.5) * cellH - y) <= radius) {
+                    cells[cy * width + cx] = erase ? 0 : 1;
+                }
+            }
+        }
+    }
+    
+    // The original cells offset by a pixel distance, rounded to whole cells
+    shiftMask(cells, mask, dx, dy) {
+        const { width, height } = mask;
+        const ps = this.particleSystem;
+        const offsetX = Math.round(dx / (ps.width / width));
+        const offsetY = Math.round(dy / (ps.height / height));
+        const shifted = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const fromY = y - offsetY;
+            if (fromY < 0 || fromY >= height) continue;
+            for (let x = 0; x < width; x++) {
+                const fromX = x - offsetX;
+                if (fromX >= 0 && fromX < width) {
+                    shifted[y * width + x] = cells[fromY * width + fromX];
+                }
+            }
+        }
+        // Keep the mask object while nothing has moved, so its coverage stays cached
+        return offsetX === 0 && offsetY === 0 ? mask : encodeMask(shifted, width, height);
+    }
+    
+    notifyChange() {
+        if (this.selectedZone >= this.particleSystem.zones.length) {
+            this.select(-1);
+        }
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+    
+    // Each zone gets its own tint, by position in the list
+    getZoneColor(index) {
+        return ZONE_COLORS[index % ZONE_COLORS.length];
+    }
+    
+    // A canvas the size of the mask with the painted cells filled in the zone
+    // colour, plus where to put the label (the first painted cell)
+    getMaskImage(mask, color) {
+        let cached = this.maskImages.get(mask);
+        if (!cached || cached.color !== color) {
+            const cells = decodeMask(mask);
+            const [r, g, b] = color.split(', ').map(Number);
+            const image = document.createElement('canvas');
+            image.width = mask.width;
+            image.height = mask.height;
+            const imageCtx = image.getContext('2d');
+            const pixels = imageCtx.createImageData(mask.width, mask.height);
+            for (let i = 0; i < cells.length; i++) {
+                pixels.data[i * 4] = r;
+                pixels.data[i * 4 + 1] = g;
+                pixels.data[i * 4 + 2] = b;
+                pixels.data[i * 4 + 3] = cells[i] ? 255 : 0;
+            }
+            imageCtx.putImageData(pixels, 0, 0);
+            const first = Math.max(0, cells.indexOf(1));
+            cached = { color, image, labelX: first % mask.width, labelY: Math.floor(first / mask.width) };
+            this.maskImages.set(mask, cached);
+        }
+        return cached;
+    }
+    
+    // Drawn by SimpleParticleSystem.renderObstacles() after the obstacles themselves
+    renderPreview(ctx) {
+        const ps = this.particleSystem;
+        ctx.lineWidth = 1.5;
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        
+        ps.zones.forEach((zone, index) => {
+            const color = this.getZoneColor(index);
+            const selected = index === this.selectedZone;
+            let labelX = 0;
+            let labelY = 0;
+            
+            if (zone.shape === 'painted') {
+                // Smoothing stretches the cells into soft edges, much like the blend
+                const painted = this.getMaskImage(zone.mask, color);
+                ctx.save();
+                ctx.globalAlpha = selected ? 0.3 : 0.18;
+                ctx.imageSmoothingEnabled = true;
+                ctx.drawImage(painted.image, 0, 0, ps.width, ps.height);
+                ctx.restore();
+                labelX = painted.labelX * ps.width / zone.mask.width;
+                labelY = painted.labelY * ps.height / zone.mask.height;
+            } else {
+                const pad = zone.blend / 2;
+                ctx.beginPath();
+                if (zone.shape === 'rect') {
+                    ctx.rect(zone.x, zone.y, zone.width, zone.height);
+                    labelX = zone.x;
+                    labelY = zone.y;
+                } else {
+                    ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2);
+                    labelX = zone.x - zone.radius * 0.7;
+                    labelY = zone.y - zone.radius * 0.7;
+                }
+                ctx.fillStyle = `rgba(${color}, ${selected ? 0.2 : 0.1})`;
+                ctx.fill();
+                ctx.strokeStyle = `rgba(${color}, ${selected ? 0.95 : 0.6})`;
+                ctx.stroke();
+                
+                // Outer edge of the blend band
+                if (pad > 0) {
+                    ctx.setLineDash([3, 5]);
+                    ctx.beginPath();
+                    if (zone.shape === 'rect') {
+                        ctx.rect(zone.x - pad, zone.y - pad, zone.width + pad * 2, zone.height + pad * 2);
+                    } else {
+                        ctx.arc(zone.x, zone.y, zone.radius + pad, 0, Math.PI * 2);
+                    }
+                    ctx.strokeStyle = `rgba(${color}, 0.35)`;
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+            }
+            
+            ctx.fillStyle = selected ? 'rgba(255, 255, 255, 0.95)' : `rgba(${color}, 0.9)`;
+            ctx.fillText(zone.name || `Zone ${index + 1}`, labelX + 4, labelY + 4);
+        });
+        
+        const draft = this.draft;
+        if (draft) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            if (draft.shape === 'circle') {
+                ctx.arc(draft.x, draft.y, draft.radius, 0, Math.PI * 2);
+            } else {
+                ctx.rect(draft.x, draft.y, draft.width, draft.height);
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+}
@@ -1,4 +1,8 @@
 import { firebaseConfig, COLLECTIONS, PRESET_STATUS } from '../config/firebase.config.js';
+import { thinParticleState } from '../core/ParticleState.js';
+
+// Firestore caps documents at 1 MiB; keep clear of it for the document name and overhead
+export const MAX_DOCUMENT_BYTES = 1000000;
 
 class CloudStorage {
   constructor() {
@@ -135,13 +139,21 @@ class CloudStorage {
         version: 1
       });
     }
+    const fitted = this.fitDocumentSize(presetData);
+    const stateDropped = Boolean(presetData.state && !fitted.state);
+    const stateReduced = fitted.state && fitted.state.count < presetData.state.count
+      ? { kept: fitted.state.count, total: presetData.state.count }
+      : null;
+    presetData = fitted;
     
     try {
       await this.firebase.setDoc(
         this.firebase.doc(this.db, COLLECTIONS.PRESETS, id), 
         presetData
       );
-      return { ...presetData, id };
+      // stateReduced tells the caller the cloud copy resumes only some of the
+      // saved particles, stateDropped that it won't resume them at all
+      return { ...presetData, id, stateDropped, stateReduced };
     } catch (error) {
       // Log error only in development mode
       if (window.location.hostname === 'localhost') {
@@ -225,6 +237,35 @@ class CloudStorage {
     return hash.toString(36);
   }
 
+  // A saved particle state is the only part of a preset that can approach the
+  // document limit. Thin it to as many evenly spaced particles as fit rather
+  // than fail the save, and drop it only if nothing fits. savePreset() reports
+  // either so the UI can tell the user.
+  fitDocumentSize(presetData) {
+    let size = this.estimateDocumentSize(presetData);
+    if (!presetData.state || size <= MAX_DOCUMENT_BYTES) {
+      return presetData;
+    }
+    
+    let state = presetData.state;
+    while (state && size > MAX_DOCUMENT_BYTES) {
+      // State size is close to linear in the particle count; aim a little under
+      const stateBytes = this.estimateDocumentSize(state);
+      const room = MAX_DOCUMENT_BYTES - (size - stateBytes);
+      const keep = Math.min(state.count - 1, Math.floor(state.count * room / stateBytes * 0.98));
+      state = keep > 0 ? thinParticleState(state, keep) : null;
+      size = this.estimateDocumentSize({ ...presetData, state });
+    }
+    
+    const { state: original, ...withoutState } = presetData;
+    return state ? { ...withoutState, state } : withoutState;
+  }
+
+  // Upper bound on the stored size - JSON adds quotes and punctuation Firestore doesn't count
+  estimateDocumentSize(data) {
+    return new TextEncoder().encode(JSON.stringify(data)).length;
+  }
+
   // Convert nested arrays to Firestore-compatible format
   prepareForFirestore(obj) {
     const prepared = {};
@@ -498,6 +539,17 @@ class CloudStorage {
     }
   }
 
+  async updatePresetTags(id, tags) {
+    await this.initialize();
+    
+    await this.firebase.setDoc(
+      this.firebase.doc(this.db, COLLECTIONS.PRESETS, id),
+      this.prepareForFirestore({ tags, updatedAt: new Date().toISOString() }),
+      { merge: true }
+    );
+    return true;
+  }
+
   async createShareLink(presetId, expiresIn = 7 * 24 * 60 * 60 * 1000) { // 7 days default
     await this.initialize();
     
@@ -220,14 +220,18 @@ export class HybridPresetManager extends PresetManager {
     return false;
   }
 
+  // Resolves to the uploaded cloud copy, or null if none was made. Check its
+  // stateReduced and stateDropped flags: a particle state too large for the
+  // cloud is thinned there, or kept locally only if even that won't fit.
   async savePreset(key, preset, uploadToCloud = true) {
     // Always save locally first (base PresetManager no longer validates names)
     await super.savePreset(key, preset);
 
     // Upload to cloud if enabled and not a temporary/invalid preset name
+    let cloudPreset = null;
     if (this.cloudEnabled && uploadToCloud && !this.isInvalidPresetName(preset.name)) {
       try {
-        await this.uploadPresetToCloud(key, preset);
+        cloudPreset = await this.uploadPresetToCloud(key, preset);
       } catch (error) {
         // Cloud upload failed
         // Don't throw - local save succeeded, but log warning
@@ -238,6 +242,7 @@ export class HybridPresetManager extends PresetManager {
     } else if (this.isInvalidPresetName(preset.name)) {
       // Skipping cloud upload for temporary preset
     }
+    return cloudPreset;
   }
 
   async uploadPresetToCloud(key, preset, status = PRESET_STATUS.PUBLIC) {
@@ -278,6 +283,34 @@ export class HybridPresetManager extends PresetManager {
     }
   }
 
+  // Cloud presets are tagged in place; only the owner may write the tags back
+  // to the cloud, so they are also kept locally for everyone else. Tagging a
+  // local preset never uploads it, but updates the tags on the user's own
+  // cloud copy if there is one.
+  async setPresetTags(key, tags) {
+    let cloudPreset;
+    if (!key || !key.startsWith('cloud_')) {
+      await super.setPresetTags(key, tags);
+      cloudPreset = Array.from(this.cloudPresets.values()).find(
+        p => p.localKey === key && p.userId === cloudStorage.getCurrentUserId()
+      );
+      if (!cloudPreset) return;
+    } else {
+      cloudPreset = this.cloudPresets.get(key.substring(6));
+      if (!cloudPreset) throw new Error('Preset not found');
+      this.storage.saveTags(key, tags);
+    }
+    cloudPreset.tags = tags;
+    
+    if (this.cloudEnabled && cloudPreset.userId === cloudStorage.getCurrentUserId()) {
+      try {
+        await cloudStorage.updatePresetTags(cloudPreset.id, tags);
+      } catch (error) {
+        console.warn('Failed to update preset tags in cloud:', error);
+      }
+    }
+  }
+
   async importFromCloud(cloudPresetId) {
     if (!this.cloudEnabled) {
       throw new Error('Cloud sync not enabled');
@@ -1,3 +1,5 @@
+import { FIELD_TYPES } from '../core/FieldEmitters.js';
+
 export class ModulationManager {
     constructor(particleSystem) {
         this.particleSystem = particleSystem;
@@ -15,6 +17,7 @@ export class ModulationManager {
             'Physics': {},
             'Effects': {},
             'Boundaries': {},
+            'Fields': {},
             'Mouse': {},
             'Visual': {}
         };
@@ -159,6 +162,42 @@ export class ModulationManager {
             setter: (val) => this.particleSystem.environmentalPressure = val,
             current: () => this.particleSystem.environmentalPressure
         };
+        categories['Physics']['density_strength'] = {
+            name: 'Crowding Response',
+            type: 'float',
+            min: -1.0,
+            max: 1.0,
+            getter: () => this.particleSystem.densityStrength,
+            setter: (val) => this.particleSystem.setDensityStrength(val),
+            current: () => this.particleSystem.densityStrength
+        };
+        categories['Physics']['time_modulation_amplitude'] = {
+            name: 'Time Modulation Amplitude',
+            type: 'float',
+            min: 0.0,
+            max: 1.0,
+            getter: () => this.particleSystem.timeModulationAmplitude,
+            setter: (val) => this.particleSystem.timeModulationAmplitude = val,
+            current: () => this.particleSystem.timeModulationAmplitude
+        };
+        categories['Physics']['time_modulation_period'] = {
+            name: 'Time Modulation Period',
+            type: 'float',
+            min: 0.5,
+            max: 60.0,
+            getter: () => this.particleSystem.timeModulationPeriod,
+            setter: (val) => this.particleSystem.timeModulationPeriod = val,
+            current: () => this.particleSystem.timeModulationPeriod
+        };
+        categories['Physics']['target_temperature'] = {
+            name: 'Thermostat Temperature',
+            type: 'float',
+            min: 0.0,
+            max: 50.0,
+            getter: () => this.particleSystem.targetTemperature,
+            setter: (val) => this.particleSystem.setTargetTemperature(val),
+            current: () => this.particleSystem.targetTemperature
+        };
 
         // Effects parameters
         categories['Effects']['trail_length'] = {
@@ -191,6 +230,27 @@ export class ModulationManager {
             current: () => this.particleSystem.repulsiveForce
         };
 
+        // Field emitter parameters - looked up by index on each call, since fields can be removed
+        (this.particleSystem.fields || []).forEach((field, i) => {
+            const fieldName = `${FIELD_TYPES[field.type]?.label || 'Field'} ${i + 1}`;
+            const fieldParam = (key, name, min, max) => {
+                categories['Fields'][`field_${i}_${key}`] = {
+                    name: `${fieldName} ${name}`,
+                    type: 'float',
+                    min,
+                    max,
+                    getter: () => this.particleSystem.fields[i]?.[key] ?? 0,
+                    setter: (val) => { if (this.particleSystem.fields[i]) this.particleSystem.fields[i][key] = val; },
+                    current: () => this.particleSystem.fields[i]?.[key] ?? 0
+                };
+            };
+            fieldParam('strength', 'Strength', -5.0, 5.0);
+            fieldParam('radius', 'Radius', 10.0, 800.0);
+            if (field.type === 'wind') {
+                fieldParam('angle', 'Direction', 0.0, 360.0);
+            }
+        });
+
         // Mouse parameters - Currently not implemented in SimpleParticleSystem
         // Commenting out until mouse interaction is added
         /*
@@ -365,6 +425,7 @@ export class ModulationManager {
                 this.originalValues.delete(previewKey);
             }
             this.modulations.delete('preview_modulation');
+            this.particleSystem.markParametersChanged();
         }
     }
     
@@ -490,6 +551,10 @@ export class ModulationManager {
                 modulation.setter(value);
             }
         }
+        
+        if (this.modulations.size > 0) {
+            this.particleSystem.markParametersChanged();
+        }
     }
 
     hexToRgb(hex) {
@@ -786,8 +786,9 @@ export class NoiseGenerator {
     }
     
     // Update time (should be called once per frame, not per particle)
-    updateTime() {
-        this.time += this.timeIncrement;
+    // scale lets fixed-timestep callers advance by a fraction of a 60Hz frame
+    updateTime(scale = 1) {
+        this.time += this.timeIncrement * scale;
     }
     
     // Main noise function
@@ -39,6 +39,19 @@ export class PresetManager {
     this.saveToLocalStorage(); // Keep for backward compatibility
   }
 
+  // Behavior tags from the classifier: { behavior, metrics, steps, width, height, version }.
+  // Local presets carry them and are saved again - locally only, as tagging
+  // must not go through a subclass's savePreset and publish the preset.
+  async setPresetTags(key, tags) {
+    const preset = this.presets.get(key);
+    if (!preset) throw new Error('Preset not found');
+    await PresetManager.prototype.savePreset.call(this, key, { ...preset, tags });
+  }
+
+  getPresetTags(key) {
+    return this.getPreset(key)?.tags || this.storage.getTags(key);
+  }
+
   exportPreset(key) {
     const preset = this.presets.get(key);
     if (!preset) throw new Error('Preset not found');
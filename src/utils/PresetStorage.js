@@ -5,6 +5,7 @@ export class PresetStorage {
   constructor() {
     this.storageKey = 'particleLifePresets';
     this.metaKey = 'particleLifePresetsMeta';
+    this.tagsKey = 'particleLifePresetTags';
     this.dbName = 'ParticleLifeDB';
     this.dbVersion = 1;
     this.db = null;
@@ -203,6 +204,39 @@ export class PresetStorage {
     }
   }
 
+  // Behavior tags kept apart from the presets, for presets that can't carry
+  // their own - cloud presets owned by someone else
+  getTags(key) {
+    return this.getAllTags()[key] || null;
+  }
+
+  getAllTags() {
+    try {
+      const stored = localStorage.getItem(this.tagsKey);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      // Failed to parse stored tags
+      return {};
+    }
+  }
+
+  // Pass null to forget a preset's tags
+  saveTags(key, tags) {
+    const allTags = this.getAllTags();
+    if (tags) {
+      allTags[key] = tags;
+    } else if (key in allTags) {
+      delete allTags[key];
+    } else {
+      return;
+    }
+    try {
+      localStorage.setItem(this.tagsKey, JSON.stringify(allTags));
+    } catch (error) {
+      console.warn('Failed to save preset tags:', error);
+    }
+  }
+
   // Get all from IndexedDB
   async getAllFromIndexedDB() {
     if (!this.db) return {};
@@ -235,6 +269,7 @@ export class PresetStorage {
     const allPresets = this.getAllFromLocalStorage();
     delete allPresets[key];
     localStorage.setItem(this.storageKey, JSON.stringify(allPresets));
+    this.saveTags(key, null);
     
     // Delete from IndexedDB
     if (this.db) {
@@ -0,0 +1,30 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * Drop-in replacement for Math.random() so a simulation can be replayed from its seed
+ */
+
+export class SeededRandom {
+    constructor(seed = null) {
+        // Use provided seed or generate a random one
+        this.setSeed(seed !== null ? seed : SeededRandom.randomSeed());
+    }
+    
+    static randomSeed() {
+        return Math.floor(Math.random() * 2147483647);
+    }
+    
+    // Reset the sequence - the same seed always yields the same numbers
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    // Returns a float in [0, 1), like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
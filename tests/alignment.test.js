@@ -0,0 +1,52 @@
+// Headless checks for the alignment matrix - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, placeParticles, runTicks } from './helpers.js';
+
+// Vertical velocity of a resting species 0 particle after one tick next to a
+// species 1 particle 30px away moving down
+function steerAfterTick(setup) {
+    const { simulation } = createSimulation({ seed: 15, perSpecies: 2 });
+    setup(simulation);
+    const [a] = placeParticles(simulation, [
+        { x: 400, y: 300, species: 0 },
+        { x: 430, y: 300, vy: 5, species: 1 }
+    ]);
+    simulation.tick();
+    return a.vy;
+}
+
+test('alignment steers toward or away from neighbours\' velocity', () => {
+    const none = steerAfterTick(() => {});
+    assert.ok(steerAfterTick(s => s.setAlignment(0, 1, 1)) > none);
+    assert.ok(steerAfterTick(s => s.setAlignment(0, 1, -1)) < none);
+});
+
+test('alignment only reaches its radius and its species pair', () => {
+    const none = steerAfterTick(() => {});
+    assert.equal(steerAfterTick(s => {
+        s.setAlignment(0, 1, 1);
+        s.setAlignmentRadius(0, 1, 20);
+    }), none);
+    assert.equal(steerAfterTick(s => s.setAlignment(1, 0, 1)), none);
+});
+
+// Length of the mean velocity over the mean speed: 1 when everything moves together
+function polarisation(simulation) {
+    let vx = 0, vy = 0, speed = 0;
+    for (const p of simulation.particles) {
+        vx += p.vx;
+        vy += p.vy;
+        speed += Math.hypot(p.vx, p.vy);
+    }
+    return Math.hypot(vx, vy) / speed;
+}
+
+test('full alignment makes a population flock', () => {
+    const free = createSimulation({ seed: 15 }).simulation;
+    const flock = createSimulation({ seed: 15 }).simulation;
+    flock.setAlignmentMatrix(flock.createFilledMatrix(1));
+    runTicks(free, 300);
+    runTicks(flock, 300);
+    assert.ok(polarisation(flock) > polarisation(free));
+});
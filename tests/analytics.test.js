@@ -0,0 +1,40 @@
+// Headless checks for the emergent-structure analytics - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findClusters, ParticleAnalytics } from '../src/core/Analytics.js';
+import { createSimulation } from './helpers.js';
+
+// n particles on a small ring around (x, y)
+function blob(x, y, n) {
+    return Array.from({ length: n }, (_, i) => ({
+        x: x + Math.cos(i / n * Math.PI * 2) * 5,
+        y: y + Math.sin(i / n * Math.PI * 2) * 5
+    }));
+}
+
+test('findClusters separates distant groups and counts strays as noise', () => {
+    const particles = [...blob(100, 100, 20), ...blob(400, 300, 12), { x: 700, y: 50 }, { x: 20, y: 580 }];
+    const result = findClusters(particles, 25, 5);
+    assert.equal(result.count, 2);
+    assert.deepEqual(result.sizes, [20, 12]);
+    assert.equal(result.noise, 2);
+});
+
+test('findClusters leaves groups smaller than minPoints as noise', () => {
+    const result = findClusters(blob(100, 100, 4), 25, 5);
+    assert.equal(result.count, 0);
+    assert.equal(result.noise, 4);
+});
+
+test('findClusters handles an empty particle set', () => {
+    assert.deepEqual(findClusters([], 25, 5), { count: 0, sizes: [], noise: 0 });
+});
+
+test('analytics measure once per simulated frame', () => {
+    const analytics = new ParticleAnalytics({ interval: 1 });
+    const { simulation } = createSimulation();
+    simulation.tick();
+    const metrics = analytics.update(simulation);
+    assert.equal(metrics.count, simulation.particles.length);
+    assert.equal(analytics.update(simulation), null); // Time hasn't moved
+});
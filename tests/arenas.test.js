@@ -0,0 +1,46 @@
+// Headless checks for arena shapes - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeMask, arenaDistance } from '../src/core/Arenas.js';
+import { createSimulation, runTicks } from './helpers.js';
+
+// Deepest any particle gets outside the arena wall over a run, in pixels
+function worstEscape(arena) {
+    const { simulation } = createSimulation({ seed: 16 });
+    simulation.setTopology('bounded');
+    simulation.setArena(arena);
+    const normal = { x: 0, y: 0 };
+    let worst = 0;
+    // Particles that start outside the shape are herded in during the first ticks
+    runTicks(simulation, 30);
+    for (let i = 0; i < 240; i++) {
+        simulation.tick();
+        const geometry = simulation.getArenaGeometry();
+        for (const p of simulation.particles) {
+            worst = Math.max(worst, -arenaDistance(geometry, p.x, p.y, normal));
+        }
+    }
+    return worst;
+}
+
+test('particles stay inside a circle arena', () => {
+    assert.ok(worstEscape({ shape: 'circle', scale: 0.5 }) < 1);
+});
+
+test('particles stay inside a hexagon arena', () => {
+    assert.ok(worstEscape({ shape: 'polygon', sides: 6, scale: 0.5 }) < 1);
+});
+
+test('particles stay in the open half of a mask arena', () => {
+    const mask = encodeMask([1, 0], 2, 1);
+    assert.ok(worstEscape({ shape: 'mask', mask }) < 1);
+});
+
+test('arenas are ignored when the edges wrap', () => {
+    const { simulation } = createSimulation({ seed: 16 });
+    simulation.setTopology('torus');
+    simulation.setArena({ shape: 'circle', scale: 0.5 });
+    assert.equal(simulation.isInsideArena(5, 5), true);
+    simulation.setTopology('bounded');
+    assert.equal(simulation.isInsideArena(5, 5), false);
+});
@@ -0,0 +1,18 @@
+// Headless checks for behavior classification - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluatePreset, classifyBehavior, EVALUATION_WIDTH, EVALUATION_HEIGHT } from '../src/core/BehaviorClassifier.js';
+import { createSimulation } from './helpers.js';
+
+test('evaluation is repeatable and ignores the size of the canvas the preset came from', async () => {
+    const { preset } = createSimulation({ seed: 21, perSpecies: 20, width: 1600, height: 900 });
+    const first = await evaluatePreset(preset, { steps: 180 });
+    const second = await evaluatePreset(preset, { steps: 180 });
+    assert.deepEqual(second, first);
+    assert.equal(first.width, EVALUATION_WIDTH);
+    assert.equal(first.height, EVALUATION_HEIGHT);
+});
+
+test('a system that barely moves is a static crystal', () => {
+    assert.equal(classifyBehavior({ speed: 0.05, speedVariation: 0, speedCrossings: 0, clustered: 1 }), 'static-crystal');
+});
@@ -0,0 +1,66 @@
+// Headless checks for spring bonds - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, placeParticles } from './helpers.js';
+
+// Two species 0 particles `gap` px apart, optionally with a 0-0 bond rule
+function pair(gap, rule = { restLength: 12, breakRatio: 3 }) {
+    const { simulation } = createSimulation({ seed: 14, perSpecies: 2 });
+    if (rule) simulation.setBondRule(0, 0, rule);
+    const particles = placeParticles(simulation, [
+        { x: 400, y: 300, species: 0 },
+        { x: 400 + gap, y: 300, species: 0 }
+    ]);
+    return { simulation, particles };
+}
+
+test('particles within the rest length bond', () => {
+    const { simulation } = pair(10);
+    simulation.tick();
+    assert.deepEqual(simulation.bonds, [0, 1]);
+    
+    const unbonded = pair(10, null).simulation;
+    unbonded.tick();
+    assert.deepEqual(unbonded.bonds, []);
+});
+
+test('a stretched bond pulls its particles together', () => {
+    const { simulation, particles } = pair(10);
+    simulation.tick();
+    const [a, b] = particles;
+    b.x = a.x + 30;
+    a.vx = a.vy = b.vx = b.vy = 0;
+    simulation.tick();
+    
+    const free = pair(30, null);
+    free.simulation.tick();
+    assert.deepEqual(simulation.bonds, [0, 1]);
+    assert.ok(a.vx > free.particles[0].vx);
+    assert.ok(b.vx < free.particles[1].vx);
+});
+
+test('a bond snaps past its break ratio', () => {
+    const { simulation, particles } = pair(10);
+    simulation.tick();
+    particles[1].x = particles[0].x + 12 * 3 + 5;
+    simulation.tick();
+    assert.deepEqual(simulation.bonds, []);
+});
+
+test('particles take no more bonds than maxBonds', () => {
+    const { simulation } = createSimulation({ seed: 14, perSpecies: 2 });
+    simulation.setBondRule(0, 0, { restLength: 20 });
+    simulation.setMaxBonds(1);
+    placeParticles(simulation, [
+        { x: 400, y: 300, species: 0 },
+        { x: 408, y: 300, species: 0 },
+        { x: 400, y: 308, species: 0 },
+        { x: 408, y: 308, species: 0 }
+    ]);
+    simulation.tick();
+    
+    const counts = [0, 0, 0, 0];
+    simulation.bonds.forEach(i => counts[i]++);
+    assert.ok(simulation.bonds.length > 0);
+    assert.ok(counts.every(c => c <= 1));
+});
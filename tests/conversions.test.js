@@ -0,0 +1,46 @@
+// Headless checks for species conversion on contact - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, runTicks } from './helpers.js';
+
+function speciesCounts(simulation) {
+    const counts = new Array(simulation.numSpecies).fill(0);
+    simulation.particles.forEach(p => counts[p.species]++);
+    return counts;
+}
+
+test('a conversion rule turns one species into another on contact', () => {
+    const { simulation } = createSimulation({ seed: 13 });
+    simulation.setConversionThreshold(1);
+    simulation.setConversionRate(0, 1, 5);
+    const before = speciesCounts(simulation);
+    runTicks(simulation, 300);
+    const after = speciesCounts(simulation);
+    
+    assert.ok(after[0] < before[0]);
+    assert.equal(after[1] - before[1], before[0] - after[0]);
+    assert.deepEqual(after.slice(2), before.slice(2));
+});
+
+test('cyclic conversions replay with the seed', () => {
+    const run = () => {
+        const { simulation } = createSimulation({ seed: 13 });
+        simulation.setConversionThreshold(1);
+        simulation.setCyclicConversions(2);
+        runTicks(simulation, 200);
+        return simulation.particles.map(p => p.species);
+    };
+    const { simulation } = createSimulation({ seed: 13 });
+    const first = run();
+    assert.deepEqual(run(), first);
+    assert.notDeepEqual(first, simulation.particles.map(p => p.species));
+});
+
+test('particles below the contact threshold never convert', () => {
+    const { simulation } = createSimulation({ seed: 13 });
+    simulation.setConversionThreshold(10);
+    simulation.setCyclicConversions(5);
+    const before = simulation.particles.map(p => p.species);
+    runTicks(simulation, 120);
+    assert.deepEqual(simulation.particles.map(p => p.species), before);
+});
@@ -0,0 +1,28 @@
+// Headless checks for seeded replay - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, runTicks } from './helpers.js';
+
+test('the same seed replays the same run', () => {
+    const a = createSimulation({ seed: 77 }).simulation;
+    const b = createSimulation({ seed: 77 }).simulation;
+    assert.deepEqual(runTicks(a, 120), runTicks(b, 120));
+});
+
+test('a different seed gives a different run', () => {
+    const a = createSimulation({ seed: 77 }).simulation;
+    const b = createSimulation({ seed: 78 }).simulation;
+    assert.notDeepEqual(runTicks(a, 10), runTicks(b, 10));
+});
+
+test('reloading a preset mid-run replays it from the start', () => {
+    const { simulation, preset } = createSimulation({ seed: 99 });
+    const first = runTicks(simulation, 120);
+    
+    runTicks(simulation, 45);
+    simulation.loadFullPreset(preset);
+    assert.equal(simulation.time, 0);
+    assert.equal(simulation.frameCount, 0);
+    assert.equal(simulation.timeModulationCycle, 0);
+    assert.deepEqual(runTicks(simulation, 120), first);
+});
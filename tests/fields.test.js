@@ -0,0 +1,37 @@
+// Headless checks for field emitters - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, placeParticles } from './helpers.js';
+
+// Velocity of a lone species 0 particle 50px right of the field after one tick
+function pushAfterTick(field) {
+    const { simulation } = createSimulation({ seed: 10, perSpecies: 2 });
+    simulation.addField({ x: 400, y: 300, radius: 150, ...field });
+    const [p] = placeParticles(simulation, [{ x: 450, y: 300, species: 0 }]);
+    simulation.tick();
+    return { vx: p.vx, vy: p.vy };
+}
+
+test('attractors pull and repellers push', () => {
+    assert.ok(pushAfterTick({ type: 'attractor' }).vx < 0);
+    assert.ok(pushAfterTick({ type: 'repeller' }).vx > 0);
+});
+
+test('vortices swirl around their centre', () => {
+    const spin = pushAfterTick({ type: 'vortex' });
+    const reverse = pushAfterTick({ type: 'vortex', strength: -1 });
+    assert.ok(Math.abs(spin.vy) > Math.abs(spin.vx));
+    assert.ok(Math.sign(spin.vy) === -Math.sign(reverse.vy));
+});
+
+test('wind blows along its angle', () => {
+    const down = pushAfterTick({ type: 'wind', angle: 90 });
+    assert.ok(down.vy > 0);
+    assert.ok(Math.abs(down.vx) < 1e-9);
+});
+
+test('fields only reach their radius and their species', () => {
+    assert.deepEqual(pushAfterTick({ type: 'attractor', radius: 40 }), { vx: 0, vy: 0 });
+    assert.deepEqual(pushAfterTick({ type: 'attractor', species: [1] }), { vx: 0, vy: 0 });
+    assert.ok(pushAfterTick({ type: 'attractor', species: [0] }).vx < 0);
+});
@@ -0,0 +1,49 @@
+// Headless checks for per-pair force curves - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sampleForceCurve } from '../src/core/ForceLaws.js';
+import { createSimulation, placeParticles } from './helpers.js';
+
+// Velocity of a species 0 particle after one tick, with a species 1 particle
+// `fraction` of their social radius to its right
+function pullAfterTick(curve, fraction) {
+    const { simulation } = createSimulation({ seed: 6, perSpecies: 2 });
+    simulation.setPairForceCurve(0, 1, curve);
+    const [a] = placeParticles(simulation, [
+        { x: 400, y: 300, species: 0 },
+        { x: 400 + simulation.socialRadius[0][1] * fraction, y: 300, species: 1 }
+    ]);
+    simulation.tick();
+    return a.vx;
+}
+
+const FLAT = [{ x: 0, y: 0 }, { x: 1, y: 0 }];
+const NEAR_PULL_FAR_PUSH = [{ x: 0, y: 1 }, { x: 0.5, y: 0 }, { x: 1, y: -1 }];
+
+test('the curve decides whether a pair attracts or repels', () => {
+    assert.equal(pullAfterTick(FLAT, 0.5), 0);
+    assert.ok(pullAfterTick([{ x: 0, y: 1 }, { x: 1, y: 1 }], 0.5) > 0);
+    assert.ok(pullAfterTick([{ x: 0, y: -1 }, { x: 1, y: -1 }], 0.5) < 0);
+});
+
+test('the force follows the curve with distance', () => {
+    assert.ok(pullAfterTick(NEAR_PULL_FAR_PUSH, 0.25) > 0);
+    assert.ok(pullAfterTick(NEAR_PULL_FAR_PUSH, 0.75) < 0);
+});
+
+test('removing a curve brings back the force law', () => {
+    const { simulation } = createSimulation({ perSpecies: 2 });
+    assert.equal(simulation.setPairForceCurve(0, 1, [{ x: 0.5, y: 1 }]), false);
+    simulation.setPairForceCurve(0, 1, FLAT);
+    const version = simulation.parameterVersion;
+    simulation.setPairForceCurve(0, 1, null);
+    assert.equal(simulation.getPairForceCurve(0, 1), null);
+    assert.ok(simulation.parameterVersion > version);
+});
+
+test('curves interpolate between control points and stay flat beyond them', () => {
+    const points = [{ x: 0.2, y: 1 }, { x: 0.6, y: -1 }];
+    assert.equal(sampleForceCurve(points, 0), 1);
+    assert.ok(Math.abs(sampleForceCurve(points, 0.4)) < 1e-12);
+    assert.equal(sampleForceCurve(points, 0.9), -1);
+});
@@ -0,0 +1,48 @@
+// Headless checks for the force-law registry - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerForceLaw, getForceLaw } from '../src/core/ForceLaws.js';
+import { createSimulation, placeParticles } from './helpers.js';
+
+registerForceLaw('test-pull', { force: () => 1 });
+registerForceLaw('test-none', { force: () => 0 });
+
+// One tick of a species 0 particle and a species 1 particle within each other's social radius
+function pairAfterTick(setup) {
+    const { simulation } = createSimulation({ seed: 4, perSpecies: 2 });
+    setup(simulation);
+    const gap = Math.min(simulation.socialRadius[0][1], simulation.socialRadius[1][0]) / 2;
+    const [a, b] = placeParticles(simulation, [
+        { x: 400, y: 300, species: 0 },
+        { x: 400 + gap, y: 300, species: 1 }
+    ]);
+    simulation.tick();
+    return { a: a.vx, b: b.vx };
+}
+
+test('the preset force law drives the social force', () => {
+    const none = pairAfterTick(s => s.setForceLaw('test-none'));
+    const pull = pairAfterTick(s => s.setForceLaw('test-pull'));
+    assert.ok(pull.a > none.a);
+    assert.ok(pull.b < none.b);
+});
+
+test('a pair law overrides the preset law for that pair only', () => {
+    const none = pairAfterTick(s => s.setForceLaw('test-none'));
+    const pair = pairAfterTick(s => {
+        s.setForceLaw('test-none');
+        s.setPairForceLaw(0, 1, 'test-pull');
+    });
+    assert.ok(pair.a > none.a);
+    assert.equal(pair.b, none.b);
+});
+
+test('unknown laws are rejected', () => {
+    const { simulation } = createSimulation({ perSpecies: 2 });
+    const law = simulation.forceLaw;
+    assert.equal(simulation.setForceLaw('no-such-law'), false);
+    assert.equal(simulation.setPairForceLaw(0, 1, 'no-such-law'), false);
+    assert.equal(simulation.forceLaw, law);
+    assert.equal(simulation.forceLawMatrix, null);
+    assert.ok(getForceLaw(law));
+});
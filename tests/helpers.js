@@ -0,0 +1,25 @@
+// Shared setup for the headless Node tests
+import { ParticleSimulation } from '../src/core/ParticleSimulation.js';
+
+// A seeded simulation with a small population so the tests stay quick
+export function createSimulation({ seed = 1234, perSpecies = 30, width = 800, height = 600 } = {}) {
+    const simulation = new ParticleSimulation(width, height, { seed, noiseSeed: 5 });
+    const preset = simulation.exportPreset();
+    preset.particles.particlesPerSpecies = perSpecies;
+    preset.species.definitions.forEach(def => { def.particleCount = perSpecies; });
+    simulation.loadFullPreset(preset);
+    return { simulation, preset };
+}
+
+export function runTicks(simulation, ticks) {
+    for (let i = 0; i < ticks; i++) {
+        simulation.tick();
+    }
+    return simulation.particles.map(p => [p.x, p.y, p.vx, p.vy]);
+}
+
+// Replace the population with hand-placed particles, at rest unless given a velocity
+export function placeParticles(simulation, particles) {
+    simulation.particles = particles.map(p => ({ vx: 0, vy: 0, age: 0, energy: 1, ...p }));
+    return simulation.particles;
+}
@@ -0,0 +1,46 @@
+// Headless checks that placed objects follow the canvas - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParticleSimulation } from '../src/core/ParticleSimulation.js';
+
+function placeLayout(simulation) {
+    simulation.setObstacles([
+        { type: 'circle', x: 200, y: 150, radius: 30 },
+        { type: 'polygon', points: [{ x: 400, y: 300 }, { x: 500, y: 300 }, { x: 450, y: 400 }] }
+    ]);
+    simulation.setFields([{ type: 'line', x: 100, y: 100, x2: 300, y2: 100, radius: 60 }]);
+    simulation.setEmitters([{ x: 400, y: 300, species: 0 }]);
+    simulation.setSinks([{ x: 700, y: 500, radius: 40 }]);
+    simulation.setZones([{ shape: 'rect', x: 0, y: 0, width: 400, height: 300, blend: 20 }]);
+}
+
+test('resizing the canvas moves placed objects with it', () => {
+    const simulation = new ParticleSimulation(800, 600, { seed: 1 });
+    placeLayout(simulation);
+    simulation.resize(1600, 900);
+    
+    assert.deepEqual([simulation.obstacles[0].x, simulation.obstacles[0].y, simulation.obstacles[0].radius], [400, 225, 45]);
+    assert.deepEqual(simulation.obstacles[1].points[2], { x: 900, y: 600 });
+    assert.deepEqual([simulation.fields[0].x2, simulation.fields[0].y2, simulation.fields[0].radius], [600, 150, 90]);
+    assert.deepEqual([simulation.emitters[0].x, simulation.emitters[0].y], [800, 450]);
+    assert.deepEqual([simulation.sinks[0].x, simulation.sinks[0].y, simulation.sinks[0].radius], [1400, 750, 60]);
+    assert.deepEqual([simulation.zones[0].width, simulation.zones[0].height, simulation.zones[0].blend], [800, 450, 30]);
+});
+
+test('presets place objects relative to the canvas they were saved on', () => {
+    const source = new ParticleSimulation(800, 600, { seed: 1 });
+    placeLayout(source);
+    const preset = source.exportPreset();
+    
+    const target = new ParticleSimulation(400, 300, { seed: 1 });
+    target.loadFullPreset(preset);
+    assert.deepEqual([target.obstacles[0].x, target.obstacles[0].y, target.obstacles[0].radius], [100, 75, 15]);
+    assert.deepEqual([target.fields[0].x, target.fields[0].radius], [50, 30]);
+    assert.deepEqual([target.sinks[0].x, target.sinks[0].y], [350, 250]);
+    assert.equal(preset.walls.obstacles[0].x, 200); // The preset itself is untouched
+    
+    // Presets from before the canvas section load as saved
+    delete preset.canvas;
+    target.loadFullPreset(preset);
+    assert.equal(target.obstacles[0].x, 200);
+});
@@ -0,0 +1,53 @@
+// Headless checks for particle emitters and sinks - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, placeParticles, runTicks } from './helpers.js';
+
+function spawned(simulation) {
+    return simulation.particles.filter(p => p.spawned);
+}
+
+test('emitters spawn their species at their rate', () => {
+    const { simulation } = createSimulation({ seed: 11, perSpecies: 2 });
+    const before = simulation.particles.length;
+    simulation.addEmitter({ x: 400, y: 300, species: 2, rate: 30 });
+    runTicks(simulation, Math.round(1 / simulation.fixedTimestep));
+    
+    const born = spawned(simulation);
+    assert.ok(Math.abs(born.length - 30) <= 1, `${born.length} spawned`);
+    assert.equal(simulation.particles.length, before + born.length);
+    assert.ok(born.every(p => p.species === 2));
+});
+
+test('emitters stop at the particle cap', () => {
+    const { simulation } = createSimulation({ seed: 11, perSpecies: 2 });
+    simulation.setMaxParticles(simulation.particles.length + 5);
+    simulation.addEmitter({ x: 400, y: 300, rate: 200 });
+    runTicks(simulation, 60);
+    assert.equal(simulation.particles.length, simulation.maxParticles);
+});
+
+test('spawned particles expire after their lifetime', () => {
+    const { simulation } = createSimulation({ seed: 11, perSpecies: 2 });
+    const before = simulation.particles.length;
+    simulation.addEmitter({ x: 400, y: 300, rate: 60, lifetime: 0.5 });
+    runTicks(simulation, 20);
+    assert.ok(spawned(simulation).length > 0);
+    
+    simulation.removeEmitter(0);
+    runTicks(simulation, 40);
+    assert.equal(spawned(simulation).length, 0);
+    assert.equal(simulation.particles.length, before);
+});
+
+test('sinks remove the species they take', () => {
+    const { simulation } = createSimulation({ seed: 11, perSpecies: 2 });
+    simulation.addSink({ x: 400, y: 300, radius: 30, species: [0] });
+    placeParticles(simulation, [
+        { x: 400, y: 300, species: 0 },
+        { x: 405, y: 300, species: 1 },
+        { x: 600, y: 300, species: 0 }
+    ]);
+    simulation.tick();
+    assert.deepEqual(simulation.particles.map(p => [p.species, Math.round(p.x / 100)]), [[1, 4], [0, 6]]);
+});
@@ -0,0 +1,47 @@
+// Headless checks for per-species mass and impulse collisions - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, placeParticles } from './helpers.js';
+
+// A heavy species 0 particle and a light species 1 particle overlapping head-on
+function collide(restitution) {
+    const { simulation } = createSimulation({ seed: 19, perSpecies: 2 });
+    simulation.setMassPhysics({ collisions: true, restitution });
+    simulation.setSpeciesMass(0, 4);
+    simulation.setSpeciesMass(1, 1);
+    const particles = placeParticles(simulation, [
+        { x: 400, y: 300, vx: 2, vy: 0.5, species: 0 },
+        { x: 404, y: 301, vx: -3, vy: 0, species: 1 }
+    ]);
+    const momentum = () => particles.reduce((sum, p) => {
+        const mass = simulation.species[p.species].mass;
+        return { x: sum.x + mass * p.vx, y: sum.y + mass * p.vy, energy: sum.energy + 0.5 * mass * (p.vx * p.vx + p.vy * p.vy) };
+    }, { x: 0, y: 0, energy: 0 });
+    
+    const before = momentum();
+    const [heavy, light] = particles.map(p => ({ vx: p.vx, vy: p.vy }));
+    simulation.resolveCollisions(simulation.getTopology());
+    return { before, after: momentum(), heavy, light, particles };
+}
+
+test('collisions conserve momentum', () => {
+    for (const restitution of [0, 0.5, 1]) {
+        const { before, after } = collide(restitution);
+        assert.ok(Math.abs(after.x - before.x) < 1e-9, `restitution ${restitution}`);
+        assert.ok(Math.abs(after.y - before.y) < 1e-9, `restitution ${restitution}`);
+    }
+});
+
+test('elastic collisions conserve kinetic energy and inelastic ones lose it', () => {
+    const elastic = collide(1);
+    assert.ok(Math.abs(elastic.after.energy - elastic.before.energy) < 1e-9);
+    const inelastic = collide(0);
+    assert.ok(inelastic.after.energy < inelastic.before.energy - 0.1);
+});
+
+test('velocity changes scale with the inverse of mass', () => {
+    const { heavy, light, particles } = collide(1);
+    const change = (p, v) => Math.hypot(p.vx - v.vx, p.vy - v.vy);
+    assert.ok(Math.abs(change(particles[1], light) / change(particles[0], heavy) - 4) < 1e-9);
+    assert.ok(particles[1].vx > 0); // The light particle bounces back
+});
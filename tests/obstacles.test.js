@@ -0,0 +1,45 @@
+// Headless checks for static obstacles - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { obstacleDistance } from '../src/core/Obstacles.js';
+import { createSimulation, placeParticles, runTicks } from './helpers.js';
+
+const WALL = { type: 'rect', x: 380, y: 200, width: 40, height: 200 };
+
+// A particle of the given species thrown at the wall from the left, hard
+// enough to stop halfway through it if nothing is in the way
+function throwAtWall(species, passThrough = []) {
+    const { simulation } = createSimulation({ seed: 9, perSpecies: 2 });
+    simulation.addObstacle({ ...WALL, passThrough });
+    const [p] = placeParticles(simulation, [{ x: 355, y: 300, vx: 10, vy: 0, species }]);
+    let deepest = Infinity;
+    for (let i = 0; i < 120; i++) {
+        simulation.tick();
+        deepest = Math.min(deepest, obstacleDistance(simulation.obstacles[0], p.x, p.y, { x: 0, y: 0 }));
+    }
+    return { p, deepest };
+}
+
+test('particles bounce off an obstacle', () => {
+    const { p, deepest } = throwAtWall(0);
+    assert.ok(deepest > -1, `reached ${deepest}px inside`);
+    assert.ok(p.x < WALL.x);
+});
+
+test('a pass-through species crosses it', () => {
+    const { p, deepest } = throwAtWall(1, [false, true]);
+    assert.ok(deepest < -WALL.width / 4);
+    assert.ok(p.x > WALL.x);
+});
+
+test('a running population stays out of obstacles', () => {
+    const { simulation } = createSimulation({ seed: 9 });
+    const hole = { type: 'circle', x: 400, y: 300, radius: 80 };
+    simulation.addObstacle(hole);
+    runTicks(simulation, 1);
+    // Particles that started inside are pushed out within a few ticks
+    runTicks(simulation, 120);
+    for (const p of simulation.particles) {
+        assert.ok(Math.hypot(p.x - hole.x, p.y - hole.y) > hole.radius - 1);
+    }
+});
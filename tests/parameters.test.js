@@ -0,0 +1,40 @@
+// Headless checks for parameter change tracking - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from './helpers.js';
+
+// Worker physics resends the parameters only when parameterVersion moves
+test('setters flag parameter changes', () => {
+    const { simulation } = createSimulation({ perSpecies: 2 });
+    const changes = [
+        s => s.setSocialForce(0, 1, 0.5),
+        s => s.setForceLaw('classic'),
+        s => s.setTopology('torus'),
+        s => s.setTimeModulation({ enabled: true }),
+        s => s.setThermostat({ enabled: true }),
+        s => s.setMassPhysics({ collisions: true }),
+        s => s.setConversionRate(0, 1, 0.5),
+        s => s.setBondRule(0, 0, { restLength: 10 }),
+        s => s.setAlignment(0, 0, 0.5),
+        s => s.addObstacle({ type: 'circle', x: 10, y: 10, radius: 5 }),
+        s => s.addField({ type: 'vortex', x: 10, y: 10 }),
+        s => s.addEmitter({ x: 10, y: 10, species: 0 }),
+        s => s.addZone({ shape: 'rect', x: 0, y: 0, width: 50, height: 50 }),
+        s => s.setSpeciesOverrides(0, { maxSpeed: 2 }),
+        s => s.setNoiseAmplitude(0.5),
+        s => s.setParameter('friction', 0.5)
+    ];
+    for (const change of changes) {
+        const version = simulation.parameterVersion;
+        change(simulation);
+        assert.ok(simulation.parameterVersion > version, change.toString());
+    }
+});
+
+test('stepping does not flag parameter changes', () => {
+    const { simulation } = createSimulation({ perSpecies: 2 });
+    const version = simulation.parameterVersion;
+    simulation.tick();
+    simulation.tick();
+    assert.equal(simulation.parameterVersion, version);
+});
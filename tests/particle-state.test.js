@@ -0,0 +1,100 @@
+// Headless checks for the quantised particle state saved in presets - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeParticleState, decodeParticleState, thinParticleState } from '../src/core/ParticleState.js';
+import { cloudStorage, MAX_DOCUMENT_BYTES } from '../src/utils/CloudStorage.js';
+import { createSimulation, runTicks } from './helpers.js';
+
+test('decoding restores particles to within the quantisation step', () => {
+    const { simulation } = createSimulation({ seed: 8 });
+    runTicks(simulation, 30);
+    const state = JSON.parse(JSON.stringify(encodeParticleState(simulation)));
+    const snapshot = decodeParticleState(state, simulation.width, simulation.height);
+    
+    assert.equal(snapshot.count, simulation.particles.length);
+    assert.equal(snapshot.rngState, simulation.rng.state);
+    assert.equal(snapshot.time, simulation.time);
+    simulation.particles.forEach((p, i) => {
+        assert.ok(Math.abs(snapshot.positions[i * 2] - p.x) <= simulation.width / 65535);
+        assert.ok(Math.abs(snapshot.positions[i * 2 + 1] - p.y) <= simulation.height / 65535);
+        assert.ok(Math.abs(snapshot.velocities[i * 2] - p.vx) <= state.velocityScale);
+        assert.equal(snapshot.species[i], p.species);
+    });
+});
+
+test('positions stretch to a canvas of a different size', () => {
+    const { simulation } = createSimulation({ seed: 8 });
+    const snapshot = decodeParticleState(encodeParticleState(simulation), simulation.width * 2, simulation.height);
+    const p = simulation.particles[0];
+    assert.ok(Math.abs(snapshot.positions[0] - p.x * 2) <= 2 * simulation.width / 65535);
+});
+
+test('a preset with state resumes the saved run', () => {
+    const { simulation } = createSimulation({ seed: 8 });
+    runTicks(simulation, 30);
+    const preset = simulation.exportPreset({ includeState: true });
+    const resumed = createSimulation({ seed: 1 }).simulation;
+    resumed.loadFullPreset(preset);
+    
+    // Quantisation moves particles slightly, so compare a freshly loaded copy instead of the original
+    const again = createSimulation({ seed: 2 }).simulation;
+    again.loadFullPreset(preset);
+    assert.equal(resumed.time, simulation.time);
+    assert.deepEqual(runTicks(resumed, 60), runTicks(again, 60));
+});
+
+test('malformed states are rejected', () => {
+    const { simulation } = createSimulation({ seed: 8 });
+    const state = encodeParticleState(simulation);
+    assert.equal(decodeParticleState({ ...state, version: 99 }, 800, 600), null);
+    assert.equal(decodeParticleState({ ...state, positions: 'AAAA' }, 800, 600), null);
+});
+
+// Enough mortal, bonded particles that the encoded state is well over the cloud limit
+function oversizedState() {
+    const count = 60000;
+    const particles = [];
+    for (let i = 0; i < count; i++) {
+        particles.push({ x: (i * 37) % 800, y: (i * 53) % 600, vx: (i % 7) - 3, vy: (i % 5) - 2, species: i % 4, age: i % 100, lifetime: 200 });
+    }
+    const bonds = [];
+    for (let i = 0; i + 1 < count; i += 2) {
+        bonds.push(i, i + 1);
+    }
+    return encodeParticleState({
+        particles, width: 800, height: 600, bonds, bondParticles: particles,
+        time: 12, frameCount: 720, noiseGenerator: { time: 3 }, timeModulationCycle: 0, rng: { state: 99 }
+    });
+}
+
+test('an oversized state is thinned to fit a cloud document', () => {
+    const state = oversizedState();
+    const preset = { name: 'Big', species: { count: 4 }, state };
+    assert.ok(cloudStorage.estimateDocumentSize(preset) > MAX_DOCUMENT_BYTES);
+    
+    const fitted = cloudStorage.fitDocumentSize(preset);
+    assert.ok(cloudStorage.estimateDocumentSize(fitted) <= MAX_DOCUMENT_BYTES);
+    assert.ok(fitted.state.count > state.count / 4 && fitted.state.count < state.count);
+    assert.equal(fitted.name, 'Big');
+    
+    // The kept particles decode to the evenly spaced originals, clocks intact
+    const full = decodeParticleState(state, 800, 600);
+    const thin = decodeParticleState(fitted.state, 800, 600);
+    assert.equal(thin.rngState, 99);
+    assert.equal(thin.time, 12);
+    for (const k of [0, 1, thin.count - 1]) {
+        const i = Math.floor(k * state.count / thin.count);
+        assert.equal(thin.positions[k * 2], full.positions[i * 2]);
+        assert.equal(thin.velocities[k * 2 + 1], full.velocities[i * 2 + 1]);
+        assert.equal(thin.species[k], full.species[i]);
+        assert.equal(thin.ages[k], full.ages[i]);
+    }
+});
+
+test('thinning keeps only bonds between kept particles', () => {
+    const state = oversizedState();
+    // Every other particle: the kept ones are all left ends, so no bond survives
+    assert.equal(thinParticleState(state, state.count / 2).bonds, null);
+    const all = decodeParticleState(thinParticleState(state, state.count), 800, 600);
+    assert.equal(all.bonds.length, state.count);
+});
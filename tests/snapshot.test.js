@@ -0,0 +1,60 @@
+// Headless checks for snapshot history and rewinding - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotHistory } from '../src/core/SnapshotHistory.js';
+import { createSimulation, runTicks } from './helpers.js';
+
+test('restoring a snapshot brings back the particles and clocks', () => {
+    const { simulation } = createSimulation({ seed: 8 });
+    const history = new SnapshotHistory();
+    runTicks(simulation, 20);
+    history.record(simulation);
+    const recorded = {
+        time: simulation.time,
+        frameCount: simulation.frameCount,
+        rngState: simulation.rng.state,
+        particles: simulation.particles.map(p => [Math.fround(p.x), Math.fround(p.y), p.species])
+    };
+    
+    runTicks(simulation, 30);
+    simulation.restoreSnapshot(history.getNewest());
+    assert.equal(simulation.time, recorded.time);
+    assert.equal(simulation.frameCount, recorded.frameCount);
+    assert.equal(simulation.rng.state, recorded.rngState);
+    assert.deepEqual(simulation.particles.map(p => [p.x, p.y, p.species]), recorded.particles);
+});
+
+test('resuming from the same snapshot replays the same run', () => {
+    const { simulation } = createSimulation({ seed: 8 });
+    const history = new SnapshotHistory();
+    runTicks(simulation, 20);
+    history.record(simulation);
+    
+    // Snapshots hold Float32 copies, so compare two resumed runs
+    simulation.restoreSnapshot(history.getNewest());
+    const first = runTicks(simulation, 30);
+    simulation.restoreSnapshot(history.getNewest());
+    const second = runTicks(simulation, 30);
+    assert.deepEqual(second, first);
+});
+
+test('the history keeps the newest frames within its capacity', () => {
+    const { simulation } = createSimulation({ seed: 8, perSpecies: 5 });
+    const history = new SnapshotHistory({ frames: 10 });
+    for (let i = 0; i < 25; i++) {
+        simulation.tick();
+        history.record(simulation);
+    }
+    assert.equal(history.length, 10);
+    assert.equal(history.getNewest().time, simulation.time);
+    assert.ok(history.get(0).time < history.getNewest().time);
+    
+    // Downsampling keeps a longer span at half the resolution
+    const thinned = new SnapshotHistory({ frames: 10, downsample: true });
+    for (let i = 0; i < 25; i++) {
+        simulation.tick();
+        thinned.record(simulation);
+    }
+    assert.ok(thinned.getStats().span > history.getStats().span);
+    assert.ok(thinned.interval > 1);
+});
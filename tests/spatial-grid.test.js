@@ -0,0 +1,38 @@
+// Headless checks for the adaptive spatial grid - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, runTicks } from './helpers.js';
+
+test('grid cells grow to the largest social radius and shrink back', () => {
+    const { simulation } = createSimulation({ seed: 12, width: 1200, height: 900 });
+    simulation.socialRadius[0][1] = 230;
+    simulation.tick();
+    assert.ok(simulation.gridSize >= 230);
+    assert.ok(simulation.width / simulation.gridWidth >= 230);
+    assert.ok(simulation.height / simulation.gridHeight >= 230);
+    
+    simulation.socialRadius[0][1] = 20;
+    simulation.tick();
+    assert.ok(simulation.gridSize < 230);
+    assert.ok(simulation.gridSize >= simulation.getMaxInteractionRadius());
+});
+
+test('the neighbour search finds every particle within the largest radius', () => {
+    const { simulation } = createSimulation({ seed: 12, width: 1200, height: 900 });
+    simulation.setTopology('bounded');
+    simulation.socialRadius[1][0] = 180;
+    runTicks(simulation, 20);
+    simulation.updateGridCellSize();
+    simulation.updateSpatialGrid();
+    
+    const radius = simulation.getMaxInteractionRadius();
+    const particles = simulation.particles;
+    for (let i = 0; i < particles.length; i += 7) {
+        const nearby = new Set(simulation.getNearbyParticles(i));
+        for (let j = 0; j < particles.length; j++) {
+            if (Math.hypot(particles[j].x - particles[i].x, particles[j].y - particles[i].y) < radius) {
+                assert.ok(nearby.has(j), `particle ${j} missed near ${i}`);
+            }
+        }
+    }
+});
@@ -0,0 +1,52 @@
+// Headless checks for the thermostat - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, runTicks } from './helpers.js';
+
+function measure(simulation) {
+    return simulation.measureKineticEnergy({ total: 0, temperature: 0, perSpecies: [], counts: [] });
+}
+
+test('rescaling holds the temperature at the target every tick', () => {
+    const { simulation } = createSimulation({ seed: 17 });
+    simulation.setThermostat({ enabled: true, mode: 'rescale', target: 20 });
+    for (let i = 0; i < 60; i++) {
+        simulation.tick();
+        assert.ok(Math.abs(measure(simulation).temperature - 20) < 1e-6);
+    }
+});
+
+// Mean temperature over two seconds, after a warm-up second under the thermostat.
+// Friction keeps draining energy, so a relaxing thermostat settles short of its target.
+function settledTemperature(thermostat) {
+    const { simulation } = createSimulation({ seed: 17 });
+    runTicks(simulation, 60);
+    if (thermostat) simulation.setThermostat({ enabled: true, mode: 'relax', ...thermostat });
+    runTicks(simulation, 60);
+    let sum = 0;
+    for (let i = 0; i < 120; i++) {
+        simulation.tick();
+        sum += measure(simulation).temperature;
+    }
+    return sum / 120;
+}
+
+test('relaxing pulls the temperature toward the target, harder with a shorter time constant', () => {
+    const free = settledTemperature(null);
+    const slow = settledTemperature({ target: 30, relaxation: 2 });
+    const fast = settledTemperature({ target: 30, relaxation: 0.1 });
+    assert.ok(free < slow && slow < fast && fast < 30);
+    
+    assert.ok(settledTemperature({ target: 0.1, relaxation: 0.1 }) < free);
+});
+
+test('per-species thermostats hold every species at the target', () => {
+    const { simulation } = createSimulation({ seed: 17 });
+    runTicks(simulation, 30);
+    simulation.setThermostat({ enabled: true, mode: 'rescale', target: 10, perSpecies: true });
+    simulation.tick();
+    const stats = measure(simulation);
+    stats.perSpecies.forEach((energy, s) => {
+        assert.ok(Math.abs(energy / stats.counts[s] - 10) < 1e-6, `species ${s}`);
+    });
+});
@@ -0,0 +1,43 @@
+// Headless checks for the fixed-timestep integrator - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, runTicks } from './helpers.js';
+
+function positions(simulation) {
+    return simulation.particles.map(p => [p.x, p.y, p.vx, p.vy]);
+}
+
+test('the frame rate does not change the run', () => {
+    const slow = createSimulation({ seed: 31 }).simulation;
+    const fast = createSimulation({ seed: 31 }).simulation;
+    for (let i = 0; i < 30; i++) slow.advance(1 / 30);
+    for (let i = 0; i < 60; i++) fast.advance(1 / 60);
+    
+    assert.equal(slow.frameCount, fast.frameCount);
+    assert.deepEqual(positions(slow), positions(fast));
+});
+
+test('time scale runs more ticks per frame, not longer ones', () => {
+    const scaled = createSimulation({ seed: 31 }).simulation;
+    const reference = createSimulation({ seed: 31 }).simulation;
+    scaled.setTimeScale(2);
+    let ticks = 0;
+    for (let i = 0; i < 30; i++) ticks += scaled.advance(1 / 60);
+    
+    assert.equal(ticks, 60);
+    assert.deepEqual(positions(scaled), runTicks(reference, 60));
+});
+
+test('a long frame is capped at maxTicksPerFrame', () => {
+    const { simulation } = createSimulation({ seed: 31 });
+    assert.equal(simulation.advance(10), simulation.maxTicksPerFrame);
+    assert.equal(simulation.advance(0), 0);
+});
+
+test('substeps split a tick without changing its length', () => {
+    const { simulation } = createSimulation({ seed: 31 });
+    simulation.setSubsteps(4);
+    const before = simulation.time;
+    simulation.tick();
+    assert.ok(Math.abs(simulation.time - before - simulation.fixedTimestep) < 1e-9);
+});
@@ -0,0 +1,89 @@
+// Headless checks for edge topologies and species wall modes - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, placeParticles } from './helpers.js';
+
+// Two particles facing each other across the left/right edge
+function placeAcrossSeam(simulation, rightSpecies = 0) {
+    const y = simulation.height / 2;
+    simulation.particles.length = 0;
+    simulation.particles.push(
+        { x: 4, y, vx: 0, vy: 0, species: 0 },
+        { x: simulation.width - 4, y, vx: 0, vy: 0, species: rightSpecies }
+    );
+    simulation.updateGridCellSize();
+    simulation.updateSpatialGrid();
+    simulation.updateSeamSpecies(simulation.getTopology());
+}
+
+test('a wrapping species in bounded topology meets neighbours across the edge', () => {
+    const { simulation } = createSimulation({ seed: 3, perSpecies: 2 });
+    simulation.setTopology('bounded');
+    simulation.setSpeciesOverrides(0, { wallMode: 'wrap' });
+    placeAcrossSeam(simulation);
+    
+    const [a, b] = simulation.particles;
+    assert.ok(simulation.getNearbyParticles(0).includes(1));
+    assert.equal(simulation.wrapsPair(a.species, b.species), true);
+    assert.equal(simulation.getToroidalDistance(a, b).dx, -8);
+});
+
+test('a wrapping and a bouncing species in bounded topology stay apart across the edge', () => {
+    const { simulation } = createSimulation({ seed: 3, perSpecies: 2 });
+    simulation.setTopology('bounded');
+    simulation.setSpeciesOverrides(0, { wallMode: 'wrap' });
+    simulation.setSpeciesOverrides(1, { wallMode: 'bounce' });
+    placeAcrossSeam(simulation, 1);
+    
+    const [a, b] = simulation.particles;
+    assert.equal(simulation.wrapsPair(a.species, b.species), false);
+    assert.equal(simulation.wrapsPair(b.species, a.species), false);
+});
+
+test('bouncing species in bounded topology stay apart across the edge', () => {
+    const { simulation } = createSimulation({ seed: 3, perSpecies: 2 });
+    simulation.setTopology('bounded');
+    placeAcrossSeam(simulation);
+    
+    assert.equal(simulation.seamSpecies, null);
+    const [a, b] = simulation.particles;
+    assert.ok(!simulation.getNearbyParticles(0).includes(1));
+    assert.equal(simulation.wrapsPair(a.species, b.species), false);
+});
+
+// One tick of a lone particle heading across an edge
+function crossEdge(topology, particle) {
+    const { simulation } = createSimulation({ seed: 3, perSpecies: 2 });
+    simulation.setTopology(topology);
+    const [p] = placeParticles(simulation, [{ species: 0, ...particle }]);
+    simulation.tick();
+    return { simulation, p };
+}
+
+test('crossing the top or bottom of a Klein bottle mirrors x', () => {
+    const { simulation, p } = crossEdge('klein', { x: 100, y: 599, vx: 1, vy: 5 });
+    assert.ok(p.y < 10);
+    assert.ok(Math.abs(p.x - (simulation.width - 100)) < 5);
+    assert.ok(p.vx < 0);
+});
+
+test('crossing the side of a Möbius strip mirrors y, and its top and bottom are walls', () => {
+    const { simulation, p } = crossEdge('mobius', { x: 799, y: 100, vx: 5, vy: 1 });
+    assert.ok(p.x < 10);
+    assert.ok(Math.abs(p.y - (simulation.height - 100)) < 5);
+    assert.ok(p.vy < 0);
+    
+    const wall = crossEdge('mobius', { x: 400, y: 599, vy: 5 }).p;
+    assert.ok(wall.y < 600 && wall.y > 500);
+});
+
+test('twisted topologies measure distance through the twist', () => {
+    const { simulation } = createSimulation({ seed: 3, perSpecies: 2 });
+    simulation.setTopology('klein');
+    const klein = simulation.getToroidalDistance({ x: 100, y: 5 }, { x: 700, y: 595 });
+    assert.ok(Math.abs(klein.dx) < 1e-9 && Math.abs(klein.dy + 10) < 1e-9);
+    
+    simulation.setTopology('mobius');
+    const mobius = simulation.getToroidalDistance({ x: 795, y: 100 }, { x: 5, y: 500 });
+    assert.ok(Math.abs(mobius.dx - 10) < 1e-9 && Math.abs(mobius.dy) < 1e-9);
+});
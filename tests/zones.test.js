@@ -0,0 +1,53 @@
+// Headless checks for spatial zones - run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, placeParticles } from './helpers.js';
+
+const AROUND_PAIR = { shape: 'rect', x: 350, y: 250, width: 150, height: 100, blend: 0 };
+const ELSEWHERE = { shape: 'circle', x: 100, y: 100, radius: 50, blend: 0 };
+
+// One tick of a species 0 particle with a species 1 particle 30px to its right
+function pairAfterTick(zone) {
+    const { simulation } = createSimulation({ seed: 20, perSpecies: 2 });
+    if (zone) simulation.addZone(zone);
+    const [a] = placeParticles(simulation, [
+        { x: 400, y: 300, species: 0 },
+        { x: 430, y: 300, species: 1 }
+    ]);
+    simulation.tick();
+    return a.vx;
+}
+
+test('a zone\'s force matrix replaces the global one inside it', () => {
+    const pull = pairAfterTick({ ...AROUND_PAIR, socialForce: [[0, 3]] });
+    const push = pairAfterTick({ ...AROUND_PAIR, socialForce: [[0, -3]] });
+    assert.ok(pull > push);
+    assert.equal(pairAfterTick({ ...ELSEWHERE, socialForce: [[0, 3]] }), pairAfterTick(null));
+});
+
+// Velocity of a lone particle after one tick, starting at 5px per frame
+function coastAfterTick(zone) {
+    const { simulation } = createSimulation({ seed: 20, perSpecies: 2 });
+    if (zone) simulation.addZone(zone);
+    const [p] = placeParticles(simulation, [{ x: 400, y: 300, vx: 5, species: 0 }]);
+    simulation.tick();
+    return p.vx;
+}
+
+test('a zone\'s friction slows particles inside it', () => {
+    const free = coastAfterTick(null);
+    assert.ok(coastAfterTick({ ...AROUND_PAIR, friction: 0.5 }) < free);
+    assert.equal(coastAfterTick({ ...ELSEWHERE, friction: 0.5 }), free);
+});
+
+test('overrides fade in across the blend band', () => {
+    const { simulation } = createSimulation({ seed: 20, perSpecies: 2 });
+    simulation.addZone({ shape: 'rect', x: 400, y: 200, width: 200, height: 200, blend: 40, friction: 1 });
+    const zones = simulation.getZoneList();
+    const retention = x => simulation.mixZones({ x, y: 300, species: 0 }, zones)?.retention ?? null;
+    const outside = simulation.species[0].inertia;
+    
+    assert.equal(retention(370), null);
+    assert.ok(Math.abs(retention(400) - outside / 2) < 0.05);
+    assert.equal(retention(450), 0);
+});